@@ -7,6 +7,7 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs').promises;
+const crypto = require('crypto');
 const { spawn } = require('child_process');
 const axios = require('axios');
 
@@ -1207,7 +1208,7 @@ class ElectricalSystemPipeline {
       this.log('MODEL', 'debug', `Calling model-builder service at ${SERVICES.MODEL_BUILDER}`);
       
       const buildPayload = {
-        jobId: `demo_${Date.now()}`,
+        jobId: crypto.randomUUID(),
         graph3d: spatialGraph,
         options: {
           quality: 'high',
@@ -9,25 +9,65 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
+const { v4: uuidv4 } = require('uuid');
 const winston = require('winston');
 const expressWinston = require('express-winston');
 
 // Internal modules
 const S3Manager = require('./src/s3-manager');
+const FilesystemStorageManager = require('./src/filesystem-storage-manager');
 const CacheManager = require('./src/cache-manager');
 const SchemaValidator = require('./src/schema-validator');
 const EventProcessor = require('./src/event-processor');
+const ReviewQueue = require('./src/review-queue');
+const ViewerAnalytics = require('./src/viewer-analytics');
+const LakeQuery = require('./src/lake-query');
+const CacheWarmer = require('./src/cache-warmer');
+const WorkflowRunner = require('./src/workflow-runner');
+const EventReplay = require('./src/event-replay');
+const DeadLetterQueue = require('./src/dead-letter-queue');
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Initialize services
-const s3Manager = new S3Manager();
+// STORAGE_BACKEND=filesystem keeps the data lake on local disk for development and CI
+const storageBackend = process.env.STORAGE_BACKEND || 's3';
+const storageManager = storageBackend === 'filesystem' ? new FilesystemStorageManager() : new S3Manager();
 const cacheManager = new CacheManager();
 const schemaValidator = new SchemaValidator();
-const eventProcessor = new EventProcessor(s3Manager, cacheManager, schemaValidator);
+const eventProcessor = new EventProcessor(storageManager, cacheManager, schemaValidator);
+const reviewQueue = new ReviewQueue(storageManager, cacheManager, eventProcessor);
+const viewerAnalytics = new ViewerAnalytics(storageManager);
+const lakeQuery = new LakeQuery(storageManager);
+const cacheWarmer = new CacheWarmer(storageManager, cacheManager);
+const eventReplay = new EventReplay(storageManager, lakeQuery, eventProcessor, new WorkflowRunner());
+const deadLetters = new DeadLetterQueue();
+
+// Writes that are dead-lettered when the data lake or cache fails, keyed by operation
+deadLetters.register('event', ({ eventEnvelope, storagePath, ndjsonLine, idempotencyKey }) =>
+  eventProcessor.storeEvent(eventEnvelope, storagePath, ndjsonLine, idempotencyKey));
+deadLetters.register('research', ({ manifest, jobId }) => eventProcessor.storeResearch(manifest, jobId), {
+  lastWrittenAt: ({ jobId }) => eventProcessor.lastWrittenAt('research', jobId)
+});
+deadLetters.register('normalized', ({ type, data, jobId }) => eventProcessor.storeNormalizedData(type, data, jobId), {
+  lastWrittenAt: ({ type, jobId }) => eventProcessor.lastWrittenAt(type, jobId)
+});
+deadLetters.register('cache', ({ key, value, ttl, type }) => cacheManager.set(key, value, ttl, type), {
+  lastWrittenAt: async ({ key }) => {
+    const cached = await cacheManager.get(key);
+    return cached ? new Date(cached.timestamp) : null;
+  }
+});
+deadLetters.register('llm-metadata', ({ vehicleSig, nodeId, evidenceHash, metadata, component }) =>
+  cacheManager.cacheLLMMetadata(vehicleSig, nodeId, evidenceHash, metadata, component));
+// IDs are chosen before the first attempt and kept in the letter, so a retry writes the same item
+deadLetters.register('manual-review', ({ reviewPayload, priority, category, reviewId }) =>
+  eventProcessor.queueManualReview(reviewPayload, priority, category, reviewId));
+deadLetters.register('viewer', ({ events, sessionId, batchId }) =>
+  eventProcessor.storeViewerEvents(events, sessionId, batchId));
 
 // Configure logger
 const logger = winston.createLogger({
@@ -96,8 +136,11 @@ app.get('/health', async (req, res) => {
   };
 
   try {
-    // Check S3 connectivity
-    health.services.s3 = await s3Manager.healthCheck();
+    // Check storage connectivity
+    health.services.storage = {
+      backend: storageBackend,
+      ...await storageManager.healthCheck()
+    };
     
     // Check Redis connectivity
     health.services.redis = await cacheManager.healthCheck();
@@ -127,7 +170,9 @@ app.get('/health', async (req, res) => {
 app.post('/events', [
   body('eventEnvelope').isObject().withMessage('eventEnvelope must be an object'),
   body('storagePath').isString().notEmpty().withMessage('storagePath is required'),
-  body('ndjsonLine').isString().notEmpty().withMessage('ndjsonLine is required')
+  body('ndjsonLine').isString().notEmpty().withMessage('ndjsonLine is required'),
+  body('idempotencyKey').optional().isString().isLength({ min: 1, max: 200 })
+    .withMessage('idempotencyKey must be a string of at most 200 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -139,22 +184,29 @@ app.post('/events', [
     }
 
     const { eventEnvelope, storagePath, ndjsonLine } = req.body;
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey || null;
+    
+    const result = await deadLetters.run('event', { eventEnvelope, storagePath, ndjsonLine, idempotencyKey });
     
-    const result = await eventProcessor.storeEvent(eventEnvelope, storagePath, ndjsonLine);
+    if (result.duplicate) {
+      logger.info('Duplicate event skipped', { eventId: eventEnvelope.eventId, originalEventId: result.eventId });
+    }
     
     res.json({
       success: true,
       eventId: result.eventId,
       storagePath: result.storagePath,
       size: result.size,
+      duplicate: result.duplicate,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
     logger.error('Failed to store event', { error: error.message, stack: error.stack });
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Failed to store event',
-      message: error.message
+      message: error.message,
+      deadLetterId: error.deadLetterId
     });
   }
 });
@@ -177,7 +229,7 @@ app.post('/research', [
 
     const { manifest, jobId } = req.body;
     
-    const result = await eventProcessor.storeResearch(manifest, jobId);
+    const result = await deadLetters.run('research', { manifest, jobId });
     
     res.json({
       success: true,
@@ -189,9 +241,10 @@ app.post('/research', [
 
   } catch (error) {
     logger.error('Failed to store research', { error: error.message, stack: error.stack });
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Failed to store research',
-      message: error.message
+      message: error.message,
+      deadLetterId: error.deadLetterId
     });
   }
 });
@@ -215,7 +268,7 @@ app.post('/normalized/:type', [
     const { type } = req.params;
     const { data, jobId } = req.body;
     
-    const result = await eventProcessor.storeNormalizedData(type, data, jobId);
+    const result = await deadLetters.run('normalized', { type, data, jobId });
     
     res.json({
       success: true,
@@ -228,9 +281,10 @@ app.post('/normalized/:type', [
 
   } catch (error) {
     logger.error('Failed to store normalized data', { error: error.message, stack: error.stack });
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Failed to store normalized data',
-      message: error.message
+      message: error.message,
+      deadLetterId: error.deadLetterId
     });
   }
 });
@@ -268,7 +322,9 @@ app.get('/cache/:key', async (req, res) => {
 
 app.put('/cache/:key', [
   body('value').exists().withMessage('value is required'),
-  body('ttl').optional().isInt({ min: 1 }).withMessage('ttl must be a positive integer')
+  body('ttl').optional().isInt({ min: 1 }).withMessage('ttl must be a positive integer'),
+  body('type').optional().isIn(['default', 'llm_metadata', 'research', 'vehicle_sig'])
+    .withMessage('type must be default, llm_metadata, research, or vehicle_sig')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -280,22 +336,24 @@ app.put('/cache/:key', [
     }
 
     const { key } = req.params;
-    const { value, ttl } = req.body;
+    const { value, ttl, type } = req.body;
     
-    await cacheManager.set(key, value, ttl);
+    const result = await deadLetters.run('cache', { key, value, ttl, type });
     
     res.json({
       success: true,
       key,
-      ttl: ttl || cacheManager.defaultTTL,
+      ttl: result.ttl,
+      tier: result.tier,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
     logger.error('Cache set failed', { key: req.params.key, error: error.message });
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Cache set failed',
-      message: error.message
+      message: error.message,
+      deadLetterId: error.deadLetterId
     });
   }
 });
@@ -321,6 +379,201 @@ app.delete('/cache/:key', async (req, res) => {
   }
 });
 
+/**
+ * Content-addressed LLM metadata cache
+ */
+const llmMetadataKey = [
+  body('vehicleSig').isString().notEmpty().withMessage('vehicleSig is required'),
+  body('nodeId').isString().notEmpty().withMessage('nodeId is required'),
+  body('evidenceHash').isString().notEmpty().withMessage('evidenceHash is required'),
+  body('component').optional({ nullable: true }).isObject().withMessage('component must be an object')
+];
+
+app.post('/cache/llm-metadata/lookup', llmMetadataKey, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { vehicleSig, nodeId, evidenceHash, component } = req.body;
+    const result = await cacheManager.lookupLLMMetadata(vehicleSig, nodeId, evidenceHash, component);
+
+    if (result === null) {
+      return res.status(404).json({
+        error: 'Cache miss',
+        vehicleSig,
+        nodeId
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.data,
+      contentKey: result.contentKey,
+      shared: result.source === 'shared',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('LLM metadata lookup failed', { nodeId: req.body.nodeId, error: error.message });
+    res.status(500).json({
+      error: 'LLM metadata lookup failed',
+      message: error.message
+    });
+  }
+});
+
+app.post('/cache/llm-metadata', [
+  ...llmMetadataKey,
+  body('metadata').isObject().withMessage('metadata must be an object')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { vehicleSig, nodeId, evidenceHash, metadata, component } = req.body;
+    const result = await deadLetters.run('llm-metadata', { vehicleSig, nodeId, evidenceHash, metadata, component });
+
+    res.json({
+      success: true,
+      contentKey: result.contentKey,
+      shared: result.shared,
+      ttl: result.ttl,
+      tier: result.tier,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('LLM metadata cache failed', { nodeId: req.body.nodeId, error: error.message });
+    res.status(error.status || 500).json({
+      error: 'LLM metadata cache failed',
+      message: error.message,
+      deadLetterId: error.deadLetterId
+    });
+  }
+});
+
+app.post('/cache/cleanup', async (req, res) => {
+  try {
+    const result = await cacheManager.cleanup();
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    logger.error('Cache cleanup failed', { error: error.message });
+    res.status(500).json({
+      error: 'Cache cleanup failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Invalidation and warm-up by vehicle family (a signature or a prefix such as brand:model)
+ */
+const familyCacheTypes = ['research', 'llm_metadata', 'vehicle_sig'];
+
+app.post('/cache/invalidate', [
+  body('family').isString().notEmpty().withMessage('family is required'),
+  body('types').optional().isArray({ min: 1 }).withMessage('types must be a non-empty array'),
+  body('types.*').isIn(familyCacheTypes).withMessage('types must be research, llm_metadata, or vehicle_sig'),
+  body('cascade').optional().isBoolean().withMessage('cascade must be a boolean'),
+  body('warm').optional().isBoolean().withMessage('warm must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { family, types, cascade, warm } = req.body;
+    const result = await cacheManager.invalidateFamily(family, { types, cascade });
+    logger.info('Cache family invalidated', { family: result.family, removed: result.removed });
+
+    const warmTypes = (types || familyCacheTypes).filter(type => type !== 'vehicle_sig');
+    const warmJob = warm && warmTypes.length > 0
+      ? cacheWarmer.start([result.family], { types: warmTypes })
+      : null;
+
+    res.json({
+      success: true,
+      ...result,
+      warmJobId: warmJob ? warmJob.jobId : null
+    });
+
+  } catch (error) {
+    logger.error('Cache invalidation failed', { family: req.body.family, error: error.message });
+    res.status(error.status || 500).json({
+      error: 'Cache invalidation failed',
+      message: error.message
+    });
+  }
+});
+
+app.post('/cache/warm', [
+  body('families').isArray({ min: 1, max: 100 }).withMessage('families must be an array of 1 to 100 signatures'),
+  body('families.*').isString().notEmpty().withMessage('each family must be a non-empty string'),
+  body('types').optional().isArray({ min: 1 }).withMessage('types must be a non-empty array'),
+  body('types.*').isIn(['research', 'llm_metadata']).withMessage('types must be research or llm_metadata')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const job = cacheWarmer.start(req.body.families, { types: req.body.types });
+
+    res.status(202).json({
+      success: true,
+      job,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Cache warm-up failed to start', { error: error.message });
+    res.status(error.status || 500).json({
+      error: 'Cache warm-up failed to start',
+      message: error.message
+    });
+  }
+});
+
+app.get('/cache/warm/:jobId', (req, res) => {
+  const job = cacheWarmer.get(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({
+      error: 'Warm-up job not found',
+      jobId: req.params.jobId
+    });
+  }
+
+  res.json({
+    success: true,
+    job,
+    timestamp: new Date().toISOString()
+  });
+});
+
 /**
  * Manual review queue
  */
@@ -354,7 +607,7 @@ app.post('/manual-review', [
       category = req.body.category || 'general';
     }
     
-    const result = await eventProcessor.queueManualReview(reviewPayload, priority, category);
+    const result = await deadLetters.run('manual-review', { reviewPayload, priority, category, reviewId: uuidv4() });
     
     res.json({
       success: true,
@@ -366,10 +619,175 @@ app.post('/manual-review', [
 
   } catch (error) {
     logger.error('Failed to queue manual review', { error: error.message, stack: error.stack });
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Failed to queue manual review',
-      message: error.message
+      message: error.message,
+      deadLetterId: error.deadLetterId
+    });
+  }
+});
+
+const REVIEW_STATUSES = ['pending', 'claimed', 'approved', 'rejected'];
+
+/**
+ * Respond to a review lifecycle failure, keeping 400/409 from the queue
+ */
+function sendReviewError(res, error, message, reviewId) {
+  const status = error.status || 500;
+  if (status >= 500) {
+    logger.error(message, { reviewId, error: error.message, stack: error.stack });
+  }
+  res.status(status).json({
+    error: message,
+    message: error.message
+  });
+}
+
+function reviewNotFound(res, reviewId) {
+  return res.status(404).json({
+    error: 'Review not found',
+    reviewId
+  });
+}
+
+/**
+ * List manual review items
+ */
+app.get('/manual-review', [
+  query('status').optional().isIn(REVIEW_STATUSES).withMessage(`status must be one of ${REVIEW_STATUSES.join(', ')}`),
+  query('priority').optional().isIn(['low', 'normal', 'high']).withMessage('priority must be low, normal, or high'),
+  query('category').optional().isString(),
+  query('claimedBy').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit must be between 1 and 500')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { status, priority, category, claimedBy, limit } = req.query;
+    const result = await reviewQueue.list({
+      status,
+      priority,
+      category,
+      claimedBy,
+      limit: limit ? parseInt(limit) : undefined
+    });
+
+    res.json({
+      success: true,
+      reviews: result.reviews,
+      total: result.total,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendReviewError(res, error, 'Failed to list manual reviews');
+  }
+});
+
+app.get('/manual-review/:reviewId', async (req, res) => {
+  try {
+    const review = await reviewQueue.get(req.params.reviewId);
+    if (!review) {
+      return reviewNotFound(res, req.params.reviewId);
+    }
+
+    res.json({
+      success: true,
+      review,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendReviewError(res, error, 'Failed to get manual review', req.params.reviewId);
+  }
+});
+
+/**
+ * Claim, release and resolve a review. Resolving requires holding the claim.
+ */
+const reviewActions = {
+  claim: {
+    validators: [],
+    run: (reviewId, reviewer) => reviewQueue.claim(reviewId, reviewer)
+  },
+  release: {
+    validators: [],
+    run: (reviewId, reviewer) => reviewQueue.release(reviewId, reviewer)
+  },
+  approve: {
+    validators: [
+      body('correctedPayload').optional().isObject().withMessage('correctedPayload must be an object'),
+      body('notes').optional().isString().withMessage('notes must be a string')
+    ],
+    run: (reviewId, reviewer, { correctedPayload, notes }) =>
+      reviewQueue.approve(reviewId, reviewer, { correctedPayload, notes })
+  },
+  reject: {
+    validators: [
+      body('reason').isString().notEmpty().withMessage('reason is required')
+    ],
+    run: (reviewId, reviewer, { reason }) => reviewQueue.reject(reviewId, reviewer, reason)
+  }
+};
+
+Object.entries(reviewActions).forEach(([action, { validators, run }]) => {
+  app.post(`/manual-review/:reviewId/${action}`, [
+    body('reviewer').isString().notEmpty().withMessage('reviewer is required'),
+    ...validators
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { reviewId } = req.params;
+      const review = await run(reviewId, req.body.reviewer, req.body);
+      if (!review) {
+        return reviewNotFound(res, reviewId);
+      }
+
+      logger.info(`Manual review ${action}`, { reviewId, reviewer: req.body.reviewer, status: review.status });
+
+      res.json({
+        success: true,
+        review,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      sendReviewError(res, error, `Failed to ${action} manual review`, req.params.reviewId);
+    }
+  });
+});
+
+/**
+ * Retry re-injection of an approved review
+ */
+app.post('/manual-review/:reviewId/reinject', async (req, res) => {
+  try {
+    const review = await reviewQueue.retryReinjection(req.params.reviewId);
+    if (!review) {
+      return reviewNotFound(res, req.params.reviewId);
+    }
+
+    res.json({
+      success: true,
+      review,
+      timestamp: new Date().toISOString()
     });
+
+  } catch (error) {
+    sendReviewError(res, error, 'Failed to re-inject manual review', req.params.reviewId);
   }
 });
 
@@ -391,7 +809,7 @@ app.post('/viewer', [
 
     const { events, sessionId } = req.body;
     
-    const result = await eventProcessor.storeViewerEvents(events, sessionId);
+    const result = await deadLetters.run('viewer', { events, sessionId, batchId: uuidv4() });
     
     res.json({
       success: true,
@@ -402,20 +820,410 @@ app.post('/viewer', [
 
   } catch (error) {
     logger.error('Failed to store viewer events', { error: error.message, stack: error.stack });
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Failed to store viewer events',
+      message: error.message,
+      deadLetterId: error.deadLetterId
+    });
+  }
+});
+
+/**
+ * Serve objects for presigned URLs when the data lake is on local disk
+ */
+app.get('/storage/*', async (req, res) => {
+  if (storageBackend !== 'filesystem') {
+    return res.status(404).json({
+      error: 'Not found',
+      path: req.path
+    });
+  }
+
+  try {
+    const key = req.params[0];
+    const { storage } = storageManager;
+
+    if (!storage.verifySignature(key, req.query.expires, req.query.signature)) {
+      return res.status(403).json({
+        error: 'Invalid or expired signature'
+      });
+    }
+
+    const head = await storage.head(key);
+    if (!head) {
+      return res.status(404).json({
+        error: 'Object not found',
+        key
+      });
+    }
+
+    res.setHeader('Content-Type', head.contentType);
+    res.setHeader('Content-Length', head.size);
+    storage.createReadStream(key).pipe(res);
+
+  } catch (error) {
+    logger.error('Failed to serve stored object', { error: error.message, path: req.path });
+    res.status(500).json({
+      error: 'Failed to serve stored object',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Query events back out of the data lake
+ */
+const lakeEventQuery = [
+  query('vehicleSig').optional().isString().notEmpty(),
+  query('jobId').optional().isUUID().withMessage('jobId must be a valid UUID'),
+  query('eventType').optional().isIn(['start', 'progress', 'success', 'error', 'cache_hit', 'manual_review'])
+    .withMessage('eventType must be a valid EventEnvelope eventType'),
+  query('stage').optional().isIn(['raw', 'normalized', 'validated', 'enriched', 'spatialized', 'built', 'error'])
+    .withMessage('stage must be a valid EventEnvelope stage'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date')
+];
+
+app.get('/lake/events', [
+  ...lakeEventQuery,
+  query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('limit must be between 1 and 1000'),
+  query('cursor').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const limit = req.query.limit ? parseInt(req.query.limit) : 100;
+    const result = await lakeQuery.page(req.query, limit);
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (!error.status) {
+      logger.error('Failed to query data lake', { error: error.message, stack: error.stack });
+    }
+    res.status(error.status || 500).json({
+      error: 'Failed to query data lake',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Stream every matching event as NDJSON, reading objects as the client consumes them
+ */
+app.get('/lake/events/stream', lakeEventQuery, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  let aborted = false;
+  req.on('close', () => { aborted = true; });
+
+  try {
+    const events = lakeQuery.stream(req.query);
+    let next = await events.next();
+
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    while (!next.done && !aborted) {
+      // Respect backpressure so slow clients do not buffer the lake in memory
+      if (!res.write(JSON.stringify(next.value) + '\n')) {
+        await new Promise(resolve => {
+          res.once('drain', resolve);
+          res.once('close', resolve);
+        });
+      }
+      next = await events.next();
+    }
+    if (aborted) {
+      await events.return();
+    }
+    res.end();
+
+  } catch (error) {
+    if (!error.status) {
+      logger.error('Failed to stream data lake events', { error: error.message, stack: error.stack });
+    }
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(error.status || 500).json({
+      error: 'Failed to stream data lake events',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Replay stored jobs through the current normalization and spatialization code
+ */
+app.post('/replay', [
+  body('jobId').optional().isUUID().withMessage('jobId must be a valid UUID'),
+  body('vehicleSig').optional().isString().notEmpty().withMessage('vehicleSig must be a non-empty string'),
+  body('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  body('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  body('stages').optional().isArray({ min: 1 }).withMessage('stages must be a non-empty array'),
+  body('stages.*').isIn(['normalized', 'spatialized']).withMessage('stages must be normalized or spatialized'),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (!req.body.jobId && !req.body.vehicleSig) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ msg: 'jobId or vehicleSig is required' }]
+      });
+    }
+
+    const replay = eventReplay.start(req.body);
+    logger.info('Replay started', { replayId: replay.replayId, dryRun: replay.dryRun });
+
+    res.status(202).json({
+      success: true,
+      replay,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Replay failed to start', { error: error.message });
+    res.status(error.status || 500).json({
+      error: 'Replay failed to start',
+      message: error.message
+    });
+  }
+});
+
+app.get('/replay/runs/:replayId', (req, res) => {
+  const replay = eventReplay.get(req.params.replayId);
+
+  if (!replay) {
+    return res.status(404).json({
+      error: 'Replay not found',
+      replayId: req.params.replayId
+    });
+  }
+
+  res.json({
+    success: true,
+    replay,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/replay/:jobId', async (req, res) => {
+  try {
+    const versions = await eventReplay.versions(req.params.jobId);
+
+    res.json({
+      success: true,
+      jobId: req.params.jobId,
+      versions,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Replay listing failed', { jobId: req.params.jobId, error: error.message });
+    res.status(500).json({
+      error: 'Replay listing failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Dead letters: failed writes kept for automatic and manual retry
+ */
+function deadLetterNotFound(res, deadLetterId) {
+  return res.status(404).json({
+    error: 'Dead letter not found',
+    deadLetterId
+  });
+}
+
+app.get('/dead-letters', [
+  query('status').optional().isIn(['pending', 'exhausted']).withMessage('status must be pending or exhausted'),
+  query('operation').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit must be between 1 and 500')
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  const { status, operation, limit } = req.query;
+  const result = deadLetters.list({ status, operation, limit: limit ? parseInt(limit) : undefined });
+
+  res.json({
+    success: true,
+    deadLetters: result.deadLetters,
+    total: result.total,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/dead-letters/:deadLetterId', (req, res) => {
+  const deadLetter = deadLetters.get(req.params.deadLetterId);
+  if (!deadLetter) {
+    return deadLetterNotFound(res, req.params.deadLetterId);
+  }
+
+  res.json({
+    success: true,
+    deadLetter,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.post('/dead-letters/retry', async (req, res) => {
+  try {
+    const result = await deadLetters.retryAll();
+    logger.info('Dead letters retried', result);
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Dead letter retry failed', { error: error.message });
+    res.status(500).json({
+      error: 'Dead letter retry failed',
+      message: error.message
+    });
+  }
+});
+
+app.post('/dead-letters/:deadLetterId/retry', async (req, res) => {
+  try {
+    const deadLetter = await deadLetters.retry(req.params.deadLetterId);
+    if (!deadLetter) {
+      return deadLetterNotFound(res, req.params.deadLetterId);
+    }
+
+    logger.info('Dead letter retried', { deadLetterId: deadLetter.deadLetterId, status: deadLetter.status });
+
+    res.json({
+      success: true,
+      deadLetter,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Dead letter retry failed', { deadLetterId: req.params.deadLetterId, error: error.message });
+    res.status(error.status || 500).json({
+      error: 'Dead letter retry failed',
+      message: error.message
+    });
+  }
+});
+
+app.delete('/dead-letters/:deadLetterId', async (req, res) => {
+  try {
+    const deadLetter = await deadLetters.discard(req.params.deadLetterId);
+    if (!deadLetter) {
+      return deadLetterNotFound(res, req.params.deadLetterId);
+    }
+
+    logger.info('Dead letter discarded', { deadLetterId: deadLetter.deadLetterId, operation: deadLetter.operation });
+
+    res.json({
+      success: true,
+      deadLetter,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Dead letter discard failed', { deadLetterId: req.params.deadLetterId, error: error.message });
+    res.status(error.status || 500).json({
+      error: 'Dead letter discard failed',
       message: error.message
     });
   }
 });
 
+/**
+ * Viewer analytics aggregated from stored viewer event batches
+ */
+const viewerAnalyticsQuery = [
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('vehicleId').optional().isString(),
+  query('jobId').optional().isString(),
+  query('top').optional().isInt({ min: 1, max: 500 }).withMessage('top must be between 1 and 500')
+];
+
+const viewerAnalyticsViews = {
+  summary: filters => viewerAnalytics.summarize(filters),
+  models: filters => viewerAnalytics.byModel(filters),
+  components: filters => viewerAnalytics.byComponent(filters)
+};
+
+Object.entries(viewerAnalyticsViews).forEach(([view, run]) => {
+  app.get(`/analytics/viewer/${view}`, viewerAnalyticsQuery, async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { from, to, vehicleId, jobId, top } = req.query;
+      const filters = { from, to, vehicleId, jobId, top: top ? parseInt(top) : undefined };
+      const result = await run(filters);
+
+      res.json({
+        success: true,
+        ...result,
+        filters,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error(`Failed to aggregate viewer ${view}`, { error: error.message, stack: error.stack });
+      res.status(error.status || 500).json({
+        error: 'Failed to aggregate viewer analytics',
+        message: error.message
+      });
+    }
+  });
+});
+
 /**
  * Analytics and metrics
  */
 app.get('/metrics', async (req, res) => {
   try {
     const metrics = await eventProcessor.getMetrics();
-    res.json(metrics);
+    res.json({
+      ...metrics,
+      deadLetters: deadLetters.stats()
+    });
   } catch (error) {
     logger.error('Failed to get metrics', { error: error.message });
     res.status(500).json({
@@ -454,8 +1262,8 @@ async function startServer() {
   try {
     logger.info('Initializing services...');
     
-    await s3Manager.initialize();
-    logger.info('✓ S3 Manager initialized');
+    await storageManager.initialize();
+    logger.info(`✓ Storage Manager initialized (${storageBackend})`);
     
     await cacheManager.initialize();
     logger.info('✓ Cache Manager initialized');
@@ -466,6 +1274,10 @@ async function startServer() {
     await eventProcessor.initialize();
     logger.info('✓ Event Processor initialized');
     
+    await deadLetters.initialize();
+    deadLetters.startScheduler();
+    logger.info(`✓ Dead letter queue initialized (${deadLetters.letters.size} queued)`);
+    
     app.listen(PORT, () => {
       logger.info(`🚀 Ingest service running on port ${PORT}`);
       logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
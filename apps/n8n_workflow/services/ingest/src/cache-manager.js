@@ -1,10 +1,20 @@
 /**
  * Cache Manager
- * Redis-based caching for LLM metadata and expensive operations
+ * Redis-based caching for LLM metadata and expensive operations, with an
+ * in-process LRU tier in front of Redis and a pure in-memory mode
  */
 
 const redis = require('redis');
 const crypto = require('crypto');
+const LruCache = require('./lru-cache');
+const MemoryStore = require('./memory-store');
+
+// Key namespaces scoped by vehicle signature, by cache type
+const FAMILY_NAMESPACES = {
+  research: 'research',
+  llm_metadata: 'llm',
+  vehicle_sig: 'vehicle'
+};
 
 class CacheManager {
   constructor() {
@@ -15,10 +25,36 @@ class CacheManager {
       research: parseInt(process.env.CACHE_TTL_RESEARCH) || 604800, // 7 days
       vehicle_sig: parseInt(process.env.CACHE_TTL_VEHICLE_SIG) || 2592000 // 30 days
     };
+    // After this age a cached value is served as stale while the caller refreshes it
+    this.staleAfter = {
+      llm_metadata: parseInt(process.env.CACHE_STALE_LLM_METADATA) || 43200, // 12 hours
+      research: parseInt(process.env.CACHE_STALE_RESEARCH) || 259200 // 3 days
+    };
     this.keyPrefix = 'wessley:';
+
+    // tiered: LRU in front of Redis, redis: Redis only, memory: no Redis at all
+    this.mode = process.env.CACHE_MODE || 'tiered';
+    this.local = this.mode === 'tiered'
+      ? new LruCache({ maxEntries: parseInt(process.env.CACHE_LOCAL_MAX_ENTRIES) || 1000 })
+      : null;
+    // Short local TTL bounds how long one instance can miss another's writes
+    this.localTTL = parseInt(process.env.CACHE_LOCAL_TTL) || 300;
+    // Serves locks, batches, patterns and stats from the local tier while Redis is down
+    this.fallback = this.local ? new MemoryStore({ store: this.local }) : null;
+    this.revalidations = new Map();
+    // Reconnect attempts fail every few seconds while Redis is down; log them at most this often
+    this.errorLogInterval = parseInt(process.env.CACHE_ERROR_LOG_INTERVAL_MS) || 60000;
+    this.lastErrorLog = 0;
+    this.suppressedErrors = 0;
   }
 
   async initialize() {
+    if (this.mode === 'memory') {
+      this.client = new MemoryStore();
+      await this.client.connect();
+      return;
+    }
+
     const redisUrl = process.env.REDIS_URL || 'redis://localhost:6379';
     
     this.client = redis.createClient({
@@ -26,14 +62,21 @@ class CacheManager {
       password: process.env.REDIS_PASSWORD || undefined,
       database: parseInt(process.env.REDIS_DB) || 0,
       retry_delay_on_failure_ms: 100,
-      retry_strategy: (times) => Math.min(times * 50, 2000)
+      retry_strategy: (times) => Math.min(times * 50, 2000),
+      socket: {
+        reconnectStrategy: (retries) => Math.min(retries * 50, 2000)
+      },
+      // With a local tier, commands sent while disconnected fail at once instead of waiting for a reconnect
+      disableOfflineQueue: Boolean(this.local)
     });
 
     this.client.on('error', (error) => {
-      console.error('Redis client error:', error);
+      this.logClientError(error);
     });
 
     this.client.on('connect', () => {
+      this.suppressedErrors = 0;
+      this.lastErrorLog = 0;
       console.log('Connected to Redis');
     });
 
@@ -41,38 +84,103 @@ class CacheManager {
       console.log('Redis client ready');
     });
 
-    await this.client.connect();
+    const connecting = this.client.connect();
+    
+    if (!this.local) {
+      await connecting;
+    } else {
+      // With a local tier the service starts anyway and the client keeps reconnecting
+      connecting.catch(error => console.error('Redis connection failed:', error.message));
+      const timeout = parseInt(process.env.CACHE_CONNECT_TIMEOUT_MS) || 5000;
+      const connected = await Promise.race([
+        connecting.then(() => true, () => false),
+        new Promise(resolve => setTimeout(resolve, timeout, false).unref())
+      ]);
+      
+      if (!connected) {
+        console.error('Redis unavailable, serving from in-process cache');
+        return;
+      }
+    }
     
     // Test connection
     await this.healthCheck();
   }
 
   async healthCheck() {
+    if (!this.redisAvailable()) {
+      return {
+        status: 'degraded',
+        mode: this.mode,
+        error: 'Redis is not connected, serving from in-process cache',
+        connected: false
+      };
+    }
+
     try {
       const result = await this.client.ping();
       
       if (result === 'PONG') {
         return {
           status: 'healthy',
+          mode: this.mode,
           response: result,
           connected: this.client.isReady
         };
       } else {
         return {
           status: 'unhealthy',
+          mode: this.mode,
           response: result,
           connected: this.client.isReady
         };
       }
     } catch (error) {
       return {
-        status: 'unhealthy',
+        status: this.local ? 'degraded' : 'unhealthy',
+        mode: this.mode,
         error: error.message,
         connected: false
       };
     }
   }
 
+  /**
+   * Redis-only mode always sends commands; with a local tier they are skipped while
+   * Redis is down instead of queueing until it reconnects
+   */
+  redisAvailable() {
+    return !this.local || Boolean(this.client && this.client.isReady);
+  }
+
+  /**
+   * Client for commands outside the cache get/set path: Redis when available,
+   * otherwise a store over the local tier, so they answer for this instance alone
+   */
+  activeClient() {
+    return this.redisAvailable() ? this.client : this.fallback;
+  }
+
+  /**
+   * Log the first client error in full, then one summary per interval while it repeats
+   */
+  logClientError(error) {
+    const now = Date.now();
+    if (now - this.lastErrorLog < this.errorLogInterval) {
+      this.suppressedErrors++;
+      return;
+    }
+
+    const suppressed = this.suppressedErrors > 0 ? ` (${this.suppressedErrors} similar errors suppressed)` : '';
+    if (this.lastErrorLog === 0) {
+      console.error('Redis client error:', error);
+    } else {
+      console.error(`Redis client error: ${error.message}${suppressed}`);
+    }
+    this.lastErrorLog = now;
+    this.suppressedErrors = 0;
+  }
+
   /**
    * Generate cache key with prefix and hashing for long keys
    */
@@ -100,13 +208,30 @@ class CacheManager {
     });
     
     const cacheTTL = ttl || this.ttlConfig[type] || this.defaultTTL;
+    let tier = this.mode === 'memory' ? 'memory' : 'redis';
     
-    await this.client.setEx(cacheKey, cacheTTL, serializedValue);
+    if (this.local) {
+      this.local.set(cacheKey, serializedValue, Math.min(cacheTTL, this.localTTL));
+    }
+
+    try {
+      if (!this.redisAvailable()) {
+        throw new Error('Redis is not connected');
+      }
+      await this.client.setEx(cacheKey, cacheTTL, serializedValue);
+    } catch (error) {
+      if (!this.local) {
+        throw error;
+      }
+      console.error('Cache set fell back to in-process cache:', error.message);
+      tier = 'local';
+    }
     
     return {
       key: cacheKey,
       ttl: cacheTTL,
-      size: Buffer.byteLength(serializedValue, 'utf8')
+      size: Buffer.byteLength(serializedValue, 'utf8'),
+      tier
     };
   }
 
@@ -117,19 +242,30 @@ class CacheManager {
     const cacheKey = this.generateKey('cache', key);
     
     try {
-      const result = await this.client.get(cacheKey);
+      let result = this.local ? this.local.get(cacheKey) : undefined;
+      const tier = result !== undefined ? 'local' : (this.mode === 'memory' ? 'memory' : 'redis');
+
+      if (result === undefined && this.redisAvailable()) {
+        result = await this.client.get(cacheKey);
+        if (result && this.local) {
+          this.local.set(cacheKey, result, await this.localTTLFor(cacheKey));
+        }
+      }
       
       if (!result) {
         return null;
       }
       
       const parsed = JSON.parse(result);
+      const age = Date.now() - new Date(parsed.timestamp).getTime();
       
       return {
         data: parsed.data,
         timestamp: parsed.timestamp,
         type: parsed.type,
-        age: Date.now() - new Date(parsed.timestamp).getTime()
+        age,
+        stale: this.staleAfter[parsed.type] !== undefined && age > this.staleAfter[parsed.type] * 1000,
+        tier
       };
     } catch (error) {
       console.error('Cache get error:', error);
@@ -137,13 +273,48 @@ class CacheManager {
     }
   }
 
+  /**
+   * Local copies never outlive the Redis entry they were read from
+   */
+  async localTTLFor(cacheKey) {
+    const remaining = await this.client.ttl(cacheKey);
+    return remaining > 0 ? Math.min(remaining, this.localTTL) : this.localTTL;
+  }
+
+  /**
+   * Return a cached value even when stale, refreshing stale values in the background.
+   * Concurrent readers of the same stale key share one refresh.
+   */
+  async getWithRevalidate(key, type, revalidate) {
+    const cached = await this.get(key);
+    
+    if (!cached) {
+      return null;
+    }
+    
+    if (cached.stale && revalidate && !this.revalidations.has(key)) {
+      const refresh = Promise.resolve()
+        .then(() => revalidate())
+        .then(fresh => (fresh !== null && fresh !== undefined ? this.set(key, fresh, null, type) : null))
+        .catch(error => console.error(`Cache revalidation failed for ${key}:`, error.message))
+        .finally(() => this.revalidations.delete(key));
+      this.revalidations.set(key, refresh);
+    }
+    
+    return cached.data;
+  }
+
   /**
    * Delete value from cache
    */
   async delete(key) {
     const cacheKey = this.generateKey('cache', key);
+    const deletedLocally = this.local ? this.local.delete(cacheKey) : false;
+    if (!this.redisAvailable()) {
+      return deletedLocally;
+    }
     const result = await this.client.del(cacheKey);
-    return result > 0;
+    return result > 0 || deletedLocally;
   }
 
   /**
@@ -151,44 +322,243 @@ class CacheManager {
    */
   async exists(key) {
     const cacheKey = this.generateKey('cache', key);
+    if (this.local && this.local.has(cacheKey)) {
+      return true;
+    }
+    if (!this.redisAvailable()) {
+      return false;
+    }
     const result = await this.client.exists(cacheKey);
     return result > 0;
   }
 
   /**
-   * Cache LLM metadata with evidence hash
+   * Acquire a named lock for an owner, refreshing it when the owner already holds it.
+   * While Redis is down the lock is held in the local tier and only excludes this instance.
    */
-  async cacheLLMMetadata(vehicleSig, nodeId, evidenceHash, metadata) {
-    const key = `llm:${vehicleSig}:${nodeId}:${evidenceHash}`;
-    return await this.set(key, metadata, null, 'llm_metadata');
+  async acquireLock(name, owner, ttl) {
+    const lockKey = this.generateKey('lock', name);
+    const client = this.activeClient();
+    const result = await client.set(lockKey, owner, { NX: true, EX: ttl });
+    
+    if (result === 'OK') {
+      return true;
+    }
+    
+    const holder = await client.get(lockKey);
+    if (holder === owner) {
+      await client.expire(lockKey, ttl);
+      return true;
+    }
+    
+    return false;
+  }
+
+  /**
+   * Release a named lock if the owner still holds it
+   */
+  async releaseLock(name, owner) {
+    const lockKey = this.generateKey('lock', name);
+    const client = this.activeClient();
+    const holder = await client.get(lockKey);
+    
+    if (holder !== owner) {
+      return false;
+    }
+    
+    return (await client.del(lockKey)) > 0;
   }
 
   /**
-   * Retrieve LLM metadata
+   * Record a value under a name unless one is already recorded, returning the
+   * recorded value then. Uses the local tier alone while Redis is down.
    */
-  async getLLMMetadata(vehicleSig, nodeId, evidenceHash) {
+  async claim(name, value, ttl) {
+    const claimKey = this.generateKey('claim', name);
+    const serialized = JSON.stringify(value);
+
+    if (!this.redisAvailable()) {
+      const existing = this.local.get(claimKey);
+      if (existing !== undefined) {
+        return { claimed: false, existing: JSON.parse(existing) };
+      }
+      this.local.set(claimKey, serialized, ttl);
+      return { claimed: true };
+    }
+
+    const result = await this.client.set(claimKey, serialized, { NX: true, EX: ttl });
+    if (result === 'OK') {
+      return { claimed: true };
+    }
+
+    const existing = await this.client.get(claimKey);
+    // The claim expired between the two commands, so try again
+    return existing ? { claimed: false, existing: JSON.parse(existing) } : await this.claim(name, value, ttl);
+  }
+
+  async releaseClaim(name) {
+    const claimKey = this.generateKey('claim', name);
+    if (this.local) {
+      this.local.delete(claimKey);
+    }
+    if (this.redisAvailable()) {
+      await this.client.del(claimKey);
+    }
+  }
+
+  /**
+   * Cache LLM metadata once per component fingerprint and evidence hash. The
+   * vehicle-scoped key only references the shared entry, so a part used across
+   * many vehicles is enriched once.
+   */
+  async cacheLLMMetadata(vehicleSig, nodeId, evidenceHash, metadata, component = null) {
     const key = `llm:${vehicleSig}:${nodeId}:${evidenceHash}`;
-    const result = await this.get(key);
+    const contentKey = `content:llm:${this.componentFingerprint(component, nodeId)}:${evidenceHash}`;
+    return await this.storeShared(key, contentKey, metadata, 'llm_metadata');
+  }
+
+  /**
+   * Retrieve LLM metadata, refreshing stale entries through revalidate when given
+   */
+  async getLLMMetadata(vehicleSig, nodeId, evidenceHash, revalidate = null, component = null) {
+    const result = await this.lookupLLMMetadata(vehicleSig, nodeId, evidenceHash, component, revalidate);
     return result ? result.data : null;
   }
 
   /**
-   * Cache research results
+   * Look up LLM metadata for a vehicle, falling back to an entry another vehicle
+   * stored for the same component and evidence, which is then linked to this vehicle
+   */
+  async lookupLLMMetadata(vehicleSig, nodeId, evidenceHash, component = null, revalidate = null) {
+    const key = `llm:${vehicleSig}:${nodeId}:${evidenceHash}`;
+    const candidate = component
+      ? `content:llm:${this.componentFingerprint(component, nodeId)}:${evidenceHash}`
+      : null;
+    return await this.lookupShared(key, 'llm_metadata', revalidate, candidate);
+  }
+
+  /**
+   * Cache research results, shared between vehicles whose research is identical
    */
   async cacheResearch(vehicleSig, researchData) {
     const key = `research:${vehicleSig}`;
-    return await this.set(key, researchData, null, 'research');
+    const contentKey = `content:research:${this.contentHash(researchData)}`;
+    return await this.storeShared(key, contentKey, researchData, 'research');
   }
 
   /**
-   * Retrieve research results
+   * Retrieve research results, refreshing stale entries through revalidate when given
    */
-  async getResearch(vehicleSig) {
-    const key = `research:${vehicleSig}`;
-    const result = await this.get(key);
+  async getResearch(vehicleSig, revalidate = null) {
+    const result = await this.lookupShared(`research:${vehicleSig}`, 'research', revalidate);
     return result ? result.data : null;
   }
 
+  /**
+   * Store a value under its content key and point a scoped key at it
+   */
+  async storeShared(key, contentKey, value, type) {
+    const shared = await this.exists(contentKey);
+    const result = await this.set(contentKey, value, null, type);
+    await this.link(key, contentKey, type);
+
+    return {
+      ...result,
+      contentKey,
+      shared
+    };
+  }
+
+  /**
+   * Resolve a scoped key through its reference. Values cached before content
+   * addressing are returned as they are.
+   */
+  async lookupShared(key, type, revalidate = null, candidateContentKey = null) {
+    const cached = await this.get(key);
+
+    if (cached && !cached.data?.$ref) {
+      return { data: cached.data, contentKey: null, source: 'scoped' };
+    }
+
+    const contentKey = cached ? cached.data.$ref : candidateContentKey;
+    if (!contentKey) {
+      return null;
+    }
+
+    // A reference whose content expired resolves to a miss; cleanup() prunes it
+    const data = await this.getWithRevalidate(contentKey, type, revalidate);
+    if (data === null) {
+      return null;
+    }
+
+    if (!cached) {
+      await this.link(key, contentKey, type);
+    }
+
+    return {
+      data,
+      contentKey,
+      source: cached ? 'scoped' : 'shared'
+    };
+  }
+
+  /**
+   * Point a scoped key at a content entry and count it as a reference. Each new
+   * reference extends the shared entry's lifetime to the type's TTL.
+   */
+  async link(key, contentKey, type) {
+    const ttl = this.ttlConfig[type] || this.defaultTTL;
+    await this.set(key, { $ref: contentKey }, ttl, 'content_ref');
+
+    if (!this.redisAvailable()) {
+      return;
+    }
+
+    const refsKey = this.generateKey('refs', contentKey);
+    await this.client.sAdd(refsKey, this.generateKey('cache', key));
+    await this.client.expire(refsKey, ttl);
+    await this.client.expire(this.generateKey('cache', contentKey), ttl);
+  }
+
+  /**
+   * Normalized identity of a physical part: manufacturer and part number when
+   * known, otherwise type and label, otherwise the node ID
+   */
+  componentFingerprint(component, nodeId) {
+    const normalize = value => (value || '').toString().toLowerCase().replace(/[^a-z0-9]+/g, '');
+    let identity = `node:${normalize(nodeId)}`;
+
+    if (component) {
+      const properties = component.properties || {};
+      const partNumber = normalize(component.partNumber || properties.partNumber);
+      const manufacturer = normalize(component.manufacturer || properties.manufacturer);
+      const label = normalize(component.label);
+
+      if (partNumber) {
+        identity = `part:${manufacturer}:${partNumber}`;
+      } else if (label) {
+        identity = `label:${normalize(component.type)}:${label}`;
+      }
+    }
+
+    return crypto.createHash('sha256').update(identity).digest('hex').substring(0, 24);
+  }
+
+  /**
+   * Hash of a value with stable key order, ignoring top-level timestamps and job IDs
+   */
+  contentHash(value) {
+    const { timestamp, generatedAt, createdAt, jobId, ...content } = value || {};
+    const stable = item => {
+      if (Array.isArray(item)) return `[${item.map(stable).join(',')}]`;
+      if (item && typeof item === 'object') {
+        return `{${Object.keys(item).sort().map(key => `${JSON.stringify(key)}:${stable(item[key])}`).join(',')}}`;
+      }
+      return JSON.stringify(item);
+    };
+    return crypto.createHash('sha256').update(stable(content)).digest('hex').substring(0, 32);
+  }
+
   /**
    * Cache vehicle signature mapping
    */
@@ -198,11 +568,21 @@ class CacheManager {
   }
 
   /**
-   * Batch operations
+   * Batch operations. Reads try the local tier first; while Redis is down,
+   * writes go to the local tier alone.
    */
   async mget(keys) {
     const cacheKeys = keys.map(key => this.generateKey('cache', key));
-    const results = await this.client.mGet(cacheKeys);
+    const results = cacheKeys.map(cacheKey => (this.local ? this.local.get(cacheKey) : undefined));
+    const missing = cacheKeys.filter((cacheKey, index) => results[index] === undefined);
+
+    if (missing.length > 0 && this.redisAvailable()) {
+      const fetched = await this.client.mGet(missing);
+      let next = 0;
+      results.forEach((result, index) => {
+        if (result === undefined) results[index] = fetched[next++];
+      });
+    }
     
     return results.map((result, index) => {
       if (!result) return null;
@@ -223,7 +603,7 @@ class CacheManager {
   }
 
   async mset(entries, ttl = null) {
-    const pipeline = this.client.multi();
+    const pipeline = this.redisAvailable() ? this.client.multi() : null;
     
     for (const { key, value, type = 'default', ttl: entryTTL } of entries) {
       const cacheKey = this.generateKey('cache', key);
@@ -234,10 +614,17 @@ class CacheManager {
       });
       
       const cacheTTL = entryTTL || ttl || this.ttlConfig[type] || this.defaultTTL;
-      pipeline.setEx(cacheKey, cacheTTL, serializedValue);
+      if (this.local) {
+        this.local.set(cacheKey, serializedValue, Math.min(cacheTTL, this.localTTL));
+      }
+      if (pipeline) {
+        pipeline.setEx(cacheKey, cacheTTL, serializedValue);
+      }
     }
     
-    await pipeline.exec();
+    if (pipeline) {
+      await pipeline.exec();
+    }
     
     return entries.length;
   }
@@ -247,6 +634,16 @@ class CacheManager {
    */
   async deletePattern(pattern) {
     const fullPattern = `${this.keyPrefix}${pattern}`;
+    let deletedLocally = 0;
+    if (this.local) {
+      const matcher = MemoryStore.globToRegExp(fullPattern);
+      const localKeys = this.local.keys().filter(key => matcher.test(key));
+      localKeys.forEach(key => this.local.delete(key));
+      deletedLocally = localKeys.length;
+    }
+    if (!this.redisAvailable()) {
+      return deletedLocally;
+    }
     const keys = await this.client.keys(fullPattern);
     
     if (keys.length === 0) {
@@ -258,7 +655,8 @@ class CacheManager {
 
   async getPattern(pattern, limit = 1000) {
     const fullPattern = `${this.keyPrefix}${pattern}`;
-    const keys = await this.client.keys(fullPattern);
+    const client = this.activeClient();
+    const keys = await client.keys(fullPattern);
     
     if (keys.length === 0) {
       return [];
@@ -266,7 +664,7 @@ class CacheManager {
     
     // Limit results to prevent memory issues
     const limitedKeys = keys.slice(0, limit);
-    const values = await this.client.mGet(limitedKeys);
+    const values = await client.mGet(limitedKeys);
     
     return limitedKeys.map((key, index) => {
       const cleanKey = key.replace(this.keyPrefix, '');
@@ -289,11 +687,96 @@ class CacheManager {
   }
 
   /**
-   * Cache statistics and monitoring
+   * Remove the research, LLM metadata and vehicle signature entries of a vehicle
+   * signature or a prefix of one, such as brand:model across all years. With
+   * cascade, shared content the removed keys referenced is deleted as well, so
+   * other vehicles re-enrich instead of picking it up again.
+   */
+  async invalidateFamily(family, options = {}) {
+    const signature = this.normalizeFamily(family);
+    const types = options.types || Object.keys(FAMILY_NAMESPACES);
+
+    if (!this.redisAvailable()) {
+      const error = new Error('Redis is unavailable, invalidation would only reach the local tier');
+      error.status = 503;
+      throw error;
+    }
+
+    const removed = {};
+    const contentKeys = new Set();
+
+    for (const type of types) {
+      const namespace = FAMILY_NAMESPACES[type];
+      const base = this.generateKey('cache', `${namespace}:${signature}`);
+      const keys = [...new Set([
+        ...await this.client.keys(base),
+        ...await this.client.keys(`${base}:*`)
+      ])];
+
+      if (options.cascade) {
+        const values = keys.length > 0 ? await this.client.mGet(keys) : [];
+        values.forEach(value => {
+          try {
+            const target = value ? JSON.parse(value).data?.$ref : null;
+            if (target) contentKeys.add(target);
+          } catch (error) {
+            // Unparseable entries are removed without following them
+          }
+        });
+      }
+
+      removed[type] = await this.deleteKeys(keys);
+    }
+
+    let releasedContent = 0;
+    for (const contentKey of contentKeys) {
+      const deleted = await this.deleteKeys([
+        this.generateKey('cache', contentKey),
+        this.generateKey('refs', contentKey)
+      ]);
+      if (deleted > 0) releasedContent++;
+    }
+
+    return {
+      family: signature,
+      removed,
+      releasedContent,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Whether a full vehicle signature belongs to a family given as a signature prefix
+   */
+  inFamily(vehicleSig, family) {
+    const signature = this.normalizeFamily(family);
+    return vehicleSig === signature || vehicleSig.startsWith(`${signature}:`);
+  }
+
+  normalizeFamily(family) {
+    const signature = (family || '').toString().trim().replace(/:+$/, '');
+    if (!signature || /[*?[\]]/.test(signature)) {
+      const error = new Error('family must be a vehicle signature or prefix without wildcards');
+      error.status = 400;
+      throw error;
+    }
+    return signature;
+  }
+
+  async deleteKeys(keys) {
+    if (this.local) {
+      keys.forEach(key => this.local.delete(key));
+    }
+    return keys.length > 0 ? await this.client.del(keys) : 0;
+  }
+
+  /**
+   * Cache statistics and monitoring, of the local tier alone while Redis is down
    */
   async getStats() {
-    const info = await this.client.info('memory');
-    const keyspace = await this.client.info('keyspace');
+    const client = this.activeClient();
+    const info = await client.info('memory');
+    const keyspace = await client.info('keyspace');
     
     // Parse Redis info output
     const memoryStats = {};
@@ -313,7 +796,7 @@ class CacheManager {
     });
     
     // Get Wessley-specific stats
-    const wessleyKeys = await this.client.keys(`${this.keyPrefix}*`);
+    const wessleyKeys = await client.keys(`${this.keyPrefix}*`);
     
     return {
       memory: {
@@ -326,24 +809,27 @@ class CacheManager {
         totalKeys: wessleyKeys.length,
         keyPrefix: this.keyPrefix
       },
-      connected: this.client.isReady,
+      mode: this.mode,
+      local: this.local ? this.local.getStats() : null,
+      connected: Boolean(this.client && this.client.isReady),
       timestamp: new Date().toISOString()
     };
   }
 
   /**
-   * Cleanup expired keys
+   * Cleanup expired keys, in the local tier alone while Redis is down
    */
   async cleanup() {
     const pattern = `${this.keyPrefix}*`;
-    const keys = await this.client.keys(pattern);
+    const client = this.activeClient();
+    const keys = await client.keys(pattern);
     
     let cleanedCount = 0;
     const batchSize = 100;
     
     for (let i = 0; i < keys.length; i += batchSize) {
       const batch = keys.slice(i, i + batchSize);
-      const pipeline = this.client.multi();
+      const pipeline = client.multi();
       
       for (const key of batch) {
         pipeline.ttl(key);
@@ -353,24 +839,76 @@ class CacheManager {
       const expiredKeys = [];
       
       ttls.forEach((ttl, index) => {
-        if (ttl[1] === -1) { // No expiration set, but should have one
+        const remaining = Array.isArray(ttl) ? ttl[1] : ttl;
+        if (remaining === -1) { // No expiration set, but should have one
           expiredKeys.push(batch[index]);
         }
       });
       
       if (expiredKeys.length > 0) {
-        await this.client.del(expiredKeys);
+        await client.del(expiredKeys);
         cleanedCount += expiredKeys.length;
       }
     }
     
+    const references = await this.releaseUnreferenced();
+    
     return {
       totalKeys: keys.length,
       cleanedKeys: cleanedCount,
+      prunedReferences: references.prunedReferences,
+      releasedContent: references.releasedContent,
       timestamp: new Date().toISOString()
     };
   }
 
+  /**
+   * Drop references whose scoped key expired or now points elsewhere, and
+   * delete shared entries once nothing references them
+   */
+  async releaseUnreferenced() {
+    const refsPrefix = `${this.keyPrefix}refs:`;
+    // References are only recorded in Redis, so there is nothing to release without it
+    if (!this.redisAvailable()) {
+      return { prunedReferences: 0, releasedContent: 0 };
+    }
+    const refSets = await this.client.keys(`${refsPrefix}*`);
+    let prunedReferences = 0;
+    let releasedContent = 0;
+
+    for (const refsKey of refSets) {
+      // Content keys are short enough that generateKey never hashes them
+      const contentKey = refsKey.slice(refsPrefix.length);
+      const members = await this.client.sMembers(refsKey);
+
+      for (const member of members) {
+        const value = await this.client.get(member);
+        let target = null;
+        try {
+          target = value ? JSON.parse(value).data?.$ref : null;
+        } catch (error) {
+          target = null;
+        }
+
+        if (target !== contentKey) {
+          await this.client.sRem(refsKey, member);
+          prunedReferences++;
+        }
+      }
+
+      if (await this.client.sCard(refsKey) === 0) {
+        const contentCacheKey = this.generateKey('cache', contentKey);
+        await this.client.del([contentCacheKey, refsKey]);
+        if (this.local) {
+          this.local.delete(contentCacheKey);
+        }
+        releasedContent++;
+      }
+    }
+
+    return { prunedReferences, releasedContent };
+  }
+
   /**
    * Close connection
    */
@@ -0,0 +1,181 @@
+/**
+ * Cache Warmer
+ * Pre-populates research and LLM metadata cache entries for vehicle signatures
+ * or families from what the data lake already holds, as background jobs
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const RESEARCH_PREFIX = 'raw/research/';
+const ELECTROGRAPH_PREFIX = 'normalized/electrograph/';
+
+class CacheWarmer {
+  constructor(s3Manager, cacheManager) {
+    this.s3Manager = s3Manager;
+    this.cacheManager = cacheManager;
+    this.maxObjects = parseInt(process.env.CACHE_WARM_MAX_OBJECTS) || 5000;
+    this.jobs = new Map();
+    this.maxJobs = 100;
+  }
+
+  /**
+   * Start a warm-up job in the background and return its initial state
+   */
+  start(families, options = {}) {
+    families.forEach(family => this.cacheManager.normalizeFamily(family));
+
+    const job = {
+      jobId: uuidv4(),
+      status: 'running',
+      families,
+      types: options.types || ['research', 'llm_metadata'],
+      progress: { researchScanned: 0, research: 0, llmMetadata: 0, skipped: 0 },
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      error: null
+    };
+    this.remember(job);
+
+    this.run(job)
+      .then(() => {
+        job.status = 'completed';
+      })
+      .catch(error => {
+        job.status = 'failed';
+        job.error = error.message;
+      })
+      .finally(() => {
+        job.completedAt = new Date().toISOString();
+      });
+
+    return { ...job };
+  }
+
+  get(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? { ...job } : null;
+  }
+
+  /**
+   * Cache the newest research manifest of each matching vehicle, then the node
+   * metadata stored for that research job
+   */
+  async run(job) {
+    const latest = await this.latestResearch(job);
+
+    for (const [vehicleSig, research] of latest) {
+      if (job.types.includes('research')) {
+        await this.cacheManager.cacheResearch(vehicleSig, research.manifest);
+        job.progress.research++;
+      }
+
+      if (job.types.includes('llm_metadata')) {
+        await this.warmNodeMetadata(job, vehicleSig, research);
+      }
+    }
+  }
+
+  async latestResearch(job) {
+    const latest = new Map();
+    let continuationToken = null;
+
+    do {
+      const listing = await this.s3Manager.list(RESEARCH_PREFIX, 1000, continuationToken);
+
+      for (const object of listing.objects) {
+        if (job.progress.researchScanned >= this.maxObjects) {
+          return latest;
+        }
+        job.progress.researchScanned++;
+
+        const storagePath = object.Key.slice(this.s3Manager.prefix.length + 1);
+        const manifest = await this.s3Manager.retrieveJSON(storagePath);
+        if (!manifest || !manifest.brand || !manifest.model || !manifest.year) {
+          job.progress.skipped++;
+          continue;
+        }
+
+        const vehicleSig = `${manifest.brand}:${manifest.model}:${manifest.year}`;
+        if (!job.families.some(family => this.cacheManager.inFamily(vehicleSig, family))) {
+          continue;
+        }
+
+        const current = latest.get(vehicleSig);
+        const modified = new Date(object.LastModified).getTime();
+        if (!current || modified > current.modified) {
+          latest.set(vehicleSig, {
+            manifest,
+            modified,
+            jobId: storagePath.slice(RESEARCH_PREFIX.length).replace(/\.json$/, '')
+          });
+        }
+      }
+
+      continuationToken = listing.nextToken;
+    } while (continuationToken);
+
+    return latest;
+  }
+
+  /**
+   * Node metadata is cached under the evidence hash the LLM metadata workflow
+   * would compute, which needs the job's stored ElectroGraph for node type and label
+   */
+  async warmNodeMetadata(job, vehicleSig, research) {
+    const electroGraph = await this.s3Manager.retrieveJSON(`${ELECTROGRAPH_PREFIX}${research.jobId}.json`);
+    if (!electroGraph?.nodes) {
+      return;
+    }
+
+    const nodes = new Map(electroGraph.nodes.map(node => [node.id, node]));
+    const documents = await this.s3Manager.listNodeMetadata(research.jobId);
+
+    for (const metadata of documents) {
+      const node = nodes.get(metadata.nodeId);
+      const evidence = node ? this.nodeEvidence(node, research.manifest) : [];
+      if (!node || evidence.length === 0) {
+        job.progress.skipped++;
+        continue;
+      }
+
+      await this.cacheManager.cacheLLMMetadata(vehicleSig, node.id, this.evidenceHash(evidence), metadata, {
+        type: node.type,
+        label: node.label,
+        properties: node.properties || {}
+      });
+      job.progress.llmMetadata++;
+    }
+  }
+
+  /**
+   * Mirrors the evidence selection of Build Node Contexts in sub.llm-metadata
+   */
+  nodeEvidence(node, manifest) {
+    return (manifest.components || [])
+      .filter(component => component.type === node.type ||
+        (component.label && node.label && component.label.toLowerCase().includes(node.label.toLowerCase())))
+      .map(component => ({ text: component.description || component.notes || `${component.type} component` }))
+      .slice(0, 3);
+  }
+
+  /**
+   * Mirrors Prepare Cache Keys in sub.llm-metadata
+   */
+  evidenceHash(evidence) {
+    return crypto.createHash('sha256')
+      .update(evidence.map(item => item.text).join('|'))
+      .digest('hex')
+      .substring(0, 16);
+  }
+
+  remember(job) {
+    this.jobs.set(job.jobId, job);
+    // Keep only the most recent jobs so the registry stays bounded
+    while (this.jobs.size > this.maxJobs) {
+      this.jobs.delete(this.jobs.keys().next().value);
+    }
+  }
+}
+
+module.exports = CacheWarmer;
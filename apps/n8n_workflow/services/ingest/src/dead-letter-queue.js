@@ -0,0 +1,313 @@
+/**
+ * Dead Letter Queue
+ * Keeps ingest writes that failed on storage or cache errors, with the original
+ * request, and retries them with exponential backoff. Letters live on local disk
+ * because the data lake or Redis is usually what failed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const STATUSES = ['pending', 'exhausted'];
+
+class DeadLetterQueue {
+  constructor() {
+    this.directory = path.resolve(process.env.DEAD_LETTER_DIR || './dead-letters');
+    this.maxAttempts = parseInt(process.env.DEAD_LETTER_MAX_ATTEMPTS) || 8;
+    this.baseDelay = parseInt(process.env.DEAD_LETTER_BASE_DELAY_MS) || 30000;
+    this.maxDelay = parseInt(process.env.DEAD_LETTER_MAX_DELAY_MS) || 3600000;
+    this.pollInterval = parseInt(process.env.DEAD_LETTER_POLL_INTERVAL_MS) || 15000;
+    this.handlers = new Map();
+    this.lastWrittenAt = new Map();
+    this.letters = new Map();
+    this.inFlight = new Set();
+    this.timer = null;
+    this.sweeping = false;
+    this.metrics = {
+      deadLettered: 0,
+      retried: 0,
+      resolved: 0,
+      exhausted: 0,
+      superseded: 0,
+      discarded: 0
+    };
+  }
+
+  /**
+   * Load letters left over from before a restart
+   */
+  async initialize() {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    for (const file of await fs.promises.readdir(this.directory)) {
+      if (!file.endsWith('.json')) continue;
+
+      try {
+        const letter = JSON.parse(await fs.promises.readFile(path.join(this.directory, file), 'utf8'));
+        this.letters.set(letter.deadLetterId, letter);
+      } catch (error) {
+        console.error(`Skipping unreadable dead letter ${file}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Register how an operation is performed, so it can be run and later retried.
+   * Operations that overwrite a target give options.lastWrittenAt(request), so a
+   * retry is dropped as superseded once the target was written after the failure.
+   */
+  register(operation, handler, options = {}) {
+    this.handlers.set(operation, handler);
+    if (options.lastWrittenAt) {
+      this.lastWrittenAt.set(operation, options.lastWrittenAt);
+    }
+  }
+
+  /**
+   * Run an operation, dead-lettering it when it fails for a reason a retry could fix.
+   * The error is rethrown with deadLetterId set.
+   */
+  async run(operation, request) {
+    const handler = this.handler(operation);
+
+    try {
+      return await handler(request);
+    } catch (error) {
+      if (this.isRetryable(error)) {
+        try {
+          const letter = await this.add(operation, request, error);
+          error.deadLetterId = letter.deadLetterId;
+        } catch (storeError) {
+          console.error(`Failed to dead-letter ${operation}:`, storeError.message);
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Errors with a 4xx status describe a bad request; retrying it cannot succeed
+   */
+  isRetryable(error) {
+    return !error.status || error.status >= 500;
+  }
+
+  async add(operation, request, error) {
+    const now = new Date();
+    const letter = {
+      deadLetterId: uuidv4(),
+      operation,
+      request,
+      status: 'pending',
+      attempts: 0,
+      lastError: error.message,
+      errors: [{ message: error.message, at: now.toISOString() }],
+      nextAttemptAt: new Date(now.getTime() + this.backoff(1)).toISOString(),
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString()
+    };
+
+    await this.save(letter);
+    this.metrics.deadLettered++;
+    return letter;
+  }
+
+  /**
+   * List dead letters, oldest first, without their request bodies
+   */
+  list(filters = {}) {
+    const letters = [...this.letters.values()]
+      .filter(letter => !filters.status || letter.status === filters.status)
+      .filter(letter => !filters.operation || letter.operation === filters.operation)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    return {
+      deadLetters: letters.slice(0, filters.limit || 50).map(({ request, ...summary }) => summary),
+      total: letters.length
+    };
+  }
+
+  get(deadLetterId) {
+    return this.letters.get(deadLetterId) || null;
+  }
+
+  /**
+   * Retry a letter now. A success, or a newer write to the same target, removes it;
+   * a failure schedules the next attempt, or marks the letter exhausted once its
+   * attempts are used up.
+   */
+  async retry(deadLetterId) {
+    const letter = this.letters.get(deadLetterId);
+    if (!letter) return null;
+
+    if (this.inFlight.has(deadLetterId)) {
+      const error = new Error(`Dead letter ${deadLetterId} is already being retried`);
+      error.status = 409;
+      throw error;
+    }
+
+    this.inFlight.add(deadLetterId);
+    letter.attempts++;
+    this.metrics.retried++;
+
+    try {
+      if (await this.isSuperseded(letter)) {
+        await this.remove(letter);
+        this.metrics.superseded++;
+        return { ...letter, status: 'superseded' };
+      }
+
+      const result = await this.handler(letter.operation)(letter.request);
+
+      await this.remove(letter);
+      this.metrics.resolved++;
+      return { ...letter, status: 'resolved', result };
+    } catch (error) {
+      const now = new Date();
+      letter.lastError = error.message;
+      letter.errors = [...letter.errors, { message: error.message, at: now.toISOString() }].slice(-10);
+      letter.updatedAt = now.toISOString();
+
+      if (!this.isRetryable(error) || letter.attempts >= this.maxAttempts) {
+        letter.status = 'exhausted';
+        letter.nextAttemptAt = null;
+        this.metrics.exhausted++;
+      } else {
+        letter.status = 'pending';
+        letter.nextAttemptAt = new Date(now.getTime() + this.backoff(letter.attempts + 1)).toISOString();
+      }
+
+      await this.save(letter);
+      return letter;
+    } finally {
+      this.inFlight.delete(deadLetterId);
+    }
+  }
+
+  /**
+   * Retry every pending letter now, e.g. once an outage is over
+   */
+  async retryAll() {
+    const results = [];
+    for (const letter of [...this.letters.values()].filter(letter => letter.status === 'pending')) {
+      if (this.inFlight.has(letter.deadLetterId)) continue;
+      results.push(await this.retry(letter.deadLetterId));
+    }
+
+    return {
+      attempted: results.length,
+      resolved: results.filter(letter => letter.status === 'resolved').length,
+      superseded: results.filter(letter => letter.status === 'superseded').length
+    };
+  }
+
+  async discard(deadLetterId) {
+    const letter = this.letters.get(deadLetterId);
+    if (!letter) return null;
+
+    if (this.inFlight.has(deadLetterId)) {
+      const error = new Error(`Dead letter ${deadLetterId} is being retried`);
+      error.status = 409;
+      throw error;
+    }
+
+    await this.remove(letter);
+    this.metrics.discarded++;
+    return { ...letter, status: 'discarded' };
+  }
+
+  /**
+   * Delay before the given attempt: the base delay doubled per attempt, capped
+   */
+  backoff(attempt) {
+    return Math.min(this.baseDelay * 2 ** (attempt - 1), this.maxDelay);
+  }
+
+  /**
+   * Retry due letters on an interval
+   */
+  startScheduler() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.retryDue().catch(error => console.error('Dead letter sweep failed:', error.message));
+    }, this.pollInterval);
+    this.timer.unref();
+  }
+
+  stopScheduler() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * One letter at a time, so a recovering backend is not flooded
+   */
+  async retryDue() {
+    if (this.sweeping) return;
+    this.sweeping = true;
+
+    try {
+      const now = Date.now();
+      const due = [...this.letters.values()]
+        .filter(letter => letter.status === 'pending' && new Date(letter.nextAttemptAt).getTime() <= now)
+        .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt));
+
+      for (const letter of due) {
+        if (!this.inFlight.has(letter.deadLetterId)) {
+          await this.retry(letter.deadLetterId);
+        }
+      }
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  stats() {
+    const byStatus = Object.fromEntries(STATUSES.map(status => [status, 0]));
+    this.letters.forEach(letter => {
+      byStatus[letter.status]++;
+    });
+
+    return {
+      ...this.metrics,
+      queued: this.letters.size,
+      byStatus
+    };
+  }
+
+  /**
+   * Whether the letter's target was written after the letter's write failed
+   */
+  async isSuperseded(letter) {
+    const lastWrittenAt = this.lastWrittenAt.get(letter.operation);
+    if (!lastWrittenAt) return false;
+
+    const writtenAt = await lastWrittenAt(letter.request);
+    return Boolean(writtenAt) && writtenAt.getTime() > new Date(letter.createdAt).getTime();
+  }
+
+  handler(operation) {
+    const handler = this.handlers.get(operation);
+    if (!handler) {
+      throw new Error(`No handler registered for operation ${operation}`);
+    }
+    return handler;
+  }
+
+  async save(letter) {
+    // Write then rename so a crash never leaves a half-written letter
+    const filePath = path.join(this.directory, `${letter.deadLetterId}.json`);
+    await fs.promises.writeFile(`${filePath}.tmp`, JSON.stringify(letter, null, 2));
+    await fs.promises.rename(`${filePath}.tmp`, filePath);
+    this.letters.set(letter.deadLetterId, letter);
+  }
+
+  async remove(letter) {
+    await fs.promises.rm(path.join(this.directory, `${letter.deadLetterId}.json`), { force: true });
+    this.letters.delete(letter.deadLetterId);
+  }
+}
+
+module.exports = DeadLetterQueue;
@@ -4,16 +4,31 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
-const { formatValidationResult } = require('../../../utils/validation-helpers');
+const { formatValidationResult, generatePayloadHash } = require('../../../utils/validation-helpers');
+
+// Data lake area each normalized data type is stored in
+const NORMALIZED_STORAGE_TYPES = {
+  electrograph: 'normalized',
+  electrograph3d: 'spatialized',
+  node_metadata: 'enriched',
+  manifest: 'manifest'
+};
 
 class EventProcessor {
   constructor(s3Manager, cacheManager, schemaValidator) {
     this.s3Manager = s3Manager;
     this.cacheManager = cacheManager;
     this.schemaValidator = schemaValidator;
+    // How long a stored event suppresses retries of itself
+    this.dedupTTL = parseInt(process.env.EVENT_DEDUP_TTL) || 86400;
     this.metrics = {
       eventsStored: 0,
       errorsEncountered: 0,
+      deduplication: {
+        hits: 0,
+        byIdempotencyKey: 0,
+        byPayloadHash: 0
+      },
       lastActivity: null
     };
   }
@@ -24,29 +39,78 @@ class EventProcessor {
   }
 
   /**
-   * Store event to data lake
+   * Store event to data lake. A retry of an event already stored, recognised by its
+   * idempotency key or else by its job, stage, step, type and payload hash, returns
+   * the original storage path instead of writing a second record.
    */
-  async storeEvent(eventEnvelope, storagePath, ndjsonLine) {
+  async storeEvent(eventEnvelope, storagePath, ndjsonLine, idempotencyKey = null) {
     try {
       // Validate event envelope
       const validation = this.schemaValidator.validate('EventEnvelope', eventEnvelope);
       if (!validation.valid) {
-        throw new Error(`Event validation failed: ${JSON.stringify(validation.errors)}`);
+        throw this.invalid(`Event validation failed: ${JSON.stringify(validation.errors)}`);
+      }
+
+      const dedupKey = idempotencyKey
+        ? `event:key:${idempotencyKey}`
+        : `event:payload:${this.eventFingerprint(eventEnvelope)}`;
+      const original = {
+        eventId: eventEnvelope.eventId,
+        storagePath: `${this.s3Manager.prefix}/${storagePath}`,
+        storedAt: new Date().toISOString()
+      };
+
+      let claim = { claimed: true };
+      try {
+        claim = await this.cacheManager.claim(dedupKey, original, this.dedupTTL);
+      } catch (error) {
+        // Deduplication is best effort; an unreachable cache must not block ingestion
+        console.error('Event deduplication unavailable:', error.message);
+      }
+      if (!claim.claimed) {
+        this.metrics.deduplication.hits++;
+        this.metrics.deduplication[idempotencyKey ? 'byIdempotencyKey' : 'byPayloadHash']++;
+        return { ...claim.existing, duplicate: true };
       }
 
       // Store to S3
-      const result = await this.s3Manager.storeEvent(eventEnvelope, storagePath);
+      let result;
+      try {
+        result = await this.s3Manager.storeEvent(eventEnvelope, storagePath);
+      } catch (error) {
+        // Let the retry through, since nothing was stored
+        await this.cacheManager.releaseClaim(dedupKey).catch(() => {});
+        throw error;
+      }
       
       this.metrics.eventsStored++;
       this.metrics.lastActivity = new Date().toISOString();
 
-      return result;
+      return {
+        ...result,
+        storagePath: result.key,
+        duplicate: false
+      };
     } catch (error) {
       this.metrics.errorsEncountered++;
       throw error;
     }
   }
 
+  /**
+   * Identity of an event's content. Event IDs and timestamps are left out because
+   * a re-run of the emitting node generates new ones.
+   */
+  eventFingerprint(eventEnvelope) {
+    return generatePayloadHash({
+      jobId: eventEnvelope.jobId,
+      stage: eventEnvelope.stage,
+      step: eventEnvelope.step || null,
+      eventType: eventEnvelope.eventType,
+      payloadHash: generatePayloadHash(eventEnvelope.payload || {})
+    });
+  }
+
   /**
    * Store research manifest
    */
@@ -55,7 +119,7 @@ class EventProcessor {
       // Validate research manifest
       const validation = this.schemaValidator.validate('ResearchManifest', manifest);
       if (!validation.valid) {
-        throw new Error(`Research validation failed: ${JSON.stringify(validation.errors)}`);
+        throw this.invalid(`Research validation failed: ${JSON.stringify(validation.errors)}`);
       }
 
       const storagePath = this.s3Manager.generatePath('research', jobId);
@@ -93,15 +157,15 @@ class EventProcessor {
           schemaName = 'Manifest';
           break;
         default:
-          throw new Error(`Unknown normalized data type: ${type}`);
+          throw this.invalid(`Unknown normalized data type: ${type}`);
       }
 
       const validation = this.schemaValidator.validate(schemaName, data);
       if (!validation.valid) {
-        throw new Error(`${type} validation failed: ${JSON.stringify(validation.errors)}`);
+        throw this.invalid(`${type} validation failed: ${JSON.stringify(validation.errors)}`);
       }
 
-      const storagePath = this.s3Manager.generatePath(type === 'electrograph' ? 'normalized' : type, jobId);
+      const storagePath = this.s3Manager.generatePath(NORMALIZED_STORAGE_TYPES[type], jobId);
       const result = await this.s3Manager.storeJSON(data, storagePath, { jobId, type });
 
       return {
@@ -117,11 +181,21 @@ class EventProcessor {
   }
 
   /**
-   * Queue item for manual review
+   * When the object a research (type 'research') or normalized write targets was
+   * last written, or null when it does not exist
+   */
+  async lastWrittenAt(type, jobId) {
+    const storageType = type === 'research' ? 'research' : NORMALIZED_STORAGE_TYPES[type];
+    const stored = await this.s3Manager.exists(this.s3Manager.generatePath(storageType, jobId));
+    return stored.exists ? new Date(stored.lastModified) : null;
+  }
+
+  /**
+   * Queue item for manual review. A retry passes the reviewId of its first attempt
+   * so the item is not queued twice under different IDs.
    */
-  async queueManualReview(errorPayload, priority, category) {
+  async queueManualReview(errorPayload, priority, category, reviewId = uuidv4()) {
     try {
-      const reviewId = uuidv4();
       const reviewItem = {
         reviewId,
         priority,
@@ -140,7 +214,8 @@ class EventProcessor {
 
       return {
         reviewId,
-        priority
+        priority,
+        category
       };
     } catch (error) {
       this.metrics.errorsEncountered++;
@@ -149,19 +224,19 @@ class EventProcessor {
   }
 
   /**
-   * Store viewer events
+   * Store viewer events. A retry passes the batchId of its first attempt, so a
+   * batch that was written after all is overwritten rather than stored twice.
    */
-  async storeViewerEvents(events, sessionId) {
+  async storeViewerEvents(events, sessionId, batchId = uuidv4()) {
     try {
       // Validate each event
       for (const event of events) {
         const validation = this.schemaValidator.validate('ViewerEvent', event);
         if (!validation.valid) {
-          throw new Error(`Viewer event validation failed: ${JSON.stringify(validation.errors)}`);
+          throw this.invalid(`Viewer event validation failed: ${JSON.stringify(validation.errors)}`);
         }
       }
 
-      const batchId = uuidv4();
       const storagePath = this.s3Manager.generatePath('viewer', `${sessionId}_${batchId}`);
       
       // Convert to NDJSON format
@@ -184,6 +259,15 @@ class EventProcessor {
     }
   }
 
+  /**
+   * Rejected input, as opposed to a storage failure that is worth retrying
+   */
+  invalid(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+
   /**
    * Get processing metrics
    */
@@ -0,0 +1,375 @@
+/**
+ * Event Replay
+ * Re-derives normalized and spatialized graphs for already-processed jobs with
+ * the pipeline's current workflow code. Jobs are found through the event log,
+ * their stored research is re-normalized, validated and optionally re-spatialized,
+ * and each result is written as a new version next to a diff against the original.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const STAGES = ['normalized', 'spatialized'];
+
+const NORMALIZE_NODES = ['Initialize Normalization', 'Normalize Components', 'Normalize Circuits', 'Build ElectroGraph'];
+const VALIDATE_NODES = ['Structure Validation', 'Electrical Heuristics'];
+const SPATIALIZE_NODES = [
+  'Initialize Spatialization',
+  'Calculate Node Positions',
+  'Process Positioned Nodes',
+  'Calculate Wire Routes',
+  'Generate ElectroGraph3D'
+];
+
+// Regenerated on every run, so they would show up in every diff
+const VOLATILE_FIELDS = ['generated', 'timestamp'];
+
+class EventReplay {
+  constructor(s3Manager, lakeQuery, eventProcessor, workflowRunner) {
+    this.s3Manager = s3Manager;
+    this.lakeQuery = lakeQuery;
+    this.eventProcessor = eventProcessor;
+    this.workflowRunner = workflowRunner;
+    this.maxJobs = parseInt(process.env.REPLAY_MAX_JOBS) || 20;
+    this.runs = new Map();
+    this.maxRuns = 100;
+  }
+
+  /**
+   * Start replaying one job or every job of a vehicle seen in the event window in
+   * the background, and return the run's initial state
+   */
+  start(request = {}) {
+    const run = {
+      replayId: uuidv4(),
+      version: `v${new Date().toISOString().replace(/[-:.]/g, '')}`,
+      status: 'running',
+      dryRun: Boolean(request.dryRun),
+      progress: { total: null, completed: 0 },
+      jobs: [],
+      truncated: false,
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      error: null
+    };
+    this.remember(run);
+
+    this.replay(run, request)
+      .then(() => {
+        run.status = 'completed';
+      })
+      .catch(error => {
+        run.status = 'failed';
+        run.error = error.message;
+      })
+      .finally(() => {
+        run.completedAt = new Date().toISOString();
+      });
+
+    return this.get(run.replayId);
+  }
+
+  get(replayId) {
+    const run = this.runs.get(replayId);
+    return run ? { ...run, progress: { ...run.progress }, jobs: [...run.jobs] } : null;
+  }
+
+  async replay(run, request) {
+    const { jobs, truncated } = await this.findJobs(request);
+    run.truncated = truncated;
+    run.progress.total = jobs.length;
+
+    for (const job of jobs) {
+      try {
+        run.jobs.push(await this.replayJob(job, { ...request, replayId: run.replayId, version: run.version }));
+      } catch (error) {
+        run.jobs.push({ jobId: job.jobId, status: 'failed', error: error.message });
+      }
+      run.progress.completed++;
+    }
+  }
+
+  /**
+   * Stored replay versions of a job, newest first
+   */
+  async versions(jobId) {
+    const base = this.s3Manager.generatePath('replay', `${jobId}/`).replace(/\.json$/, '');
+    const versions = new Map();
+    let continuationToken = null;
+
+    do {
+      const listing = await this.s3Manager.list(base, 1000, continuationToken);
+
+      listing.objects.forEach(object => {
+        const storagePath = object.Key.slice(this.s3Manager.prefix.length + 1);
+        const [version, file] = storagePath.slice(base.length).split('/');
+        if (!file) return;
+
+        if (!versions.has(version)) {
+          versions.set(version, { version, createdAt: object.LastModified, files: [] });
+        }
+        versions.get(version).files.push(storagePath);
+      });
+
+      continuationToken = listing.nextToken;
+    } while (continuationToken);
+
+    return [...versions.values()].sort((a, b) => (a.version < b.version ? 1 : -1));
+  }
+
+  /**
+   * Group the window's events by job, remembering the vehicle and which stages
+   * completed. A job ID without events is still replayed from its stored research.
+   */
+  async findJobs(request) {
+    const jobs = new Map();
+    const filters = {
+      jobId: request.jobId,
+      vehicleSig: request.vehicleSig,
+      from: request.from,
+      to: request.to
+    };
+
+    for await (const event of this.lakeQuery.stream(filters)) {
+      if (!jobs.has(event.jobId)) {
+        if (jobs.size >= this.maxJobs) {
+          return { jobs: [...jobs.values()], truncated: true };
+        }
+        jobs.set(event.jobId, { jobId: event.jobId, vehicleSig: null, completedStages: new Set(), events: 0 });
+      }
+
+      const job = jobs.get(event.jobId);
+      job.events++;
+      job.vehicleSig = job.vehicleSig || event.metadata?.vehicleSig || null;
+      if (event.eventType === 'success') {
+        job.completedStages.add(event.stage);
+      }
+    }
+
+    if (request.jobId && !jobs.has(request.jobId)) {
+      jobs.set(request.jobId, { jobId: request.jobId, vehicleSig: null, completedStages: new Set(), events: 0 });
+    }
+
+    return { jobs: [...jobs.values()], truncated: false };
+  }
+
+  async replayJob(job, options) {
+    const research = await this.s3Manager.retrieveJSON(this.s3Manager.generatePath('research', job.jobId));
+    if (!research) {
+      return { jobId: job.jobId, status: 'skipped', reason: 'No stored research manifest' };
+    }
+
+    const vehicleSig = job.vehicleSig || `${research.brand}:${research.model}:${research.year}`;
+    const stages = this.stagesFor(job, options.stages);
+    const result = {
+      jobId: job.jobId,
+      vehicleSig,
+      status: 'replayed',
+      events: job.events,
+      stages: {}
+    };
+
+    const normalized = await this.replayNormalization(job, vehicleSig, research);
+    result.stages.normalized = await this.record(job.jobId, 'electrograph', normalized, options);
+
+    if (stages.includes('spatialized')) {
+      try {
+        const spatialized = await this.replaySpatialization(job, vehicleSig, normalized.result);
+        result.stages.spatialized = spatialized.skipped
+          ? spatialized
+          : await this.record(job.jobId, 'electrograph3d', spatialized, options);
+      } catch (error) {
+        // The normalized version is stored by now, so report it alongside the failure
+        result.status = 'partial';
+        result.stages.spatialized = { status: 'failed', error: error.message };
+      }
+    }
+
+    if (!options.dryRun) {
+      try {
+        await this.emitReplayEvent(job.jobId, vehicleSig, options, result);
+      } catch (error) {
+        // The versioned results are already stored; only the log entry is missing
+        result.eventError = error.message;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Stages to replay: the requested ones, or those the job originally completed.
+   * Normalization always runs because spatialization starts from its output.
+   */
+  stagesFor(job, requested) {
+    if (requested && requested.length > 0) {
+      return STAGES.filter(stage => requested.includes(stage));
+    }
+    return STAGES.filter(stage => stage === 'normalized' || job.completedStages.has(stage));
+  }
+
+  async replayNormalization(job, vehicleSig, research) {
+    const { output } = await this.workflowRunner.run('sub.normalize', NORMALIZE_NODES, {
+      researchManifest: research,
+      vehicleInfo: { vehicleSig },
+      jobId: job.jobId
+    });
+    const electroGraph = output.electroGraph;
+
+    const { output: heuristics } = await this.workflowRunner.run('sub.validate', VALIDATE_NODES, {
+      graph: electroGraph,
+      includeHeuristics: true
+    });
+    const schema = this.eventProcessor.schemaValidator.validate('ElectroGraph', electroGraph);
+
+    return {
+      result: electroGraph,
+      original: await this.s3Manager.retrieveJSON(this.s3Manager.generatePath('normalized', job.jobId)),
+      validation: {
+        schemaValid: schema.valid,
+        schemaErrors: schema.errors || [],
+        valid: heuristics.valid,
+        errors: heuristics.errors,
+        warnings: heuristics.warnings
+      }
+    };
+  }
+
+  /**
+   * Spatialization places nodes through the layout service, so it needs LAYOUT_URL
+   */
+  async replaySpatialization(job, vehicleSig, electroGraph) {
+    if (!process.env.LAYOUT_URL) {
+      return { skipped: true, reason: 'LAYOUT_URL is not configured' };
+    }
+
+    const { output } = await this.workflowRunner.run('sub.spatializer', SPATIALIZE_NODES, {
+      electroGraph,
+      nodeMetadata: await this.s3Manager.listNodeMetadata(job.jobId),
+      vehicleSignature: vehicleSig
+    });
+    const schema = this.eventProcessor.schemaValidator.validate('ElectroGraph3D', output.electroGraph3D);
+
+    return {
+      result: output.electroGraph3D,
+      original: await this.s3Manager.retrieveJSON(this.s3Manager.generatePath('spatialized', job.jobId)),
+      validation: {
+        schemaValid: schema.valid,
+        schemaErrors: schema.errors || []
+      }
+    };
+  }
+
+  /**
+   * Diff a replayed result against the original and store both under the version
+   */
+  async record(jobId, name, replayed, options) {
+    const diff = this.diff(replayed.original, replayed.result);
+    const summary = {
+      validation: replayed.validation,
+      diff: diff.summary
+    };
+
+    if (options.dryRun) {
+      return { ...summary, changes: diff.changes };
+    }
+
+    const base = `${jobId}/${options.version}/${name}`;
+    const stored = await this.s3Manager.storeJSON(replayed.result, this.s3Manager.generatePath('replay', base), {
+      jobId,
+      replayId: options.replayId
+    });
+    const storedDiff = await this.s3Manager.storeJSON({
+      jobId,
+      replayId: options.replayId,
+      version: options.version,
+      validation: replayed.validation,
+      ...diff
+    }, this.s3Manager.generatePath('replay', `${base}.diff`), { jobId, replayId: options.replayId });
+
+    return {
+      ...summary,
+      storagePath: stored.key,
+      diffPath: storedDiff.key
+    };
+  }
+
+  /**
+   * Compare graphs collection by collection, matching items by ID (routes by edge ID)
+   */
+  diff(original, replayed) {
+    if (!original) {
+      return {
+        summary: { originalFound: false, changed: true },
+        changes: {}
+      };
+    }
+
+    const changes = {};
+    const summary = { originalFound: true, changed: false };
+
+    ['nodes', 'edges', 'circuits', 'routes', 'trunks'].forEach(collection => {
+      if (!original[collection] && !replayed[collection]) return;
+
+      const keyOf = item => (collection === 'routes' ? item.edgeId : item.id);
+      const before = new Map((original[collection] || []).map(item => [keyOf(item), item]));
+      const after = new Map((replayed[collection] || []).map(item => [keyOf(item), item]));
+
+      const added = [...after.keys()].filter(id => !before.has(id));
+      const removed = [...before.keys()].filter(id => !after.has(id));
+      const modified = [...after.keys()]
+        .filter(id => before.has(id))
+        .map(id => ({ id, fields: this.changedFields(before.get(id), after.get(id)) }))
+        .filter(change => change.fields.length > 0);
+
+      changes[collection] = { added, removed, modified };
+      summary[collection] = { added: added.length, removed: removed.length, modified: modified.length };
+      summary.changed = summary.changed || added.length > 0 || removed.length > 0 || modified.length > 0;
+    });
+
+    return { summary, changes };
+  }
+
+  changedFields(before, after) {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...fields]
+      .filter(field => !VOLATILE_FIELDS.includes(field))
+      .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+  }
+
+  /**
+   * Record the replay in the event log like any other pipeline step
+   */
+  async emitReplayEvent(jobId, vehicleSig, options, result) {
+    const payload = {
+      replayId: options.replayId,
+      version: options.version,
+      status: result.status,
+      stages: Object.fromEntries(Object.entries(result.stages).map(([stage, outcome]) => [stage, outcome.diff || outcome]))
+    };
+    const eventEnvelope = {
+      eventId: uuidv4(),
+      jobId,
+      timestamp: new Date().toISOString(),
+      stage: 'normalized',
+      step: 'replay',
+      eventType: 'success',
+      payloadHash: crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex'),
+      payload,
+      metadata: { vehicleSig }
+    };
+    const storagePath = this.s3Manager.generatePath('event', `${vehicleSig}/${eventEnvelope.eventId}`);
+
+    await this.eventProcessor.storeEvent(eventEnvelope, storagePath);
+  }
+
+  remember(run) {
+    this.runs.set(run.replayId, run);
+    // Keep only the most recent runs so the registry stays bounded
+    while (this.runs.size > this.maxRuns) {
+      this.runs.delete(this.runs.keys().next().value);
+    }
+  }
+}
+
+module.exports = EventReplay;
@@ -0,0 +1,162 @@
+/**
+ * Filesystem Storage Manager
+ * Data lake on local disk with the same interface as S3Manager, for laptops and CI.
+ * Presigned URLs point at the ingest service's signed /storage route.
+ */
+
+const crypto = require('crypto');
+const StorageManager = require('./storage-manager');
+const { FilesystemStorage } = require('../../../utils/filesystem-storage');
+
+class FilesystemStorageManager extends StorageManager {
+  constructor() {
+    super();
+    this.storage = new FilesystemStorage({
+      rootDir: process.env.LOCAL_STORAGE_DIR || './data-lake',
+      baseUrl: process.env.LOCAL_STORAGE_BASE_URL || `http://localhost:${process.env.PORT || 3001}`,
+      routePrefix: '/storage',
+      signingSecret: process.env.LOCAL_STORAGE_SIGNING_SECRET
+    });
+  }
+
+  async initialize() {
+    await this.storage.initialize();
+    await this.healthCheck();
+  }
+
+  async healthCheck() {
+    return await this.storage.healthCheck();
+  }
+
+  /**
+   * Store event data as NDJSON
+   */
+  async storeEvent(eventEnvelope, storagePath) {
+    const ndjsonLine = JSON.stringify(eventEnvelope);
+    const key = `${this.prefix}/${storagePath}`;
+
+    await this.storage.put(key, ndjsonLine, {
+      contentType: 'application/x-ndjson',
+      metadata: {
+        eventId: eventEnvelope.eventId,
+        jobId: eventEnvelope.jobId,
+        stage: eventEnvelope.stage,
+        eventType: eventEnvelope.eventType,
+        timestamp: eventEnvelope.timestamp
+      }
+    });
+
+    return {
+      key,
+      size: Buffer.byteLength(ndjsonLine, 'utf8'),
+      eventId: eventEnvelope.eventId
+    };
+  }
+
+  /**
+   * Store JSON data
+   */
+  async storeJSON(data, storagePath, metadata = {}) {
+    const jsonString = JSON.stringify(data, null, 2);
+    const key = `${this.prefix}/${storagePath}`;
+    const hash = crypto.createHash('sha256').update(jsonString).digest('hex');
+
+    await this.storage.put(key, jsonString, {
+      contentType: 'application/json',
+      metadata: {
+        ...metadata,
+        contentHash: hash,
+        size: Buffer.byteLength(jsonString, 'utf8').toString(),
+        timestamp: new Date().toISOString()
+      }
+    });
+
+    return {
+      key,
+      size: Buffer.byteLength(jsonString, 'utf8'),
+      hash
+    };
+  }
+
+  /**
+   * Store binary data (GLB files, etc.)
+   */
+  async storeBinary(buffer, storagePath, contentType, metadata = {}) {
+    const key = `${this.prefix}/${storagePath}`;
+
+    const result = await this.storage.put(key, buffer, {
+      contentType,
+      metadata: {
+        ...metadata,
+        size: buffer.length.toString(),
+        timestamp: new Date().toISOString()
+      }
+    });
+
+    return {
+      key,
+      size: buffer.length,
+      etag: result.etag,
+      location: this.storage.resolve(key)
+    };
+  }
+
+  /**
+   * Retrieve data, or null when it does not exist
+   */
+  async retrieve(storagePath) {
+    const key = `${this.prefix}/${storagePath}`;
+    const stored = await this.storage.get(key);
+
+    if (!stored) {
+      return null;
+    }
+
+    return {
+      key,
+      body: stored.body.toString('utf8'),
+      metadata: stored.metadata,
+      contentType: stored.contentType,
+      lastModified: stored.lastModified
+    };
+  }
+
+  /**
+   * Check if object exists
+   */
+  async exists(storagePath) {
+    const head = await this.storage.head(`${this.prefix}/${storagePath}`);
+
+    if (!head) {
+      return { exists: false };
+    }
+
+    return {
+      exists: true,
+      size: head.size,
+      lastModified: head.lastModified,
+      metadata: head.metadata
+    };
+  }
+
+  /**
+   * List objects with prefix, continuing from a previous page's nextToken
+   * or starting after a storage path
+   */
+  async list(pathPrefix, maxKeys = 1000, continuationToken = null, startAfter = null) {
+    return await this.storage.list(`${this.prefix}/${pathPrefix}`, {
+      maxKeys,
+      continuationToken,
+      startAfter: startAfter ? `${this.prefix}/${startAfter}` : null
+    });
+  }
+
+  /**
+   * Signed URL served by the ingest service's /storage route
+   */
+  async generatePresignedUrl(storagePath, expiresIn = 3600) {
+    return this.storage.signUrl(`${this.prefix}/${storagePath}`, expiresIn);
+  }
+}
+
+module.exports = FilesystemStorageManager;
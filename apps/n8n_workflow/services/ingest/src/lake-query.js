@@ -0,0 +1,197 @@
+/**
+ * Lake Query
+ * Reads EventEnvelope records back out of the data lake, filtered by vehicle
+ * signature, event type, stage, job ID and time window. Objects are listed and
+ * read lazily, one day prefix at a time, and pages resume from a cursor.
+ */
+
+const EVENTS_PREFIX = 'raw/events';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class LakeQuery {
+  constructor(s3Manager) {
+    this.s3Manager = s3Manager;
+    this.maxWindowDays = parseInt(process.env.LAKE_QUERY_MAX_WINDOW_DAYS) || 31;
+    this.defaultWindowDays = 7;
+    this.maxObjectsPerPage = parseInt(process.env.LAKE_QUERY_MAX_OBJECTS) || 2000;
+  }
+
+  /**
+   * One page of matching events. Sparse filters may return a short page with a
+   * cursor when the object budget runs out before the page fills.
+   */
+  async page(filters = {}, limit = 100) {
+    const cursor = filters.cursor ? this.decodeCursor(filters.cursor) : null;
+    const window = cursor ? cursor.window : this.resolveWindow(filters);
+    const events = [];
+    let nextPosition = null;
+    let stats = null;
+
+    for await (const item of this.scan(filters, window, cursor, this.maxObjectsPerPage)) {
+      if (item.done) {
+        stats = item.stats;
+        nextPosition = item.resumeAt;
+        break;
+      }
+
+      events.push(item.event);
+      if (events.length === limit) {
+        nextPosition = item.position;
+        break;
+      }
+    }
+
+    return {
+      events,
+      count: events.length,
+      nextCursor: nextPosition ? this.encodeCursor({ ...nextPosition, window }) : null,
+      window,
+      scanned: stats
+    };
+  }
+
+  /**
+   * Every matching event in the window, for streaming responses
+   */
+  async *stream(filters = {}) {
+    const window = this.resolveWindow(filters);
+
+    for await (const item of this.scan(filters, window, null, Infinity)) {
+      if (item.done) return;
+      yield item.event;
+    }
+  }
+
+  /**
+   * Walk the day prefixes in the window and yield matching events with their
+   * position. Ends with a { done } item carrying where to resume, if anywhere.
+   */
+  async *scan(filters, window, cursor, maxObjects) {
+    const stats = { days: 0, objects: 0, records: 0 };
+    const days = this.days(window.from, window.to);
+    const startIndex = cursor ? Math.max(days.indexOf(cursor.day), 0) : 0;
+
+    for (let index = startIndex; index < days.length; index++) {
+      const day = days[index];
+      const prefix = `${EVENTS_PREFIX}/${day}/${filters.vehicleSig ? `${filters.vehicleSig}/` : ''}`;
+      const resuming = cursor && cursor.day === day;
+      let startAfter = resuming ? cursor.key : null;
+      stats.days++;
+
+      // Finish the object a previous page stopped inside of
+      if (resuming && cursor.key && cursor.line !== null) {
+        stats.objects++;
+        yield* this.readObject(cursor.key, day, filters, window, stats, cursor.line + 1);
+      }
+
+      let continuationToken = null;
+      do {
+        const listing = await this.s3Manager.list(prefix, 1000, continuationToken, continuationToken ? null : startAfter);
+
+        for (const object of listing.objects) {
+          if (stats.objects >= maxObjects) {
+            yield { done: true, stats, resumeAt: { day, key: startAfter, line: null } };
+            return;
+          }
+
+          const storagePath = object.Key.slice(this.s3Manager.prefix.length + 1);
+          stats.objects++;
+          yield* this.readObject(storagePath, day, filters, window, stats, 0);
+          startAfter = storagePath;
+        }
+
+        continuationToken = listing.nextToken;
+      } while (continuationToken);
+    }
+
+    yield { done: true, stats, resumeAt: null };
+  }
+
+  async *readObject(storagePath, day, filters, window, stats, fromLine) {
+    const stored = await this.s3Manager.retrieve(storagePath);
+    if (!stored) return;
+
+    const lines = stored.body.split('\n');
+    for (let line = fromLine; line < lines.length; line++) {
+      if (!lines[line].trim()) continue;
+
+      let event;
+      try {
+        event = JSON.parse(lines[line]);
+      } catch (error) {
+        continue;
+      }
+
+      stats.records++;
+      if (this.matches(event, filters, window)) {
+        yield { event, position: { day, key: storagePath, line } };
+      }
+    }
+  }
+
+  matches(event, filters, window) {
+    if (filters.jobId && event.jobId !== filters.jobId) return false;
+    if (filters.eventType && event.eventType !== filters.eventType) return false;
+    if (filters.stage && event.stage !== filters.stage) return false;
+    if (filters.vehicleSig && event.metadata?.vehicleSig && event.metadata.vehicleSig !== filters.vehicleSig) return false;
+    if (event.timestamp < window.from || event.timestamp > window.to) return false;
+    return true;
+  }
+
+  /**
+   * Default to the last week and reject windows too wide to scan
+   */
+  resolveWindow(filters) {
+    const to = filters.to ? new Date(filters.to) : new Date();
+    const from = filters.from ? new Date(filters.from) : new Date(to.getTime() - this.defaultWindowDays * DAY_MS);
+
+    // A date-only upper bound includes the whole day
+    if (filters.to && filters.to.length === 10) {
+      to.setUTCHours(23, 59, 59, 999);
+    }
+
+    if (from > to) {
+      throw this.badRequest('from must be before to');
+    }
+    if (to - from > this.maxWindowDays * DAY_MS) {
+      throw this.badRequest(`Time window cannot exceed ${this.maxWindowDays} days`);
+    }
+
+    return { from: from.toISOString(), to: to.toISOString() };
+  }
+
+  days(from, to) {
+    const days = [];
+    const cursor = new Date(`${from.substring(0, 10)}T00:00:00.000Z`);
+    const last = to.substring(0, 10);
+
+    while (cursor.toISOString().substring(0, 10) <= last) {
+      days.push(cursor.toISOString().substring(0, 10));
+      cursor.setTime(cursor.getTime() + DAY_MS);
+    }
+
+    return days;
+  }
+
+  encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    try {
+      const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (!position.day || !position.window) throw new Error('incomplete cursor');
+      return position;
+    } catch (error) {
+      throw this.badRequest('Invalid cursor');
+    }
+  }
+
+  badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+}
+
+module.exports = LakeQuery;
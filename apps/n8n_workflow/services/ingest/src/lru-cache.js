@@ -0,0 +1,116 @@
+/**
+ * LRU Cache
+ * Bounded in-process cache with per-entry expiry, evicting the least recently used entry
+ */
+
+class LruCache {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = new Map();
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      evictions: 0,
+      expirations: 0
+    };
+  }
+
+  /**
+   * Get a live value and mark it as most recently used
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      this.stats.misses++;
+      return undefined;
+    }
+
+    if (this.isExpired(entry)) {
+      this.entries.delete(key);
+      this.stats.expirations++;
+      this.stats.misses++;
+      return undefined;
+    }
+
+    // Re-inserting moves the key to the end of the Map's iteration order
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Store a value, expiring after ttl seconds (no expiry when ttl is falsy)
+   */
+  set(key, value, ttl = null) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value,
+      expiresAt: ttl ? Date.now() + ttl * 1000 : null
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next().value;
+      this.entries.delete(oldest);
+      this.stats.evictions++;
+    }
+  }
+
+  has(key) {
+    const entry = this.entries.get(key);
+    return Boolean(entry) && !this.isExpired(entry);
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * Seconds until expiry, -1 without expiry and -2 when missing, as Redis TTL reports
+   */
+  ttl(key) {
+    const entry = this.entries.get(key);
+    if (!entry || this.isExpired(entry)) return -2;
+    if (!entry.expiresAt) return -1;
+    return Math.ceil((entry.expiresAt - Date.now()) / 1000);
+  }
+
+  expire(key, ttl) {
+    const entry = this.entries.get(key);
+    if (!entry || this.isExpired(entry)) return false;
+    entry.expiresAt = Date.now() + ttl * 1000;
+    return true;
+  }
+
+  /**
+   * Live keys, oldest first
+   */
+  keys() {
+    return [...this.entries.keys()].filter(key => this.has(key));
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      hitRate: lookups > 0 ? Math.round(this.stats.hits / lookups * 1000) / 1000 : 0
+    };
+  }
+
+  isExpired(entry) {
+    return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+  }
+}
+
+module.exports = LruCache;
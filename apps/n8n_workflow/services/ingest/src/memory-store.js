@@ -0,0 +1,152 @@
+/**
+ * Memory Store
+ * In-process stand-in for the subset of the node-redis v4 client used by
+ * CacheManager, for tests and offline runs without Redis
+ */
+
+const LruCache = require('./lru-cache');
+
+class MemoryStore {
+  /**
+   * options.store wraps an existing LruCache, such as CacheManager's local tier
+   */
+  constructor(options = {}) {
+    this.store = options.store || new LruCache({ maxEntries: options.maxEntries || 100000 });
+    this.isReady = false;
+  }
+
+  on() {
+    return this;
+  }
+
+  async connect() {
+    this.isReady = true;
+  }
+
+  async quit() {
+    this.isReady = false;
+  }
+
+  async ping() {
+    return 'PONG';
+  }
+
+  async get(key) {
+    const value = this.store.get(key);
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * SET with the NX and EX options
+   */
+  async set(key, value, options = {}) {
+    if (options.NX && this.store.has(key)) {
+      return null;
+    }
+    this.store.set(key, value, options.EX || null);
+    return 'OK';
+  }
+
+  async setEx(key, ttl, value) {
+    this.store.set(key, value, ttl);
+    return 'OK';
+  }
+
+  async del(keys) {
+    return [].concat(keys).filter(key => this.store.delete(key)).length;
+  }
+
+  async exists(key) {
+    return this.store.has(key) ? 1 : 0;
+  }
+
+  async expire(key, ttl) {
+    return this.store.expire(key, ttl);
+  }
+
+  async ttl(key) {
+    return this.store.ttl(key);
+  }
+
+  /**
+   * Glob-style KEYS supporting * and ?
+   */
+  async keys(pattern) {
+    const matcher = MemoryStore.globToRegExp(pattern);
+    return this.store.keys().filter(key => matcher.test(key));
+  }
+
+  static globToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+  }
+
+  async sAdd(key, members) {
+    const set = this.store.get(key) || new Set();
+    const before = set.size;
+    [].concat(members).forEach(member => set.add(member));
+    this.store.set(key, set, this.store.ttl(key) > 0 ? this.store.ttl(key) : null);
+    return set.size - before;
+  }
+
+  async sRem(key, members) {
+    const set = this.store.get(key);
+    if (!set) return 0;
+    const removed = [].concat(members).filter(member => set.delete(member)).length;
+    if (set.size === 0) this.store.delete(key);
+    return removed;
+  }
+
+  async sMembers(key) {
+    const set = this.store.get(key);
+    return set ? [...set] : [];
+  }
+
+  async sCard(key) {
+    const set = this.store.get(key);
+    return set ? set.size : 0;
+  }
+
+  async mGet(keys) {
+    return Promise.all(keys.map(key => this.get(key)));
+  }
+
+  /**
+   * Queue commands and run them in order on exec, like a MULTI transaction
+   */
+  multi() {
+    const commands = [];
+    const transaction = {};
+
+    ['get', 'set', 'setEx', 'del', 'exists', 'expire', 'ttl', 'sAdd', 'sRem', 'sCard'].forEach(command => {
+      transaction[command] = (...args) => {
+        commands.push(() => this[command](...args));
+        return transaction;
+      };
+    });
+    transaction.exec = async () => {
+      const results = [];
+      for (const run of commands) {
+        results.push(await run());
+      }
+      return results;
+    };
+
+    return transaction;
+  }
+
+  /**
+   * Minimal INFO output for the memory and keyspace sections
+   */
+  async info(section) {
+    if (section === 'keyspace') {
+      return `# Keyspace\r\ndb0:keys=${this.store.keys().length},expires=0\r\n`;
+    }
+
+    const used = process.memoryUsage().heapUsed;
+    const human = `${(used / 1024 / 1024).toFixed(2)}M`;
+    return `# Memory\r\nused_memory:${used}\r\nused_memory_human:${human}\r\nused_memory_peak_human:${human}\r\nused_memory_rss_human:${human}\r\n`;
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,469 @@
+/**
+ * Review Queue
+ * Lifecycle for manual review items: list, claim, approve or reject,
+ * and re-injection of approved corrections into the cache and data lake
+ */
+
+const path = require('path');
+const { createVehicleSignature, parseVehicleSignature } = require('../../../utils/validation-helpers');
+
+const PRIORITY_ORDER = { high: 0, normal: 1, low: 2 };
+const RESOLVED_STATUSES = ['approved', 'rejected'];
+const REVIEW_PREFIX = 'manual_review/';
+
+class ReviewQueue {
+  constructor(s3Manager, cacheManager, eventProcessor) {
+    this.s3Manager = s3Manager;
+    this.cacheManager = cacheManager;
+    this.eventProcessor = eventProcessor;
+    this.claimTTL = parseInt(process.env.REVIEW_CLAIM_TTL) || 1800; // 30 minutes
+    this.llmMetadataTTL = parseInt(process.env.CACHE_TTL_LLM_METADATA) || 86400;
+    // Reviews by ID with their storage path and last-modified time, so only new or
+    // changed items are read from storage
+    this.index = new Map();
+  }
+
+  /**
+   * List review items, highest priority and oldest first
+   */
+  async list(filters = {}) {
+    const limit = filters.limit || 50;
+    await this.refreshIndex();
+
+    const reviews = [...this.index.values()]
+      .map(entry => entry.review)
+      .filter(review => this.matches(review, filters));
+
+    reviews.sort((a, b) =>
+      (PRIORITY_ORDER[a.priority] ?? 1) - (PRIORITY_ORDER[b.priority] ?? 1) ||
+      a.createdAt.localeCompare(b.createdAt)
+    );
+
+    return {
+      reviews: reviews.slice(0, limit).map(review => this.describe(review)),
+      total: reviews.length
+    };
+  }
+
+  /**
+   * Get a single review item, or null when it does not exist
+   */
+  async get(reviewId) {
+    const storagePath = await this.findPath(reviewId);
+    if (!storagePath) {
+      return null;
+    }
+
+    const review = await this.load(storagePath);
+    return review ? this.describe(review) : null;
+  }
+
+  /**
+   * Claim a review for a reviewer. Claims expire so abandoned reviews return to the queue.
+   */
+  async claim(reviewId, reviewer) {
+    const found = await this.find(reviewId);
+    if (!found) return null;
+    const { review, storagePath } = found;
+
+    if (RESOLVED_STATUSES.includes(review.status)) {
+      throw this.conflict(`Review ${reviewId} is already ${review.status}`);
+    }
+    if (review.status === 'claimed' && review.claimedBy !== reviewer && !this.isClaimExpired(review)) {
+      throw this.conflict(`Review ${reviewId} is claimed by ${review.claimedBy}`);
+    }
+
+    const locked = await this.cacheManager.acquireLock(`review:${reviewId}`, reviewer, this.claimTTL);
+    if (!locked) {
+      throw this.conflict(`Review ${reviewId} is being claimed by another reviewer`);
+    }
+
+    const now = new Date();
+    review.status = 'claimed';
+    review.claimedBy = reviewer;
+    review.claimedAt = now.toISOString();
+    review.claimExpiresAt = new Date(now.getTime() + this.claimTTL * 1000).toISOString();
+    this.addHistory(review, 'claimed', reviewer);
+
+    await this.save(review, storagePath);
+    return this.describe(review);
+  }
+
+  /**
+   * Give a claimed review back to the queue
+   */
+  async release(reviewId, reviewer) {
+    const found = await this.find(reviewId);
+    if (!found) return null;
+    const { review, storagePath } = found;
+
+    this.assertClaimedBy(review, reviewer);
+
+    review.status = 'pending';
+    review.claimedBy = null;
+    review.claimedAt = null;
+    review.claimExpiresAt = null;
+    this.addHistory(review, 'released', reviewer);
+
+    await this.save(review, storagePath);
+    await this.cacheManager.releaseLock(`review:${reviewId}`, reviewer);
+    return this.describe(review);
+  }
+
+  /**
+   * Approve a claimed review, optionally with a corrected payload, and re-inject it
+   */
+  async approve(reviewId, reviewer, { correctedPayload, notes } = {}) {
+    const found = await this.find(reviewId);
+    if (!found) return null;
+    const { review, storagePath } = found;
+
+    this.assertClaimedBy(review, reviewer);
+    this.validateCorrection(review, correctedPayload);
+
+    review.status = 'approved';
+    review.resolution = {
+      decision: 'approved',
+      reviewer,
+      notes: notes || null,
+      correctedPayload: correctedPayload || null,
+      resolvedAt: new Date().toISOString()
+    };
+    this.addHistory(review, 'approved', reviewer);
+
+    review.reinjection = await this.reinjectSafely(review);
+
+    await this.save(review, storagePath);
+    await this.cacheManager.releaseLock(`review:${reviewId}`, reviewer);
+    return this.describe(review);
+  }
+
+  /**
+   * Reject a claimed review with a reason
+   */
+  async reject(reviewId, reviewer, reason) {
+    const found = await this.find(reviewId);
+    if (!found) return null;
+    const { review, storagePath } = found;
+
+    this.assertClaimedBy(review, reviewer);
+
+    review.status = 'rejected';
+    review.resolution = {
+      decision: 'rejected',
+      reviewer,
+      reason,
+      resolvedAt: new Date().toISOString()
+    };
+    this.addHistory(review, 'rejected', reviewer);
+
+    await this.save(review, storagePath);
+    await this.cacheManager.releaseLock(`review:${reviewId}`, reviewer);
+    return this.describe(review);
+  }
+
+  /**
+   * Retry re-injection of an approved review, e.g. after a storage outage
+   */
+  async retryReinjection(reviewId) {
+    const found = await this.find(reviewId);
+    if (!found) return null;
+    const { review, storagePath } = found;
+
+    if (review.status !== 'approved') {
+      throw this.conflict(`Review ${reviewId} is ${review.status}, only approved reviews can be re-injected`);
+    }
+    this.validateCorrection(review, review.resolution?.correctedPayload);
+
+    review.reinjection = await this.reinjectSafely(review);
+    this.addHistory(review, 'reinjected', review.resolution?.reviewer);
+
+    await this.save(review, storagePath);
+    return this.describe(review);
+  }
+
+  /**
+   * Validate a correction before any state changes, so a bad payload leaves the claim intact
+   */
+  validateCorrection(review, correctedPayload) {
+    if (review.category === 'research_quality') {
+      const payload = correctedPayload || review.errorPayload || {};
+      this.researchVehicleSignature(payload.manifest || payload);
+      return;
+    }
+
+    if (!correctedPayload || review.category !== 'llm_metadata_enrichment') {
+      return;
+    }
+
+    const metadata = this.buildNodeMetadata(review, correctedPayload);
+    const validation = this.eventProcessor.schemaValidator.validate('NodeMetadata', metadata);
+    if (!validation.valid) {
+      throw this.invalid(`Corrected metadata is invalid: ${JSON.stringify(validation.errors)}`);
+    }
+  }
+
+  /**
+   * Vehicle signature of a research manifest, refusing brand, model and year
+   * values that would not parse back from it unchanged
+   */
+  researchVehicleSignature(manifest) {
+    const vehicleSig = createVehicleSignature(manifest.brand, manifest.model, manifest.year);
+    let parsed = null;
+    try {
+      parsed = parseVehicleSignature(vehicleSig);
+    } catch (error) {
+      parsed = null;
+    }
+
+    const valid = parsed &&
+      typeof manifest.brand === 'string' && typeof manifest.model === 'string' &&
+      parsed.brand && parsed.model && Number.isInteger(parsed.year) &&
+      createVehicleSignature(parsed.brand, parsed.model, parsed.year) === vehicleSig;
+    if (!valid) {
+      throw this.invalid(`Research manifest has no valid vehicle signature: ${vehicleSig}`);
+    }
+    return vehicleSig;
+  }
+
+  async reinjectSafely(review) {
+    try {
+      return await this.reinject(review);
+    } catch (error) {
+      return {
+        applied: false,
+        error: error.message,
+        attemptedAt: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Write the approved payload back to where the pipeline reads it from
+   */
+  async reinject(review) {
+    const payload = review.resolution?.correctedPayload || review.errorPayload;
+    const targets = [];
+
+    switch (review.category) {
+      case 'llm_metadata_enrichment': {
+        const original = review.errorPayload || {};
+        const metadata = this.buildNodeMetadata(review, payload);
+        const jobId = original.jobId || original.metadata?.jobId;
+
+        // Node metadata is read back per job (by the cache warmer, among others), so it needs one
+        if (jobId) {
+          const stored = await this.eventProcessor.storeNormalizedData(
+            'node_metadata', metadata, `${this.sanitize(jobId)}/${metadata.nodeId}`
+          );
+          targets.push({ target: 'data_lake', storagePath: stored.storagePath });
+        } else {
+          targets.push({ target: 'data_lake', skipped: true, reason: 'No jobId to store the node metadata under' });
+        }
+
+        if (original.vehicleSignature && metadata.nodeId && original.evidenceHash) {
+          const cached = await this.cacheManager.cacheLLMMetadata(
+            original.vehicleSignature, metadata.nodeId, original.evidenceHash, metadata, original.component || null
+          );
+          targets.push({ target: 'cache', key: cached.contentKey });
+        } else if (original.cacheKey) {
+          await this.cacheManager.set(original.cacheKey, metadata, this.llmMetadataTTL, 'llm_metadata');
+          targets.push({ target: 'cache', key: original.cacheKey });
+        }
+        break;
+      }
+
+      case 'research_quality': {
+        const manifest = payload.manifest || payload;
+        const jobId = review.errorPayload?.jobId || review.errorPayload?.metadata?.jobId;
+        const vehicleSig = this.researchVehicleSignature(manifest);
+
+        await this.cacheManager.cacheResearch(vehicleSig, manifest);
+        targets.push({ target: 'cache', key: `research:${vehicleSig}` });
+
+        if (jobId) {
+          const stored = await this.eventProcessor.storeResearch(manifest, jobId);
+          targets.push({ target: 'data_lake', storagePath: stored.storagePath });
+        }
+        break;
+      }
+
+      default:
+        return {
+          applied: false,
+          reason: `No re-injection target for category ${review.category}`,
+          attemptedAt: new Date().toISOString()
+        };
+    }
+
+    return {
+      applied: true,
+      targets,
+      appliedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Merge a correction over the queued LLM item into a NodeMetadata document
+   */
+  buildNodeMetadata(review, correctedPayload) {
+    const original = review.errorPayload || {};
+    const { vehicleSignature, needsReview, reason, timestamp, cacheKey, evidenceHash, jobId, component, ...metadata } = {
+      ...original,
+      ...(correctedPayload || {})
+    };
+
+    return {
+      ...metadata,
+      nodeId: original.nodeId || metadata.nodeId,
+      gaps: metadata.gaps || [],
+      reviewedBy: review.resolution?.reviewer || null,
+      reviewId: review.reviewId,
+      generated: new Date().toISOString()
+    };
+  }
+
+  matches(review, filters) {
+    const status = this.effectiveStatus(review);
+    if (filters.status && status !== filters.status) return false;
+    if (filters.priority && review.priority !== filters.priority) return false;
+    if (filters.category && review.category !== filters.category) return false;
+    if (filters.claimedBy && review.claimedBy !== filters.claimedBy) return false;
+    return true;
+  }
+
+  /**
+   * Expired claims are reported as pending so they show up for other reviewers
+   */
+  effectiveStatus(review) {
+    return review.status === 'claimed' && this.isClaimExpired(review) ? 'pending' : review.status;
+  }
+
+  isClaimExpired(review) {
+    return Boolean(review.claimExpiresAt) && new Date(review.claimExpiresAt).getTime() <= Date.now();
+  }
+
+  assertClaimedBy(review, reviewer) {
+    if (RESOLVED_STATUSES.includes(review.status)) {
+      throw this.conflict(`Review ${review.reviewId} is already ${review.status}`);
+    }
+    if (review.status !== 'claimed' || review.claimedBy !== reviewer) {
+      throw this.conflict(`Review ${review.reviewId} must be claimed by ${reviewer} first`);
+    }
+    if (this.isClaimExpired(review)) {
+      throw this.conflict(`Claim on review ${review.reviewId} expired, claim it again`);
+    }
+  }
+
+  addHistory(review, action, reviewer) {
+    review.history = review.history || [];
+    review.history.push({ action, reviewer: reviewer || null, at: new Date().toISOString() });
+    review.updatedAt = new Date().toISOString();
+  }
+
+  describe(review) {
+    return {
+      ...review,
+      status: this.effectiveStatus(review),
+      claimExpired: review.status === 'claimed' && this.isClaimExpired(review)
+    };
+  }
+
+  conflict(message) {
+    const error = new Error(message);
+    error.status = 409;
+    return error;
+  }
+
+  invalid(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+
+  sanitize(value) {
+    return value.toString().replace(/[^a-zA-Z0-9._-]+/g, '_');
+  }
+
+  /**
+   * Load a review fresh from storage, since another instance may have changed it
+   */
+  async find(reviewId) {
+    const storagePath = await this.findPath(reviewId);
+    if (!storagePath) return null;
+
+    const review = await this.load(storagePath);
+    return review ? { review, storagePath } : null;
+  }
+
+  /**
+   * Review items are stored under dated prefixes, so look the key up in the index,
+   * refreshing it once for reviews queued since
+   */
+  async findPath(reviewId) {
+    if (!this.index.has(reviewId)) {
+      await this.refreshIndex();
+    }
+    return this.index.get(reviewId)?.storagePath || null;
+  }
+
+  /**
+   * Bring the index up to date from one listing, reading only reviews that are new
+   * or were modified since they were indexed
+   */
+  async refreshIndex() {
+    const listed = new Set();
+    let continuationToken = null;
+
+    do {
+      const listing = await this.s3Manager.list(REVIEW_PREFIX, 1000, continuationToken);
+
+      for (const object of listing.objects) {
+        const storagePath = object.Key.slice(this.s3Manager.prefix.length + 1);
+        const reviewId = path.posix.basename(storagePath, '.json');
+        const modified = new Date(object.LastModified).getTime();
+        listed.add(reviewId);
+
+        const entry = this.index.get(reviewId);
+        if (entry && entry.storagePath === storagePath && entry.modified === modified) continue;
+
+        const review = await this.load(storagePath);
+        if (review) {
+          this.index.set(reviewId, { storagePath, modified, review });
+        }
+      }
+
+      continuationToken = listing.nextToken;
+    } while (continuationToken);
+
+    for (const reviewId of this.index.keys()) {
+      if (!listed.has(reviewId)) {
+        this.index.delete(reviewId);
+      }
+    }
+  }
+
+  async load(storagePath) {
+    const stored = await this.s3Manager.retrieve(storagePath);
+    if (!stored) return null;
+
+    try {
+      return JSON.parse(stored.body);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async save(review, storagePath) {
+    await this.s3Manager.storeJSON(review, storagePath, {
+      reviewId: review.reviewId,
+      priority: review.priority,
+      category: review.category,
+      status: review.status
+    });
+    // Without the new modification time the next refresh reads it back once
+    this.index.set(review.reviewId, { storagePath, modified: null, review });
+  }
+}
+
+module.exports = ReviewQueue;
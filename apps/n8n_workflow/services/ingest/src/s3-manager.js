@@ -6,12 +6,13 @@
 const { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
 const { Upload } = require('@aws-sdk/lib-storage');
 const crypto = require('crypto');
+const StorageManager = require('./storage-manager');
 
-class S3Manager {
+class S3Manager extends StorageManager {
   constructor() {
+    super();
     this.client = null;
     this.bucket = process.env.S3_BUCKET;
-    this.prefix = process.env.S3_PREFIX || 'jobs';
     this.region = process.env.AWS_REGION || 'us-east-1';
     
     if (!this.bucket) {
@@ -211,15 +212,18 @@ class S3Manager {
   }
 
   /**
-   * List objects with prefix
+   * List objects with prefix, continuing from a previous page's nextToken
+   * or starting after a storage path
    */
-  async list(pathPrefix, maxKeys = 1000) {
+  async list(pathPrefix, maxKeys = 1000, continuationToken = null, startAfter = null) {
     const key = `${this.prefix}/${pathPrefix}`;
     
     const command = new ListObjectsV2Command({
       Bucket: this.bucket,
       Prefix: key,
-      MaxKeys: maxKeys
+      MaxKeys: maxKeys,
+      ContinuationToken: continuationToken || undefined,
+      StartAfter: startAfter ? `${this.prefix}/${startAfter}` : undefined
     });
 
     const response = await this.client.send(command);
@@ -227,81 +231,11 @@ class S3Manager {
     return {
       objects: response.Contents || [],
       truncated: response.IsTruncated,
-      count: response.KeyCount
+      count: response.KeyCount,
+      nextToken: response.NextContinuationToken || null
     };
   }
 
-  /**
-   * Generate storage paths for different data types
-   */
-  generatePath(type, identifier, extension = '.json') {
-    const date = new Date();
-    const datePrefix = date.toISOString().split('T')[0]; // YYYY-MM-DD
-    
-    switch (type) {
-      case 'event':
-        return `raw/events/${datePrefix}/${identifier}.ndjson`;
-      
-      case 'research':
-        return `raw/research/${identifier}.json`;
-      
-      case 'normalized':
-        return `normalized/electrograph/${identifier}.json`;
-      
-      case 'enriched':
-        return `enriched/node_metadata/${identifier}.json`;
-      
-      case 'spatialized':
-        return `spatialized/electrograph3d/${identifier}.json`;
-      
-      case 'model':
-        return `curated/models_glb/${identifier}.glb`;
-      
-      case 'manifest':
-        return `curated/manifests/${identifier}.json`;
-      
-      case 'viewer':
-        return `analytics/viewer_events/${datePrefix}/${identifier}.ndjson`;
-      
-      case 'manual-review':
-        return `manual_review/${datePrefix}/${identifier}.json`;
-      
-      default:
-        throw new Error(`Unknown storage type: ${type}`);
-    }
-  }
-
-  /**
-   * Get data lake statistics
-   */
-  async getStatistics() {
-    const stats = {
-      totalObjects: 0,
-      totalSize: 0,
-      byType: {}
-    };
-
-    const types = ['raw', 'normalized', 'enriched', 'spatialized', 'curated', 'analytics'];
-    
-    for (const type of types) {
-      try {
-        const listing = await this.list(type, 10000);
-        const typeStats = {
-          objects: listing.count,
-          size: listing.objects.reduce((sum, obj) => sum + (obj.Size || 0), 0)
-        };
-        
-        stats.byType[type] = typeStats;
-        stats.totalObjects += typeStats.objects;
-        stats.totalSize += typeStats.size;
-      } catch (error) {
-        stats.byType[type] = { objects: 0, size: 0, error: error.message };
-      }
-    }
-
-    return stats;
-  }
-
   /**
    * Helper to convert stream to string
    */
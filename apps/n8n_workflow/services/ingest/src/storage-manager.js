@@ -0,0 +1,129 @@
+/**
+ * Storage Manager
+ * Data lake layout shared by the storage backends. Backends implement
+ * storeEvent, storeJSON, storeBinary, retrieve, exists, list,
+ * generatePresignedUrl and healthCheck over keys under the prefix; the
+ * helpers here build on those.
+ */
+
+class StorageManager {
+  constructor() {
+    this.prefix = process.env.S3_PREFIX || 'jobs';
+  }
+
+  /**
+   * Generate storage paths for different data types
+   */
+  generatePath(type, identifier, extension = '.json') {
+    const date = new Date();
+    const datePrefix = date.toISOString().split('T')[0]; // YYYY-MM-DD
+    
+    switch (type) {
+      case 'event':
+        return `raw/events/${datePrefix}/${identifier}.ndjson`;
+      
+      case 'research':
+        return `raw/research/${identifier}.json`;
+      
+      case 'normalized':
+        return `normalized/electrograph/${identifier}.json`;
+      
+      case 'enriched':
+        return `enriched/node_metadata/${identifier}.json`;
+      
+      case 'spatialized':
+        return `spatialized/electrograph3d/${identifier}.json`;
+      
+      case 'model':
+        return `curated/models_glb/${identifier}.glb`;
+      
+      case 'manifest':
+        return `curated/manifests/${identifier}.json`;
+      
+      case 'viewer':
+        return `analytics/viewer_events/${datePrefix}/${identifier}.ndjson`;
+      
+      case 'manual-review':
+        return `manual_review/${datePrefix}/${identifier}.json`;
+      
+      case 'replay':
+        return `replays/${identifier}.json`;
+      
+      default:
+        throw new Error(`Unknown storage type: ${type}`);
+    }
+  }
+
+  /**
+   * Retrieve and parse a JSON object, or null when it is missing or unparseable
+   */
+  async retrieveJSON(storagePath) {
+    const stored = await this.retrieve(storagePath);
+    if (!stored) return null;
+
+    try {
+      return JSON.parse(stored.body);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * NodeMetadata documents of a job, stored either as one document for the job
+   * or one per node under the job's directory
+   */
+  async listNodeMetadata(jobId) {
+    const base = this.generatePath('enriched', jobId).replace(/\.json$/, '');
+    const documents = [];
+    let continuationToken = null;
+
+    do {
+      const listing = await this.list(base, 1000, continuationToken);
+
+      for (const object of listing.objects) {
+        const storagePath = object.Key.slice(this.prefix.length + 1);
+        if (storagePath !== `${base}.json` && !storagePath.startsWith(`${base}/`)) continue;
+
+        const stored = await this.retrieveJSON(storagePath);
+        [].concat(stored || []).filter(metadata => metadata?.nodeId).forEach(metadata => documents.push(metadata));
+      }
+
+      continuationToken = listing.nextToken;
+    } while (continuationToken);
+
+    return documents;
+  }
+
+  /**
+   * Get data lake statistics
+   */
+  async getStatistics() {
+    const stats = {
+      totalObjects: 0,
+      totalSize: 0,
+      byType: {}
+    };
+
+    const types = ['raw', 'normalized', 'enriched', 'spatialized', 'curated', 'analytics'];
+    
+    for (const type of types) {
+      try {
+        const listing = await this.list(type, 10000);
+        const typeStats = {
+          objects: listing.count,
+          size: listing.objects.reduce((sum, obj) => sum + (obj.Size || 0), 0)
+        };
+        
+        stats.byType[type] = typeStats;
+        stats.totalObjects += typeStats.objects;
+        stats.totalSize += typeStats.size;
+      } catch (error) {
+        stats.byType[type] = { objects: 0, size: 0, error: error.message };
+      }
+    }
+
+    return stats;
+  }
+}
+
+module.exports = StorageManager;
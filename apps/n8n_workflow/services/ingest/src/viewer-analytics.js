@@ -0,0 +1,407 @@
+/**
+ * Viewer Analytics
+ * Replays stored viewer event batches and aggregates how the 3D viewer is used
+ * per model and per component
+ */
+
+const VIEWER_PREFIX = 'analytics/viewer_events/';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Events that show a technician actually worked with a loaded model
+const INTERACTION_EVENTS = [
+  'component_hover',
+  'component_click',
+  'circuit_trace',
+  'circuit_isolate',
+  'mode_switch',
+  'search',
+  'export'
+];
+
+// Hovering is incidental, so it counts for less than a deliberate click or trace
+const INSPECTION_WEIGHTS = {
+  component_click: 1,
+  circuit_trace: 1,
+  component_hover: 0.25
+};
+
+class ViewerAnalytics {
+  constructor(s3Manager) {
+    this.s3Manager = s3Manager;
+    this.maxBatches = parseInt(process.env.VIEWER_ANALYTICS_MAX_BATCHES) || 2000;
+    this.maxWindowDays = parseInt(process.env.VIEWER_ANALYTICS_MAX_WINDOW_DAYS) || 31;
+    this.defaultWindowDays = 7;
+  }
+
+  /**
+   * Overall usage aggregates for the events matching the filters
+   */
+  async summarize(filters = {}) {
+    const { events, batches, truncated, window } = await this.loadEvents(filters);
+    return {
+      ...this.aggregate(events, { top: filters.top }),
+      source: { batches, events: events.length, truncated, window }
+    };
+  }
+
+  /**
+   * Aggregates for each model (vehicle), busiest first
+   */
+  async byModel(filters = {}) {
+    const { events, batches, truncated, window } = await this.loadEvents(filters);
+    // Group whole sessions so drop-off and session length are not split across models
+    const sessionModels = new Map(this.buildSessions(events).map(session => [session.sessionId, session.modelId]));
+    const groups = this.groupBy(events, event => sessionModels.get(event.sessionId));
+
+    const models = [...groups.entries()]
+      .map(([modelId, modelEvents]) => ({ modelId, ...this.aggregate(modelEvents, { top: filters.top }) }))
+      .sort((a, b) => b.overview.sessions - a.overview.sessions);
+
+    return {
+      models,
+      source: { batches, events: events.length, truncated, window }
+    };
+  }
+
+  /**
+   * Per-component interaction breakdown, most inspected first
+   */
+  async byComponent(filters = {}) {
+    const { events, batches, truncated, window } = await this.loadEvents(filters);
+    const components = this.componentStats(events);
+
+    return {
+      components: components.slice(0, filters.top || 50),
+      total: components.length,
+      source: { batches, events: events.length, truncated, window }
+    };
+  }
+
+  /**
+   * Aggregate a list of viewer events
+   */
+  aggregate(events, options = {}) {
+    const top = options.top || 10;
+    const sessions = this.buildSessions(events);
+    const durations = sessions.map(session => session.duration);
+
+    return {
+      overview: {
+        events: events.length,
+        sessions: sessions.length,
+        users: new Set(events.map(event => event.userId).filter(Boolean)).size,
+        models: new Set(events.map(event => this.modelKey(event))).size,
+        eventTypes: this.countBy(events, event => event.eventType),
+        errors: events.filter(event => event.eventType === 'error').length
+      },
+      sessionLength: {
+        averageMs: this.average(durations),
+        medianMs: this.median(durations),
+        maxMs: durations.length > 0 ? Math.max(...durations) : 0
+      },
+      topComponents: this.componentStats(events).slice(0, top),
+      filterCombinations: this.filterCombinations(sessions).slice(0, top),
+      searches: this.rank(this.countBy(
+        events.filter(event => event.eventType === 'search' && event.payload?.searchQuery),
+        event => event.payload.searchQuery.trim().toLowerCase()
+      ), 'query').slice(0, top),
+      exports: this.countBy(
+        events.filter(event => event.eventType === 'export'),
+        event => event.payload?.exportFormat || 'unknown'
+      ),
+      dropOff: this.dropOff(sessions)
+    };
+  }
+
+  /**
+   * Order each session's events and measure it from first to last event
+   */
+  buildSessions(events) {
+    const groups = this.groupBy(events, event => event.sessionId);
+
+    return [...groups.entries()].map(([sessionId, sessionEvents]) => {
+      const ordered = [...sessionEvents].sort((a, b) => this.time(a) - this.time(b));
+      return {
+        sessionId,
+        modelId: this.modelKey(ordered.find(event => event.vehicleId || event.jobId) || ordered[0]),
+        events: ordered,
+        duration: this.time(ordered[ordered.length - 1]) - this.time(ordered[0])
+      };
+    });
+  }
+
+  /**
+   * Clicks, traces and hovers per component, with a weighted inspection score
+   */
+  componentStats(events) {
+    const stats = new Map();
+
+    events.forEach(event => {
+      const componentId = event.payload?.componentId;
+      if (!componentId || !(event.eventType in INSPECTION_WEIGHTS)) return;
+
+      if (!stats.has(componentId)) {
+        stats.set(componentId, {
+          componentId,
+          score: 0,
+          clicks: 0,
+          hovers: 0,
+          traces: 0,
+          dwellMs: 0,
+          sessions: new Set(),
+          models: new Set()
+        });
+      }
+
+      const entry = stats.get(componentId);
+      entry.score += INSPECTION_WEIGHTS[event.eventType];
+      entry.clicks += event.eventType === 'component_click' ? 1 : 0;
+      entry.hovers += event.eventType === 'component_hover' ? 1 : 0;
+      entry.traces += event.eventType === 'circuit_trace' ? 1 : 0;
+      entry.dwellMs += event.payload.duration || 0;
+      entry.sessions.add(event.sessionId);
+      entry.models.add(this.modelKey(event));
+    });
+
+    return [...stats.values()]
+      .map(entry => ({
+        ...entry,
+        score: Math.round(entry.score * 100) / 100,
+        sessions: entry.sessions.size,
+        models: [...entry.models]
+      }))
+      .sort((a, b) => b.score - a.score || b.sessions - a.sessions);
+  }
+
+  /**
+   * Count the filter states technicians settle on. A session's filter state is its
+   * current mode plus isolated circuits; each change records the resulting combination.
+   */
+  filterCombinations(sessions) {
+    const counts = {};
+
+    sessions.forEach(session => {
+      const state = { mode: null, circuits: new Set(), components: new Set(), zones: new Set() };
+      const seen = new Set();
+
+      session.events.forEach(event => {
+        if (!this.applyFilterEvent(state, event)) return;
+        const combination = this.describeFilterState(state);
+        if (!combination || seen.has(combination)) return;
+        seen.add(combination);
+        counts[combination] = (counts[combination] || 0) + 1;
+      });
+    });
+
+    return this.rank(counts, 'combination').map(({ combination, count }) => ({
+      combination,
+      filters: combination.split(' + '),
+      sessions: count
+    }));
+  }
+
+  applyFilterEvent(state, event) {
+    const payload = event.payload || {};
+
+    if (payload.filters) {
+      ['circuits', 'components', 'zones'].forEach(kind => {
+        state[kind] = new Set(payload.filters[kind] || []);
+      });
+      if (payload.mode) state.mode = payload.mode;
+      return true;
+    }
+
+    switch (event.eventType) {
+      case 'mode_switch':
+        state.mode = payload.mode || null;
+        return true;
+      case 'circuit_isolate':
+        if (!payload.circuitId) return false;
+        state.circuits.add(payload.circuitId);
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  describeFilterState(state) {
+    const parts = [];
+    if (state.mode) parts.push(`mode:${state.mode}`);
+    ['circuits', 'components', 'zones'].forEach(kind => {
+      [...state[kind]].sort().forEach(value => parts.push(`${kind.slice(0, -1)}:${value}`));
+    });
+    return parts.join(' + ');
+  }
+
+  /**
+   * Sessions that loaded a model and then left without interacting with it
+   */
+  dropOff(sessions) {
+    const loaded = sessions.filter(session => session.events.some(event => event.eventType === 'model_load'));
+    const dropped = loaded.filter(session => {
+      const loadIndex = session.events.findIndex(event => event.eventType === 'model_load');
+      return !session.events.slice(loadIndex + 1).some(event => INTERACTION_EVENTS.includes(event.eventType));
+    });
+    const withErrors = dropped.filter(session => session.events.some(event => event.eventType === 'error'));
+    const loadTimes = loaded
+      .map(session => session.events.find(event => event.eventType === 'model_load').metadata?.performance?.loadTime)
+      .filter(loadTime => typeof loadTime === 'number');
+
+    return {
+      sessionsWithModelLoad: loaded.length,
+      droppedAfterModelLoad: dropped.length,
+      rate: loaded.length > 0 ? Math.round(dropped.length / loaded.length * 1000) / 1000 : 0,
+      droppedWithErrors: withErrors.length,
+      averageLoadTimeMs: this.average(loadTimes),
+      neverLoaded: sessions.length - loaded.length
+    };
+  }
+
+  /**
+   * Read stored NDJSON batches, filtered by date range, model and job
+   */
+  async loadEvents(filters = {}) {
+    const window = this.resolveWindow(filters);
+    const paths = await this.listBatchPaths(window);
+    const selected = paths.slice(-this.maxBatches);
+    const events = [];
+
+    for (const storagePath of selected) {
+      const stored = await this.s3Manager.retrieve(storagePath);
+      if (!stored) continue;
+
+      stored.body.split('\n').forEach(line => {
+        if (!line.trim()) return;
+        try {
+          const event = JSON.parse(line);
+          if (this.matches(event, { ...filters, ...window })) events.push(event);
+        } catch (error) {
+          // Skip partial lines rather than failing the whole report
+        }
+      });
+    }
+
+    return {
+      events,
+      batches: selected.length,
+      truncated: paths.length > selected.length,
+      window
+    };
+  }
+
+  /**
+   * Batch keys are grouped by day, so only the window's day prefixes are listed
+   */
+  async listBatchPaths(window) {
+    const paths = [];
+
+    for (const day of this.days(window.from, window.to)) {
+      let continuationToken = null;
+      do {
+        const listing = await this.s3Manager.list(`${VIEWER_PREFIX}${day}/`, 1000, continuationToken);
+        listing.objects.forEach(object => {
+          paths.push(object.Key.slice(this.s3Manager.prefix.length + 1));
+        });
+        continuationToken = listing.nextToken;
+      } while (continuationToken);
+    }
+
+    return paths.sort();
+  }
+
+  /**
+   * Default to the last week and reject windows too wide to scan
+   */
+  resolveWindow(filters) {
+    const to = filters.to ? new Date(filters.to) : new Date();
+    const from = filters.from ? new Date(filters.from) : new Date(to.getTime() - this.defaultWindowDays * DAY_MS);
+
+    // A date-only upper bound includes the whole day
+    if (filters.to && filters.to.length === 10) {
+      to.setUTCHours(23, 59, 59, 999);
+    }
+
+    if (from > to) {
+      throw this.badRequest('from must be before to');
+    }
+    if (to - from > this.maxWindowDays * DAY_MS) {
+      throw this.badRequest(`Time window cannot exceed ${this.maxWindowDays} days`);
+    }
+
+    return { from: from.toISOString(), to: to.toISOString() };
+  }
+
+  days(from, to) {
+    const days = [];
+    const cursor = new Date(`${from.substring(0, 10)}T00:00:00.000Z`);
+    const last = to.substring(0, 10);
+
+    while (cursor.toISOString().substring(0, 10) <= last) {
+      days.push(cursor.toISOString().substring(0, 10));
+      cursor.setTime(cursor.getTime() + DAY_MS);
+    }
+
+    return days;
+  }
+
+  matches(event, filters) {
+    if (filters.vehicleId && event.vehicleId !== filters.vehicleId) return false;
+    if (filters.jobId && event.jobId !== filters.jobId) return false;
+    if (filters.from && event.timestamp < filters.from) return false;
+    if (filters.to && event.timestamp > filters.to) return false;
+    return true;
+  }
+
+  badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+
+  modelKey(event) {
+    return event.vehicleId || event.jobId || 'unknown';
+  }
+
+  time(event) {
+    return new Date(event.timestamp).getTime();
+  }
+
+  groupBy(items, keyFn) {
+    const groups = new Map();
+    items.forEach(item => {
+      const key = keyFn(item);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    });
+    return groups;
+  }
+
+  countBy(items, keyFn) {
+    const counts = {};
+    items.forEach(item => {
+      const key = keyFn(item);
+      counts[key] = (counts[key] || 0) + 1;
+    });
+    return counts;
+  }
+
+  rank(counts, label) {
+    return Object.entries(counts)
+      .map(([key, count]) => ({ [label]: key, count }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  average(values) {
+    if (values.length === 0) return 0;
+    return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+  }
+
+  median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+  }
+}
+
+module.exports = ViewerAnalytics;
@@ -0,0 +1,196 @@
+/**
+ * Workflow Runner
+ * Runs selected Code/Function and HTTP Request nodes of an n8n workflow export
+ * outside n8n, so the service can re-apply the pipeline's current logic
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Modules the pipeline's code nodes are allowed to require
+const ALLOWED_MODULES = {
+  crypto: () => require('crypto'),
+  uuid: () => require('uuid')
+};
+
+class WorkflowRunner {
+  constructor(options = {}) {
+    this.workflowsDir = path.resolve(options.workflowsDir || process.env.N8N_WORKFLOWS_DIR || path.join(__dirname, '../../../n8n-workflows'));
+    this.timeout = options.timeout || 5000;
+  }
+
+  /**
+   * Read a workflow from disk on every call so edits apply without a restart
+   */
+  async load(name) {
+    const filePath = path.join(this.workflowsDir, `${name}.json`);
+    const workflow = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    workflow.nodesByName = new Map(workflow.nodes.map(node => [node.name, node]));
+    return workflow;
+  }
+
+  /**
+   * Run the named nodes in order. Each node receives the previous node's output as
+   * its input item, and $('Node') resolves to the output of a node already run.
+   */
+  async run(workflowName, nodeNames, input) {
+    const workflow = await this.load(workflowName);
+    const outputs = {};
+    let current = input;
+
+    for (const nodeName of nodeNames) {
+      const node = workflow.nodesByName.get(nodeName);
+      if (!node) {
+        throw new Error(`Node ${nodeName} not found in ${workflowName}`);
+      }
+
+      try {
+        current = await this.runNode(node, current, outputs);
+      } catch (error) {
+        error.message = `${workflowName} › ${nodeName}: ${error.message}`;
+        throw error;
+      }
+      outputs[nodeName] = current;
+    }
+
+    return { output: current, outputs };
+  }
+
+  async runNode(node, input, outputs) {
+    switch (node.type) {
+      case 'n8n-nodes-base.code':
+      case 'n8n-nodes-base.function':
+        return this.runCode(node, input, outputs);
+      case 'n8n-nodes-base.httpRequest':
+        return await this.runHttpRequest(node, input, outputs);
+      default:
+        throw new Error(`Unsupported node type ${node.type}`);
+    }
+  }
+
+  /**
+   * Execute a code node's body and return the JSON of its first output item
+   */
+  runCode(node, input, outputs) {
+    const code = node.parameters.jsCode || node.parameters.functionCode;
+    // Code nodes may mutate their input, so each gets its own copy
+    const isolated = JSON.parse(JSON.stringify(input));
+    const result = vm.runInNewContext(`(function () {\n${code}\n})()`, this.sandbox(isolated, outputs), {
+      filename: node.name,
+      timeout: this.timeout
+    });
+
+    const item = [].concat(result || [])[0];
+    if (!item) {
+      throw new Error('Node returned no items');
+    }
+
+    // Function nodes always wrap items in { json }; Code nodes may return plain objects
+    const json = node.type === 'n8n-nodes-base.function' || (item.json && typeof item.json === 'object')
+      ? item.json
+      : item;
+
+    // Round-trip to drop references into the sandbox's realm
+    return JSON.parse(JSON.stringify(json));
+  }
+
+  /**
+   * POST the node's body parameters. The response is merged over the input item,
+   * which is how the pipeline's downstream code nodes read it.
+   */
+  async runHttpRequest(node, input, outputs) {
+    const parameters = node.parameters;
+    const url = this.evaluate(parameters.url, input, outputs);
+    const body = {};
+
+    (parameters.bodyParameters?.parameters || []).forEach(parameter => {
+      body[parameter.name] = this.parseValue(this.evaluate(parameter.value, input, outputs));
+    });
+
+    const response = await fetch(url, {
+      method: parameters.method || (parameters.sendBody ? 'POST' : 'GET'),
+      headers: { 'Content-Type': 'application/json' },
+      body: parameters.sendBody ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(parameters.options?.timeout || 30000)
+    });
+
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`${url} responded ${response.status}: ${payload.message || payload.error || 'request failed'}`);
+    }
+
+    return { ...input, ...payload };
+  }
+
+  /**
+   * Resolve an n8n parameter. Values starting with = are expressions; a value that
+   * is a single {{ }} block keeps the expression's type.
+   */
+  evaluate(value, input, outputs) {
+    if (typeof value !== 'string' || !value.startsWith('=')) {
+      return value;
+    }
+
+    const template = value.slice(1);
+    const single = template.match(/^\{\{([\s\S]*)\}\}$/);
+    if (single && !single[1].includes('}}')) {
+      return this.evaluateExpression(single[1], input, outputs);
+    }
+
+    return template.replace(/\{\{([\s\S]*?)\}\}/g, (match, expression) => {
+      const result = this.evaluateExpression(expression, input, outputs);
+      return typeof result === 'object' ? JSON.stringify(result) : String(result);
+    });
+  }
+
+  evaluateExpression(expression, input, outputs) {
+    return vm.runInNewContext(`(${expression.trim()})`, this.sandbox(input, outputs), { timeout: this.timeout });
+  }
+
+  parseValue(value) {
+    if (typeof value !== 'string') return value;
+    try {
+      const parsed = JSON.parse(value);
+      return typeof parsed === 'object' ? parsed : value;
+    } catch (error) {
+      return value;
+    }
+  }
+
+  sandbox(input, outputs) {
+    const nodeOutput = name => {
+      if (!(name in outputs)) {
+        throw new Error(`Node ${name} has not run`);
+      }
+      return {
+        first: () => ({ json: outputs[name] }),
+        all: () => [{ json: outputs[name] }],
+        item: { json: outputs[name] }
+      };
+    };
+
+    return {
+      $input: {
+        first: () => ({ json: input }),
+        all: () => [{ json: input }],
+        item: { json: input }
+      },
+      $json: input,
+      items: [{ json: input }],
+      $: nodeOutput,
+      $node: new Proxy({}, { get: (target, name) => ({ json: outputs[name] }) }),
+      $env: { ...process.env },
+      require: name => {
+        if (!ALLOWED_MODULES[name]) {
+          throw new Error(`Module ${name} is not available to replayed nodes`);
+        }
+        return ALLOWED_MODULES[name]();
+      },
+      console,
+      Buffer
+    };
+  }
+}
+
+module.exports = WorkflowRunner;
@@ -12,6 +12,18 @@ const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
 const winston = require('winston');
 
+// Internal modules
+const ObstacleMap = require('./src/obstacle-map');
+const PathFinder = require('./src/path-finder');
+const HarnessBundler = require('./src/harness-bundler');
+const ForceDirectedPlacer = require('./src/force-directed-placer');
+const VehicleTemplates = require('./src/vehicle-templates');
+const { VoltageDropAnalyzer } = require('../../utils/voltage-drop-analysis');
+const { FaultTracer } = require('../../utils/fault-tracer');
+const { FailureSimulator } = require('../../utils/failure-simulator');
+const { DcCircuitSolver } = require('../../utils/dc-circuit-solver');
+const { SwitchStateModel } = require('../../utils/switch-state-model');
+
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3003;
@@ -61,6 +73,40 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
  */
 class ZonePositioner {
   
+  /**
+   * Resolve the coordinate system for a request, deriving it from a body
+   * template when one is requested or when no zones were supplied
+   */
+  static resolveCoordinateSystem(coordinateSystem, vehicleSignature, options = {}) {
+    if (!options.template && coordinateSystem?.zones && Object.keys(coordinateSystem.zones).length > 0) {
+      return coordinateSystem;
+    }
+    
+    return {
+      ...VehicleTemplates.buildCoordinateSystem(vehicleSignature, {
+        bodyType: options.template && options.template !== 'auto' ? options.template : undefined,
+        driveSide: options.driveSide,
+        dimensions: options.dimensions
+      }),
+      ...(coordinateSystem?.walls && { walls: coordinateSystem.walls })
+    };
+  }
+  
+  /**
+   * Map every node onto a known zone, keeping the original name when it had to fall back
+   */
+  static assignZones(nodes, zones) {
+    return nodes.map(node => {
+      const requested = node.zone || 'interior';
+      const zone = VehicleTemplates.resolveZone(requested, zones);
+      
+      if (zone === requested) {
+        return { ...node, zone };
+      }
+      return { ...node, zone, requestedZone: requested };
+    });
+  }
+  
   /**
    * Position nodes within their assigned zones
    */
@@ -73,13 +119,13 @@ class ZonePositioner {
       zoneOccupancy[zone] = [];
     });
     
-    // Group nodes by zone
-    nodes.forEach(node => {
-      const zone = node.zone || 'interior';
-      if (!zoneOccupancy[zone]) {
-        zoneOccupancy[zone] = [];
+    // Group nodes by zone, falling back to the closest known zone
+    this.assignZones(nodes, coordinateSystem.zones).forEach(node => {
+      if (!zoneOccupancy[node.zone]) {
+        logger.warn(`No zones available, skipping node ${node.id}`);
+        return;
       }
-      zoneOccupancy[zone].push(node);
+      zoneOccupancy[node.zone].push(node);
     });
     
     // Position nodes within each zone
@@ -87,11 +133,6 @@ class ZonePositioner {
       if (zoneNodes.length === 0) return;
       
       const zoneConfig = coordinateSystem.zones[zoneName];
-      if (!zoneConfig) {
-        logger.warn(`Unknown zone: ${zoneName}, using default positioning`);
-        return;
-      }
-      
       const positioned = this.positionNodesInZone(zoneNodes, zoneConfig, zoneName);
       positionedNodes.push(...positioned);
     });
@@ -99,6 +140,27 @@ class ZonePositioner {
     return positionedNodes;
   }
   
+  /**
+   * Position nodes using their real bounding boxes, pulling connected
+   * components together and pushing overlapping ones apart
+   */
+  static positionNodesForceDirected(nodes, coordinateSystem, edges = [], options = {}) {
+    const placer = new ForceDirectedPlacer({
+      iterations: options.iterations,
+      padding: options.padding
+    });
+    const zonedNodes = this.assignZones(nodes, coordinateSystem.zones);
+    const placement = placer.place(zonedNodes, coordinateSystem.zones, edges);
+    
+    placement.skipped.forEach(node => {
+      logger.warn(`No zones available, skipping node ${node.id}`);
+    });
+    
+    logger.debug(`Force-directed placement settled after ${placement.iterations} iterations`);
+    
+    return placement.nodes;
+  }
+  
   /**
    * Position nodes within a specific zone using various strategies
    */
@@ -247,36 +309,88 @@ class ZonePositioner {
 class WireRouter {
   
   /**
-   * Generate wire routes between positioned nodes
+   * Generate wire routes between positioned nodes.
+   * Returns per-wire routes plus the shared harness trunks they run through.
    */
-  static generateRoutes(nodes, edges, coordinateSystem) {
-    const nodePositions = {};
+  static generateRoutes(nodes, edges, coordinateSystem, options = {}) {
+    const nodeLookup = {};
     nodes.forEach(node => {
-      nodePositions[node.id] = node.position;
+      nodeLookup[node.id] = node;
     });
     
+    // Obstacle-aware routing unless the caller explicitly asks for the legacy heuristics
+    let pathFinder = null;
+    if (options.strategy !== 'legacy') {
+      const obstacleMap = ObstacleMap.fromLayout(nodes, coordinateSystem, {
+        resolution: options.resolution,
+        clearance: options.clearance
+      });
+      pathFinder = new PathFinder(obstacleMap, {
+        maxExpansions: options.maxExpansions,
+        turnPenalty: options.turnPenalty
+      });
+    }
+    
     const routes = [];
+    const trunks = [];
+    let remainingEdges = edges;
+    
+    // Bundle wires travelling between the same zones into shared trunks
+    if (pathFinder && options.bundling !== false) {
+      const bundler = new HarnessBundler(pathFinder, { minBundleSize: options.minBundleSize });
+      const { clusters, unbundled } = bundler.clusterEdges(edges, nodeLookup);
+      remainingEdges = unbundled;
+      
+      clusters.forEach(cluster => {
+        const bundled = bundler.routeCluster(cluster, nodeLookup);
+        if (!bundled) {
+          logger.warn(`No trunk route for harness ${cluster.id}, routing ${cluster.edges.length} wires individually`);
+          remainingEdges = remainingEdges.concat(cluster.edges);
+          return;
+        }
+        
+        const wireRoutes = bundled.wires.map(wire => ({
+          ...this.buildRoute(wire.edge, wire.path, 'trunk', wire.collisionFree),
+          trunkId: bundled.trunk.id,
+          breakouts: wire.breakouts
+        }));
+        
+        trunks.push({
+          ...bundled.trunk,
+          radius: bundler.calculateTrunkRadius(wireRoutes.map(route => route.radius))
+        });
+        routes.push(...wireRoutes);
+      });
+    }
     
-    edges.forEach(edge => {
-      const fromPos = nodePositions[edge.from];
-      const toPos = nodePositions[edge.to];
+    remainingEdges.forEach(edge => {
+      const fromPos = nodeLookup[edge.from]?.position;
+      const toPos = nodeLookup[edge.to]?.position;
       
       if (!fromPos || !toPos) {
         logger.warn(`Missing position for edge ${edge.id}: ${edge.from} -> ${edge.to}`);
         return;
       }
       
-      const route = this.calculateRoute(edge, fromPos, toPos, coordinateSystem);
+      const route = this.calculateRoute(edge, fromPos, toPos, coordinateSystem, pathFinder);
       routes.push(route);
     });
     
-    return routes;
+    return { routes, trunks };
   }
   
   /**
    * Calculate optimal route between two points
    */
-  static calculateRoute(edge, fromPos, toPos, coordinateSystem) {
+  static calculateRoute(edge, fromPos, toPos, coordinateSystem, pathFinder = null) {
+    if (pathFinder) {
+      const result = pathFinder.findPath(fromPos, toPos, [edge.from, edge.to]);
+      if (result) {
+        return this.buildRoute(edge, result.path, 'astar', result.collisionFree);
+      }
+      logger.warn(`No collision-free route for edge ${edge.id}, falling back to heuristic path`);
+    }
+    
     const routingStrategy = this.selectRoutingStrategy(fromPos, toPos, coordinateSystem);
     
     let path;
@@ -294,9 +408,19 @@ class WireRouter {
         path = this.generateDirectPath(fromPos, toPos);
     }
     
+    return this.buildRoute(edge, path, routingStrategy, pathFinder ? false : undefined);
+  }
+  
+  /**
+   * Build the route payload for an edge
+   */
+  static buildRoute(edge, path, strategy, collisionFree) {
     return {
       edgeId: edge.id,
       path: path,
+      strategy,
+      collisionFree,
+      length: PathFinder.pathLength(path),
       color: this.getWireColor(edge),
       radius: this.getWireRadius(edge),
       segments: 8,
@@ -440,8 +564,15 @@ app.get('/health', (req, res) => {
  */
 app.post('/positions', [
   body('nodes').isArray().withMessage('nodes must be an array'),
-  body('coordinateSystem').isObject().withMessage('coordinateSystem must be an object'),
-  body('vehicleSignature').isString().withMessage('vehicleSignature must be a string')
+  body('coordinateSystem').optional().isObject().withMessage('coordinateSystem must be an object'),
+  body('vehicleSignature').isString().withMessage('vehicleSignature must be a string'),
+  body('edges').optional().isArray().withMessage('edges must be an array'),
+  body('options').optional().isObject().withMessage('options must be an object'),
+  body('options.strategy').optional().isIn(['grid', 'force']).withMessage('options.strategy must be grid or force'),
+  body('options.iterations').optional().isInt({ min: 1, max: 5000 }).withMessage('options.iterations must be between 1 and 5000'),
+  body('options.padding').optional().isFloat({ min: 0, max: 0.5 }).withMessage('options.padding must be between 0 and 0.5 meters'),
+  body('options.template').optional().isIn(['auto', ...VehicleTemplates.BODY_TYPES]).withMessage(`options.template must be auto or one of ${VehicleTemplates.BODY_TYPES.join(', ')}`),
+  body('options.driveSide').optional().isIn(['LHD', 'RHD']).withMessage('options.driveSide must be LHD or RHD')
 ], (req, res) => {
   try {
     const errors = validationResult(req);
@@ -452,25 +583,46 @@ app.post('/positions', [
       });
     }
 
-    const { nodes, coordinateSystem, vehicleSignature } = req.body;
+    const { nodes, vehicleSignature, edges = [], options = {} } = req.body;
+    const strategy = options.strategy || 'grid';
+    const coordinateSystem = ZonePositioner.resolveCoordinateSystem(req.body.coordinateSystem, vehicleSignature, options);
     
-    logger.info(`Positioning ${nodes.length} nodes for vehicle: ${vehicleSignature}`);
+    logger.info(`Positioning ${nodes.length} nodes for vehicle: ${vehicleSignature}`, { strategy });
+    
+    let positionedNodes;
+    if (strategy === 'force') {
+      positionedNodes = ZonePositioner.positionNodesForceDirected(nodes, coordinateSystem, edges, options);
+    } else {
+      // Position nodes in zones
+      positionedNodes = ZonePositioner.positionNodes(nodes, coordinateSystem);
+      
+      // Optimize to avoid overlaps
+      positionedNodes = ZonePositioner.optimizePositions(positionedNodes);
+    }
     
-    // Position nodes in zones
-    let positionedNodes = ZonePositioner.positionNodes(nodes, coordinateSystem);
+    const overlaps = ForceDirectedPlacer.findOverlaps(positionedNodes);
+    const zoneFallbacks = positionedNodes.filter(node => node.requestedZone).length;
     
-    // Optimize to avoid overlaps
-    positionedNodes = ZonePositioner.optimizePositions(positionedNodes);
+    if (zoneFallbacks > 0) {
+      logger.warn(`${zoneFallbacks} nodes referenced unknown zones and were placed in fallback zones`);
+    }
     
-    logger.info(`Successfully positioned ${positionedNodes.length} nodes`);
+    logger.info(`Successfully positioned ${positionedNodes.length} nodes`, { overlaps: overlaps.length });
     
     res.json({
       success: true,
       data: positionedNodes,
+      overlaps,
+      coordinateSystem,
       metadata: {
         vehicleSignature,
         nodeCount: positionedNodes.length,
         zones: coordinateSystem.zones ? Object.keys(coordinateSystem.zones).length : 0,
+        bodyType: coordinateSystem.vehicle?.bodyType,
+        driveSide: coordinateSystem.vehicle?.driveSide,
+        strategy,
+        overlapCount: overlaps.length,
+        zoneFallbacks,
         timestamp: new Date().toISOString()
       }
     });
@@ -484,13 +636,81 @@ app.post('/positions', [
   }
 });
 
+/**
+ * List available vehicle body templates
+ */
+app.get('/templates', (req, res) => {
+  res.json({
+    success: true,
+    data: VehicleTemplates.list()
+  });
+});
+
+/**
+ * Derive a coordinate system from a vehicle signature and body template
+ */
+app.post('/coordinate-system', [
+  body('vehicleSignature').isString().withMessage('vehicleSignature must be a string'),
+  body('bodyType').optional().isIn(VehicleTemplates.BODY_TYPES).withMessage(`bodyType must be one of ${VehicleTemplates.BODY_TYPES.join(', ')}`),
+  body('driveSide').optional().isIn(['LHD', 'RHD']).withMessage('driveSide must be LHD or RHD'),
+  body('dimensions').optional().isObject().withMessage('dimensions must be an object'),
+  body('dimensions.*').optional().isFloat({ min: 0.01, max: 20 }).withMessage('dimensions must be positive numbers in meters')
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { vehicleSignature, bodyType, driveSide, dimensions } = req.body;
+    const coordinateSystem = VehicleTemplates.buildCoordinateSystem(vehicleSignature, { bodyType, driveSide, dimensions });
+    
+    logger.info(`Derived ${coordinateSystem.vehicle.bodyType} coordinate system for vehicle: ${vehicleSignature}`, {
+      driveSide: coordinateSystem.vehicle.driveSide,
+      matchedModel: coordinateSystem.vehicle.matchedModel
+    });
+    
+    res.json({
+      success: true,
+      data: coordinateSystem
+    });
+
+  } catch (error) {
+    logger.error('Coordinate system derivation failed', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Coordinate system derivation failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Bounding box checks for every route that builds an obstacle map from coordinateSystem
+ */
+const boundingBoxValidators = [
+  body('coordinateSystem.boundingBox').optional().isObject().withMessage('coordinateSystem.boundingBox must be an object'),
+  body(['coordinateSystem.boundingBox.min', 'coordinateSystem.boundingBox.max']).optional().isArray({ min: 3, max: 3 }).withMessage('coordinateSystem.boundingBox min and max must be [x, y, z]'),
+  body(['coordinateSystem.boundingBox.min.*', 'coordinateSystem.boundingBox.max.*']).optional().isFloat({ min: -50, max: 50 }).withMessage('coordinateSystem.boundingBox coordinates must be between -50 and 50 meters')
+];
+
 /**
  * Calculate wire routes between positioned nodes
  */
 app.post('/routes', [
   body('nodes').isArray().withMessage('nodes must be an array'),
   body('edges').isArray().withMessage('edges must be an array'),
-  body('coordinateSystem').isObject().withMessage('coordinateSystem must be an object')
+  body('coordinateSystem').isObject().withMessage('coordinateSystem must be an object'),
+  body('options').optional().isObject().withMessage('options must be an object'),
+  body('options.strategy').optional().isIn(['astar', 'legacy']).withMessage('options.strategy must be astar or legacy'),
+  ...boundingBoxValidators,
+  body('options.resolution').optional().isFloat({ min: 0.01, max: 0.5 }).withMessage('options.resolution must be between 0.01 and 0.5 meters'),
+  body('options.clearance').optional().isFloat({ min: 0, max: 0.5 }).withMessage('options.clearance must be between 0 and 0.5 meters'),
+  body('options.maxExpansions').optional().isInt({ min: 1, max: 5000000 }).withMessage('options.maxExpansions must be an integer between 1 and 5000000'),
+  body('options.turnPenalty').optional().isFloat({ min: 0, max: 10 }).withMessage('options.turnPenalty must be between 0 and 10'),
+  body('options.bundling').optional().isBoolean().withMessage('options.bundling must be a boolean')
 ], (req, res) => {
   try {
     const errors = validationResult(req);
@@ -501,35 +721,393 @@ app.post('/routes', [
       });
     }
 
-    const { nodes, edges, coordinateSystem } = req.body;
+    const { nodes, edges, coordinateSystem, options = {} } = req.body;
     
     logger.info(`Routing ${edges.length} wires between ${nodes.length} nodes`);
     
     // Generate wire routes
-    const routes = WireRouter.generateRoutes(nodes, edges, coordinateSystem);
+    const { routes, trunks } = WireRouter.generateRoutes(nodes, edges, coordinateSystem, options);
+    const unresolved = routes.filter(route => route.collisionFree === false).length;
     
-    logger.info(`Successfully generated ${routes.length} wire routes`);
+    logger.info(`Successfully generated ${routes.length} wire routes in ${trunks.length} harness trunks`, { unresolved });
     
     res.json({
       success: true,
       data: routes,
+      trunks,
       metadata: {
         nodeCount: nodes.length,
         edgeCount: edges.length,
         routeCount: routes.length,
+        strategy: options.strategy || 'astar',
+        collisionFreeCount: routes.filter(route => route.collisionFree).length,
+        trunkCount: trunks.length,
+        bundledRouteCount: routes.filter(route => route.trunkId).length,
         timestamp: new Date().toISOString()
       }
     });
 
   } catch (error) {
     logger.error('Route calculation failed', { error: error.message, stack: error.stack });
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Route calculation failed',
       message: error.message
     });
   }
 });
 
+/**
+ * Analyze voltage drop and wire gauge compliance along routed wires
+ */
+app.post('/analysis/voltage-drop', [
+  body('nodes').isArray().withMessage('nodes must be an array'),
+  body('edges').isArray().withMessage('edges must be an array'),
+  body('routes').optional().isArray().withMessage('routes must be an array'),
+  body('coordinateSystem').optional().isObject().withMessage('coordinateSystem must be an object'),
+  ...boundingBoxValidators,
+  body('options').optional().isObject().withMessage('options must be an object'),
+  body('options.maxDropPercent').optional().isFloat({ min: 0.1, max: 50 }).withMessage('options.maxDropPercent must be between 0.1 and 50'),
+  body('options.systemVoltage').optional().isFloat({ min: 1, max: 1000 }).withMessage('options.systemVoltage must be between 1 and 1000'),
+  body('options.temperature').optional().isFloat({ min: -40, max: 200 }).withMessage('options.temperature must be between -40 and 200 °C')
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { nodes, edges, coordinateSystem, options = {} } = req.body;
+    let routes = req.body.routes;
+    
+    // Route the wires ourselves when positioned nodes arrive without routes
+    if (!routes && coordinateSystem && nodes.some(node => node.position)) {
+      routes = WireRouter.generateRoutes(nodes, edges, coordinateSystem).routes;
+    }
+    
+    logger.info(`Analyzing voltage drop for ${edges.length} wires`, { routed: Boolean(routes) });
+    
+    const report = VoltageDropAnalyzer.analyze({ nodes, edges }, routes || [], options);
+    
+    logger.info('Voltage drop analysis completed', report.summary);
+    
+    res.json({
+      success: true,
+      data: report,
+      metadata: {
+        nodeCount: nodes.length,
+        edgeCount: edges.length,
+        routeCount: routes ? routes.length : 0,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Voltage drop analysis failed', { error: error.message, stack: error.stack });
+    res.status(error.status || 500).json({
+      error: 'Voltage drop analysis failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Solve node voltages and branch currents with DC nodal analysis
+ */
+app.post('/analysis/dc-solve', [
+  body('nodes').isArray().withMessage('nodes must be an array'),
+  body('edges').isArray().withMessage('edges must be an array'),
+  body('routes').optional().isArray().withMessage('routes must be an array'),
+  body('coordinateSystem').optional().isObject().withMessage('coordinateSystem must be an object'),
+  ...boundingBoxValidators,
+  body('attach').optional().isBoolean().withMessage('attach must be a boolean'),
+  body('options').optional().isObject().withMessage('options must be an object'),
+  body('options.states').optional().isObject().withMessage('options.states must map component IDs to open or closed'),
+  body('scenario').optional().isObject().withMessage('scenario must be an object'),
+  body('scenario.ignition').optional().isIn(SwitchStateModel.IGNITION_POSITIONS).withMessage(`scenario.ignition must be one of ${SwitchStateModel.IGNITION_POSITIONS.join(', ')}`),
+  body('options.systemVoltage').optional().isFloat({ min: 1, max: 1000 }).withMessage('options.systemVoltage must be between 1 and 1000'),
+  body('options.temperature').optional().isFloat({ min: -40, max: 200 }).withMessage('options.temperature must be between -40 and 200 °C')
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { nodes, edges, coordinateSystem, scenario, attach = false } = req.body;
+    let routes = req.body.routes;
+    let options = req.body.options || {};
+    
+    if (!routes && coordinateSystem && nodes.some(node => node.position)) {
+      routes = WireRouter.generateRoutes(nodes, edges, coordinateSystem).routes;
+    }
+    
+    // Key position and switch scenario decide states, explicit options.states still win
+    if (scenario) {
+      const scenarioOptions = SwitchStateModel.toSolverOptions({ nodes, edges }, scenario);
+      options = {
+        ...options,
+        states: { ...scenarioOptions.states, ...options.states },
+        openEdges: scenarioOptions.openEdges
+      };
+    }
+    
+    logger.info(`Solving DC network for ${nodes.length} components`, { routed: Boolean(routes), scenario: Boolean(scenario) });
+    
+    const result = DcCircuitSolver.solve({ nodes, edges }, routes || [], options);
+    
+    logger.info('DC solve completed', { ...result.summary, floatingNodes: result.summary.floatingNodes.length });
+    
+    res.json({
+      success: true,
+      data: result,
+      graph: attach ? DcCircuitSolver.attach({ nodes, edges }, result) : undefined,
+      metadata: {
+        nodeCount: nodes.length,
+        edgeCount: edges.length,
+        routeCount: routes ? routes.length : 0,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('DC solve failed', { error: error.message, stack: error.stack });
+    res.status(error.status || 500).json({
+      error: 'DC solve failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Evaluate which components and circuits are live for a key position and switch settings
+ */
+app.post('/analysis/scenario', [
+  body('nodes').isArray().withMessage('nodes must be an array'),
+  body('edges').isArray().withMessage('edges must be an array'),
+  body('scenario').optional().isObject().withMessage('scenario must be an object'),
+  body('scenario.ignition').optional().isIn(SwitchStateModel.IGNITION_POSITIONS).withMessage(`scenario.ignition must be one of ${SwitchStateModel.IGNITION_POSITIONS.join(', ')}`),
+  body('scenario.switches').optional().isObject().withMessage('scenario.switches must map switch IDs to on or off'),
+  body('scenario.relays').optional().isObject().withMessage('scenario.relays must map relay IDs to open or closed'),
+  body('compare').optional().isBoolean().withMessage('compare must be a boolean')
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { nodes, edges, scenario = {}, compare = false } = req.body;
+    
+    logger.info(`Evaluating scenario with ignition ${scenario.ignition || 'OFF'}`, { compare });
+    
+    const result = SwitchStateModel.evaluate({ nodes, edges }, scenario);
+    
+    res.json({
+      success: true,
+      data: result,
+      positions: compare ? SwitchStateModel.compareIgnitionPositions({ nodes, edges }, scenario) : undefined,
+      metadata: {
+        nodeCount: nodes.length,
+        edgeCount: edges.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Scenario evaluation failed', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Scenario evaluation failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Build a fault-tracing test plan for a component that does not work
+ */
+app.post('/diagnostics/fault-trace', [
+  body('nodes').isArray().withMessage('nodes must be an array'),
+  body('edges').isArray().withMessage('edges must be an array'),
+  body('targetId').isString().notEmpty().withMessage('targetId is required'),
+  body('routes').optional().isArray().withMessage('routes must be an array'),
+  body('options').optional().isObject().withMessage('options must be an object'),
+  body('options.systemVoltage').optional().isFloat({ min: 1, max: 1000 }).withMessage('options.systemVoltage must be between 1 and 1000')
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { nodes, edges, targetId, routes = [], options = {} } = req.body;
+    
+    if (!nodes.some(node => node.id === targetId)) {
+      return res.status(404).json({
+        error: 'Target not found',
+        message: `Component ${targetId} is not in the graph`
+      });
+    }
+    
+    logger.info(`Tracing faults for component: ${targetId}`);
+    
+    const plan = FaultTracer.trace({ nodes, edges }, targetId, routes, options);
+    
+    logger.info(`Generated ${plan.steps.length} step test plan for ${targetId}`, {
+      singlePointsOfFailure: plan.singlePointsOfFailure.length,
+      warnings: plan.warnings.length
+    });
+    
+    res.json({
+      success: true,
+      data: plan,
+      metadata: {
+        nodeCount: nodes.length,
+        edgeCount: edges.length,
+        stepCount: plan.steps.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Fault tracing failed', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Fault tracing failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Simulate opening fuses, relays, connectors, splices or ground points
+ */
+app.post('/diagnostics/failure-simulation', [
+  body('nodes').isArray().withMessage('nodes must be an array'),
+  body('edges').isArray().withMessage('edges must be an array'),
+  body('failedIds').isArray({ min: 1 }).withMessage('failedIds must be a non-empty array'),
+  body('failedIds.*').isString().withMessage('failedIds must contain node IDs')
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { nodes, edges, failedIds } = req.body;
+    const nodeLookup = new Map(nodes.map(node => [node.id, node]));
+    
+    const missing = failedIds.filter(nodeId => !nodeLookup.has(nodeId));
+    if (missing.length > 0) {
+      return res.status(404).json({
+        error: 'Component not found',
+        message: `Components not in the graph: ${missing.join(', ')}`
+      });
+    }
+    
+    const unsupported = failedIds.filter(nodeId => !FailureSimulator.FAILABLE_TYPES.includes(nodeLookup.get(nodeId).type));
+    if (unsupported.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: unsupported.map(nodeId => ({
+          param: 'failedIds',
+          value: nodeId,
+          msg: `Cannot open a ${nodeLookup.get(nodeId).type}, expected one of ${FailureSimulator.FAILABLE_TYPES.join(', ')}`
+        }))
+      });
+    }
+    
+    logger.info(`Simulating failure of: ${failedIds.join(', ')}`);
+    
+    const simulation = FailureSimulator.simulate({ nodes, edges }, failedIds);
+    
+    logger.info(`Failure affects ${simulation.affectedNodeIds.length} components`, simulation.summary);
+    
+    res.json({
+      success: true,
+      data: simulation,
+      metadata: {
+        nodeCount: nodes.length,
+        edgeCount: edges.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failure simulation failed', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failure simulation failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Rank single component failures that explain a cluster of dead components
+ */
+app.post('/diagnostics/explain-symptoms', [
+  body('nodes').isArray().withMessage('nodes must be an array'),
+  body('edges').isArray().withMessage('edges must be an array'),
+  body('symptoms').isArray({ min: 1 }).withMessage('symptoms must be a non-empty array of node IDs'),
+  body('symptoms.*').isString().withMessage('symptoms must contain node IDs'),
+  body('options.limit').optional().isInt({ min: 1, max: 50 }).withMessage('options.limit must be between 1 and 50')
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { nodes, edges, symptoms, options = {} } = req.body;
+    const nodeIds = new Set(nodes.map(node => node.id));
+    
+    const missing = symptoms.filter(nodeId => !nodeIds.has(nodeId));
+    if (missing.length > 0) {
+      return res.status(404).json({
+        error: 'Component not found',
+        message: `Components not in the graph: ${missing.join(', ')}`
+      });
+    }
+    
+    logger.info(`Explaining ${symptoms.length} symptoms across ${nodes.length} components`);
+    
+    const candidates = FailureSimulator.explainSymptoms({ nodes, edges }, symptoms, options);
+    
+    res.json({
+      success: true,
+      data: candidates,
+      metadata: {
+        symptomCount: symptoms.length,
+        candidateCount: candidates.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Symptom explanation failed', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Symptom explanation failed',
+      message: error.message
+    });
+  }
+});
+
 /**
  * Error handler
  */
@@ -0,0 +1,230 @@
+/**
+ * Force Directed Placer
+ * Size-aware component placement that pulls connected parts together
+ * and pushes overlapping bounding boxes apart within their zones
+ */
+
+const ObstacleMap = require('./obstacle-map');
+
+class ForceDirectedPlacer {
+
+  constructor(options = {}) {
+    this.iterations = options.iterations || 300;
+    this.padding = options.padding !== undefined ? options.padding : 0.01;
+    this.attraction = options.attraction !== undefined ? options.attraction : 0.1;
+  }
+
+  /**
+   * Place nodes inside their zones.
+   * Returns positioned nodes, the nodes that could not be placed and any residual overlaps.
+   */
+  place(nodes, zones, edges = []) {
+    const bodies = [];
+    const skipped = [];
+
+    nodes.forEach(node => {
+      const zoneName = node.zone || 'interior';
+      const zone = zones[zoneName];
+      if (!zone) {
+        skipped.push(node);
+        return;
+      }
+
+      bodies.push({
+        node,
+        zone,
+        zoneName,
+        size: ObstacleMap.getComponentSize(node),
+        position: [...zone.center]
+      });
+    });
+
+    this.seed(bodies);
+
+    const bodyLookup = new Map(bodies.map(body => [body.node.id, body]));
+    const springs = edges
+      .map(edge => [bodyLookup.get(edge.from), bodyLookup.get(edge.to)])
+      .filter(([a, b]) => a && b && a !== b);
+
+    let iteration = 0;
+    for (; iteration < this.iterations; iteration++) {
+      // Attraction cools off and stops for the final passes so overlap resolution has the last word
+      const temperature = Math.max(0, 1 - iteration / (this.iterations * 0.8));
+
+      if (temperature > 0) {
+        springs.forEach(([a, b]) => this.applySpring(a, b, temperature));
+      }
+
+      const overlapCount = this.resolveOverlaps(bodies);
+      if (overlapCount === 0 && temperature === 0) {
+        break;
+      }
+    }
+
+    const positioned = bodies.map(body => ({
+      ...body.node,
+      position: body.position,
+      rotation: [0, 0, 0],
+      scale: [1, 1, 1]
+    }));
+
+    return {
+      nodes: positioned,
+      skipped,
+      overlaps: ForceDirectedPlacer.findOverlaps(positioned),
+      iterations: iteration
+    };
+  }
+
+  /**
+   * Deterministic starting grid per zone, one layer per zone centre height
+   */
+  seed(bodies) {
+    const byZone = new Map();
+    bodies.forEach(body => {
+      if (!byZone.has(body.zoneName)) byZone.set(body.zoneName, []);
+      byZone.get(body.zoneName).push(body);
+    });
+
+    byZone.forEach(zoneBodies => {
+      const { center, size } = zoneBodies[0].zone;
+      const cols = Math.ceil(Math.sqrt(zoneBodies.length));
+      const rows = Math.ceil(zoneBodies.length / cols);
+
+      zoneBodies.forEach((body, index) => {
+        const col = index % cols;
+        const row = Math.floor(index / cols);
+        body.position = [
+          center[0] - size[0] / 2 + (col + 0.5) * size[0] / cols,
+          center[1] - size[1] / 2 + (row + 0.5) * size[1] / rows,
+          center[2]
+        ];
+        this.clampToZone(body);
+      });
+    });
+  }
+
+  /**
+   * Pull two connected bodies towards each other until their boxes touch
+   */
+  applySpring(a, b, temperature) {
+    const delta = [0, 1, 2].map(axis => b.position[axis] - a.position[axis]);
+    const distance = Math.sqrt(delta[0] * delta[0] + delta[1] * delta[1] + delta[2] * delta[2]);
+    const restLength = (this.halfDiagonal(a) + this.halfDiagonal(b)) + this.padding;
+
+    if (distance <= restLength) {
+      return;
+    }
+
+    const step = this.attraction * temperature * (distance - restLength) / distance / 2;
+    a.position = a.position.map((v, axis) => v + delta[axis] * step);
+    b.position = b.position.map((v, axis) => v - delta[axis] * step);
+    this.clampToZone(a);
+    this.clampToZone(b);
+  }
+
+  /**
+   * Push every overlapping pair apart along its axis of least penetration.
+   * Returns the number of overlapping pairs found.
+   */
+  resolveOverlaps(bodies) {
+    let overlapCount = 0;
+
+    for (let i = 0; i < bodies.length; i++) {
+      for (let j = i + 1; j < bodies.length; j++) {
+        const a = bodies[i];
+        const b = bodies[j];
+        const penetration = this.penetration(a, b, this.padding);
+        if (!penetration) continue;
+
+        overlapCount++;
+
+        let axis = 0;
+        for (let k = 1; k < 3; k++) {
+          if (penetration[k] < penetration[axis]) axis = k;
+        }
+
+        // Coincident centres are separated by index so the result stays deterministic
+        const direction = a.position[axis] === b.position[axis]
+          ? -1
+          : Math.sign(a.position[axis] - b.position[axis]);
+
+        // A body pinned against its zone wall hands the remaining push to the other one
+        const movedA = this.moveAlong(a, axis, direction * penetration[axis] / 2);
+        const remaining = penetration[axis] - Math.abs(movedA);
+        const movedB = this.moveAlong(b, axis, -direction * remaining);
+        if (Math.abs(movedB) < remaining) {
+          this.moveAlong(a, axis, direction * (remaining - Math.abs(movedB)));
+        }
+      }
+    }
+
+    return overlapCount;
+  }
+
+  /**
+   * Move a body along one axis inside its zone, returning the distance actually moved
+   */
+  moveAlong(body, axis, distance) {
+    const before = body.position[axis];
+    body.position[axis] += distance;
+    this.clampToZone(body);
+    return body.position[axis] - before;
+  }
+
+  /**
+   * Keep a body's box inside its zone, centring it on axes where it does not fit
+   */
+  clampToZone(body) {
+    const { center, size } = body.zone;
+    for (let axis = 0; axis < 3; axis++) {
+      const slack = (size[axis] - body.size[axis]) / 2;
+      if (slack <= 0) {
+        body.position[axis] = center[axis];
+        continue;
+      }
+      body.position[axis] = Math.max(center[axis] - slack, Math.min(center[axis] + slack, body.position[axis]));
+    }
+  }
+
+  penetration(a, b, padding = 0) {
+    const depth = [0, 1, 2].map(axis =>
+      (a.size[axis] + b.size[axis]) / 2 + padding - Math.abs(a.position[axis] - b.position[axis])
+    );
+    return depth.every(d => d > 1e-9) ? depth : null;
+  }
+
+  halfDiagonal(body) {
+    return Math.sqrt(body.size[0] ** 2 + body.size[1] ** 2 + body.size[2] ** 2) / 2;
+  }
+
+  /**
+   * List every pair of positioned nodes whose bounding boxes intersect
+   */
+  static findOverlaps(nodes) {
+    const placer = new ForceDirectedPlacer();
+    const bodies = nodes
+      .filter(node => node.position)
+      .map(node => ({ node, position: node.position, size: ObstacleMap.getComponentSize(node) }));
+
+    const overlaps = [];
+    for (let i = 0; i < bodies.length; i++) {
+      for (let j = i + 1; j < bodies.length; j++) {
+        const depth = placer.penetration(bodies[i], bodies[j]);
+        if (!depth) continue;
+
+        overlaps.push({
+          nodes: [bodies[i].node.id, bodies[j].node.id],
+          zones: [bodies[i].node.zone, bodies[j].node.zone],
+          depth: Math.min(...depth),
+          volume: depth.reduce((product, d, axis) =>
+            product * Math.min(d, bodies[i].size[axis], bodies[j].size[axis]), 1)
+        });
+      }
+    }
+
+    return overlaps;
+  }
+}
+
+module.exports = ForceDirectedPlacer;
@@ -0,0 +1,190 @@
+/**
+ * Harness Bundler
+ * Clusters wires that travel between the same zones into shared harness trunks
+ */
+
+class HarnessBundler {
+
+  constructor(pathFinder, options = {}) {
+    this.pathFinder = pathFinder;
+    this.minBundleSize = options.minBundleSize || 2;
+    this.packingFactor = options.packingFactor || 1.15;
+  }
+
+  /**
+   * Group edges into bundles keyed by explicit harness or by zone pair.
+   * Wires that stay inside one zone are not bundled.
+   */
+  clusterEdges(edges, nodeLookup) {
+    const clusters = new Map();
+    const unbundled = [];
+
+    edges.forEach(edge => {
+      const fromNode = nodeLookup[edge.from];
+      const toNode = nodeLookup[edge.to];
+      if (!fromNode?.position || !toNode?.position) {
+        unbundled.push(edge);
+        return;
+      }
+
+      const fromZone = fromNode.zone || 'interior';
+      const toZone = toNode.zone || 'interior';
+      const harness = edge.harness || edge.properties?.harness;
+
+      if (!harness && fromZone === toZone) {
+        unbundled.push(edge);
+        return;
+      }
+
+      // Order the zone pair so A->B and B->A wires share one trunk
+      const zones = [fromZone, toZone].sort();
+      const key = harness || `harness_${zones[0]}_${zones[1]}`;
+
+      if (!clusters.has(key)) {
+        clusters.set(key, { id: key, zones, explicit: Boolean(harness), edges: [] });
+      }
+      clusters.get(key).edges.push(edge);
+    });
+
+    // Clusters that are too small to be worth a trunk are routed as single wires
+    for (const [key, cluster] of clusters) {
+      if (cluster.edges.length < this.minBundleSize) {
+        unbundled.push(...cluster.edges);
+        clusters.delete(key);
+      }
+    }
+
+    return { clusters: [...clusters.values()], unbundled };
+  }
+
+  /**
+   * Route a cluster along a shared trunk and fan out to each endpoint.
+   * Returns the trunk plus one route per wire whose path is breakout + trunk + breakout,
+   * collision-free unless a breakout fell back to a straight line.
+   */
+  routeCluster(cluster, nodeLookup) {
+    const [zoneA, zoneB] = cluster.zones;
+    const endpointsA = [];
+    const endpointsB = [];
+
+    // Assign each wire end to one side of the trunk
+    cluster.edges.forEach(edge => {
+      const fromNode = nodeLookup[edge.from];
+      const toNode = nodeLookup[edge.to];
+      const fromOnA = (fromNode.zone || 'interior') === zoneA;
+      const [sideA, sideB] = fromOnA ? [fromNode, toNode] : [toNode, fromNode];
+
+      endpointsA.push(sideA);
+      endpointsB.push(sideB);
+    });
+
+    const hubA = this.snapToFreeSpace(this.centroid(endpointsA.map(node => node.position)));
+    const hubB = this.snapToFreeSpace(this.centroid(endpointsB.map(node => node.position)));
+
+    const trunkResult = this.pathFinder.findPath(hubA, hubB);
+    if (!trunkResult) {
+      return null;
+    }
+
+    const trunkPath = trunkResult.path;
+    const trunk = {
+      id: cluster.id,
+      zones: cluster.zones,
+      path: trunkPath,
+      length: trunkResult.length,
+      edgeIds: cluster.edges.map(edge => edge.id),
+      wireCount: cluster.edges.length,
+      breakoutPoints: [trunkPath[0], trunkPath[trunkPath.length - 1]]
+    };
+
+    const wires = cluster.edges.map((edge, index) => {
+      const startNode = nodeLookup[edge.from];
+      const endNode = nodeLookup[edge.to];
+      const startsOnA = endpointsA[index] === startNode;
+
+      // Walk the trunk in the direction this wire travels
+      const trunkDirection = startsOnA ? trunkPath : [...trunkPath].reverse();
+      const trunkStart = trunkDirection[0];
+      const trunkEnd = trunkDirection[trunkDirection.length - 1];
+
+      const startBreakout = this.routeBreakout(startNode, trunkStart);
+      const endBreakout = this.routeBreakout(endNode, trunkEnd, true);
+
+      return {
+        edge,
+        breakouts: {
+          start: startBreakout.path,
+          end: endBreakout.path
+        },
+        path: this.joinPaths([startBreakout.path, trunkDirection, endBreakout.path]),
+        collisionFree: trunkResult.collisionFree && startBreakout.collisionFree && endBreakout.collisionFree
+      };
+    });
+
+    return { trunk, wires };
+  }
+
+  /**
+   * Route the short segment between a component and a trunk end. When no
+   * collision-free path is found it falls back to a straight line, flagged as such.
+   */
+  routeBreakout(node, trunkPoint, towardsNode = false) {
+    const result = towardsNode
+      ? this.pathFinder.findPath(trunkPoint, node.position, [node.id])
+      : this.pathFinder.findPath(node.position, trunkPoint, [node.id]);
+
+    if (result) {
+      return { path: result.path, collisionFree: result.collisionFree };
+    }
+
+    return {
+      path: towardsNode ? [trunkPoint, node.position] : [node.position, trunkPoint],
+      collisionFree: false
+    };
+  }
+
+  /**
+   * Trunk radius from the wires it carries, assuming loose circular packing
+   */
+  calculateTrunkRadius(wireRadii) {
+    const area = wireRadii.reduce((sum, r) => sum + r * r, 0);
+    return Math.max(0.005, Math.sqrt(area) * this.packingFactor);
+  }
+
+  /**
+   * Move a point out of any obstacle so the trunk never starts inside a component
+   */
+  snapToFreeSpace(point) {
+    const map = this.pathFinder.map;
+    const cell = map.worldToCell(point);
+    if (!map.isBlocked(map.cellIndex(...cell))) {
+      return point;
+    }
+
+    const index = map.nearestFreeCell(cell);
+    return index < 0 ? point : map.cellToWorld(map.indexToCell(index));
+  }
+
+  centroid(points) {
+    const sum = points.reduce((acc, p) => [acc[0] + p[0], acc[1] + p[1], acc[2] + p[2]], [0, 0, 0]);
+    return sum.map(v => v / points.length);
+  }
+
+  /**
+   * Concatenate path pieces, dropping the duplicated joint points
+   */
+  joinPaths(pieces) {
+    const joined = [];
+    pieces.forEach(piece => {
+      piece.forEach(point => {
+        const last = joined[joined.length - 1];
+        if (!last || last[0] !== point[0] || last[1] !== point[1] || last[2] !== point[2]) {
+          joined.push(point);
+        }
+      });
+    });
+    return joined;
+  }
+}
+
+module.exports = HarnessBundler;
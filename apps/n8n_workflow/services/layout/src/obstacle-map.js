@@ -0,0 +1,334 @@
+/**
+ * Obstacle Map
+ * Voxel occupancy grid of component volumes and zone walls used for wire routing
+ */
+
+const FREE = 0;
+// Cells hold 32-bit values so obstacle numbers never reach the wall marker
+const WALL = 0xFFFFFFFF;
+
+// Largest grid routed; the path finder allocates about 20 bytes of search state per cell
+const MAX_CELLS = 2000000;
+
+class ObstacleMap {
+
+  constructor(coordinateSystem = {}, options = {}) {
+    this.resolution = options.resolution || 0.05;
+    this.clearance = options.clearance !== undefined ? options.clearance : 0.01;
+    this.bounds = this.resolveBounds(coordinateSystem);
+
+    this.dims = [0, 1, 2].map(axis =>
+      Math.max(1, Math.ceil((this.bounds.max[axis] - this.bounds.min[axis]) / this.resolution))
+    );
+
+    const cellCount = this.dims[0] * this.dims[1] * this.dims[2];
+    if (!Number.isFinite(cellCount) || cellCount > MAX_CELLS) {
+      const error = new Error(`Routing grid of ${this.dims.join(' x ')} cells exceeds the limit of ${MAX_CELLS} cells; use a coarser resolution or a smaller bounding box`);
+      error.status = 400;
+      throw error;
+    }
+    this.cells = new Uint32Array(this.dims[0] * this.dims[1] * this.dims[2]);
+
+    // Obstacle index N is stored in the grid as N + 1 (0 is free space)
+    this.obstacles = [];
+    this.walls = [];
+  }
+
+  /**
+   * Build an obstacle map from positioned nodes and the vehicle coordinate system
+   */
+  static fromLayout(nodes, coordinateSystem = {}, options = {}) {
+    const map = new ObstacleMap(coordinateSystem, options);
+
+    const walls = coordinateSystem.walls || map.deriveDefaultWalls(coordinateSystem.zones || {});
+    walls.forEach(wall => map.addWall(wall));
+
+    nodes.forEach(node => {
+      if (node.position) {
+        map.addComponent(node);
+      }
+    });
+
+    return map;
+  }
+
+  /**
+   * Resolve routing bounds from the coordinate system bounding box or zone extents
+   */
+  resolveBounds(coordinateSystem) {
+    if (coordinateSystem.boundingBox?.min && coordinateSystem.boundingBox?.max) {
+      return {
+        min: [...coordinateSystem.boundingBox.min],
+        max: [...coordinateSystem.boundingBox.max]
+      };
+    }
+
+    const zones = Object.values(coordinateSystem.zones || {});
+    if (zones.length === 0) {
+      return { min: [-2.5, -1.0, -0.5], max: [2.5, 1.0, 2.0] };
+    }
+
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    zones.forEach(({ center, size }) => {
+      for (let axis = 0; axis < 3; axis++) {
+        min[axis] = Math.min(min[axis], center[axis] - size[axis] / 2);
+        max[axis] = Math.max(max[axis], center[axis] + size[axis] / 2);
+      }
+    });
+
+    // Leave a margin so wires can run around the outside of zone boxes
+    const margin = 0.1;
+    return {
+      min: min.map(v => v - margin),
+      max: max.map(v => v + margin)
+    };
+  }
+
+  /**
+   * Derive a firewall between the engine bay and the cabin with a single grommet
+   */
+  deriveDefaultWalls(zones) {
+    const engine = zones.engine;
+    const cabin = zones.dash || zones.interior;
+    if (!engine || !cabin) {
+      return [];
+    }
+
+    const engineRear = engine.center[0] - engine.size[0] / 2;
+    const cabinFront = cabin.center[0] + cabin.size[0] / 2;
+    if (engineRear <= cabinFront) {
+      return []; // Zones overlap along the vehicle axis, no room for a wall
+    }
+
+    const wallX = (engineRear + cabinFront) / 2;
+    const grommetSize = Math.max(0.1, this.resolution * 2);
+
+    return [{
+      id: 'firewall',
+      center: [wallX, (this.bounds.min[1] + this.bounds.max[1]) / 2, (this.bounds.min[2] + this.bounds.max[2]) / 2],
+      size: [this.resolution, this.bounds.max[1] - this.bounds.min[1], this.bounds.max[2] - this.bounds.min[2]],
+      openings: [{
+        id: 'firewall_grommet',
+        center: [wallX, (engine.center[1] + cabin.center[1]) / 2, (engine.center[2] + cabin.center[2]) / 2],
+        size: [this.resolution * 2, grommetSize, grommetSize]
+      }]
+    }];
+  }
+
+  /**
+   * Mark a wall slab as blocked, then carve out its openings
+   */
+  addWall(wall) {
+    this.fillBox(wall.center, wall.size, WALL);
+    (wall.openings || []).forEach(opening => {
+      this.fillBox(opening.center, opening.size, FREE);
+    });
+    this.walls.push(wall);
+  }
+
+  /**
+   * Mark a component bounding box (inflated by clearance) as blocked
+   */
+  addComponent(node) {
+    const size = ObstacleMap.getComponentSize(node).map(s => s + this.clearance * 2);
+    const index = this.obstacles.length;
+
+    this.obstacles.push({
+      id: node.id,
+      center: [...node.position],
+      size
+    });
+
+    // Components never overwrite walls, otherwise a part mounted on the
+    // firewall would open a hole through it
+    this.fillBox(node.position, size, index + 1, true);
+  }
+
+  /**
+   * Get component bounding box size [x, y, z] in meters
+   */
+  static getComponentSize(node) {
+    if (Array.isArray(node.bbox_m) && node.bbox_m.length === 3) {
+      return [...node.bbox_m];
+    }
+
+    if (Array.isArray(node.dimensions) && node.dimensions.length === 3) {
+      return [...node.dimensions];
+    }
+
+    // Keep in sync with ComponentMeshGenerator.getComponentDimensions in model-builder
+    const dimensionMap = {
+      battery: [0.3, 0.2, 0.15],
+      fuse: [0.02, 0.05, 0.02],
+      relay: [0.04, 0.06, 0.04],
+      connector: [0.06, 0.04, 0.03],
+      ecu: [0.15, 0.08, 0.12],
+      sensor: [0.03, 0.03, 0.03],
+      actuator: [0.08, 0.12, 0.08],
+      lamp: [0.1, 0.1, 0.05],
+      motor: [0.12, 0.15, 0.12],
+      splice: [0.01, 0.01, 0.01],
+      ground: [0.02, 0.02, 0.02],
+      terminal: [0.015, 0.03, 0.015]
+    };
+
+    const scale = node.scale || [1, 1, 1];
+    const size = dimensionMap[node.type] || [0.05, 0.05, 0.05];
+    return size.map((s, axis) => s * (scale[axis] || 1));
+  }
+
+  /**
+   * Set every cell overlapping an axis-aligned box to a value
+   */
+  fillBox(center, size, value, preserveWalls = false) {
+    const lo = this.worldToCell(center.map((c, axis) => c - size[axis] / 2));
+    const hi = this.worldToCell(center.map((c, axis) => c + size[axis] / 2));
+
+    for (let z = lo[2]; z <= hi[2]; z++) {
+      for (let y = lo[1]; y <= hi[1]; y++) {
+        for (let x = lo[0]; x <= hi[0]; x++) {
+          const index = this.cellIndex(x, y, z);
+          if (preserveWalls && this.cells[index] === WALL) continue;
+          this.cells[index] = value;
+        }
+      }
+    }
+  }
+
+  /**
+   * Convert world coordinates to clamped cell coordinates
+   */
+  worldToCell(point) {
+    return [0, 1, 2].map(axis => {
+      const cell = Math.floor((point[axis] - this.bounds.min[axis]) / this.resolution);
+      return Math.max(0, Math.min(this.dims[axis] - 1, cell));
+    });
+  }
+
+  /**
+   * Convert cell coordinates to the world position of the cell center
+   */
+  cellToWorld(cell) {
+    return [0, 1, 2].map(axis => this.bounds.min[axis] + (cell[axis] + 0.5) * this.resolution);
+  }
+
+  cellIndex(x, y, z) {
+    return x + this.dims[0] * (y + this.dims[1] * z);
+  }
+
+  indexToCell(index) {
+    const x = index % this.dims[0];
+    const y = Math.floor(index / this.dims[0]) % this.dims[1];
+    const z = Math.floor(index / (this.dims[0] * this.dims[1]));
+    return [x, y, z];
+  }
+
+  inBounds(x, y, z) {
+    return x >= 0 && y >= 0 && z >= 0 &&
+      x < this.dims[0] && y < this.dims[1] && z < this.dims[2];
+  }
+
+  /**
+   * Check whether a cell blocks routing, ignoring the given obstacle IDs
+   */
+  isBlocked(index, ignoreIds = null) {
+    const value = this.cells[index];
+    if (value === FREE) return false;
+    if (value === WALL) return true;
+    return !(ignoreIds && ignoreIds.has(this.obstacles[value - 1].id));
+  }
+
+  /**
+   * Get the obstacle ID occupying a world position, if any
+   */
+  obstacleAt(point) {
+    const [x, y, z] = this.worldToCell(point);
+    const value = this.cells[this.cellIndex(x, y, z)];
+    if (value === FREE) return null;
+    if (value === WALL) return 'wall';
+    return this.obstacles[value - 1].id;
+  }
+
+  /**
+   * Find the closest free cell to a cell using breadth-first search
+   */
+  nearestFreeCell(cell, ignoreIds = null, maxRadius = 20) {
+    const start = this.cellIndex(...cell);
+    if (!this.isBlocked(start, ignoreIds)) {
+      return start;
+    }
+
+    const visited = new Set([start]);
+    let frontier = [cell];
+
+    for (let radius = 0; radius < maxRadius && frontier.length > 0; radius++) {
+      const next = [];
+      for (const [x, y, z] of frontier) {
+        for (const [dx, dy, dz] of NEIGHBOR_OFFSETS) {
+          const nx = x + dx, ny = y + dy, nz = z + dz;
+          if (!this.inBounds(nx, ny, nz)) continue;
+
+          const index = this.cellIndex(nx, ny, nz);
+          if (visited.has(index)) continue;
+          visited.add(index);
+
+          if (!this.isBlocked(index, ignoreIds)) {
+            return index;
+          }
+          next.push([nx, ny, nz]);
+        }
+      }
+      frontier = next;
+    }
+
+    return -1;
+  }
+
+  /**
+   * Check that a straight segment stays in free space
+   */
+  segmentClear(from, to, ignoreIds = null) {
+    const dx = to[0] - from[0];
+    const dy = to[1] - from[1];
+    const dz = to[2] - from[2];
+    const length = Math.sqrt(dx*dx + dy*dy + dz*dz);
+    const steps = Math.max(1, Math.ceil(length / (this.resolution / 2)));
+
+    for (let i = 0; i <= steps; i++) {
+      const t = i / steps;
+      const cell = this.worldToCell([from[0] + dx * t, from[1] + dy * t, from[2] + dz * t]);
+      if (this.isBlocked(this.cellIndex(...cell), ignoreIds)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  getStatistics() {
+    let blocked = 0;
+    for (let i = 0; i < this.cells.length; i++) {
+      if (this.cells[i] !== FREE) blocked++;
+    }
+
+    return {
+      resolution: this.resolution,
+      dimensions: [...this.dims],
+      totalCells: this.cells.length,
+      blockedCells: blocked,
+      obstacleCount: this.obstacles.length,
+      wallCount: this.walls.length
+    };
+  }
+}
+
+const NEIGHBOR_OFFSETS = [
+  [1, 0, 0], [-1, 0, 0],
+  [0, 1, 0], [0, -1, 0],
+  [0, 0, 1], [0, 0, -1]
+];
+
+ObstacleMap.NEIGHBOR_OFFSETS = NEIGHBOR_OFFSETS;
+
+module.exports = ObstacleMap;
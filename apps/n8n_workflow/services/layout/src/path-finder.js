@@ -0,0 +1,274 @@
+/**
+ * Path Finder
+ * A* search over an ObstacleMap producing collision-free wire polylines
+ */
+
+const ObstacleMap = require('./obstacle-map');
+
+class PathFinder {
+
+  constructor(obstacleMap, options = {}) {
+    this.map = obstacleMap;
+    this.maxExpansions = options.maxExpansions || 250000;
+    this.turnPenalty = options.turnPenalty !== undefined ? options.turnPenalty : 0.5;
+    this.smooth = options.smooth !== false;
+
+    const cellCount = obstacleMap.cells.length;
+    this.gScore = new Float64Array(cellCount);
+    this.cameFrom = new Int32Array(cellCount);
+    this.arrivalDir = new Int8Array(cellCount);
+    this.stamp = new Uint32Array(cellCount);
+    this.closed = new Uint32Array(cellCount);
+    this.generation = 0;
+  }
+
+  /**
+   * Find a path between two world positions over the grid.
+   * The obstacles listed in ignoreIds (usually the wire's own endpoints)
+   * are treated as free space so the wire can leave and enter them.
+   * collisionFree is false when the leg from either exact position to its
+   * snapped grid cell, which the search never sees, crosses an obstacle.
+   */
+  findPath(fromPos, toPos, ignoreIds = []) {
+    const ignore = new Set(ignoreIds);
+    const startIndex = this.map.nearestFreeCell(this.map.worldToCell(fromPos), ignore);
+    const goalIndex = this.map.nearestFreeCell(this.map.worldToCell(toPos), ignore);
+
+    if (startIndex < 0 || goalIndex < 0) {
+      return null;
+    }
+
+    const search = this.search(startIndex, goalIndex, ignore);
+    if (!search) {
+      return null;
+    }
+
+    let waypoints = search.cells.map(index => this.map.cellToWorld(this.map.indexToCell(index)));
+    waypoints = this.removeCollinear(waypoints);
+    if (this.smooth) {
+      waypoints = this.shortcut(waypoints, ignore);
+    }
+
+    const path = [[...fromPos], ...waypoints, [...toPos]];
+    const collisionFree = this.map.segmentClear(fromPos, waypoints[0], ignore) &&
+      this.map.segmentClear(waypoints[waypoints.length - 1], toPos, ignore);
+
+    return {
+      path: this.removeDuplicates(path),
+      length: PathFinder.pathLength(path),
+      collisionFree,
+      expanded: search.expanded
+    };
+  }
+
+  /**
+   * A* over 6-connected cells with a penalty for changing direction,
+   * which keeps routes running along straight runs like a real harness
+   */
+  search(startIndex, goalIndex, ignore) {
+    const map = this.map;
+    const offsets = ObstacleMap.NEIGHBOR_OFFSETS;
+    const goal = map.indexToCell(goalIndex);
+    const generation = ++this.generation;
+
+    const heuristic = (x, y, z) =>
+      Math.abs(x - goal[0]) + Math.abs(y - goal[1]) + Math.abs(z - goal[2]);
+
+    const open = new MinHeap();
+    const start = map.indexToCell(startIndex);
+
+    this.stamp[startIndex] = generation;
+    this.gScore[startIndex] = 0;
+    this.cameFrom[startIndex] = -1;
+    this.arrivalDir[startIndex] = -1;
+    open.push(startIndex, heuristic(...start));
+
+    let expanded = 0;
+
+    while (open.size > 0) {
+      const current = open.pop();
+      if (this.closed[current] === generation) continue;
+      this.closed[current] = generation;
+
+      if (current === goalIndex) {
+        return { cells: this.reconstruct(goalIndex), expanded };
+      }
+
+      if (++expanded > this.maxExpansions) {
+        return null;
+      }
+
+      const [cx, cy, cz] = map.indexToCell(current);
+      const currentDir = this.arrivalDir[current];
+
+      for (let dir = 0; dir < offsets.length; dir++) {
+        const [dx, dy, dz] = offsets[dir];
+        const nx = cx + dx, ny = cy + dy, nz = cz + dz;
+        if (!map.inBounds(nx, ny, nz)) continue;
+
+        const neighbor = map.cellIndex(nx, ny, nz);
+        if (this.closed[neighbor] === generation) continue;
+        if (neighbor !== goalIndex && map.isBlocked(neighbor, ignore)) continue;
+
+        const turnCost = currentDir >= 0 && currentDir !== dir ? this.turnPenalty : 0;
+        const tentative = this.gScore[current] + 1 + turnCost;
+
+        if (this.stamp[neighbor] !== generation || tentative < this.gScore[neighbor]) {
+          this.stamp[neighbor] = generation;
+          this.gScore[neighbor] = tentative;
+          this.cameFrom[neighbor] = current;
+          this.arrivalDir[neighbor] = dir;
+          open.push(neighbor, tentative + heuristic(nx, ny, nz));
+        }
+      }
+    }
+
+    return null;
+  }
+
+  reconstruct(goalIndex) {
+    const cells = [];
+    let current = goalIndex;
+    while (current !== -1) {
+      cells.push(current);
+      current = this.cameFrom[current];
+    }
+    return cells.reverse();
+  }
+
+  /**
+   * Drop intermediate points on straight runs
+   */
+  removeCollinear(points) {
+    if (points.length < 3) return points;
+
+    const result = [points[0]];
+    for (let i = 1; i < points.length - 1; i++) {
+      const prev = result[result.length - 1];
+      const curr = points[i];
+      const next = points[i + 1];
+
+      const d1 = [curr[0] - prev[0], curr[1] - prev[1], curr[2] - prev[2]];
+      const d2 = [next[0] - curr[0], next[1] - curr[1], next[2] - curr[2]];
+      const cross = [
+        d1[1] * d2[2] - d1[2] * d2[1],
+        d1[2] * d2[0] - d1[0] * d2[2],
+        d1[0] * d2[1] - d1[1] * d2[0]
+      ];
+
+      if (Math.abs(cross[0]) + Math.abs(cross[1]) + Math.abs(cross[2]) > 1e-9) {
+        result.push(curr);
+      }
+    }
+    result.push(points[points.length - 1]);
+
+    return result;
+  }
+
+  /**
+   * Skip waypoints that have direct line of sight to a later waypoint
+   */
+  shortcut(points, ignore) {
+    if (points.length < 3) return points;
+
+    const result = [points[0]];
+    let anchor = 0;
+
+    while (anchor < points.length - 1) {
+      let next = points.length - 1;
+      while (next > anchor + 1 && !this.map.segmentClear(points[anchor], points[next], ignore)) {
+        next--;
+      }
+      result.push(points[next]);
+      anchor = next;
+    }
+
+    return result;
+  }
+
+  removeDuplicates(path) {
+    return path.filter((point, i) => {
+      if (i === 0) return true;
+      const prev = path[i - 1];
+      return point[0] !== prev[0] || point[1] !== prev[1] || point[2] !== prev[2];
+    });
+  }
+
+  static pathLength(path) {
+    let total = 0;
+    for (let i = 1; i < path.length; i++) {
+      const dx = path[i][0] - path[i - 1][0];
+      const dy = path[i][1] - path[i - 1][1];
+      const dz = path[i][2] - path[i - 1][2];
+      total += Math.sqrt(dx*dx + dy*dy + dz*dz);
+    }
+    return total;
+  }
+}
+
+/**
+ * Binary min-heap of cell indices keyed by f-score
+ */
+class MinHeap {
+
+  constructor() {
+    this.items = [];
+    this.keys = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item, key) {
+    this.items.push(item);
+    this.keys.push(key);
+    this.bubbleUp(this.items.length - 1);
+  }
+
+  pop() {
+    const top = this.items[0];
+    const lastItem = this.items.pop();
+    const lastKey = this.keys.pop();
+
+    if (this.items.length > 0) {
+      this.items[0] = lastItem;
+      this.keys[0] = lastKey;
+      this.sinkDown(0);
+    }
+
+    return top;
+  }
+
+  bubbleUp(i) {
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.keys[parent] <= this.keys[i]) break;
+      this.swap(i, parent);
+      i = parent;
+    }
+  }
+
+  sinkDown(i) {
+    const n = this.items.length;
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+
+      if (left < n && this.keys[left] < this.keys[smallest]) smallest = left;
+      if (right < n && this.keys[right] < this.keys[smallest]) smallest = right;
+      if (smallest === i) break;
+
+      this.swap(i, smallest);
+      i = smallest;
+    }
+  }
+
+  swap(a, b) {
+    [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+    [this.keys[a], this.keys[b]] = [this.keys[b], this.keys[a]];
+  }
+}
+
+module.exports = PathFinder;
@@ -0,0 +1,241 @@
+/**
+ * Vehicle Templates
+ * Parametric body templates that derive layout zones from vehicle dimensions
+ */
+
+// Dimensions in meters. hoodLength runs from the front bumper to the firewall,
+// cabinLength from the firewall to the back of the passenger cabin and scales with wheelbase.
+const BODY_TEMPLATES = {
+  sedan: {
+    description: 'Three-box saloon with a separate trunk',
+    length: 4.7, width: 1.8, height: 1.45, wheelbase: 2.75,
+    floorHeight: 0.45, hoodHeight: 0.85, beltline: 0.65,
+    hoodLength: 1.25, cabinLength: 2.0, cargo: 'trunk'
+  },
+  suv: {
+    description: 'Two-box SUV with the cargo area open to the cabin',
+    length: 4.6, width: 1.85, height: 1.75, wheelbase: 2.7,
+    floorHeight: 0.55, hoodHeight: 1.0, beltline: 0.7,
+    hoodLength: 1.15, cabinLength: 1.9, cargo: 'integrated'
+  },
+  pickup: {
+    description: 'Crew-cab pickup with an open load bed',
+    length: 5.3, width: 1.86, height: 1.8, wheelbase: 3.1,
+    floorHeight: 0.65, hoodHeight: 1.1, beltline: 0.7,
+    hoodLength: 1.35, cabinLength: 1.75, cargo: 'bed'
+  },
+  van: {
+    description: 'Short-nose panel van with a single seat row',
+    length: 4.95, width: 1.95, height: 2.0, wheelbase: 3.0,
+    floorHeight: 0.5, hoodHeight: 1.0, beltline: 0.75,
+    hoodLength: 0.75, cabinLength: 1.2, cargo: 'integrated'
+  }
+};
+
+// Matched in order against "brand model trim", first hit wins
+const MODEL_HINTS = [
+  { id: 'mitsubishi_pajero_pinin_lwb', pattern: /pinin.*(5.?d(oo)?r|lwb)/, bodyType: 'suv', dimensions: { length: 4.035, width: 1.695, height: 1.7, wheelbase: 2.45 } },
+  { id: 'mitsubishi_pajero_pinin', pattern: /pajero.?pinin|\bpinin\b|pajero.?io\b/, bodyType: 'suv', dimensions: { length: 3.735, width: 1.695, height: 1.7, wheelbase: 2.28 } },
+  { id: 'mitsubishi_pajero', pattern: /pajero|montero|shogun/, bodyType: 'suv', dimensions: { length: 4.9, width: 1.875, height: 1.9, wheelbase: 2.78 } },
+  { id: 'pickup', pattern: /hilux|ranger|navara|\bl200\b|triton|tacoma|tundra|f-?150|f-?250|silverado|sierra|\bram\b|frontier|amarok|d-?max|colorado|pick-?up|\bute\b/, bodyType: 'pickup' },
+  { id: 'van', pattern: /transit|sprinter|hiace|caravan|vito|crafter|ducato|trafic|savana|\bvan\b/, bodyType: 'van' },
+  { id: 'suv', pattern: /rav4|cr-?v|x-?trail|tucson|sportage|outlander|land.?cruiser|prado|wrangler|cherokee|explorer|defender|discovery|forester|\bsuv\b|4x4/, bodyType: 'suv' }
+];
+
+// Markets that drive on the left and sell right-hand-drive vehicles
+const RHD_MARKETS = new Set(['jp', 'jdm', 'uk', 'gb', 'gbr', 'au', 'aus', 'nz', 'za', 'in', 'ie', 'hk', 'sg', 'my', 'th', 'id']);
+
+// Free-form zone names from extraction mapped onto layout zones, checked in order
+const ZONE_ALIASES = [
+  { zone: 'steering', pattern: /steer|column|instrument|cluster/ },
+  { zone: 'door_left', pattern: /door.*(left|\blh\b)|(left|\blh\b).*door/ },
+  { zone: 'door_right', pattern: /door.*(right|\brh\b)|(right|\brh\b).*door/ },
+  { zone: 'interior', pattern: /interior|cabin|seat|floor|headliner|pillar|door/ },
+  { zone: 'undercar', pattern: /under.?(car|body)|chassis|transmission|gearbox|axle|fuel.?tank|exhaust|frame/ },
+  { zone: 'underhood', pattern: /under.?hood|radiator|front.?end|bumper/ },
+  { zone: 'engine', pattern: /engine|bonnet|hood|bay/ },
+  { zone: 'dash', pattern: /dash|firewall|bulkhead|glove|console/ },
+  { zone: 'trunk', pattern: /trunk|boot|cargo|tailgate|\bbed\b|luggage/ },
+  { zone: 'exterior', pattern: /exterior|roof|mirror|grille|body/ }
+];
+
+class VehicleTemplates {
+
+  /**
+   * List available body templates
+   */
+  static list() {
+    return Object.entries(BODY_TEMPLATES).map(([bodyType, template]) => ({
+      bodyType,
+      ...template
+    }));
+  }
+
+  /**
+   * Parse a vehicle signature in either brand:model:year[:trim[:market]] or brand_model_year form.
+   * Signatures without a year give no model hint and fall back to the template defaults.
+   */
+  static parseSignature(vehicleSignature = '') {
+    const separator = vehicleSignature.includes(':') ? ':' : '_';
+    const parts = vehicleSignature.split(separator);
+    if (parts.length < 3) {
+      return { brand: '', model: '', year: null, trim: '', market: '' };
+    }
+
+    const [brand, model, year, trim = '', market = ''] = parts;
+    const parsedYear = parseInt(year, 10);
+
+    return {
+      brand,
+      model,
+      year: Number.isInteger(parsedYear) ? parsedYear : null,
+      trim,
+      market
+    };
+  }
+
+  /**
+   * Resolve body type, drive side and dimensions for a vehicle.
+   * Explicit overrides win over model hints, which win over template defaults.
+   */
+  static resolve(vehicleSignature, overrides = {}) {
+    const vehicle = this.parseSignature(vehicleSignature);
+    const haystack = `${vehicle.brand} ${vehicle.model} ${vehicle.trim}`.toLowerCase();
+    const hint = MODEL_HINTS.find(candidate => candidate.pattern.test(haystack));
+
+    const bodyType = overrides.bodyType || hint?.bodyType || 'sedan';
+    const template = BODY_TEMPLATES[bodyType];
+    if (!template) {
+      throw new Error(`Unknown body type: ${bodyType}`);
+    }
+
+    const { description, ...templateDimensions } = template;
+    const base = {
+      ...templateDimensions,
+      ...(hint && hint.bodyType === bodyType ? hint.dimensions : {})
+    };
+    const dimensions = { ...base, ...overrides.dimensions };
+
+    // Keep the known overhangs when only the wheelbase is overridden
+    if (overrides.dimensions?.wheelbase && !overrides.dimensions?.length) {
+      dimensions.length = dimensions.wheelbase + (base.length - base.wheelbase);
+    }
+
+    // Cabin grows with wheelbase, the engine bay does not
+    if (!overrides.dimensions?.cabinLength) {
+      dimensions.cabinLength = template.cabinLength * dimensions.wheelbase / template.wheelbase;
+    }
+
+    return {
+      bodyType,
+      driveSide: overrides.driveSide || this.resolveDriveSide(vehicle),
+      matchedModel: hint && hint.bodyType === bodyType ? hint.id : null,
+      dimensions
+    };
+  }
+
+  static resolveDriveSide(vehicle) {
+    const trim = vehicle.trim.toLowerCase();
+    if (/\brhd\b/.test(trim)) return 'RHD';
+    if (/\blhd\b/.test(trim)) return 'LHD';
+    return RHD_MARKETS.has(vehicle.market.toLowerCase()) ? 'RHD' : 'LHD';
+  }
+
+  /**
+   * Build a layout coordinate system for a vehicle signature.
+   * x points forward, y to the right, z up from the floor pan.
+   */
+  static buildCoordinateSystem(vehicleSignature, overrides = {}) {
+    const vehicle = this.resolve(vehicleSignature, overrides);
+    const d = vehicle.dimensions;
+
+    const xFront = d.length / 2;
+    const xRear = -d.length / 2;
+    const xFirewall = xFront - d.hoodLength;
+    const xCabinRear = xFirewall - d.cabinLength;
+    const zGround = -d.floorHeight;
+    const zRoof = d.height - d.floorHeight;
+    const zHood = d.hoodHeight - d.floorHeight;
+    const halfWidth = d.width / 2;
+
+    // Left is -y, so the driver sits on -y in a left-hand-drive vehicle
+    const driverY = (vehicle.driveSide === 'RHD' ? 1 : -1) * d.width / 4;
+
+    const cargoTop = {
+      trunk: d.beltline,
+      integrated: zRoof - 0.2,
+      bed: d.beltline - 0.1
+    }[d.cargo];
+
+    const zones = {
+      engine: this.box([xFirewall + 0.05, xFront - 0.2], [-halfWidth + 0.1, halfWidth - 0.1], [zGround + 0.35, zHood - 0.05], 1),
+      dash: this.box([xFirewall - 0.45, xFirewall - 0.05], [-halfWidth + 0.2, halfWidth - 0.2], [d.beltline - 0.35, d.beltline], 2),
+      interior: this.box([xCabinRear + 0.05, xFirewall - 0.75], [-halfWidth + 0.2, halfWidth - 0.2], [0.05, zRoof - 0.1], 3),
+      trunk: this.box([xRear + 0.1, xCabinRear - 0.05], [-halfWidth + 0.15, halfWidth - 0.15], [0.1, cargoTop], 4),
+      underhood: this.box([xFront - 0.45, xFront - 0.02], [-halfWidth + 0.15, halfWidth - 0.15], [zGround + 0.12, zGround + 0.33], 5),
+      undercar: this.box([xRear + 0.2, xFirewall], [-halfWidth + 0.25, halfWidth - 0.25], [zGround + 0.15, -0.02], 6),
+      exterior: this.box([xCabinRear, xFirewall - 0.3], [-halfWidth, halfWidth], [zRoof - 0.05, zRoof + 0.1], 7),
+      steering: this.box([xFirewall - 0.75, xFirewall - 0.45], [driverY - 0.22, driverY + 0.22], [d.beltline - 0.45, d.beltline - 0.05], 8),
+      door_left: this.box([xFirewall - 1.15, xFirewall - 0.2], [-halfWidth + 0.01, -halfWidth + 0.15], [0.05, d.beltline], 9),
+      door_right: this.box([xFirewall - 1.15, xFirewall - 0.2], [halfWidth - 0.15, halfWidth - 0.01], [0.05, d.beltline], 10)
+    };
+
+    return {
+      scale: 1.0,
+      origin: [0, 0, 0],
+      boundingBox: {
+        min: [xRear - 0.1, -halfWidth - 0.1, zGround],
+        max: [xFront + 0.1, halfWidth + 0.1, zRoof + 0.15]
+      },
+      zones,
+      vehicle
+    };
+  }
+
+  /**
+   * Map a requested zone name onto one of the available zones.
+   * Never returns null as long as at least one zone exists.
+   */
+  static resolveZone(requested, zones) {
+    const available = Object.keys(zones || {});
+    if (available.length === 0) {
+      return null;
+    }
+
+    const name = (requested || 'interior').toString();
+    if (zones[name]) {
+      return name;
+    }
+
+    const normalized = name.toLowerCase().trim();
+    const snake = normalized.replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    if (zones[snake]) {
+      return snake;
+    }
+
+    const alias = ZONE_ALIASES.find(candidate => zones[candidate.zone] && candidate.pattern.test(normalized));
+    if (alias) {
+      return alias.zone;
+    }
+
+    if (zones.interior) {
+      return 'interior';
+    }
+
+    // Lowest priority number is the most important zone
+    return available.sort((a, b) => (zones[a].priority || 99) - (zones[b].priority || 99))[0];
+  }
+
+  static box([x0, x1], [y0, y1], [z0, z1], priority) {
+    const minSize = 0.05;
+    return {
+      center: [(x0 + x1) / 2, (y0 + y1) / 2, (z0 + z1) / 2],
+      size: [Math.max(minSize, x1 - x0), Math.max(minSize, y1 - y0), Math.max(minSize, z1 - z0)],
+      priority
+    };
+  }
+}
+
+VehicleTemplates.BODY_TYPES = Object.keys(BODY_TEMPLATES);
+
+module.exports = VehicleTemplates;
@@ -9,25 +9,31 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const winston = require('winston');
-const fs = require('fs');
-const path = require('path');
 
-// Three.js imports for GLB generation
+// Three.js for capability reporting; GLB generation lives in the builder
 const THREE = require('three');
-const { GLTFExporter } = require('three/examples/jsm/exporters/GLTFExporter.js');
 
 // Internal modules
 const ComponentMeshGenerator = require('./src/component-mesh-generator');
 const WireMeshGenerator = require('./src/wire-mesh-generator');
 const CircuitGroupManager = require('./src/circuit-group-manager');
+const MeshInstancer = require('./src/mesh-instancer');
+const LodGenerator = require('./src/lod-generator');
+const GlbCompressor = require('./src/glb-compressor');
 const ManifestGenerator = require('./src/manifest-generator');
+const GlbBuilder = require('./src/glb-builder');
+const BuildQueue = require('./src/build-queue');
+const { FilesystemStorage } = require('../../utils/filesystem-storage');
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Generated models and manifests share the filesystem storage used by the ingest service locally
+const outputStorage = new FilesystemStorage({ rootDir: process.env.OUTPUT_DIR || './output' });
+
 // Configure logger
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
@@ -73,6 +79,33 @@ const componentMeshGenerator = new ComponentMeshGenerator();
 const wireMeshGenerator = new WireMeshGenerator();
 const circuitGroupManager = new CircuitGroupManager();
 const manifestGenerator = new ManifestGenerator();
+const buildQueue = new BuildQueue(new GlbBuilder({
+  componentMeshGenerator,
+  wireMeshGenerator,
+  circuitGroupManager,
+  meshInstancer: new MeshInstancer(),
+  lodGenerator: new LodGenerator(wireMeshGenerator),
+  glbCompressor: new GlbCompressor(),
+  manifestGenerator,
+  outputStorage
+}));
+
+buildQueue.on('update', build => {
+  if (build.status === 'done') {
+    logger.info(`GLB model generation completed for job: ${build.jobId}`, {
+      processingTime: `${build.result.metadata.processingTime}ms`,
+      fileSize: `${(build.result.metadata.fileSize / 1024 / 1024).toFixed(2)}MB`,
+      compression: build.result.metadata.compression?.mode || 'none',
+      compressionRatio: build.result.metadata.compression?.ratio,
+      meshCount: build.result.metadata.meshCount,
+      circuitCount: build.result.metadata.circuitCount
+    });
+  } else if (build.status === 'failed') {
+    logger.error('GLB model generation failed', { error: build.error, jobId: build.jobId });
+  } else if (build.status === 'cancelled') {
+    logger.info(`GLB model generation cancelled for job: ${build.jobId}`);
+  }
+});
 
 /**
  * Health check endpoint
@@ -93,17 +126,28 @@ app.get('/health', (req, res) => {
 });
 
 /**
- * Build 3D GLB model from ElectroGraph3D
+ * Job IDs name storage keys, so only letters, digits, '_', '-' and ':' are accepted.
+ * That covers UUIDs and the `brand:model:year_timestamp` IDs of models stored before them.
+ */
+const JOB_ID_PATTERN = /^[A-Za-z0-9_:-]{1,128}$/;
+const JOB_ID_MESSAGE = 'jobId must be 1-128 letters, digits, _, - or :';
+
+/**
+ * Queue a 3D GLB model build from ElectroGraph3D. The build runs in the
+ * background; follow it with GET /build/:jobId or GET /build/:jobId/events.
  */
 app.post('/build', [
   body('graph3d').isObject().withMessage('graph3d must be an object'),
   body('manifest').optional().isObject().withMessage('manifest must be an object'),
-  body('jobId').isString().notEmpty().withMessage('jobId is required'),
-  body('options').optional().isObject().withMessage('options must be an object')
-], async (req, res) => {
-  const startTime = Date.now();
-  let tempFiles = [];
-  
+  body('jobId').isString().matches(JOB_ID_PATTERN).withMessage(JOB_ID_MESSAGE),
+  body('options').optional().isObject().withMessage('options must be an object'),
+  body('options.lod.levels').optional().isArray({ min: 1, max: 4 }).withMessage('options.lod.levels must be an array of 1 to 4 levels'),
+  body('options.lod.levels.*.distance').isFloat({ gt: 0 }).withMessage('LOD distance must be a positive number of meters'),
+  body('options.lod.levels.*.detail').isFloat({ gt: 0, lt: 1 }).withMessage('LOD detail must be between 0 and 1'),
+  body('options.instancing.minInstances').optional().isInt({ min: 2 }).withMessage('options.instancing.minInstances must be an integer of at least 2'),
+  body('options.compression').optional().isIn(['none', ...GlbCompressor.modes])
+    .withMessage(`options.compression must be one of: none, ${GlbCompressor.modes.join(', ')}`)
+], (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -114,197 +158,194 @@ app.post('/build', [
     }
 
     const { graph3d, manifest, jobId, options = {} } = req.body;
-    
-    logger.info(`Building GLB model for job: ${jobId}`, {
+    const build = buildQueue.enqueue({ graph3d, manifest, jobId, options });
+
+    logger.info(`Queued GLB model build for job: ${jobId}`, {
       nodeCount: graph3d.nodes?.length || 0,
       routeCount: graph3d.routes?.length || 0,
+      trunkCount: graph3d.trunks?.length || 0,
       circuitCount: graph3d.circuits?.length || 0
     });
 
-    // Create Three.js scene
-    const scene = new THREE.Scene();
-    scene.name = `ElectricalSystem_${jobId}`;
+    res.status(202).json({
+      success: true,
+      jobId,
+      status: build.status,
+      statusUrl: `/build/${encodeURIComponent(jobId)}`,
+      eventsUrl: `/build/${encodeURIComponent(jobId)}/events`,
+      timestamp: new Date().toISOString()
+    });
 
-    // Build component meshes
-    logger.info('Generating component meshes...');
-    const componentMeshes = await componentMeshGenerator.generateMeshes(graph3d.nodes, options);
-    
-    // Build wire meshes
-    logger.info('Generating wire meshes...');
-    const wireMeshes = await wireMeshGenerator.generateMeshes(graph3d.routes, options);
-    
-    // Organize into circuit groups
-    logger.info('Organizing circuit groups...');
-    const circuitGroups = circuitGroupManager.createCircuitGroups(
-      graph3d.circuits,
-      componentMeshes,
-      wireMeshes,
-      graph3d.nodes
-    );
-    
-    // Add groups to scene
-    circuitGroups.forEach(group => {
-      scene.add(group);
+  } catch (error) {
+    if (!error.status) {
+      logger.error('Failed to queue GLB model build', { error: error.message, jobId: req.body.jobId });
+    }
+    res.status(error.status || 500).json({
+      error: 'Failed to queue GLB model build',
+      message: error.message,
+      jobId: req.body.jobId
     });
+  }
+});
 
-    // Add global lighting
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
-    ambientLight.name = 'AmbientLight';
-    scene.add(ambientLight);
+/**
+ * Checks the jobId route parameter
+ */
+const jobIdParam = [
+  param('jobId').matches(JOB_ID_PATTERN).withMessage(JOB_ID_MESSAGE),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+    next();
+  }
+];
 
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-    directionalLight.position.set(5, 5, 5);
-    directionalLight.name = 'DirectionalLight';
-    scene.add(directionalLight);
+function buildNotFound(res, jobId) {
+  return res.status(404).json({
+    error: 'Build not found',
+    jobId
+  });
+}
 
-    // Generate GLB file
-    logger.info('Exporting GLB...');
-    const exporter = new GLTFExporter();
-    
-    const glbBuffer = await new Promise((resolve, reject) => {
-      exporter.parse(
-        scene,
-        (result) => {
-          if (result instanceof ArrayBuffer) {
-            resolve(result);
-          } else {
-            reject(new Error('Expected ArrayBuffer from GLTFExporter'));
-          }
-        },
-        (error) => reject(error),
-        {
-          binary: true,
-          embedImages: true,
-          includeCustomExtensions: true,
-          animations: [],
-          onlyVisible: true
-        }
-      );
-    });
+/**
+ * Get build status, including the model URLs and manifest once done
+ */
+app.get('/build/:jobId', jobIdParam, (req, res) => {
+  const build = buildQueue.get(req.params.jobId);
+  if (!build) {
+    return buildNotFound(res, req.params.jobId);
+  }
 
-    // Save GLB file
-    const outputDir = process.env.OUTPUT_DIR || './output';
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
-    }
+  res.json({
+    success: true,
+    build,
+    timestamp: new Date().toISOString()
+  });
+});
 
-    const glbPath = path.join(outputDir, `${jobId}.glb`);
-    fs.writeFileSync(glbPath, Buffer.from(glbBuffer));
-    tempFiles.push(glbPath);
-
-    // Generate viewer manifest
-    logger.info('Generating viewer manifest...');
-    const viewerManifest = manifestGenerator.generateManifest(
-      graph3d,
-      componentMeshes,
-      wireMeshes,
-      circuitGroups,
-      {
-        jobId,
-        glbPath: glbPath,
-        fileSize: glbBuffer.byteLength,
-        generatedAt: new Date().toISOString()
-      }
-    );
+/**
+ * Stream build progress as Server-Sent Events: a progress event per stage
+ * percentage change, then a done, failed or cancelled event before closing
+ */
+app.get('/build/:jobId/events', jobIdParam, (req, res) => {
+  const { jobId } = req.params;
+  const build = buildQueue.get(jobId);
+  if (!build) {
+    return buildNotFound(res, jobId);
+  }
 
-    // Save manifest
-    const manifestPath = path.join(outputDir, `${jobId}_manifest.json`);
-    fs.writeFileSync(manifestPath, JSON.stringify(viewerManifest, null, 2));
-    tempFiles.push(manifestPath);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // Compression buffers responses; flush so each event reaches the client now
+    res.flush();
+  };
+  const onUpdate = update => {
+    if (update.jobId !== jobId) return;
+
+    if (buildQueue.isFinished(update)) {
+      send(update.status, update);
+      res.end();
+    } else {
+      send('progress', update);
+    }
+  };
+
+  const heartbeat = setInterval(() => {
+    res.write(': keep-alive\n\n');
+    res.flush();
+  }, 15000);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    buildQueue.off('update', onUpdate);
+  });
 
-    // Upload to storage (if configured)
-    let glbUrl = glbPath;
-    let manifestUrl = manifestPath;
-    
-    if (process.env.STORAGE_PROVIDER === 's3') {
-      // TODO: Implement S3 upload
-      logger.info('S3 upload not implemented, using local paths');
-    } else if (process.env.STORAGE_PROVIDER === 'cdn') {
-      // TODO: Implement CDN upload  
-      logger.info('CDN upload not implemented, using local paths');
+  buildQueue.on('update', onUpdate);
+  onUpdate(build);
+});
+
+/**
+ * Cancel a queued or running build
+ */
+app.post('/build/:jobId/cancel', jobIdParam, (req, res) => {
+  try {
+    const build = buildQueue.cancel(req.params.jobId);
+    if (!build) {
+      return buildNotFound(res, req.params.jobId);
     }
 
-    const processingTime = Date.now() - startTime;
-    
-    logger.info(`GLB model generation completed for job: ${jobId}`, {
-      processingTime: `${processingTime}ms`,
-      fileSize: `${(glbBuffer.byteLength / 1024 / 1024).toFixed(2)}MB`,
-      meshCount: componentMeshes.length + wireMeshes.length,
-      circuitCount: circuitGroups.length
-    });
+    logger.info(`Cancelled GLB model build for job: ${req.params.jobId}`, { status: build.status });
 
     res.json({
       success: true,
-      jobId,
-      glbUrl,
-      manifestUrl,
-      metadata: {
-        fileSize: glbBuffer.byteLength,
-        processingTime,
-        meshCount: componentMeshes.length + wireMeshes.length,
-        circuitCount: circuitGroups.length,
-        nodeCount: graph3d.nodes?.length || 0,
-        routeCount: graph3d.routes?.length || 0,
-        generatedAt: new Date().toISOString()
-      },
-      manifest: viewerManifest
+      build,
+      timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    logger.error('GLB model generation failed', { 
-      error: error.message, 
-      stack: error.stack,
-      jobId: req.body.jobId 
-    });
-    
-    // Cleanup temp files on error
-    tempFiles.forEach(file => {
-      try {
-        if (fs.existsSync(file)) {
-          fs.unlinkSync(file);
-        }
-      } catch (cleanupError) {
-        logger.warn('Failed to cleanup temp file', { file, error: cleanupError.message });
-      }
-    });
-    
-    res.status(500).json({
-      error: 'GLB model generation failed',
+    res.status(error.status || 500).json({
+      error: 'Failed to cancel GLB model build',
       message: error.message,
-      jobId: req.body.jobId
+      jobId: req.params.jobId
     });
   }
 });
 
 /**
- * Get model information
+ * Get model information, with the state of its latest build when one is known
  */
-app.get('/models/:jobId', (req, res) => {
+app.get('/models/:jobId', jobIdParam, async (req, res) => {
   try {
     const { jobId } = req.params;
-    const outputDir = process.env.OUTPUT_DIR || './output';
+    const build = buildQueue.get(jobId);
     
-    const glbPath = path.join(outputDir, `${jobId}.glb`);
-    const manifestPath = path.join(outputDir, `${jobId}_manifest.json`);
+    const glb = await outputStorage.head(`${jobId}.glb`);
+    const uncompressedGlb = await outputStorage.head(`${jobId}_uncompressed.glb`);
+    const manifest = await outputStorage.get(`${jobId}_manifest.json`);
     
-    if (!fs.existsSync(glbPath) || !fs.existsSync(manifestPath)) {
+    if (!glb || !manifest) {
+      if (build && !buildQueue.isFinished(build)) {
+        return res.status(202).json({
+          success: true,
+          jobId,
+          status: build.status,
+          percent: build.percent,
+          progress: build.progress,
+          timestamp: new Date().toISOString()
+        });
+      }
+
       return res.status(404).json({
         error: 'Model not found',
-        jobId
+        jobId,
+        status: build?.status || null,
+        buildError: build?.error || null
       });
     }
     
-    const stats = fs.statSync(glbPath);
-    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
-    
     res.json({
       success: true,
       jobId,
-      glbPath,
-      manifestPath,
-      fileSize: stats.size,
-      createdAt: stats.birthtime,
-      manifest
+      glbPath: outputStorage.resolve(glb.key),
+      uncompressedGlbPath: uncompressedGlb ? outputStorage.resolve(uncompressedGlb.key) : null,
+      manifestPath: outputStorage.resolve(manifest.key),
+      fileSize: glb.size,
+      uncompressedFileSize: uncompressedGlb?.size || glb.size,
+      createdAt: glb.lastModified,
+      // A rebuild in progress replaces these files when it finishes
+      buildStatus: build?.status || null,
+      manifest: JSON.parse(manifest.body.toString('utf8'))
     });
     
   } catch (error) {
@@ -317,15 +358,15 @@ app.get('/models/:jobId', (req, res) => {
 });
 
 /**
- * Download GLB file
+ * Download GLB file; ?variant=uncompressed returns the export from before geometry compression
  */
-app.get('/models/:jobId/download', (req, res) => {
+app.get('/models/:jobId/download', jobIdParam, async (req, res) => {
   try {
     const { jobId } = req.params;
-    const outputDir = process.env.OUTPUT_DIR || './output';
-    const glbPath = path.join(outputDir, `${jobId}.glb`);
+    const uncompressed = req.query.variant === 'uncompressed';
+    const glb = await outputStorage.head(uncompressed ? `${jobId}_uncompressed.glb` : `${jobId}.glb`);
     
-    if (!fs.existsSync(glbPath)) {
+    if (!glb) {
       return res.status(404).json({
         error: 'GLB file not found',
         jobId
@@ -333,9 +374,9 @@ app.get('/models/:jobId/download', (req, res) => {
     }
     
     res.setHeader('Content-Type', 'model/gltf-binary');
-    res.setHeader('Content-Disposition', `attachment; filename="${jobId}.glb"`);
+    res.setHeader('Content-Disposition', `attachment; filename="${glb.key}"`);
     
-    const stream = fs.createReadStream(glbPath);
+    const stream = outputStorage.createReadStream(glb.key);
     stream.pipe(res);
     
   } catch (error) {
@@ -350,25 +391,12 @@ app.get('/models/:jobId/download', (req, res) => {
 /**
  * Health metrics
  */
-app.get('/metrics', (req, res) => {
+app.get('/metrics', async (req, res) => {
   try {
-    const outputDir = process.env.OUTPUT_DIR || './output';
-    let totalFiles = 0;
-    let totalSize = 0;
-    
-    if (fs.existsSync(outputDir)) {
-      const files = fs.readdirSync(outputDir);
-      totalFiles = files.filter(f => f.endsWith('.glb')).length;
-      
-      files.forEach(file => {
-        try {
-          const stats = fs.statSync(path.join(outputDir, file));
-          totalSize += stats.size;
-        } catch (err) {
-          // Ignore errors for individual files
-        }
-      });
-    }
+    const listing = await outputStorage.list('', { maxKeys: Infinity });
+    const totalFiles = listing.objects
+      .filter(object => object.Key.endsWith('.glb') && !object.Key.endsWith('_uncompressed.glb') && !object.Key.includes('.tmp')).length;
+    const totalSize = listing.objects.reduce((sum, object) => sum + object.Size, 0);
     
     res.json({
       service: 'model-builder',
@@ -378,7 +406,8 @@ app.get('/metrics', (req, res) => {
         averageModelSize: totalFiles > 0 ? Math.round(totalSize / totalFiles) : 0,
         uptime: process.uptime(),
         memoryUsage: process.memoryUsage(),
-        threejsVersion: THREE.REVISION
+        threejsVersion: THREE.REVISION,
+        builds: buildQueue.stats()
       },
       timestamp: new Date().toISOString()
     });
@@ -0,0 +1,204 @@
+/**
+ * Build Queue
+ * Runs GLB builds as background jobs keyed by pipeline job ID. Jobs move through
+ * queued, meshing, grouping and exporting to done, failed or cancelled, and every
+ * change is emitted as an 'update' event for status polling and progress streams.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const STAGES = ['meshing', 'grouping', 'exporting'];
+// Share of the overall percentage each stage accounts for
+const STAGE_WEIGHTS = { meshing: 60, grouping: 10, exporting: 30 };
+const FINISHED_STATES = ['done', 'failed', 'cancelled'];
+
+class BuildQueue extends EventEmitter {
+  constructor(glbBuilder) {
+    super();
+    // Every progress stream subscribes, so the default listener limit would warn
+    this.setMaxListeners(0);
+    this.glbBuilder = glbBuilder;
+    this.concurrency = parseInt(process.env.BUILD_CONCURRENCY) || 1;
+    this.maxJobs = parseInt(process.env.BUILD_JOB_HISTORY) || 100;
+    this.jobs = new Map();
+    this.pending = [];
+    this.active = 0;
+  }
+
+  /**
+   * Queue a build. A job ID can be rebuilt once its previous build has finished.
+   */
+  enqueue(request) {
+    const existing = this.jobs.get(request.jobId);
+    if (existing && !this.isFinished(existing)) {
+      throw this.conflict(`Build ${request.jobId} is already ${existing.status}`);
+    }
+
+    const job = {
+      jobId: request.jobId,
+      // Names this build's temporary output, so a rebuild never writes over the model it replaces
+      buildId: crypto.randomUUID(),
+      status: 'queued',
+      percent: 0,
+      progress: Object.fromEntries(STAGES.map(stage => [stage, 0])),
+      queuedAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null,
+      cancelRequested: false,
+      error: null,
+      result: null,
+      request,
+      controller: new AbortController()
+    };
+
+    this.jobs.delete(job.jobId);
+    this.jobs.set(job.jobId, job);
+    this.prune();
+
+    this.pending.push(job);
+    this.publish(job);
+    this.pump();
+
+    return this.describe(job);
+  }
+
+  get(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? this.describe(job) : null;
+  }
+
+  /**
+   * Cancel a build. Queued builds stop at once; running ones at their next checkpoint.
+   */
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+
+    if (this.isFinished(job)) {
+      throw this.conflict(`Build ${jobId} is already ${job.status}`);
+    }
+
+    job.cancelRequested = true;
+    if (job.status === 'queued') {
+      this.pending = this.pending.filter(pending => pending !== job);
+      this.finish(job, 'cancelled');
+    } else {
+      job.controller.abort();
+      this.publish(job);
+    }
+
+    return this.describe(job);
+  }
+
+  isFinished(job) {
+    return FINISHED_STATES.includes(job.status);
+  }
+
+  stats() {
+    const byStatus = {};
+    this.jobs.forEach(job => {
+      byStatus[job.status] = (byStatus[job.status] || 0) + 1;
+    });
+
+    return {
+      concurrency: this.concurrency,
+      active: this.active,
+      queued: this.pending.length,
+      byStatus
+    };
+  }
+
+  pump() {
+    while (this.active < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.active++;
+      this.run(job).finally(() => {
+        this.active--;
+        this.pump();
+      });
+    }
+  }
+
+  async run(job) {
+    job.startedAt = new Date().toISOString();
+
+    try {
+      job.result = await this.glbBuilder.build(job.request, {
+        signal: job.controller.signal,
+        buildId: job.buildId,
+        onProgress: (stage, percent) => this.advance(job, stage, percent)
+      });
+      this.finish(job, 'done');
+    } catch (error) {
+      if (job.controller.signal.aborted) {
+        this.finish(job, 'cancelled');
+      } else {
+        job.error = error.message;
+        this.finish(job, 'failed');
+      }
+    }
+  }
+
+  /**
+   * Record stage progress, publishing only whole-percent changes
+   */
+  async advance(job, stage, percent) {
+    const rounded = Math.floor(percent);
+    const changed = job.status !== stage || job.progress[stage] !== rounded;
+
+    job.status = stage;
+    STAGES.slice(0, STAGES.indexOf(stage)).forEach(previous => {
+      job.progress[previous] = 100;
+    });
+    job.progress[stage] = rounded;
+    job.percent = Math.floor(STAGES.reduce((sum, name) => sum + job.progress[name] * STAGE_WEIGHTS[name] / 100, 0));
+
+    if (changed) {
+      this.publish(job);
+    }
+
+    // Meshing runs on the event loop; yield so status requests, streams and cancellation get through
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  finish(job, status) {
+    job.status = status;
+    job.completedAt = new Date().toISOString();
+    if (status === 'done') {
+      job.percent = 100;
+    }
+    // The graph can be large and is not needed once the build is over
+    job.request = null;
+    this.publish(job);
+  }
+
+  publish(job) {
+    this.emit('update', this.describe(job));
+  }
+
+  describe(job) {
+    const { request, controller, ...state } = job;
+    return { ...state, progress: { ...job.progress } };
+  }
+
+  /**
+   * Keep only the most recent finished jobs so the registry stays bounded
+   */
+  prune() {
+    for (const [jobId, job] of this.jobs) {
+      if (this.jobs.size <= this.maxJobs) break;
+      if (this.isFinished(job)) {
+        this.jobs.delete(jobId);
+      }
+    }
+  }
+
+  conflict(message) {
+    const error = new Error(message);
+    error.status = 409;
+    return error;
+  }
+}
+
+module.exports = BuildQueue;
@@ -4,29 +4,40 @@
  */
 
 const THREE = require('three');
+const ConnectorGeometryGenerator = require('./connector-geometry-generator');
 
 class ComponentMeshGenerator {
   
   constructor() {
     this.materialCache = new Map();
     this.geometryCache = new Map();
+    this.connectorGeometryGenerator = new ConnectorGeometryGenerator();
   }
 
   /**
    * Generate meshes for all components
    */
-  async generateMeshes(nodes, options = {}) {
+  async generateMeshes(nodes, options = {}, onProgress = null) {
     const meshes = [];
+    // Pins of a connector in the graph are built into its model at their cavities
+    const pinsByConnector = this.connectorGeometryGenerator.groupPins(nodes);
     
-    for (const node of nodes) {
+    for (const [index, node] of nodes.entries()) {
       try {
-        const mesh = await this.generateComponentMesh(node, options);
+        const isConnectorPin = node.type === 'pin' && pinsByConnector.has(node.connectorId);
+        const mesh = isConnectorPin
+          ? null
+          : await this.generateComponentMesh(node, options, pinsByConnector.get(node.id) || []);
         if (mesh) {
           meshes.push(mesh);
         }
       } catch (error) {
         console.warn(`Failed to generate mesh for node ${node.id}:`, error.message);
       }
+
+      if (onProgress) {
+        await onProgress(index + 1, nodes.length);
+      }
     }
     
     return meshes;
@@ -35,8 +46,15 @@ class ComponentMeshGenerator {
   /**
    * Generate mesh for a single component
    */
-  async generateComponentMesh(node, options = {}) {
-    const geometry = this.getGeometry(node.mesh?.geometry || node.type, node);
+  async generateComponentMesh(node, options = {}, pins = []) {
+    // Connectors with a layout or pin nodes get a housing sized and keyed to their cavities
+    const connectorLayout = node.type === 'connector' && (node.connector || pins.length > 0) && !node.mesh?.geometry
+      ? this.connectorGeometryGenerator.resolveLayout(node, pins, this.getComponentDimensions(node))
+      : null;
+
+    const geometry = connectorLayout
+      ? this.connectorGeometryGenerator.getHousingGeometry(connectorLayout)
+      : this.getGeometry(node.mesh?.geometry || node.type, node);
     const material = this.getMaterial(node.mesh?.material || 'plastic', node);
     
     const mesh = new THREE.Mesh(geometry, material);
@@ -62,7 +80,20 @@ class ComponentMeshGenerator {
     };
 
     // Add children for complex components
-    this.addComponentDetails(mesh, node, options);
+    if (connectorLayout) {
+      this.connectorGeometryGenerator.addPins(mesh, node, connectorLayout);
+      mesh.userData.connector = {
+        shape: connectorLayout.shape,
+        rows: connectorLayout.rows,
+        columns: connectorLayout.columns,
+        key: connectorLayout.key,
+        gender: connectorLayout.gender,
+        cavities: connectorLayout.cavities.length,
+        pins: connectorLayout.cavities.filter(cavity => cavity.pin).length
+      };
+    } else {
+      this.addComponentDetails(mesh, node, options);
+    }
     
     return mesh;
   }
@@ -150,7 +181,8 @@ class ComponentMeshGenerator {
       motor: { width: 0.12, height: 0.15, depth: 0.12 },
       splice: { width: 0.01, height: 0.01, depth: 0.01 },
       ground: { width: 0.02, height: 0.02, depth: 0.02 },
-      terminal: { width: 0.015, height: 0.03, depth: 0.015 }
+      terminal: { width: 0.015, height: 0.03, depth: 0.015 },
+      pin: { width: 0.004, height: 0.01, depth: 0.004 }
     };
     
     return dimensionMap[node.type] || { width: 0.05, height: 0.05, depth: 0.05 };
@@ -262,12 +294,13 @@ class ComponentMeshGenerator {
    * Add connector pins
    */
   addConnectorPins(mesh, pinCount) {
-    const pinGeometry = new THREE.CylinderGeometry(0.001, 0.001, 0.01, 8);
-    const pinMaterial = new THREE.MeshStandardMaterial({ 
+    const pinGeometry = this.getDetailPart(this.geometryCache, 'pin', () =>
+      new THREE.CylinderGeometry(0.001, 0.001, 0.01, 8));
+    const pinMaterial = this.getDetailPart(this.materialCache, 'pin', () => new THREE.MeshStandardMaterial({ 
       color: '#FFD700', // Gold
       metalness: 0.9,
       roughness: 0.1
-    });
+    }));
     
     const pinsPerRow = Math.ceil(Math.sqrt(pinCount));
     const spacing = 0.005;
@@ -293,12 +326,14 @@ class ComponentMeshGenerator {
    * Add battery terminals
    */
   addBatteryTerminals(mesh) {
-    const terminalGeometry = new THREE.CylinderGeometry(0.01, 0.01, 0.02, 12);
+    const terminalGeometry = this.getDetailPart(this.geometryCache, 'terminal', () =>
+      new THREE.CylinderGeometry(0.01, 0.01, 0.02, 12));
     
     // Positive terminal
     const posTerminal = new THREE.Mesh(
       terminalGeometry,
-      new THREE.MeshStandardMaterial({ color: '#FF0000', metalness: 0.8 })
+      this.getDetailPart(this.materialCache, 'terminal_positive', () =>
+        new THREE.MeshStandardMaterial({ color: '#FF0000', metalness: 0.8 }))
     );
     posTerminal.position.set(0.08, 0.12, 0);
     posTerminal.name = 'PositiveTerminal';
@@ -308,7 +343,8 @@ class ComponentMeshGenerator {
     // Negative terminal
     const negTerminal = new THREE.Mesh(
       terminalGeometry,
-      new THREE.MeshStandardMaterial({ color: '#000000', metalness: 0.8 })
+      this.getDetailPart(this.materialCache, 'terminal_negative', () =>
+        new THREE.MeshStandardMaterial({ color: '#000000', metalness: 0.8 }))
     );
     negTerminal.position.set(-0.08, 0.12, 0);
     negTerminal.name = 'NegativeTerminal';
@@ -320,11 +356,12 @@ class ComponentMeshGenerator {
    * Add ECU status indicator
    */
   addECUIndicator(mesh) {
-    const indicatorGeometry = new THREE.SphereGeometry(0.003, 8, 6);
-    const indicatorMaterial = new THREE.MeshBasicMaterial({ 
+    const indicatorGeometry = this.getDetailPart(this.geometryCache, 'indicator', () =>
+      new THREE.SphereGeometry(0.003, 8, 6));
+    const indicatorMaterial = this.getDetailPart(this.materialCache, 'indicator', () => new THREE.MeshBasicMaterial({ 
       color: '#00FF00', // Green
       emissive: '#004400'
-    });
+    }));
     
     const indicator = new THREE.Mesh(indicatorGeometry, indicatorMaterial);
     indicator.position.set(0.06, 0.04, 0.05);
@@ -334,6 +371,18 @@ class ComponentMeshGenerator {
     mesh.add(indicator);
   }
 
+  /**
+   * Share detail part geometry and materials between components, so identical
+   * parts are written to the GLB once and can be instanced
+   */
+  getDetailPart(cache, name, create) {
+    const cacheKey = `detail_${name}`;
+    if (!cache.has(cacheKey)) {
+      cache.set(cacheKey, create());
+    }
+    return cache.get(cacheKey);
+  }
+
   /**
    * Generate tooltip text for component
    */
@@ -373,6 +422,7 @@ class ComponentMeshGenerator {
   clearCaches() {
     this.materialCache.clear();
     this.geometryCache.clear();
+    this.connectorGeometryGenerator.clearCaches();
   }
 }
 
@@ -0,0 +1,336 @@
+/**
+ * Connector Geometry Generator
+ * Builds connector housings and pins from their layout: keyed rectangular or
+ * round housings with pins placed at their cavity on the mating face
+ */
+
+const THREE = require('three');
+const { mergeGeometries } = require('three/examples/jsm/utils/BufferGeometryUtils.js');
+
+// Cavity spacing when the layout gives none, in meters
+const DEFAULT_PITCH = 0.005;
+
+// Key sides on the mating face (+Y), looking down at it: cavity 1 is top left
+const KEY_SIDES = {
+  top: { axis: 'z', sign: -1 },
+  bottom: { axis: 'z', sign: 1 },
+  left: { axis: 'x', sign: -1 },
+  right: { axis: 'x', sign: 1 }
+};
+
+class ConnectorGeometryGenerator {
+
+  constructor() {
+    this.materialCache = new Map();
+    this.geometryCache = new Map();
+  }
+
+  /**
+   * Pin nodes by the connector they belong to. Pins naming a connector that is
+   * not in the graph are left out and built as standalone components.
+   */
+  groupPins(nodes) {
+    const connectorIds = new Set(nodes.filter(node => node.type === 'connector').map(node => node.id));
+    const pinsByConnector = new Map();
+
+    nodes.forEach(node => {
+      if (node.type !== 'pin' || !connectorIds.has(node.connectorId)) return;
+
+      if (!pinsByConnector.has(node.connectorId)) {
+        pinsByConnector.set(node.connectorId, []);
+      }
+      pinsByConnector.get(node.connectorId).push(node);
+    });
+
+    return pinsByConnector;
+  }
+
+  /**
+   * Resolve a connector's cavity grid and housing size from its layout, pin
+   * count and pins. Pins without a cavity take the free cavities in order.
+   */
+  resolveLayout(node, pins, dimensions) {
+    const connector = node.connector || {};
+    const shape = connector.shape === 'round' ? 'round' : 'rectangular';
+    const pitch = connector.pitch || DEFAULT_PITCH;
+
+    const highestCavity = Math.max(0, ...pins.map(pin => pin.cavity || 0));
+    const cavityCount = Math.max(
+      node.metadata?.specifications?.pinCount || 0,
+      highestCavity,
+      pins.length,
+      connector.rows && connector.columns ? connector.rows * connector.columns : 0,
+      1
+    );
+
+    // Round housings put their cavities on one ring, numbered as a single row
+    let rows = 1;
+    let columns = cavityCount;
+    if (shape === 'rectangular') {
+      rows = connector.rows || (connector.columns
+        ? Math.ceil(cavityCount / connector.columns)
+        : this.getDefaultRows(cavityCount));
+      columns = connector.columns || Math.ceil(cavityCount / rows);
+
+      // Pins numbered past the declared grid get extra rows rather than overlapping cavities
+      if (rows * columns < cavityCount) {
+        console.warn(`Connector ${node.id} has ${cavityCount} cavities, more than its ${rows}x${columns} grid; adding rows`);
+        rows = Math.max(rows, Math.ceil(cavityCount / columns));
+      }
+    }
+
+    // Grow the housing when the cavities do not fit the component's default size
+    let width = Math.max(dimensions.width, (columns + 1) * pitch);
+    let depth = Math.max(dimensions.depth, (rows + 1) * pitch);
+    if (shape === 'round') {
+      const diameter = Math.max(width, depth, (cavityCount > 1 ? cavityCount * pitch / Math.PI : 0) + 2 * pitch);
+      width = diameter;
+      depth = diameter;
+    }
+
+    const layout = {
+      shape,
+      rows,
+      columns,
+      pitch,
+      key: KEY_SIDES[connector.key] ? connector.key : null,
+      gender: connector.gender === 'male' ? 'male' : 'female',
+      width,
+      depth,
+      height: dimensions.height
+    };
+
+    return { ...layout, cavities: this.assignCavities(layout, cavityCount, pins) };
+  }
+
+  /**
+   * Automotive connectors up to 4 ways are usually single row, larger ones two or more
+   */
+  getDefaultRows(cavityCount) {
+    if (cavityCount <= 4) return 1;
+    if (cavityCount <= 16) return 2;
+    return Math.ceil(cavityCount / 8);
+  }
+
+  /**
+   * Position each cavity on the mating face and assign its pin, if any
+   */
+  assignCavities(layout, cavityCount, pins) {
+    const cavities = [];
+    for (let number = 1; number <= cavityCount; number++) {
+      cavities.push({ number, pin: null, ...this.getCavityPosition(layout, number, cavityCount) });
+    }
+
+    const unplaced = [];
+    pins.forEach(pin => {
+      const cavity = pin.cavity && cavities[pin.cavity - 1];
+      if (cavity && !cavity.pin) {
+        cavity.pin = pin;
+      } else {
+        unplaced.push(pin);
+      }
+    });
+
+    unplaced.forEach(pin => {
+      const free = cavities.find(cavity => !cavity.pin);
+      if (free) {
+        free.pin = pin;
+        free.assumed = true;
+      } else {
+        console.warn(`No free cavity for pin ${pin.id} on connector ${pin.connectorId}`);
+      }
+    });
+
+    return cavities;
+  }
+
+  /**
+   * Cavity position: row-major across the grid for rectangular housings, clockwise
+   * from the key side for round ones
+   */
+  getCavityPosition(layout, number, cavityCount) {
+    if (layout.shape === 'round') {
+      if (cavityCount === 1) {
+        return { row: 1, column: 1, x: 0, z: 0 };
+      }
+      const radius = layout.width / 2 - layout.pitch;
+      const keySide = KEY_SIDES[layout.key || 'top'];
+      const start = keySide.axis === 'x'
+        ? (keySide.sign > 0 ? 0 : Math.PI)
+        : (keySide.sign > 0 ? Math.PI / 2 : -Math.PI / 2);
+      const angle = start + (2 * Math.PI * (number - 1)) / cavityCount;
+      return { row: 1, column: number, x: radius * Math.cos(angle), z: radius * Math.sin(angle) };
+    }
+
+    const row = Math.floor((number - 1) / layout.columns) + 1;
+    const column = ((number - 1) % layout.columns) + 1;
+    return {
+      row,
+      column,
+      x: (column - (layout.columns + 1) / 2) * layout.pitch,
+      z: (row - (layout.rows + 1) / 2) * layout.pitch
+    };
+  }
+
+  /**
+   * Housing outline extruded up to the mating face, with a key rib on the keyed side
+   */
+  getHousingGeometry(layout) {
+    const cacheKey = `housing_${layout.shape}_${layout.width}_${layout.depth}_${layout.height}_${layout.key}`;
+    if (this.geometryCache.has(cacheKey)) {
+      return this.geometryCache.get(cacheKey);
+    }
+
+    const halfWidth = layout.width / 2;
+    const halfDepth = layout.depth / 2;
+    const outline = new THREE.Shape();
+    if (layout.shape === 'round') {
+      outline.absarc(0, 0, halfWidth, 0, Math.PI * 2, false);
+    } else {
+      outline.moveTo(-halfWidth, -halfDepth);
+      outline.lineTo(halfWidth, -halfDepth);
+      outline.lineTo(halfWidth, halfDepth);
+      outline.lineTo(-halfWidth, halfDepth);
+      outline.lineTo(-halfWidth, -halfDepth);
+    }
+
+    const geometries = [new THREE.ExtrudeGeometry(outline, { depth: layout.height, bevelEnabled: false, curveSegments: 24 })];
+    if (layout.key) {
+      geometries.push(this.createKeyGeometry(layout));
+    }
+
+    // Shapes are drawn in XY and extruded along Z; stand them up so the mating face is +Y
+    const geometry = geometries.length > 1
+      ? mergeGeometries(geometries.map(part => part.index ? part.toNonIndexed() : part))
+      : geometries[0];
+    geometry.rotateX(-Math.PI / 2);
+    geometry.translate(0, -layout.height / 2, 0);
+    geometry.computeVertexNormals();
+
+    this.geometryCache.set(cacheKey, geometry);
+    return geometry;
+  }
+
+  /**
+   * Rib along the keyed side, in the same XY-then-Z frame as the housing outline
+   */
+  createKeyGeometry(layout) {
+    const side = KEY_SIDES[layout.key];
+    const rib = Math.max(layout.pitch * 0.6, 0.001);
+    const along = (side.axis === 'x' ? layout.depth : layout.width) * 0.3;
+
+    const key = new THREE.BoxGeometry(
+      side.axis === 'x' ? rib : along,
+      side.axis === 'x' ? along : rib,
+      layout.height
+    );
+    // Outline Y becomes -Z after standing up, so a top (-Z) key sits at +Y here
+    const offset = (side.axis === 'x' ? layout.width : layout.depth) / 2 + rib / 2;
+    if (side.axis === 'x') {
+      key.translate(side.sign * offset, 0, layout.height / 2);
+    } else {
+      key.translate(0, -side.sign * offset, layout.height / 2);
+    }
+    return key;
+  }
+
+  /**
+   * Add a labelled, pickable mesh per pin at its cavity, and a marker for each
+   * empty cavity so cavities can be counted when back-probing
+   */
+  addPins(mesh, connectorNode, layout) {
+    const faceY = layout.height / 2;
+    const pinRadius = Math.min(0.001, layout.pitch * 0.2);
+
+    layout.cavities.forEach(cavity => {
+      const pin = cavity.pin;
+      if (!pin) {
+        const marker = new THREE.Mesh(this.getCavityGeometry(pinRadius), this.getMaterial('cavity'));
+        marker.position.set(cavity.x, faceY, cavity.z);
+        marker.name = `Cavity_${cavity.number}`;
+        marker.userData = { type: 'cavity', cavity: cavity.number, row: cavity.row, column: cavity.column, populated: false };
+        mesh.add(marker);
+        return;
+      }
+
+      const gender = pin.gender || layout.gender;
+      const pinMesh = new THREE.Mesh(this.getPinGeometry(gender, pinRadius), this.getMaterial(gender));
+      const height = pinMesh.geometry.parameters.height;
+      // Male pins stand proud of the mating face, female sockets sit just inside it
+      pinMesh.position.set(cavity.x, gender === 'male' ? faceY + height / 2 : faceY - height / 2 + 0.0002, cavity.z);
+
+      const label = pin.label || `Pin ${cavity.number}`;
+      pinMesh.name = `Pin_${cavity.number}`;
+      pinMesh.userData = {
+        nodeId: pin.id,
+        type: 'pin',
+        connectorId: connectorNode.id,
+        cavity: cavity.number,
+        cavityAssumed: Boolean(cavity.assumed),
+        row: cavity.row,
+        column: cavity.column,
+        gender,
+        label,
+        circuits: pin.circuits || [],
+        pickable: true,
+        interactive: true,
+        tooltip: this.generateTooltip(pin, cavity, connectorNode, gender)
+      };
+
+      mesh.add(pinMesh);
+    });
+  }
+
+  getPinGeometry(gender, radius) {
+    const cacheKey = `pin_${gender}_${radius}`;
+    if (!this.geometryCache.has(cacheKey)) {
+      this.geometryCache.set(cacheKey, gender === 'male'
+        ? new THREE.CylinderGeometry(radius, radius, 0.008, 8)
+        : new THREE.CylinderGeometry(radius * 1.4, radius * 1.4, 0.003, 8));
+    }
+    return this.geometryCache.get(cacheKey);
+  }
+
+  getCavityGeometry(radius) {
+    const cacheKey = `cavity_${radius}`;
+    if (!this.geometryCache.has(cacheKey)) {
+      this.geometryCache.set(cacheKey, new THREE.CylinderGeometry(radius * 1.4, radius * 1.4, 0.0005, 8));
+    }
+    return this.geometryCache.get(cacheKey);
+  }
+
+  getMaterial(kind) {
+    if (!this.materialCache.has(kind)) {
+      const settings = {
+        male: { color: '#FFD700', metalness: 0.9, roughness: 0.1 }, // Gold
+        female: { color: '#B87333', metalness: 0.8, roughness: 0.3 }, // Copper
+        cavity: { color: '#1A1A1A', metalness: 0.0, roughness: 0.9 }
+      };
+      this.materialCache.set(kind, new THREE.MeshStandardMaterial(settings[kind]));
+    }
+    return this.materialCache.get(kind);
+  }
+
+  generateTooltip(pin, cavity, connectorNode, gender) {
+    const lines = [
+      `${pin.label || pin.id}`,
+      `Connector: ${connectorNode.label || connectorNode.id}`,
+      `Cavity: ${cavity.number}${cavity.assumed ? ' (assumed)' : ''} (row ${cavity.row}, column ${cavity.column})`,
+      `Gender: ${gender}`
+    ];
+
+    if (pin.metadata?.signal) lines.push(`Signal: ${pin.metadata.signal}`);
+    if (pin.circuits && pin.circuits.length > 0) {
+      lines.push(`Circuits: ${pin.circuits.length}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  clearCaches() {
+    this.materialCache.clear();
+    this.geometryCache.clear();
+  }
+}
+
+module.exports = ConnectorGeometryGenerator;
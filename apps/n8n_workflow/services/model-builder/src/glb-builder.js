@@ -0,0 +1,266 @@
+/**
+ * GLB Builder
+ * Builds the GLB model and viewer manifest for an ElectroGraph3D, reporting
+ * progress per stage (meshing, grouping, exporting) and stopping when cancelled
+ */
+
+const crypto = require('crypto');
+const THREE = require('three');
+const { GLTFExporter } = require('three/examples/jsm/exporters/GLTFExporter.js');
+
+// GLTFExporter reads its buffers with the browser FileReader, which Node lacks
+if (typeof globalThis.FileReader === 'undefined') {
+  globalThis.FileReader = class FileReader {
+    readAsArrayBuffer(blob) {
+      blob.arrayBuffer().then(buffer => this.load(buffer));
+    }
+
+    readAsDataURL(blob) {
+      blob.arrayBuffer().then(buffer => {
+        this.load(`data:${blob.type || 'application/octet-stream'};base64,${Buffer.from(buffer).toString('base64')}`);
+      });
+    }
+
+    load(result) {
+      this.result = result;
+      if (this.onload) this.onload({ target: this });
+      if (this.onloadend) this.onloadend({ target: this });
+    }
+  };
+}
+
+class GlbBuilder {
+  constructor({ componentMeshGenerator, wireMeshGenerator, circuitGroupManager, meshInstancer, lodGenerator, glbCompressor, manifestGenerator, outputStorage }) {
+    this.componentMeshGenerator = componentMeshGenerator;
+    this.wireMeshGenerator = wireMeshGenerator;
+    this.circuitGroupManager = circuitGroupManager;
+    this.meshInstancer = meshInstancer;
+    this.lodGenerator = lodGenerator;
+    this.glbCompressor = glbCompressor;
+    this.manifestGenerator = manifestGenerator;
+    this.outputStorage = outputStorage;
+  }
+
+  /**
+   * Build and store the model. onProgress(stage, percent) is awaited at every
+   * checkpoint; an aborted signal stops the build there and removes its files.
+   * Output is written under temporary keys for buildId and replaces the previous
+   * model only once the build is past its last checkpoint.
+   */
+  async build({ graph3d, jobId, options = {} }, { signal, buildId = crypto.randomUUID(), onProgress = async () => {} } = {}) {
+    const startTime = Date.now();
+    const tempKeys = [];
+
+    const checkpoint = async (stage, percent) => {
+      if (signal?.aborted) {
+        const error = new Error(`Build ${jobId} was cancelled`);
+        error.name = 'AbortError';
+        throw error;
+      }
+      await onProgress(stage, percent);
+    };
+
+    try {
+      // Create Three.js scene
+      const scene = new THREE.Scene();
+      scene.name = `ElectricalSystem_${jobId}`;
+
+      // Build component and wire meshes, progress counted over both
+      await checkpoint('meshing', 0);
+      const nodeCount = graph3d.nodes?.length || 0;
+      const meshTotal = Math.max(nodeCount + (graph3d.routes?.length || 0), 1);
+
+      const componentMeshes = await this.componentMeshGenerator.generateMeshes(graph3d.nodes, options,
+        done => checkpoint('meshing', (done / meshTotal) * 100));
+      const wireMeshes = await this.wireMeshGenerator.generateMeshes(graph3d.routes, options,
+        done => checkpoint('meshing', ((nodeCount + done) / meshTotal) * 100));
+
+      // Organize into circuit groups
+      await checkpoint('grouping', 0);
+      const circuitGroups = this.circuitGroupManager.createCircuitGroups(
+        graph3d.circuits,
+        componentMeshes,
+        wireMeshes,
+        graph3d.nodes
+      );
+      circuitGroups.forEach(group => {
+        scene.add(group);
+      });
+
+      // Add harness trunk sleeves around bundled wires
+      await checkpoint('grouping', 50);
+      const harnessMeshes = await this.wireMeshGenerator.generateHarnessMeshes(graph3d.trunks || [], options);
+      if (harnessMeshes.length > 0) {
+        const harnessGroup = new THREE.Group();
+        harnessGroup.name = 'Harnesses';
+        harnessMeshes.forEach(mesh => harnessGroup.add(mesh));
+        scene.add(harnessGroup);
+      }
+
+      // Draw identical components as GPU instances
+      await checkpoint('grouping', 60);
+      const instancing = options.instancing === false
+        ? null
+        : this.meshInstancer.instance(scene, options.instancing);
+
+      // Attach lower levels of detail for distant viewing
+      await checkpoint('grouping', 75);
+      const lodLevels = this.lodGenerator.resolveLevels(options.lod);
+      const lod = lodLevels ? this.lodGenerator.attach(graph3d, scene, lodLevels) : null;
+
+      this.addLighting(scene);
+
+      // Generate GLB file
+      await checkpoint('exporting', 0);
+      const exported = await this.exportGLB(scene, lod ? [this.lodGenerator.exporterPlugin(lodLevels)] : []);
+      let glbBuffer = Buffer.from(exported);
+
+      // Compress geometry, keeping the uncompressed export next to it for tooling
+      await checkpoint('exporting', 30);
+      let compression = null;
+      let uncompressedBuffer = null;
+      if (options.compression && options.compression !== 'none') {
+        const compressed = await this.glbCompressor.compress(glbBuffer, options.compression);
+        compression = compressed.info;
+        uncompressedBuffer = glbBuffer;
+        glbBuffer = compressed.buffer;
+      }
+
+      // Write to temporary keys; the previous model stays in place until this build is complete
+      await checkpoint('exporting', 50);
+      const keys = {
+        glb: `${jobId}.glb`,
+        uncompressed: `${jobId}_uncompressed.glb`,
+        manifest: `${jobId}_manifest.json`
+      };
+      const temp = {
+        glb: `${jobId}.${buildId}.tmp.glb`,
+        uncompressed: `${jobId}.${buildId}.tmp_uncompressed.glb`,
+        manifest: `${jobId}.${buildId}.tmp_manifest.json`
+      };
+
+      if (uncompressedBuffer) {
+        await this.outputStorage.put(temp.uncompressed, uncompressedBuffer, {
+          contentType: 'model/gltf-binary',
+          metadata: { jobId, buildId, variant: 'uncompressed' }
+        });
+        tempKeys.push(temp.uncompressed);
+      }
+
+      await checkpoint('exporting', 60);
+      await this.outputStorage.put(temp.glb, glbBuffer, {
+        contentType: 'model/gltf-binary',
+        metadata: { jobId, buildId, ...(compression && { compression: compression.mode }) }
+      });
+      tempKeys.push(temp.glb);
+      const glbPath = this.outputStorage.resolve(keys.glb);
+      const uncompressedPath = uncompressedBuffer ? this.outputStorage.resolve(keys.uncompressed) : null;
+
+      // Generate and save viewer manifest
+      await checkpoint('exporting', 80);
+      const viewerManifest = this.manifestGenerator.generateManifest(
+        graph3d,
+        componentMeshes,
+        wireMeshes,
+        circuitGroups,
+        {
+          jobId,
+          glbPath: glbPath,
+          fileSize: glbBuffer.byteLength,
+          generatedAt: new Date().toISOString(),
+          instancing,
+          lod,
+          compression
+        }
+      );
+
+      await this.outputStorage.put(temp.manifest, JSON.stringify(viewerManifest, null, 2), {
+        contentType: 'application/json',
+        metadata: { jobId, buildId }
+      });
+      tempKeys.push(temp.manifest);
+      const manifestPath = this.outputStorage.resolve(keys.manifest);
+      await checkpoint('exporting', 100);
+
+      // Past the last checkpoint the build can no longer be cancelled: move it into place,
+      // the manifest last so it never describes a model that is not there yet
+      if (uncompressedBuffer) {
+        await this.outputStorage.move(temp.uncompressed, keys.uncompressed);
+      }
+      await this.outputStorage.move(temp.glb, keys.glb);
+      await this.outputStorage.move(temp.manifest, keys.manifest);
+
+      if (!uncompressedBuffer) {
+        // A previous compressed build's variant would no longer match the model
+        await this.outputStorage.delete(keys.uncompressed);
+      }
+
+      return {
+        glbUrl: glbPath,
+        uncompressedGlbUrl: uncompressedPath,
+        manifestUrl: manifestPath,
+        metadata: {
+          fileSize: glbBuffer.byteLength,
+          compression,
+          processingTime: Date.now() - startTime,
+          meshCount: componentMeshes.length + wireMeshes.length,
+          circuitCount: circuitGroups.length,
+          nodeCount,
+          routeCount: graph3d.routes?.length || 0,
+          generatedAt: new Date().toISOString()
+        },
+        manifest: viewerManifest
+      };
+
+    } catch (error) {
+      // Remove this build's partial output; the previous model, if any, is untouched
+      for (const key of tempKeys) {
+        try {
+          await this.outputStorage.delete(key);
+        } catch (cleanupError) {
+          console.warn(`Failed to cleanup ${key}:`, cleanupError.message);
+        }
+      }
+      throw error;
+    }
+  }
+
+  addLighting(scene) {
+    const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
+    ambientLight.name = 'AmbientLight';
+    scene.add(ambientLight);
+
+    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+    directionalLight.position.set(5, 5, 5);
+    directionalLight.name = 'DirectionalLight';
+    scene.add(directionalLight);
+  }
+
+  exportGLB(scene, plugins = []) {
+    const exporter = new GLTFExporter();
+    plugins.forEach(plugin => exporter.register(plugin));
+
+    return new Promise((resolve, reject) => {
+      exporter.parse(
+        scene,
+        (result) => {
+          if (result instanceof ArrayBuffer) {
+            resolve(result);
+          } else {
+            reject(new Error('Expected ArrayBuffer from GLTFExporter'));
+          }
+        },
+        (error) => reject(error),
+        {
+          binary: true,
+          embedImages: true,
+          includeCustomExtensions: true,
+          animations: [],
+          onlyVisible: true
+        }
+      );
+    });
+  }
+}
+
+module.exports = GlbBuilder;
@@ -0,0 +1,142 @@
+/**
+ * GLB Compressor
+ * Quantizes and compresses exported GLB geometry with meshopt or Draco,
+ * keeping the instancing and level-of-detail extensions the exporter writes
+ */
+
+const { NodeIO, Extension, ExtensionProperty, PropertyType, RefList } = require('@gltf-transform/core');
+const { ALL_EXTENSIONS } = require('@gltf-transform/extensions');
+const { dedup, draco, meshopt } = require('@gltf-transform/functions');
+const { MeshoptEncoder, MeshoptDecoder } = require('meshoptimizer');
+const draco3d = require('draco3dgltf');
+
+const MSFT_LOD = 'MSFT_lod';
+
+// Extension each mode adds, and the decoder a viewer has to load for it
+const MODES = {
+  meshopt: { extension: 'EXT_meshopt_compression', decoder: 'meshopt' },
+  draco: { extension: 'KHR_draco_mesh_compression', decoder: 'draco' }
+};
+
+/**
+ * Lower levels of a node under MSFT_lod. glTF-Transform drops extensions it
+ * does not know, and with them the level nodes, so the compressor brings its own.
+ */
+class Lod extends ExtensionProperty {
+  init() {
+    this.extensionName = MSFT_LOD;
+    this.propertyType = 'Lod';
+    this.parentTypes = [PropertyType.NODE];
+  }
+
+  getDefaults() {
+    return Object.assign(super.getDefaults(), { levels: new RefList() });
+  }
+
+  addLevel(node) {
+    return this.addRef('levels', node);
+  }
+
+  listLevels() {
+    return this.listRefs('levels');
+  }
+}
+
+class MSFTLod extends Extension {
+  constructor(document) {
+    super(document);
+    this.extensionName = MSFT_LOD;
+  }
+
+  read(context) {
+    (context.jsonDoc.json.nodes || []).forEach((nodeDef, nodeIndex) => {
+      const lodDef = nodeDef.extensions?.[MSFT_LOD];
+      if (!lodDef) return;
+
+      const lod = new Lod(this.document.getGraph());
+      lodDef.ids.forEach(id => lod.addLevel(context.nodes[id]));
+      context.nodes[nodeIndex].setExtension(MSFT_LOD, lod);
+    });
+    return this;
+  }
+
+  write(context) {
+    this.document.getRoot().listNodes().forEach(node => {
+      const lod = node.getExtension(MSFT_LOD);
+      if (!lod) return;
+
+      const nodeDef = context.jsonDoc.json.nodes[context.nodeIndexMap.get(node)];
+      nodeDef.extensions = nodeDef.extensions || {};
+      nodeDef.extensions[MSFT_LOD] = {
+        ids: lod.listLevels().map(level => context.nodeIndexMap.get(level))
+      };
+    });
+    return this;
+  }
+}
+MSFTLod.EXTENSION_NAME = MSFT_LOD;
+
+class GlbCompressor {
+  constructor() {
+    this.io = null;
+  }
+
+  /**
+   * Compression modes accepted in a build's compression option
+   */
+  static get modes() {
+    return Object.keys(MODES);
+  }
+
+  async getIO() {
+    if (!this.io) {
+      await MeshoptEncoder.ready;
+      await MeshoptDecoder.ready;
+      this.io = new NodeIO()
+        .registerExtensions([...ALL_EXTENSIONS, MSFTLod])
+        .registerDependencies({
+          'meshopt.encoder': MeshoptEncoder,
+          'meshopt.decoder': MeshoptDecoder,
+          'draco3d.encoder': await draco3d.createEncoderModule(),
+          'draco3d.decoder': await draco3d.createDecoderModule()
+        });
+    }
+    return this.io;
+  }
+
+  /**
+   * Compress a GLB buffer. Returns the compressed buffer with its before/after sizes.
+   */
+  async compress(glbBuffer, mode) {
+    const settings = MODES[mode];
+    if (!settings) {
+      throw new Error(`Unknown compression mode: ${mode}`);
+    }
+
+    const io = await this.getIO();
+    const document = await io.readBinary(new Uint8Array(glbBuffer));
+
+    // Both quantize vertex attributes: meshopt as a separate pass, Draco in its encoder
+    await document.transform(
+      dedup(),
+      mode === 'meshopt' ? meshopt({ encoder: MeshoptEncoder, level: 'high' }) : draco()
+    );
+
+    const compressed = await io.writeBinary(document);
+    const originalSize = glbBuffer.byteLength;
+
+    return {
+      buffer: Buffer.from(compressed.buffer, compressed.byteOffset, compressed.byteLength),
+      info: {
+        mode,
+        extension: settings.extension,
+        decoder: settings.decoder,
+        originalSize,
+        compressedSize: compressed.byteLength,
+        ratio: Number((compressed.byteLength / originalSize).toFixed(3))
+      }
+    };
+  }
+}
+
+module.exports = GlbCompressor;
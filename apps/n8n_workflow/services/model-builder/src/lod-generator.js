@@ -0,0 +1,227 @@
+/**
+ * LOD Generator
+ * Creates lower levels of detail for component, wire and harness meshes and
+ * exports them with the MSFT_lod glTF extension: decimated component geometry
+ * without pins or terminals, and wire tubes with fewer segments
+ */
+
+const THREE = require('three');
+const { SimplifyModifier } = require('three/examples/jsm/modifiers/SimplifyModifier.js');
+const { mergeVertices } = require('three/examples/jsm/utils/BufferGeometryUtils.js');
+
+// Reduced levels below the full-detail level 0, by camera distance in meters
+const DEFAULT_LEVELS = [
+  { distance: 4, detail: 0.5 },
+  { distance: 12, detail: 0.2 }
+];
+
+// Field of view the screen coverage thresholds assume, matching the manifest's recommended camera
+const REFERENCE_FOV = 60;
+
+// Geometries this small (a box has 8 corners) lose their shape when decimated
+const MIN_DECIMATION_VERTICES = 24;
+
+class LodGenerator {
+  constructor(wireMeshGenerator) {
+    this.wireMeshGenerator = wireMeshGenerator;
+    this.simplifier = new SimplifyModifier();
+    this.geometryCache = new Map();
+  }
+
+  /**
+   * Reduced levels for a build's lod option: false disables LOD, true or
+   * omitted uses the defaults, { levels } overrides them
+   */
+  resolveLevels(option) {
+    if (option === false || option?.enabled === false) {
+      return null;
+    }
+
+    const levels = option?.levels || DEFAULT_LEVELS;
+    return [...levels]
+      .map(level => ({ distance: Number(level.distance), detail: Number(level.detail) }))
+      .sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * Attach the reduced levels to each component, wire and harness mesh in the
+   * scene as children, to be moved into MSFT_lod by the exporter plugin. Runs
+   * after grouping, on the circuit groups' tinted copies. Returns per-level
+   * counts for the manifest.
+   */
+  attach(graph3d, scene, levels) {
+    const routes = new Map((graph3d.routes || []).map(route => [route.edgeId, route]));
+    const trunks = new Map((graph3d.trunks || []).map(trunk => [trunk.id, trunk]));
+    // Level 0 is the full-detail mesh itself, counted alongside for comparison
+    const allLevels = [{ distance: 0, detail: 1 }, ...levels];
+    const summary = allLevels.map(() => ({ total_vertices: 0, total_triangles: 0 }));
+    let objects = 0;
+
+    // Wires are cloned into every circuit group they belong to; build each level's tube once
+    const wireGeometries = new Map();
+    const wireGeometry = (route, detail) => {
+      const key = `${route.edgeId}_${detail}`;
+      if (!wireGeometries.has(key)) {
+        wireGeometries.set(key, this.wireMeshGenerator.createWireGeometry(route, detail));
+      }
+      return wireGeometries.get(key);
+    };
+
+    const count = (index, geometry) => {
+      summary[index].total_vertices += geometry.attributes.position.count;
+      summary[index].total_triangles += this.countTriangles(geometry);
+    };
+
+    // Meshes without reduced levels are drawn at full detail at every distance
+    const attachLevels = (mesh, createGeometry) => {
+      count(0, mesh.geometry);
+      if (!createGeometry) {
+        levels.forEach((level, index) => count(index + 1, mesh.geometry));
+        return;
+      }
+
+      levels.forEach((level, index) => {
+        const geometry = createGeometry(level.detail);
+        const lodMesh = this.createLevelMesh(mesh, geometry);
+        lodMesh.name = `${mesh.name}_LOD${index + 1}`;
+        lodMesh.userData = { lodLevel: index + 1, lodOf: mesh.name };
+        mesh.add(lodMesh);
+        count(index + 1, geometry);
+      });
+      mesh.userData.lodLevels = levels.length;
+      objects++;
+    };
+
+    // Collect first, attaching while traversing would visit the new levels too
+    const meshes = [];
+    scene.traverse(object => {
+      if (object.isMesh && (object.userData.component || object.userData.wire || object.userData.harnessId)) {
+        meshes.push(object);
+      }
+    });
+
+    meshes.forEach(mesh => {
+      if (mesh.userData.component) {
+        attachLevels(mesh, detail => this.decimate(mesh.geometry, detail));
+      } else if (mesh.userData.wire) {
+        const route = routes.get(mesh.userData.edgeId);
+        attachLevels(mesh, route && (detail => wireGeometry(route, detail)));
+      } else {
+        const trunk = trunks.get(mesh.userData.harnessId);
+        attachLevels(mesh, trunk && (detail => this.wireMeshGenerator.createSleeveGeometry(trunk.path, mesh.userData.radius, detail)));
+      }
+    });
+
+    return {
+      objects,
+      levels: allLevels.map((level, index) => ({
+        level: index,
+        distance: level.distance,
+        detail: level.detail,
+        ...summary[index]
+      }))
+    };
+  }
+
+  /**
+   * Mesh for a reduced level; instanced components keep their instances at every level
+   */
+  createLevelMesh(mesh, geometry) {
+    if (!mesh.isInstancedMesh) {
+      return new THREE.Mesh(geometry, mesh.material);
+    }
+
+    const lodMesh = new THREE.InstancedMesh(geometry, mesh.material, mesh.count);
+    lodMesh.instanceMatrix.copy(mesh.instanceMatrix);
+    return lodMesh;
+  }
+
+  /**
+   * Decimate a component geometry to roughly the detail fraction of its vertices.
+   * Component geometries are shared per type, so results are cached the same way.
+   */
+  decimate(geometry, detail) {
+    const cacheKey = `${geometry.uuid}_${detail}`;
+    if (this.geometryCache.has(cacheKey)) {
+      return this.geometryCache.get(cacheKey);
+    }
+
+    // Normals and UVs split vertices along edges, which would keep them from collapsing
+    const positions = new THREE.BufferGeometry();
+    positions.setAttribute('position', geometry.attributes.position.clone());
+    if (geometry.index) {
+      positions.setIndex(geometry.index.clone());
+    }
+    const merged = mergeVertices(positions);
+    const vertexCount = merged.attributes.position.count;
+
+    let decimated = geometry;
+    if (vertexCount >= MIN_DECIMATION_VERTICES) {
+      decimated = this.simplifier.modify(merged, Math.floor(vertexCount * (1 - detail)));
+      decimated.computeVertexNormals();
+    }
+
+    this.geometryCache.set(cacheKey, decimated);
+    return decimated;
+  }
+
+  /**
+   * GLTFExporter plugin that takes the attached levels out of the node hierarchy
+   * and lists them on their full-detail node with MSFT_lod, as the extension expects
+   */
+  exporterPlugin(levels) {
+    return writer => ({
+      writeNode: (object, nodeDef) => {
+        const lodChildren = object.children.filter(child => child.userData.lodLevel);
+        if (lodChildren.length === 0) return;
+
+        const ids = lodChildren.map(child => writer.nodeMap.get(child));
+        nodeDef.children = (nodeDef.children || []).filter(index => !ids.includes(index));
+        if (nodeDef.children.length === 0) {
+          delete nodeDef.children;
+        }
+
+        // A lower level replaces this node in its parent, so it takes this node's transform
+        ids.forEach(index => {
+          ['matrix', 'translation', 'rotation', 'scale'].forEach(key => {
+            if (nodeDef[key]) writer.json.nodes[index][key] = nodeDef[key];
+          });
+        });
+
+        nodeDef.extensions = { ...nodeDef.extensions, MSFT_lod: { ids } };
+        nodeDef.extras = {
+          ...nodeDef.extras,
+          MSFT_screencoverage: this.screenCoverage(object, levels)
+        };
+        writer.extensionsUsed.MSFT_lod = true;
+      }
+    });
+  }
+
+  /**
+   * Screen coverage below which each level hands over to the next, from the
+   * object's size at the level's switch distance. The last level is kept down to 0.
+   */
+  screenCoverage(object, levels) {
+    if (!object.geometry.boundingSphere) {
+      object.geometry.computeBoundingSphere();
+    }
+    const diameter = object.geometry.boundingSphere.radius * 2 * Math.max(...object.scale.toArray());
+    const viewHeight = distance => 2 * distance * Math.tan(THREE.MathUtils.degToRad(REFERENCE_FOV / 2));
+
+    return [
+      ...levels.map(level => Math.min(1, diameter / viewHeight(level.distance))),
+      0
+    ];
+  }
+
+  countTriangles(geometry) {
+    return Math.floor((geometry.index ? geometry.index.count : geometry.attributes.position.count) / 3);
+  }
+
+  clearCaches() {
+    this.geometryCache.clear();
+  }
+}
+
+module.exports = LodGenerator;
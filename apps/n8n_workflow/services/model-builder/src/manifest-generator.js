@@ -148,6 +148,32 @@ class ManifestGenerator {
           double_click: 'focus_on_component'
         };
       }
+
+      // Connector pins placed at their cavities are picked by their own node ID
+      mesh.children.forEach(child => {
+        if (child.userData.type !== 'pin' || !child.userData.nodeId) return;
+
+        pickableObjects.push({
+          id: child.userData.nodeId,
+          name: child.name,
+          type: 'pin',
+          category: 'connector_pin',
+          connector: mesh.userData.nodeId,
+          cavity: child.userData.cavity,
+          circuits: child.userData.circuits
+        });
+
+        tooltips[child.userData.nodeId] = {
+          content: child.userData.tooltip,
+          position: 'auto',
+          delay: 500
+        };
+
+        actions[child.userData.nodeId] = {
+          click: 'show_pin_details',
+          hover: 'highlight_pin'
+        };
+      });
     });
     
     // Process wire meshes
@@ -290,16 +316,20 @@ class ManifestGenerator {
   generatePerformanceInfo(componentMeshes, wireMeshes, buildInfo) {
     const totalVertices = this.calculateTotalVertices(componentMeshes, wireMeshes);
     const totalTriangles = this.calculateTotalTriangles(componentMeshes, wireMeshes);
+    const instancedMeshes = buildInfo.instancing?.meshes || [];
+    const instancedComponents = instancedMeshes.reduce((sum, mesh) => sum + mesh.instances, 0);
     
     return {
       complexity: {
         total_vertices: totalVertices,
         total_triangles: totalTriangles,
         total_meshes: componentMeshes.length + wireMeshes.length,
-        draw_calls: componentMeshes.length + wireMeshes.length
+        // Each instanced mesh draws all its components in one call
+        draw_calls: componentMeshes.length + wireMeshes.length - instancedComponents + instancedMeshes.length
       },
       file_size: {
         glb_size: buildInfo.fileSize,
+        uncompressed_glb_size: buildInfo.compression?.originalSize || buildInfo.fileSize,
         manifest_size: 0, // Will be updated
         total_size: buildInfo.fileSize
       },
@@ -309,14 +339,78 @@ class ManifestGenerator {
       },
       optimization: {
         geometry_merged: false,
+        geometry_compressed: Boolean(buildInfo.compression),
         textures_compressed: false,
         materials_optimized: true,
-        level_of_detail: false
+        gpu_instancing: instancedMeshes.length > 0,
+        level_of_detail: Boolean(buildInfo.lod)
       },
+      compression: this.generateCompressionInfo(buildInfo.compression),
+      instancing: this.generateInstancingInfo(buildInfo.instancing),
+      level_of_detail: this.generateLevelOfDetailInfo(buildInfo.lod),
       recommended_specs: this.getRecommendedSpecs(totalVertices, totalTriangles)
     };
   }
 
+  /**
+   * Describe the GLB's geometry compression and the decoder a viewer needs for it
+   */
+  generateCompressionInfo(compression) {
+    if (!compression) {
+      return null;
+    }
+
+    return {
+      mode: compression.mode,
+      extension: compression.extension,
+      decoder: compression.decoder,
+      original_size: compression.originalSize,
+      compressed_size: compression.compressedSize,
+      ratio: compression.ratio
+    };
+  }
+
+  /**
+   * Describe the EXT_mesh_gpu_instancing meshes in the GLB. A picked instance's
+   * index selects its node in node_ids and its metadata in the mesh's extras.instances.
+   */
+  generateInstancingInfo(instancing) {
+    if (!instancing) {
+      return null;
+    }
+
+    return {
+      extension: 'EXT_mesh_gpu_instancing',
+      replaced_nodes: instancing.replacedNodes,
+      detail_meshes: instancing.detailMeshes,
+      meshes: instancing.meshes.map(mesh => ({
+        name: mesh.name,
+        component_type: mesh.nodeType,
+        instances: mesh.instances,
+        node_ids: mesh.nodeIds
+      }))
+    };
+  }
+
+  /**
+   * Describe the MSFT_lod levels in the GLB, from level 0 at full detail. Each lower
+   * level's node is named after its full-detail node with an _LOD<level> suffix.
+   */
+  generateLevelOfDetailInfo(lod) {
+    if (!lod) {
+      return null;
+    }
+
+    return {
+      extension: 'MSFT_lod',
+      objects: lod.objects,
+      levels: lod.levels.map(level => ({
+        ...level,
+        recommended_specs: this.getRecommendedSpecs(level.total_vertices, level.total_triangles)
+      }))
+    };
+  }
+
   /**
    * Generate camera presets for different views
    */
@@ -0,0 +1,145 @@
+/**
+ * Mesh Instancer
+ * Replaces components that share a geometry and material with one InstancedMesh,
+ * exported as EXT_mesh_gpu_instancing, and instances repeated detail parts such
+ * as connector pins inside their component
+ */
+
+const THREE = require('three');
+
+// Fewer copies than this are cheaper to keep as plain nodes
+const DEFAULT_MIN_INSTANCES = 2;
+
+class MeshInstancer {
+  /**
+   * Instance the scene's components in place. Components with detail children
+   * (pins, terminals) stay plain meshes, with their repeated children instanced
+   * instead. Circuit groups keep their other objects; the instanced components
+   * move to an Instances group, each instance's metadata (nodeId, circuits,
+   * tooltip) in the mesh's userData.instances, which the exporter writes to extras.
+   */
+  instance(scene, options = {}) {
+    const minInstances = options.minInstances || DEFAULT_MIN_INSTANCES;
+    scene.updateMatrixWorld(true);
+
+    const batches = new Map();
+    const detailParents = [];
+    scene.traverse(object => {
+      if (!object.isMesh || !object.userData.component) return;
+
+      if (object.children.length > 0) {
+        detailParents.push(object);
+        return;
+      }
+
+      const key = this.batchKey(object);
+      if (!batches.has(key)) {
+        batches.set(key, []);
+      }
+      batches.get(key).push(object);
+    });
+
+    const summary = { meshes: [], replacedNodes: 0 };
+    const instancesGroup = new THREE.Group();
+    instancesGroup.name = 'Instances';
+    instancesGroup.userData = { type: 'instances' };
+
+    batches.forEach(meshes => {
+      // A node in several circuits is cloned into each circuit group; it needs only one instance
+      const byNode = new Map();
+      meshes.forEach(mesh => {
+        const existing = byNode.get(mesh.userData.nodeId);
+        if (existing) {
+          existing.parentCircuits.push(mesh.userData.parentCircuit);
+        } else {
+          byNode.set(mesh.userData.nodeId, { mesh, parentCircuits: [mesh.userData.parentCircuit] });
+        }
+      });
+      if (byNode.size < minInstances) return;
+
+      const instances = [...byNode.values()];
+      const first = instances[0].mesh;
+      const instancedMesh = new THREE.InstancedMesh(first.geometry, first.material, instances.length);
+      instancedMesh.name = `Instances_${first.userData.nodeType}_${summary.meshes.length + 1}`;
+
+      instances.forEach(({ mesh }, index) => {
+        instancedMesh.setMatrixAt(index, mesh.matrixWorld);
+      });
+      instancedMesh.userData = {
+        component: true,
+        instanced: true,
+        nodeType: first.userData.nodeType,
+        pickable: true,
+        instances: instances.map(({ mesh, parentCircuits }) => {
+          const { parentCircuit, ...metadata } = mesh.userData;
+          return { ...metadata, parentCircuits };
+        })
+      };
+      instancesGroup.add(instancedMesh);
+
+      meshes.forEach(mesh => mesh.removeFromParent());
+      summary.replacedNodes += meshes.length;
+      summary.meshes.push({
+        name: instancedMesh.name,
+        nodeType: first.userData.nodeType,
+        instances: instances.length,
+        nodeIds: instances.map(({ mesh }) => mesh.userData.nodeId)
+      });
+    });
+
+    if (instancesGroup.children.length > 0) {
+      scene.add(instancesGroup);
+    }
+
+    summary.detailMeshes = detailParents.reduce(
+      (count, parent) => count + this.instanceChildren(parent, minInstances), 0);
+    return summary;
+  }
+
+  /**
+   * Instance a component's repeated children (connector pins) in its own space,
+   * so they stay under the component and are dropped with it at lower detail
+   */
+  instanceChildren(parent, minInstances) {
+    const batches = new Map();
+    parent.children.forEach(child => {
+      // Pins with their own node ID stay separate nodes so each can be picked
+      if (!child.isMesh || child.children.length > 0 || child.userData.nodeId) return;
+
+      const key = this.batchKey(child);
+      if (!batches.has(key)) {
+        batches.set(key, []);
+      }
+      batches.get(key).push(child);
+    });
+
+    let created = 0;
+    batches.forEach(children => {
+      if (children.length < minInstances) return;
+
+      const first = children[0];
+      const instancedMesh = new THREE.InstancedMesh(first.geometry, first.material, children.length);
+      instancedMesh.name = `${parent.name}_${first.userData.type || 'detail'}_instances`;
+      children.forEach((child, index) => {
+        child.updateMatrix();
+        instancedMesh.setMatrixAt(index, child.matrix);
+      });
+      instancedMesh.userData = {
+        instanced: true,
+        instances: children.map(child => ({ name: child.name, ...child.userData }))
+      };
+
+      children.forEach(child => parent.remove(child));
+      parent.add(instancedMesh);
+      created++;
+    });
+
+    return created;
+  }
+
+  batchKey(mesh) {
+    return `${mesh.geometry.uuid}:${mesh.material.uuid}`;
+  }
+}
+
+module.exports = MeshInstancer;
@@ -15,10 +15,10 @@ class WireMeshGenerator {
   /**
    * Generate meshes for all wire routes
    */
-  async generateMeshes(routes, options = {}) {
+  async generateMeshes(routes, options = {}, onProgress = null) {
     const meshes = [];
     
-    for (const route of routes) {
+    for (const [index, route] of routes.entries()) {
       try {
         const mesh = await this.generateWireMesh(route, options);
         if (mesh) {
@@ -27,6 +27,10 @@ class WireMeshGenerator {
       } catch (error) {
         console.warn(`Failed to generate wire mesh for route ${route.edgeId}:`, error.message);
       }
+
+      if (onProgress) {
+        await onProgress(index + 1, routes.length);
+      }
     }
     
     return meshes;
@@ -36,6 +40,13 @@ class WireMeshGenerator {
    * Generate mesh for a single wire route
    */
   async generateWireMesh(route, options = {}) {
+    return this.createWireMesh(route, options);
+  }
+
+  /**
+   * Build a wire route's mesh, synchronously for bundles and harnesses
+   */
+  createWireMesh(route, options = {}) {
     if (!route.path || route.path.length < 2) {
       console.warn(`Invalid route path for edge ${route.edgeId}`);
       return null;
@@ -75,12 +86,13 @@ class WireMeshGenerator {
   }
 
   /**
-   * Create wire geometry from path points
+   * Create wire geometry from path points. Detail below 1 scales the tube's segment counts
+   * down for lower levels of detail.
    */
-  createWireGeometry(route) {
+  createWireGeometry(route, detail = 1) {
     const path = route.path;
     const radius = route.style?.radius || 0.002;
-    const segments = route.style?.segments || 8;
+    const segments = Math.max(3, Math.round((route.style?.segments || 8) * detail));
     
     // Create curve from path points
     const points = path.map(point => new THREE.Vector3(point[0], point[1], point[2]));
@@ -100,7 +112,7 @@ class WireMeshGenerator {
     // Create tube geometry along the curve
     const tubeGeometry = new THREE.TubeGeometry(
       curve,
-      Math.max(16, Math.floor(this.calculatePathLength(path) * 100)), // Segments based on length
+      this.getTubularSegments(path, detail), // Segments based on length
       radius,
       segments,
       false // Not closed
@@ -296,6 +308,27 @@ class WireMeshGenerator {
     return lines.join('\n');
   }
 
+  /**
+   * Generate protective sleeve meshes for harness trunks
+   */
+  async generateHarnessMeshes(trunks, options = {}) {
+    const meshes = [];
+    
+    for (const trunk of trunks) {
+      if (!trunk.path || trunk.path.length < 2) {
+        console.warn(`Invalid trunk path for harness ${trunk.id}`);
+        continue;
+      }
+      meshes.push(this.createSleeveMesh(trunk.path, trunk.radius, {
+        ...options,
+        id: trunk.id,
+        edgeIds: trunk.edgeIds
+      }));
+    }
+    
+    return meshes;
+  }
+
   /**
    * Create wire bundle for multiple wires
    */
@@ -303,13 +336,15 @@ class WireMeshGenerator {
     const bundleGroup = new THREE.Group();
     bundleGroup.name = `WireBundle_${bundleOptions.id || 'bundle'}`;
     
-    // Offset wires slightly to prevent z-fighting
+    // Wires routed along a shared trunk already follow the same path,
+    // only loose wires need an offset to prevent z-fighting
     routes.forEach((route, index) => {
-      const wireMesh = this.generateWireMesh(route, bundleOptions);
+      const wireMesh = this.createWireMesh(route, bundleOptions);
       if (wireMesh) {
-        // Add small random offset to prevent overlap
-        const offset = (index - routes.length / 2) * 0.001;
-        wireMesh.position.add(new THREE.Vector3(offset, offset * 0.5, offset * 0.3));
+        if (!route.trunkId) {
+          const offset = (index - routes.length / 2) * 0.001;
+          wireMesh.position.add(new THREE.Vector3(offset, offset * 0.5, offset * 0.3));
+        }
         bundleGroup.add(wireMesh);
       }
     });
@@ -324,23 +359,24 @@ class WireMeshGenerator {
   }
 
   /**
-   * Create wire harness with protective sleeve
+   * Create wire harness with protective sleeve.
+   * When harnessOptions.trunk is given the sleeve follows the routed trunk,
+   * otherwise it follows the longest wire.
    */
   createWireHarness(routes, harnessOptions = {}) {
-    const harness = this.createWireBundle(routes, harnessOptions);
+    const trunk = harnessOptions.trunk;
+    const harness = this.createWireBundle(routes, {
+      ...harnessOptions,
+      id: harnessOptions.id || trunk?.id
+    });
     
     // Add protective sleeve if specified
     if (harnessOptions.showSleeve !== false && routes.length > 0) {
-      const sleeveGeometry = this.createSleeveGeometry(routes);
-      const sleeveMaterial = new THREE.MeshLambertMaterial({
-        color: harnessOptions.sleeveColor || '#333333',
-        transparent: true,
-        opacity: 0.6
-      });
+      const sleevePath = trunk?.path || this.findLongestRoute(routes).path;
+      const sleeveRadius = trunk?.radius || Math.max(0.005, Math.sqrt(routes.length) * 0.003);
       
-      const sleeveMesh = new THREE.Mesh(sleeveGeometry, sleeveMaterial);
+      const sleeveMesh = this.createSleeveMesh(sleevePath, sleeveRadius, harnessOptions);
       sleeveMesh.name = 'ProtectiveSleeve';
-      sleeveMesh.userData = { type: 'protective_sleeve' };
       
       harness.add(sleeveMesh);
     }
@@ -348,11 +384,56 @@ class WireMeshGenerator {
     return harness;
   }
 
+  /**
+   * Create protective sleeve mesh along a path
+   */
+  createSleeveMesh(path, radius, options = {}) {
+    const sleeveMaterial = new THREE.MeshLambertMaterial({
+      color: options.sleeveColor || '#333333',
+      transparent: true,
+      opacity: 0.6
+    });
+    
+    const sleeveMesh = new THREE.Mesh(this.createSleeveGeometry(path, radius), sleeveMaterial);
+    sleeveMesh.name = `Harness_${options.id || 'sleeve'}`;
+    sleeveMesh.userData = {
+      type: 'protective_sleeve',
+      harnessId: options.id,
+      edgeIds: options.edgeIds || [],
+      radius,
+      pathLength: this.calculatePathLength(path),
+      pickable: true
+    };
+    
+    return sleeveMesh;
+  }
+
   /**
    * Create protective sleeve geometry
    */
-  createSleeveGeometry(routes) {
-    // Find the longest route to use as the base path
+  createSleeveGeometry(path, radius = 0.005, detail = 1) {
+    const points = path.map(point => new THREE.Vector3(point[0], point[1], point[2]));
+    const curve = points.length === 2
+      ? new THREE.LineCurve3(points[0], points[1])
+      : new THREE.CatmullRomCurve3(points);
+    
+    return new THREE.TubeGeometry(
+      curve,
+      this.getTubularSegments(path, detail),
+      radius,
+      Math.max(3, Math.round(8 * detail)),
+      false
+    );
+  }
+
+  /**
+   * Segments along a tube: one per centimetre, at least 16, scaled by detail
+   */
+  getTubularSegments(path, detail = 1) {
+    return Math.max(Math.ceil(16 * detail), Math.floor(this.calculatePathLength(path) * 100 * detail));
+  }
+
+  findLongestRoute(routes) {
     let longestRoute = routes[0];
     let maxLength = 0;
     
@@ -364,20 +445,7 @@ class WireMeshGenerator {
       }
     });
     
-    // Create sleeve along the longest route
-    const points = longestRoute.path.map(point => new THREE.Vector3(point[0], point[1], point[2]));
-    const curve = new THREE.CatmullRomCurve3(points);
-    
-    // Sleeve radius based on number of wires
-    const sleeveRadius = Math.max(0.005, Math.sqrt(routes.length) * 0.003);
-    
-    return new THREE.TubeGeometry(
-      curve,
-      Math.max(16, Math.floor(maxLength * 100)),
-      sleeveRadius,
-      8,
-      false
-    );
+    return longestRoute;
   }
 
   /**
@@ -0,0 +1,221 @@
+/**
+ * Service Test Harness
+ * Shared setup for the validation scripts that run the service code itself:
+ * scratch directories, services wired as their servers wire them, running servers
+ * and the summary.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+
+const SERVICES_DIR = path.join(__dirname, '../services');
+
+/**
+ * Require a module from a service's src directory
+ */
+function requireService(service, name) {
+  return require(path.join(SERVICES_DIR, service, 'src', name));
+}
+
+/**
+ * Create a scratch directory and point local storage and dead letters into it
+ */
+function createWorkDir(name) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), `${name}-`));
+  process.env.LOCAL_STORAGE_DIR = path.join(workDir, 'data-lake');
+  process.env.DEAD_LETTER_DIR = path.join(workDir, 'dead-letters');
+  return workDir;
+}
+
+function removeWorkDir(workDir) {
+  fs.rmSync(workDir, { recursive: true, force: true });
+}
+
+/**
+ * Ingest processor over filesystem storage and an in-memory cache
+ */
+async function createIngest() {
+  const FilesystemStorageManager = requireService('ingest', 'filesystem-storage-manager');
+  const CacheManager = requireService('ingest', 'cache-manager');
+  const SchemaValidator = requireService('ingest', 'schema-validator');
+  const EventProcessor = requireService('ingest', 'event-processor');
+
+  process.env.CACHE_MODE = 'memory';
+  const storageManager = new FilesystemStorageManager();
+  const cacheManager = new CacheManager();
+  const schemaValidator = new SchemaValidator();
+  await storageManager.initialize();
+  await cacheManager.initialize();
+  await quietly(() => schemaValidator.initialize());
+
+  const eventProcessor = new EventProcessor(storageManager, cacheManager, schemaValidator);
+  await eventProcessor.initialize();
+  return { storageManager, cacheManager, schemaValidator, eventProcessor };
+}
+
+/**
+ * Start a service's server.js and wait until /health answers.
+ * The child gets the parent environment without NODE_PATH, so it resolves
+ * modules exactly as it would when started from its own directory.
+ */
+async function startService(service, port, env = {}, timeoutMs = 15000) {
+  const { NODE_PATH, ...parentEnv } = process.env;
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: path.join(SERVICES_DIR, service),
+    env: { ...parentEnv, PORT: String(port), ...env },
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+
+  let stderr = '';
+  child.stderr.on('data', chunk => { stderr += chunk; });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const request = async (method, route, body) => {
+    const response = await fetch(`http://127.0.0.1:${port}${route}`, {
+      method,
+      headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      // Not a JSON response
+    }
+    return { status: response.status, body: json, text };
+  };
+
+  const stop = () => {
+    if (child.exitCode === null && child.signalCode === null) {
+      child.kill();
+    }
+    return exited;
+  };
+
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      const reason = stderr.split('\n').find(line => /Error/.test(line)) || stderr.trim();
+      throw new Error(`${service} exited with code ${child.exitCode} during startup: ${reason}`);
+    }
+    try {
+      const health = await request('GET', '/health');
+      if (health.status === 200) {
+        return { request, stop };
+      }
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+
+  await stop();
+  throw new Error(`${service} did not answer /health within ${timeoutMs}ms`);
+}
+
+/**
+ * Event envelope as the ingest server builds it
+ */
+function createEvent(jobId, { stage, eventType, step, payload }) {
+  return {
+    eventId: crypto.randomUUID(),
+    jobId,
+    timestamp: new Date().toISOString(),
+    stage,
+    step,
+    eventType,
+    payloadHash: crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex'),
+    payload
+  };
+}
+
+/**
+ * Run a call with service logging silenced, collecting error lines
+ */
+async function quietly(call, errors = []) {
+  const { log, info, warn, error } = console;
+  console.log = () => {};
+  console.info = () => {};
+  console.warn = () => {};
+  console.error = (...args) => errors.push(args.map(arg => (arg instanceof Error ? arg.message : String(arg))).join(' '));
+  try {
+    return await call();
+  } finally {
+    Object.assign(console, { log, info, warn, error });
+  }
+}
+
+/**
+ * Run one numbered test, counting it into a section's results
+ */
+async function runTest(results, id, label, test) {
+  try {
+    const message = await test();
+    console.log(`   ✅ ${message}`);
+    results.passed++;
+  } catch (error) {
+    console.log(`   ❌ ${label} test failed: ${error.message}`);
+    results.failed++;
+    results.details.push({ test: id, error: error.message });
+  }
+}
+
+/**
+ * Print totals, criteria and failure details; true when every criterion holds
+ */
+function printSummary(title, sections, criteria) {
+  const totalPassed = sections.reduce((sum, [, section]) => sum + section.passed, 0);
+  const totalFailed = sections.reduce((sum, [, section]) => sum + section.failed, 0);
+
+  console.log('\n📊 Validation Summary');
+  console.log('====================');
+  console.log(`Tests Passed: ${totalPassed}`);
+  console.log(`Tests Failed: ${totalFailed}`);
+  console.log(`Overall Success Rate: ${totalFailed === 0 ? '100.0' : ((totalPassed / (totalPassed + totalFailed)) * 100).toFixed(1)}%`);
+
+  console.log(`\n🎯 ${title}`);
+  console.log('='.repeat(title.length + 3));
+  criteria.forEach(criterion => {
+    console.log(`${criterion.status ? '✅' : '❌'} ${criterion.name}`);
+  });
+
+  const allDetails = sections.flatMap(([, section]) => section.details);
+  if (allDetails.length > 0) {
+    console.log('\n❌ Failed Tests Details:');
+    allDetails.forEach(detail => {
+      console.log(`   ${detail.test}: ${detail.error}`);
+    });
+  }
+
+  return criteria.every(criterion => criterion.status);
+}
+
+/**
+ * Exit with the validation result, as the other validation scripts do
+ */
+function runMain(main) {
+  main()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+      console.error('💥 Validation failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  SERVICES_DIR,
+  requireService,
+  createWorkDir,
+  removeWorkDir,
+  createIngest,
+  createEvent,
+  startService,
+  quietly,
+  runTest,
+  printSummary,
+  runMain
+};
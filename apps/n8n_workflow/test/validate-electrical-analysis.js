@@ -0,0 +1,323 @@
+/**
+ * Electrical Analysis Validation Script
+ * Runs the shared electrical analysis modules in utils/ on small vehicle graphs.
+ * The modules have no dependencies; run it with npm run test:electrical.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { runTest, printSummary, runMain } = require('./service-test-harness');
+
+const { ValidationRules } = require('../utils/validation-rules');
+const { FaultTracer } = require('../utils/fault-tracer');
+const { FailureSimulator } = require('../utils/failure-simulator');
+const { DcCircuitSolver } = require('../utils/dc-circuit-solver');
+const { SwitchStateModel } = require('../utils/switch-state-model');
+
+// Load test vectors
+const testVectors = JSON.parse(fs.readFileSync(path.join(__dirname, 'electrical-analysis-test-vectors.json'), 'utf8'));
+
+/**
+ * Electrical Analysis Validator
+ */
+class ElectricalAnalysisValidator {
+
+  /**
+   * Validate the fuse coordination rules as validateAll reports them
+   */
+  async validateFuseCoordination() {
+    console.log('\n🔥 Testing Fuse Coordination');
+    console.log('===========================');
+
+    const results = { passed: 0, failed: 0, details: [] };
+
+    for (const [index, testCase] of testVectors.fuseCoordination.entries()) {
+      console.log(`\n${index + 1}. Testing ${testCase.description.toLowerCase()}...`);
+      await runTest(results, testCase.id, `Fuse coordination ${testCase.id}`, () => {
+        const validation = ValidationRules.validateAll(testCase.graph);
+
+        Object.entries(testCase.expectedViolations).forEach(([rule, expected]) => {
+          const result = validation.details.find(detail => detail.rule === rule);
+          if (!result) {
+            throw new Error(`validateAll has no ${rule} result`);
+          }
+          const actual = result.violations.map(({ fuseId, severity, path }) => ({ fuseId, severity, path }));
+          if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`${rule} reported ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+          }
+          if (result.passed !== (expected.length === 0)) {
+            throw new Error(`${rule} passed is ${result.passed} with ${expected.length} violation(s)`);
+          }
+        });
+
+        const count = Object.values(testCase.expectedViolations).flat().length;
+        return count > 0 ? `${count} violation(s) reported with their fuse paths` : 'Coordinated fuses pass all three rules';
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Validate fault-tracing test plans
+   */
+  async validateFaultTrace() {
+    console.log('\n🔎 Testing Fault Tracing');
+    console.log('=======================');
+
+    const results = { passed: 0, failed: 0, details: [] };
+    const { graph, cases } = testVectors.faultTrace;
+
+    for (const [index, testCase] of cases.entries()) {
+      console.log(`\n${index + 1}. Testing ${testCase.description.toLowerCase()}...`);
+      await runTest(results, testCase.id, `Fault trace ${testCase.id}`, () => {
+        const plan = FaultTracer.trace(graph, testCase.targetId);
+        const { expected } = testCase;
+        const actual = {
+          supplyPath: plan.supplyPath,
+          groundPath: plan.groundPath,
+          steps: plan.steps.map(step => [step.branch, step.nodeId]),
+          singlePointsOfFailure: plan.singlePointsOfFailure.map(point => [point.nodeId, point.side]),
+          warnings: plan.warnings.length
+        };
+        Object.entries(expected).forEach(([field, value]) => {
+          if (JSON.stringify(actual[field]) !== JSON.stringify(value)) {
+            throw new Error(`Expected ${field} ${JSON.stringify(value)}, got ${JSON.stringify(actual[field])}`);
+          }
+        });
+
+        // Expected supply voltage never rises on the way from the battery to the target
+        const supplySteps = plan.supplyPath.map(nodeId =>
+          plan.steps.find(step => step.branch === 'supply' && step.nodeId === nodeId).expectedVoltage);
+        if (supplySteps[0] !== plan.systemVoltage || supplySteps.some((voltage, i) => i > 0 && voltage > supplySteps[i - 1])) {
+          throw new Error(`Supply voltages ${JSON.stringify(supplySteps)} do not fall from ${plan.systemVoltage}V`);
+        }
+        return `${plan.steps.length} steps, ${plan.singlePointsOfFailure.length} single points of failure`;
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Validate failure-mode simulation and symptom explanation
+   */
+  async validateFailureSimulation() {
+    console.log('\n🧯 Testing Failure-Mode Simulation');
+    console.log('=================================');
+
+    const results = { passed: 0, failed: 0, details: [] };
+    const { graph, cases, symptoms } = testVectors.failureSimulation;
+
+    for (const [index, testCase] of cases.entries()) {
+      console.log(`\n${index + 1}. Testing ${testCase.description.toLowerCase()}...`);
+      await runTest(results, testCase.id, `Failure simulation ${testCase.id}`, () => {
+        const simulation = FailureSimulator.simulate(graph, testCase.failedIds);
+        Object.entries(testCase.expected).forEach(([field, value]) => {
+          if (JSON.stringify(simulation[field]) !== JSON.stringify(value)) {
+            throw new Error(`Expected ${field} ${JSON.stringify(value)}, got ${JSON.stringify(simulation[field])}`);
+          }
+        });
+        return `${simulation.affectedNodeIds.length} components affected`;
+      });
+    }
+
+    console.log(`\n${cases.length + 1}. Testing ${symptoms.description.toLowerCase()}...`);
+    await runTest(results, 'failure_symptoms', 'Symptom explanation', () => {
+      const candidates = FailureSimulator.explainSymptoms(graph, symptoms.symptomIds)
+        .slice(0, symptoms.expectedCandidates.length)
+        .map(candidate => [candidate.failed[0].nodeId, candidate.coverage]);
+      if (JSON.stringify(candidates) !== JSON.stringify(symptoms.expectedCandidates)) {
+        throw new Error(`Candidates ${JSON.stringify(candidates)}, expected ${JSON.stringify(symptoms.expectedCandidates)}`);
+      }
+      return `${candidates[0][0]} explains every symptom first`;
+    });
+
+    return results;
+  }
+
+  /**
+   * Validate DC nodal analysis results and its limits on request-sized networks
+   */
+  async validateDcSolver() {
+    console.log('\n⚡ Testing DC Circuit Solver');
+    console.log('===========================');
+
+    const results = { passed: 0, failed: 0, details: [] };
+    const vectors = testVectors.dcSolver;
+
+    // Test 1: Load currents and Kirchhoff's current law
+    console.log('\n1. Testing load currents on a small circuit...');
+    await runTest(results, 'dc_solver_currents', 'Load current', () => {
+      const result = DcCircuitSolver.solve(vectors.circuit.graph);
+      Object.entries(vectors.circuit.expectedCurrents).forEach(([nodeId, [low, high]]) => {
+        const entry = result.nodes.find(candidate => candidate.nodeId === nodeId);
+        if (!entry || entry.current < low || entry.current > high) {
+          throw new Error(`${nodeId} draws ${entry?.current} A, expected ${low}-${high} A`);
+        }
+      });
+
+      const battery = result.nodes.find(entry => entry.type === 'battery').current;
+      const loads = result.nodes.filter(entry => entry.powered !== undefined).reduce((sum, entry) => sum + entry.current, 0);
+      if (Math.abs(battery - loads) > 1e-3) {
+        throw new Error(`Battery supplies ${battery} A but loads draw ${loads} A`);
+      }
+      return `Loads draw ${loads.toFixed(3)} A, all of it from the battery`;
+    });
+
+    // Test 2: A harness-sized network solves within the request budget
+    console.log('\n2. Testing a harness-sized network...');
+    await runTest(results, 'dc_solver_harness', 'Harness-sized network', () => {
+      const { loads, maxMs } = vectors.harness;
+      const graph = this.generateHarness(loads);
+      const started = Date.now();
+      const result = DcCircuitSolver.solve(graph);
+      const elapsed = Date.now() - started;
+      if (elapsed > maxMs) {
+        throw new Error(`${loads} loads took ${elapsed}ms, more than ${maxMs}ms`);
+      }
+      if (result.summary.loadCount !== loads || result.summary.floatingNodes.length > 0) {
+        throw new Error(`Solved ${result.summary.loadCount} loads with ${result.summary.floatingNodes.length} floating nodes`);
+      }
+      return `${loads} loads solved in ${elapsed}ms`;
+    });
+
+    // Test 3: Densely meshed networks are refused instead of blocking the request thread
+    console.log('\n3. Testing a densely meshed network...');
+    await runTest(results, 'dc_solver_mesh', 'Dense mesh', () => {
+      const { splices, linksPerSplice, maxMs } = vectors.mesh;
+      const graph = this.generateMesh(splices, linksPerSplice);
+      const started = Date.now();
+      let status = null;
+      try {
+        DcCircuitSolver.solve(graph);
+      } catch (error) {
+        status = error.status;
+      }
+      const elapsed = Date.now() - started;
+      if (status !== 400) {
+        throw new Error(`Dense mesh ended with status ${status}, expected 400`);
+      }
+      if (elapsed > maxMs) {
+        throw new Error(`Refusing the mesh took ${elapsed}ms, more than ${maxMs}ms`);
+      }
+      return `Refused with 400 after ${elapsed}ms`;
+    });
+
+    return results;
+  }
+
+  /**
+   * Validate that the switch state model and the DC solver agree on what is live
+   */
+  async validateSwitchStates() {
+    console.log('\n🔀 Testing Switch State Model Against the DC Solver');
+    console.log('==================================================');
+
+    const results = { passed: 0, failed: 0, details: [] };
+    const { graph, scenarios } = testVectors.switchStates;
+
+    for (const [index, scenario] of scenarios.entries()) {
+      console.log(`\n${index + 1}. Testing ${scenario.description.toLowerCase()}...`);
+      await runTest(results, scenario.id, `Scenario ${scenario.id}`, () => {
+        const evaluated = SwitchStateModel.evaluate(graph, scenario.scenario);
+        const modelLive = evaluated.liveLoads.map(load => load.nodeId).sort();
+
+        const solved = DcCircuitSolver.solve(graph, [], SwitchStateModel.toSolverOptions(graph, scenario.scenario));
+        const solverLive = solved.nodes.filter(entry => entry.powered).map(entry => entry.nodeId).sort();
+
+        const expected = [...scenario.expectedLiveLoads].sort();
+        if (JSON.stringify(modelLive) !== JSON.stringify(expected)) {
+          throw new Error(`Switch model has ${JSON.stringify(modelLive)} live, expected ${JSON.stringify(expected)}`);
+        }
+        if (JSON.stringify(solverLive) !== JSON.stringify(expected)) {
+          throw new Error(`DC solver powers ${JSON.stringify(solverLive)}, expected ${JSON.stringify(expected)}`);
+        }
+        return `Both modules power ${expected.length > 0 ? expected.join(', ') : 'nothing'}`;
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Battery, a fuse per eight loads and one splice per load, every fifth splice linked to another
+   */
+  generateHarness(loadCount) {
+    const nodes = [
+      { id: 'battery_main', type: 'battery', properties: { voltage: '12V' } },
+      { id: 'ground_main', type: 'ground' }
+    ];
+    const edges = [{ id: 'e_battery_ground', from: 'battery_main', to: 'ground_main', type: 'ground', properties: { gauge: '25mm2' } }];
+    const fuseCount = Math.ceil(loadCount / 8);
+
+    for (let fuse = 0; fuse < fuseCount; fuse++) {
+      nodes.push({ id: `fuse_${fuse}`, type: 'fuse' });
+      edges.push({ id: `e_fuse_${fuse}`, from: 'battery_main', to: `fuse_${fuse}`, type: 'power', properties: { gauge: '4mm2' } });
+    }
+    for (let load = 0; load < loadCount; load++) {
+      nodes.push({ id: `splice_${load}`, type: 'splice' }, { id: `lamp_${load}`, type: 'lamp', properties: { power: 1 + (load % 5) } });
+      edges.push(
+        { id: `e_feed_${load}`, from: `fuse_${Math.floor(load / 8)}`, to: `splice_${load}`, type: 'power', properties: { gauge: '1mm2' } },
+        { id: `e_load_${load}`, from: `splice_${load}`, to: `lamp_${load}`, type: 'power', properties: { gauge: '0.75mm2' } },
+        { id: `e_return_${load}`, from: `lamp_${load}`, to: 'ground_main', type: 'ground', properties: { gauge: '0.75mm2' } }
+      );
+      if (load % 5 === 4) {
+        edges.push({ id: `e_link_${load}`, from: `splice_${load}`, to: `splice_${load - 3}`, type: 'power', properties: { gauge: '0.5mm2' } });
+      }
+    }
+
+    return { nodes, edges };
+  }
+
+  /**
+   * Splices fed from the battery and cross-linked to many others
+   */
+  generateMesh(spliceCount, linksPerSplice) {
+    const nodes = [{ id: 'battery_main', type: 'battery' }, { id: 'ground_main', type: 'ground' }];
+    const edges = [{ id: 'e_battery_ground', from: 'battery_main', to: 'ground_main', type: 'ground' }];
+
+    for (let splice = 0; splice < spliceCount; splice++) {
+      nodes.push({ id: `splice_${splice}`, type: 'splice' });
+      edges.push({ id: `e_feed_${splice}`, from: 'battery_main', to: `splice_${splice}`, type: 'power' });
+      for (let link = 1; link <= linksPerSplice; link++) {
+        const other = (splice * 7 + link * 13) % spliceCount;
+        edges.push({ id: `e_link_${splice}_${link}`, from: `splice_${splice}`, to: `splice_${other}`, type: 'power' });
+      }
+    }
+
+    return { nodes, edges };
+  }
+}
+
+/**
+ * Main validation function
+ */
+async function main() {
+  console.log('🚀 Electrical Analysis Validation');
+  console.log('=================================');
+
+  const validator = new ElectricalAnalysisValidator();
+  const sections = [];
+  sections.push(['fuseCoordination', await validator.validateFuseCoordination()]);
+  sections.push(['faultTrace', await validator.validateFaultTrace()]);
+  sections.push(['failureSimulation', await validator.validateFailureSimulation()]);
+  sections.push(['dcSolver', await validator.validateDcSolver()]);
+  sections.push(['switchStates', await validator.validateSwitchStates()]);
+
+  const results = Object.fromEntries(sections);
+  return printSummary('Electrical Analysis Criteria', sections, [
+    { name: 'Fuse ratings are checked against load, wiring and upstream fuses', status: results.fuseCoordination.failed === 0 },
+    { name: 'Fault traces order probes back to the battery and ground with single points of failure', status: results.faultTrace.failed === 0 },
+    { name: 'Failure simulation reports lost power, ground and data and explains symptoms', status: results.failureSimulation.failed === 0 },
+    { name: 'DC solver balances currents and stays within the request budget', status: results.dcSolver.failed === 0 },
+    { name: 'Switch state model and DC solver agree on live loads', status: results.switchStates.failed === 0 }
+  ]);
+}
+
+// Run validation
+if (require.main === module) {
+  runMain(main);
+}
+
+module.exports = { ElectricalAnalysisValidator };
@@ -0,0 +1,706 @@
+/**
+ * Ingest Service Validation Script
+ * Runs the ingest service's analytics, lake query, storage, cache and replay
+ * modules against local storage with an in-memory cache.
+ * Needs the ingest service's dependencies installed (npm install in services/ingest);
+ * run it with npm run test:ingest.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  requireService,
+  createWorkDir,
+  removeWorkDir,
+  createIngest,
+  createEvent,
+  runTest,
+  printSummary,
+  runMain
+} = require('./service-test-harness');
+
+// Load test vectors
+const testVectors = JSON.parse(fs.readFileSync(path.join(__dirname, 'ingest-services-test-vectors.json'), 'utf8'));
+
+/**
+ * Ingest Service Validator
+ */
+class IngestServiceValidator {
+
+  constructor() {
+    // Storage and dead letters go under one scratch directory
+    this.workDir = createWorkDir('ingest-services');
+  }
+
+  /**
+   * Validate viewer analytics over batches stored by the event processor
+   */
+  async validateViewerAnalytics() {
+    console.log('\n📈 Testing Viewer Analytics');
+    console.log('==========================');
+
+    const results = { passed: 0, failed: 0, details: [] };
+    const vectors = testVectors.viewerAnalytics;
+    const ViewerAnalytics = requireService('ingest', 'viewer-analytics');
+    const { storageManager, cacheManager, eventProcessor } = await createIngest();
+    const analytics = new ViewerAnalytics(storageManager);
+
+    // Sessions start an hour ago so they fall inside the default window
+    const start = Date.now() - 60 * 60 * 1000;
+    for (const session of vectors.sessions) {
+      const events = session.events.map(({ at, ...event }) => ({
+        eventId: crypto.randomUUID(),
+        sessionId: session.sessionId,
+        vehicleId: session.vehicleId,
+        timestamp: new Date(start + at).toISOString(),
+        ...event
+      }));
+      await eventProcessor.storeViewerEvents(events, session.sessionId);
+    }
+
+    const { expected } = vectors;
+    const check = (label, actual, wanted) => {
+      if (JSON.stringify(actual) !== JSON.stringify(wanted)) {
+        throw new Error(`Expected ${label} ${JSON.stringify(wanted)}, got ${JSON.stringify(actual)}`);
+      }
+    };
+    const pick = (object, fields) => Object.fromEntries(Object.keys(fields).map(field => [field, object[field]]));
+
+    // Test 1: Usage summary
+    console.log('\n1. Testing the usage summary...');
+    await runTest(results, 'viewer_analytics_summary', 'Usage summary', async () => {
+      const summary = await analytics.summarize();
+      check('overview', pick(summary.overview, expected.overview), expected.overview);
+      check('session length', summary.sessionLength, expected.sessionLength);
+      check('top component', pick(summary.topComponents[0], expected.topComponent), expected.topComponent);
+      check('filter combinations', summary.filterCombinations.map(entry => entry.combination), expected.filterCombinations);
+      check('exports', summary.exports, expected.exports);
+      check('drop-off', summary.dropOff, expected.dropOff);
+      return `${summary.source.events} events from ${summary.source.batches} stored batches aggregated`;
+    });
+
+    // Test 2: Whole sessions are grouped per model
+    console.log('\n2. Testing per-model aggregates...');
+    await runTest(results, 'viewer_analytics_models', 'Per-model aggregates', async () => {
+      const { models } = await analytics.byModel();
+      const rates = Object.fromEntries(models.map(model => [model.modelId, model.dropOff.rate]));
+      check('drop-off rates', rates, expected.modelDropOffRates);
+      return `${models.length} models, each with its own drop-off rate`;
+    });
+
+    // Test 3: Windows too wide to scan are bad requests
+    console.log('\n3. Testing the window limit...');
+    await runTest(results, 'viewer_analytics_window', 'Window limit', async () => {
+      const status = await analytics.summarize(vectors.tooWideWindow).then(() => 200, error => error.status);
+      if (status !== 400) {
+        throw new Error(`Window ${JSON.stringify(vectors.tooWideWindow)} ended with ${status}, expected 400`);
+      }
+      return 'Windows beyond the limit are rejected with 400';
+    });
+
+    await cacheManager.close();
+    return results;
+  }
+
+  /**
+   * Validate reading stored events back out of the data lake
+   */
+  async validateLakeQuery() {
+    console.log('\n🔭 Testing Data Lake Queries');
+    console.log('===========================');
+
+    const results = { passed: 0, failed: 0, details: [] };
+    const vectors = testVectors.lakeQuery;
+    const LakeQuery = requireService('ingest', 'lake-query');
+    const { storageManager, cacheManager, eventProcessor } = await createIngest();
+    const lakeQuery = new LakeQuery(storageManager);
+
+    const stored = [];
+    for (const { vehicleSig, jobId, ...event } of vectors.events) {
+      const eventEnvelope = {
+        ...createEvent(jobId, { ...event, payload: { step: event.step, eventType: event.eventType } }),
+        metadata: { vehicleSig }
+      };
+      const storagePath = storageManager.generatePath('event', `${vehicleSig}/${eventEnvelope.eventId}`);
+      await eventProcessor.storeEvent(eventEnvelope, storagePath, JSON.stringify(eventEnvelope));
+      stored.push(eventEnvelope);
+    }
+
+    // Test 1: Filters
+    for (const [index, testCase] of vectors.queries.entries()) {
+      console.log(`\n${index + 1}. Testing ${testCase.description.toLowerCase()}...`);
+      await runTest(results, testCase.id, `Lake query ${testCase.id}`, async () => {
+        const page = await lakeQuery.page(testCase.filters, 1000);
+        const expectedIds = stored
+          .filter(event => Object.entries(testCase.filters).every(([field, value]) =>
+            (field === 'vehicleSig' ? event.metadata.vehicleSig : event[field]) === value))
+          .map(event => event.eventId)
+          .sort();
+        const ids = page.events.map(event => event.eventId).sort();
+        if (ids.length !== testCase.expectedCount || JSON.stringify(ids) !== JSON.stringify(expectedIds)) {
+          throw new Error(`Found ${ids.length} events, expected ${testCase.expectedCount}`);
+        }
+        return `${ids.length} matching events`;
+      });
+    }
+
+    // Test 2: Pages resume from their cursor and match the stream
+    console.log(`\n${vectors.queries.length + 1}. Testing pagination and streaming...`);
+    await runTest(results, 'lake_query_pages', 'Pagination', async () => {
+      const paged = [];
+      let cursor = null;
+      let pages = 0;
+      do {
+        const page = await lakeQuery.page(cursor ? { cursor } : {}, vectors.pageSize);
+        if (page.count > vectors.pageSize) {
+          throw new Error(`Page of ${page.count} events exceeds the limit of ${vectors.pageSize}`);
+        }
+        paged.push(...page.events.map(event => event.eventId));
+        cursor = page.nextCursor;
+        pages++;
+      } while (cursor && pages <= vectors.events.length);
+
+      const streamed = [];
+      for await (const event of lakeQuery.stream({})) {
+        streamed.push(event.eventId);
+      }
+
+      if (new Set(paged).size !== paged.length || paged.length !== stored.length) {
+        throw new Error(`Pages returned ${paged.length} events (${new Set(paged).size} distinct), expected ${stored.length}`);
+      }
+      if (JSON.stringify(streamed) !== JSON.stringify(paged)) {
+        throw new Error('Stream order differs from the pages');
+      }
+      return `${stored.length} events in ${pages} pages, streamed in the same order`;
+    });
+
+    // Test 3: Wide windows and broken cursors are bad requests
+    console.log(`\n${vectors.queries.length + 2}. Testing bad requests...`);
+    await runTest(results, 'lake_query_bad_requests', 'Bad request', async () => {
+      for (const filters of vectors.badRequests) {
+        const status = await lakeQuery.page(filters).then(() => 200, error => error.status);
+        if (status !== 400) {
+          throw new Error(`${JSON.stringify(filters)} ended with ${status}, expected 400`);
+        }
+      }
+      return `${vectors.badRequests.length} bad queries rejected with 400`;
+    });
+
+    await cacheManager.close();
+    return results;
+  }
+
+  /**
+   * Validate the filesystem storage backend against the S3Manager interface
+   */
+  async validateFilesystemStorage() {
+    console.log('\n💾 Testing Filesystem Storage');
+    console.log('============================');
+
+    const results = { passed: 0, failed: 0, details: [] };
+    const vectors = testVectors.filesystemStorage;
+    const FilesystemStorageManager = requireService('ingest', 'filesystem-storage-manager');
+    const storageManager = new FilesystemStorageManager();
+    await storageManager.initialize();
+
+    // Test 1: Store, retrieve and check objects
+    console.log('\n1. Testing JSON and binary round trips...');
+    await runTest(results, 'filesystem_round_trip', 'Round trip', async () => {
+      const before = await storageManager.getStatistics();
+      const { json, binary } = vectors;
+
+      const storedJson = await storageManager.storeJSON(json.data, json.path, json.metadata);
+      const retrievedJson = await storageManager.retrieve(json.path);
+      if (JSON.stringify(JSON.parse(retrievedJson.body)) !== JSON.stringify(json.data)) {
+        throw new Error(`${json.path} read back as ${retrievedJson.body}`);
+      }
+      if (retrievedJson.metadata.contentHash !== storedJson.hash || retrievedJson.metadata.jobId !== json.metadata.jobId) {
+        throw new Error(`${json.path} lost its metadata: ${JSON.stringify(retrievedJson.metadata)}`);
+      }
+
+      await storageManager.storeBinary(Buffer.from(binary.content), binary.path, binary.contentType);
+      const head = await storageManager.exists(binary.path);
+      const retrievedBinary = await storageManager.retrieve(binary.path);
+      if (!head.exists || head.size !== Buffer.byteLength(binary.content) || retrievedBinary.contentType !== binary.contentType) {
+        throw new Error(`${binary.path} reported ${JSON.stringify(head)} as ${retrievedBinary?.contentType}`);
+      }
+      if ((await storageManager.exists(`${binary.path}.missing`)).exists || await storageManager.retrieve(`${binary.path}.missing`)) {
+        throw new Error('A missing object was reported as existing');
+      }
+
+      const after = await storageManager.getStatistics();
+      const added = ['normalized', 'curated'].map(type => after.byType[type].objects - before.byType[type].objects);
+      if (added.some(count => count !== 1) || after.totalObjects !== before.totalObjects + 2) {
+        throw new Error(`Statistics counted ${after.totalObjects - before.totalObjects} new objects`);
+      }
+      return 'JSON and binary objects keep their content, metadata and statistics';
+    });
+
+    // Test 2: Listing pages by key order
+    console.log('\n2. Testing paged listing...');
+    await runTest(results, 'filesystem_listing', 'Paged listing', async () => {
+      const { prefix, objects, maxKeys } = vectors.listing;
+      const paths = Array.from({ length: objects }, (_, index) => `${prefix}node_${index}.json`);
+      for (const storagePath of [...paths].reverse()) {
+        await storageManager.storeJSON({ storagePath }, storagePath);
+      }
+
+      const listed = [];
+      let continuationToken = null;
+      do {
+        const listing = await storageManager.list(prefix, maxKeys, continuationToken);
+        if (listing.count > maxKeys) {
+          throw new Error(`Page of ${listing.count} objects exceeds ${maxKeys}`);
+        }
+        listed.push(...listing.objects.map(object => object.Key.slice(storageManager.prefix.length + 1)));
+        continuationToken = listing.nextToken;
+      } while (continuationToken);
+
+      const resumed = await storageManager.list(prefix, maxKeys, null, paths[1]);
+      if (JSON.stringify(listed) !== JSON.stringify(paths)) {
+        throw new Error(`Listed ${JSON.stringify(listed)}`);
+      }
+      if (resumed.objects[0]?.Key !== `${storageManager.prefix}/${paths[2]}`) {
+        throw new Error(`startAfter ${paths[1]} resumed at ${resumed.objects[0]?.Key}`);
+      }
+      return `${objects} objects listed in key order, ${maxKeys} per page`;
+    });
+
+    // Test 3: Presigned URLs for the local /storage route
+    console.log('\n3. Testing presigned URLs...');
+    await runTest(results, 'filesystem_presigned_urls', 'Presigned URL', async () => {
+      const { storage } = storageManager;
+      const signed = async (storagePath, expiresIn) => {
+        const url = new URL(await storageManager.generatePresignedUrl(storagePath, expiresIn));
+        const key = decodeURIComponent(url.pathname.replace(/^\/storage\//, ''));
+        return { key, expires: url.searchParams.get('expires'), signature: url.searchParams.get('signature') };
+      };
+
+      const valid = await signed(vectors.json.path, 60);
+      const expired = await signed(vectors.json.path, -60);
+      if (!storage.verifySignature(valid.key, valid.expires, valid.signature)) {
+        throw new Error(`Signature for ${valid.key} was rejected`);
+      }
+      if (storage.verifySignature(`${storageManager.prefix}/${vectors.binary.path}`, valid.expires, valid.signature)) {
+        throw new Error('Signature was accepted for another key');
+      }
+      if (storage.verifySignature(expired.key, expired.expires, expired.signature)) {
+        throw new Error('Expired signature was accepted');
+      }
+      return 'Signatures hold for their own key until they expire';
+    });
+
+    // Test 4: Paths cannot leave the storage root
+    console.log('\n4. Testing paths outside the storage root...');
+    await runTest(results, 'filesystem_escaping_paths', 'Escaping path', async () => {
+      for (const storagePath of vectors.escapingPaths) {
+        const outcome = await storageManager.storeJSON({}, storagePath).then(() => 'stored', error => error.message);
+        if (!/Invalid storage key/.test(outcome)) {
+          throw new Error(`${storagePath} was ${outcome}`);
+        }
+      }
+      return `${vectors.escapingPaths.length} escaping paths refused`;
+    });
+
+    return results;
+  }
+
+  /**
+   * Validate that LLM metadata and research are stored once per content and
+   * released when no vehicle references them
+   */
+  async validateLlmCache() {
+    console.log('\n🧠 Testing Content-Addressed LLM Cache');
+    console.log('=====================================');
+
+    const results = { passed: 0, failed: 0, details: [] };
+    const vectors = testVectors.llmCache;
+    const { cacheManager } = await createIngest();
+    const { evidenceHash, metadata, vehicles, lookupVehicle } = vectors;
+    const llmKey = ({ vehicleSig, nodeId }) => `llm:${vehicleSig}:${nodeId}:${evidenceHash}`;
+    let contentKey = null;
+
+    // Test 1: The same part in two vehicles is stored once
+    console.log('\n1. Testing a part shared between vehicles...');
+    await runTest(results, 'llm_cache_shared_entry', 'Shared entry', async () => {
+      const stored = [];
+      for (const vehicle of vehicles) {
+        stored.push(await cacheManager.cacheLLMMetadata(vehicle.vehicleSig, vehicle.nodeId, evidenceHash, metadata, vehicle.component));
+      }
+
+      const contentKeys = new Set(stored.map(result => result.contentKey));
+      if (contentKeys.size !== 1) {
+        throw new Error(`Expected one content entry, got ${JSON.stringify([...contentKeys])}`);
+      }
+      if (stored[0].shared || stored.slice(1).some(result => !result.shared)) {
+        throw new Error(`Expected only the first vehicle to create the entry, got ${JSON.stringify(stored.map(result => result.shared))}`);
+      }
+      for (const vehicle of vehicles) {
+        const cached = await cacheManager.getLLMMetadata(vehicle.vehicleSig, vehicle.nodeId, evidenceHash);
+        if (JSON.stringify(cached) !== JSON.stringify(metadata)) {
+          throw new Error(`${vehicle.vehicleSig} read back ${JSON.stringify(cached)}`);
+        }
+      }
+      [contentKey] = contentKeys;
+      return `${vehicles.length} vehicles reference ${contentKey}`;
+    });
+
+    // Test 2: Another vehicle finds the entry through the component
+    console.log('\n2. Testing lookup by component fingerprint...');
+    await runTest(results, 'llm_cache_fingerprint_lookup', 'Fingerprint lookup', async () => {
+      const { vehicleSig, nodeId, component } = lookupVehicle;
+      const found = await cacheManager.lookupLLMMetadata(vehicleSig, nodeId, evidenceHash, component);
+      if (found?.source !== 'shared' || found.contentKey !== contentKey) {
+        throw new Error(`Expected a shared hit on ${contentKey}, got ${JSON.stringify(found)}`);
+      }
+      // The hit is linked, so the vehicle finds it again without the component
+      const linked = await cacheManager.lookupLLMMetadata(vehicleSig, nodeId, evidenceHash);
+      if (linked?.source !== 'scoped' || linked.contentKey !== contentKey) {
+        throw new Error(`Expected the hit to be linked to ${vehicleSig}, got ${JSON.stringify(linked)}`);
+      }
+      const otherEvidence = await cacheManager.lookupLLMMetadata(vehicleSig, nodeId, vectors.otherEvidenceHash, component);
+      if (otherEvidence !== null) {
+        throw new Error(`Different evidence matched ${otherEvidence.contentKey}`);
+      }
+      return `${vehicleSig} reused the entry and was linked to it`;
+    });
+
+    // Test 3: Research is addressed by its content, ignoring timestamps and job IDs
+    console.log('\n3. Testing research deduplication...');
+    await runTest(results, 'llm_cache_research', 'Research deduplication', async () => {
+      const stored = [];
+      for (const { vehicleSig, research } of vectors.research) {
+        stored.push(await cacheManager.cacheResearch(vehicleSig, research));
+      }
+
+      const expected = vectors.research.map(entry => entry.sharesFirst);
+      const actual = stored.map(result => result.contentKey === stored[0].contentKey);
+      if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`Expected sharing ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+      }
+      const research = await cacheManager.getResearch(vectors.research[0].vehicleSig);
+      if (cacheManager.contentHash(research) !== cacheManager.contentHash(vectors.research[0].research)) {
+        throw new Error(`${vectors.research[0].vehicleSig} read back ${JSON.stringify(research)}`);
+      }
+      return `${new Set(stored.map(result => result.contentKey)).size} research entries for ${stored.length} vehicles`;
+    });
+
+    // Test 4: cleanup() releases an entry only once its last reference is gone
+    console.log('\n4. Testing reference counting on cleanup...');
+    await runTest(results, 'llm_cache_reference_counting', 'Reference counting', async () => {
+      const referencing = [...vehicles, lookupVehicle];
+      const [firstVehicle, ...otherVehicles] = referencing;
+
+      await cacheManager.delete(llmKey(firstVehicle));
+      const partial = await cacheManager.cleanup();
+      if (partial.prunedReferences !== 1 || partial.releasedContent !== 0 || !(await cacheManager.exists(contentKey))) {
+        throw new Error(`With ${otherVehicles.length} references left, cleanup pruned ${partial.prunedReferences} and released ${partial.releasedContent}`);
+      }
+
+      for (const vehicle of otherVehicles) {
+        await cacheManager.delete(llmKey(vehicle));
+      }
+      const full = await cacheManager.cleanup();
+      if (full.prunedReferences !== otherVehicles.length || full.releasedContent !== 1 || await cacheManager.exists(contentKey)) {
+        throw new Error(`With no references left, cleanup pruned ${full.prunedReferences} and released ${full.releasedContent}`);
+      }
+      if ((await cacheManager.getResearch(vectors.research[0].vehicleSig)) === null) {
+        throw new Error('Research that is still referenced was released');
+      }
+      return `Entry kept while ${otherVehicles.length} vehicles referenced it and released after the last`;
+    });
+
+    await cacheManager.close();
+    return results;
+  }
+
+  /**
+   * Validate invalidation of a vehicle family and warm-up from the data lake
+   */
+  async validateCacheFamilies() {
+    console.log('\n🔥 Testing Cache Families');
+    console.log('========================');
+
+    const results = { passed: 0, failed: 0, details: [] };
+    const vectors = testVectors.cacheFamilies;
+    const CacheWarmer = requireService('ingest', 'cache-warmer');
+    const { storageManager, cacheManager } = await createIngest();
+    const { evidenceHash, component } = vectors;
+
+    for (const vehicle of vectors.vehicles) {
+      const [brand, model, year] = vehicle.vehicleSig.split(':');
+      await cacheManager.cacheResearch(vehicle.vehicleSig, { vehicleSig: vehicle.vehicleSig });
+      await cacheManager.cacheLLMMetadata(vehicle.vehicleSig, vehicle.nodeId, evidenceHash, { nodeId: vehicle.nodeId }, component);
+      await cacheManager.cacheVehicleSignature(brand, model, year, null, null, vehicle.vehicleSig);
+    }
+    const cachedTypes = async ({ vehicleSig, nodeId }) => {
+      const [brand, model, year] = vehicleSig.split(':');
+      return {
+        research: (await cacheManager.getResearch(vehicleSig)) !== null,
+        llm_metadata: (await cacheManager.getLLMMetadata(vehicleSig, nodeId, evidenceHash)) !== null,
+        vehicle_sig: await cacheManager.exists(`vehicle:${brand}:${model}:${year}:base:global`)
+      };
+    };
+
+    // Test 1: A brand:model family loses all three entry types across its years
+    console.log('\n1. Testing family invalidation...');
+    await runTest(results, 'cache_family_invalidate', 'Family invalidation', async () => {
+      const { family, removed, kept } = vectors.invalidate;
+      const result = await cacheManager.invalidateFamily(family);
+      if (JSON.stringify(result.removed) !== JSON.stringify(removed)) {
+        throw new Error(`Expected ${JSON.stringify(removed)} removed, got ${JSON.stringify(result.removed)}`);
+      }
+
+      for (const vehicle of vectors.vehicles) {
+        const types = await cachedTypes(vehicle);
+        const shouldRemain = kept.includes(vehicle.vehicleSig);
+        if (Object.values(types).some(cached => cached !== shouldRemain)) {
+          throw new Error(`${vehicle.vehicleSig} ${shouldRemain ? 'lost' : 'kept'} entries: ${JSON.stringify(types)}`);
+        }
+      }
+      return `${family} invalidated, ${kept.join(' and ')} untouched`;
+    });
+
+    // Test 2: With cascade, shared content goes too, so other vehicles re-enrich
+    console.log('\n2. Testing cascading invalidation...');
+    await runTest(results, 'cache_family_cascade', 'Cascading invalidation', async () => {
+      const { family, releasedContent, orphaned } = vectors.cascade;
+      const result = await cacheManager.invalidateFamily(family, { types: ['llm_metadata'], cascade: true });
+      if (result.releasedContent !== releasedContent) {
+        throw new Error(`Expected ${releasedContent} shared entries released, got ${result.releasedContent}`);
+      }
+      const vehicle = vectors.vehicles.find(entry => entry.vehicleSig === orphaned);
+      const types = await cachedTypes(vehicle);
+      if (types.llm_metadata || !types.research) {
+        throw new Error(`${orphaned} kept ${JSON.stringify(types)} after the shared entry was released`);
+      }
+      return `Shared metadata released, ${orphaned} will re-enrich`;
+    });
+
+    // Test 3: Families with wildcards or no signature are refused
+    console.log('\n3. Testing invalid families...');
+    await runTest(results, 'cache_family_invalid', 'Invalid family', async () => {
+      for (const family of vectors.invalidFamilies) {
+        const status = await cacheManager.invalidateFamily(family).then(() => 200, error => error.status);
+        if (status !== 400) {
+          throw new Error(`${JSON.stringify(family)} gave ${status}`);
+        }
+      }
+      return `${vectors.invalidFamilies.length} invalid families refused with 400`;
+    });
+
+    // Test 4: Warm-up caches the family's research and node metadata from storage
+    console.log('\n4. Testing warm-up from stored research...');
+    await runTest(results, 'cache_family_warm', 'Warm-up', async () => {
+      const { family, jobs, expectedProgress, expectedEntries } = vectors.warm;
+      for (const job of jobs) {
+        await storageManager.storeJSON(job.manifest, storageManager.generatePath('research', job.jobId));
+        if (job.electroGraph) {
+          await storageManager.storeJSON(job.electroGraph, storageManager.generatePath('normalized', job.jobId));
+          await storageManager.storeJSON(job.nodeMetadata, storageManager.generatePath('enriched', job.jobId));
+        }
+      }
+
+      const warmer = new CacheWarmer(storageManager, cacheManager);
+      const { jobId } = warmer.start([family]);
+      const deadline = Date.now() + 5000;
+      let job = warmer.get(jobId);
+      while (job.status === 'running' && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        job = warmer.get(jobId);
+      }
+      if (job.status !== 'completed' || JSON.stringify(job.progress) !== JSON.stringify(expectedProgress)) {
+        throw new Error(`Job ${job.status} with ${JSON.stringify(job.progress)}${job.error ? `: ${job.error}` : ''}`);
+      }
+
+      for (const { vehicleSig, nodeId, evidence } of expectedEntries) {
+        const manifest = jobs.find(entry => `${entry.manifest.brand}:${entry.manifest.model}:${entry.manifest.year}` === vehicleSig).manifest;
+        if (JSON.stringify(await cacheManager.getResearch(vehicleSig)) !== JSON.stringify(manifest)) {
+          throw new Error(`Research for ${vehicleSig} was not warmed`);
+        }
+        // The evidence hash sub.llm-metadata computes for the node
+        const hash = crypto.createHash('sha256').update(evidence.join('|')).digest('hex').substring(0, 16);
+        const metadata = await cacheManager.getLLMMetadata(vehicleSig, nodeId, hash);
+        if (metadata?.nodeId !== nodeId) {
+          throw new Error(`Metadata for ${vehicleSig} ${nodeId} was not warmed under ${hash}`);
+        }
+      }
+      return `${job.progress.research} research entries and ${job.progress.llmMetadata} node metadata entries warmed`;
+    });
+
+    await cacheManager.close();
+    return results;
+  }
+
+  /**
+   * Validate replaying stored jobs through the current normalization workflow
+   */
+  async validateEventReplay() {
+    console.log('\n🔁 Testing Event Replay');
+    console.log('======================');
+
+    const results = { passed: 0, failed: 0, details: [] };
+    const vectors = testVectors.eventReplay;
+    const LakeQuery = requireService('ingest', 'lake-query');
+    const EventReplay = requireService('ingest', 'event-replay');
+    const WorkflowRunner = requireService('ingest', 'workflow-runner');
+    const { storageManager, cacheManager, eventProcessor } = await createIngest();
+    const lakeQuery = new LakeQuery(storageManager);
+    const workflowRunner = new WorkflowRunner();
+    const eventReplay = new EventReplay(storageManager, lakeQuery, eventProcessor, workflowRunner);
+    const { vehicleSig, research, changes } = vectors;
+    const [replayedJob, unresearchedJob] = vectors.jobs;
+
+    // The stored original is the current normalization with the vector's changes
+    // undone, as if it had been produced by older heuristics
+    const { output } = await workflowRunner.run('sub.normalize', vectors.normalizeNodes, {
+      researchManifest: research,
+      vehicleInfo: { vehicleSig },
+      jobId: replayedJob.jobId
+    });
+    const original = JSON.parse(JSON.stringify(output.electroGraph));
+    original.nodes = original.nodes
+      .filter(node => node.id !== changes.addedNode)
+      .map(node => (node.id === changes.relabeled.id ? { ...node, label: changes.relabeled.label } : node));
+    original.nodes.push(changes.removedNode);
+    await storageManager.storeJSON(research, storageManager.generatePath('research', replayedJob.jobId));
+    await storageManager.storeJSON(original, storageManager.generatePath('normalized', replayedJob.jobId));
+
+    for (const job of vectors.jobs) {
+      for (const event of job.events) {
+        const eventEnvelope = {
+          ...createEvent(job.jobId, { ...event, payload: { step: event.step } }),
+          metadata: { vehicleSig }
+        };
+        await eventProcessor.storeEvent(eventEnvelope, storageManager.generatePath('event', `${vehicleSig}/${eventEnvelope.eventId}`));
+      }
+    }
+
+    const finish = async request => {
+      const { replayId } = eventReplay.start(request);
+      const deadline = Date.now() + 10000;
+      let run = eventReplay.get(replayId);
+      while (run.status === 'running' && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        run = eventReplay.get(replayId);
+      }
+      if (run.status !== 'completed') {
+        throw new Error(`Replay ${run.status}${run.error ? `: ${run.error}` : ''}`);
+      }
+      return run;
+    };
+    const expectedNodeChanges = {
+      added: [changes.addedNode],
+      removed: [changes.removedNode.id],
+      modified: [{ id: changes.relabeled.id, fields: ['label'] }]
+    };
+
+    // Test 1: Replaying a vehicle stores a new version with its diff
+    console.log('\n1. Testing a vehicle replay...');
+    await runTest(results, 'event_replay_vehicle', 'Vehicle replay', async () => {
+      const run = await finish({ vehicleSig });
+      const outcomes = Object.fromEntries(run.jobs.map(job => [job.jobId, job]));
+      const replayed = outcomes[replayedJob.jobId];
+      if (run.progress.total !== 2 || replayed?.status !== 'replayed' || outcomes[unresearchedJob.jobId]?.status !== 'skipped') {
+        throw new Error(`Expected one replayed and one skipped job, got ${JSON.stringify(run.jobs)}`);
+      }
+      if (JSON.stringify(replayed.stages.normalized.diff) !== JSON.stringify(vectors.expectedDiff)) {
+        throw new Error(`Expected diff ${JSON.stringify(vectors.expectedDiff)}, got ${JSON.stringify(replayed.stages.normalized.diff)}`);
+      }
+      if (!replayed.stages.normalized.validation.schemaValid || replayed.stages.spatialized) {
+        throw new Error(`Unexpected stages ${JSON.stringify(replayed.stages)}`);
+      }
+
+      const versions = await eventReplay.versions(replayedJob.jobId);
+      const files = versions[0]?.files.map(file => path.basename(file)).sort();
+      if (versions.length !== 1 || versions[0].version !== run.version || JSON.stringify(files) !== JSON.stringify(['electrograph.diff.json', 'electrograph.json'])) {
+        throw new Error(`Stored versions ${JSON.stringify(versions)}`);
+      }
+      const storedDiff = await storageManager.retrieveJSON(versions[0].files.find(file => file.endsWith('.diff.json')));
+      if (JSON.stringify(storedDiff.changes.nodes) !== JSON.stringify(expectedNodeChanges)) {
+        throw new Error(`Stored node changes ${JSON.stringify(storedDiff.changes.nodes)}`);
+      }
+      const stillOriginal = await storageManager.retrieveJSON(storageManager.generatePath('normalized', replayedJob.jobId));
+      if (JSON.stringify(stillOriginal) !== JSON.stringify(original)) {
+        throw new Error('The original normalized graph was overwritten');
+      }
+      return `${replayedJob.jobId} stored as ${run.version} with its diff, ${unresearchedJob.jobId} skipped`;
+    });
+
+    // Test 2: The replay is recorded in the event log
+    console.log('\n2. Testing the replay event...');
+    await runTest(results, 'event_replay_logged', 'Replay event', async () => {
+      const page = await lakeQuery.page({ jobId: replayedJob.jobId }, 1000);
+      const replayEvents = page.events.filter(event => event.step === 'replay');
+      if (replayEvents.length !== 1 || replayEvents[0].metadata?.vehicleSig !== vehicleSig) {
+        throw new Error(`Expected one replay event for ${vehicleSig}, got ${JSON.stringify(replayEvents)}`);
+      }
+      if (JSON.stringify(replayEvents[0].payload.stages.normalized) !== JSON.stringify(vectors.expectedDiff)) {
+        throw new Error(`Replay event recorded ${JSON.stringify(replayEvents[0].payload.stages)}`);
+      }
+      return `Replay of ${replayedJob.jobId} logged for ${vehicleSig}`;
+    });
+
+    // Test 3: A dry run reports changes without storing anything
+    console.log('\n3. Testing a dry run...');
+    await runTest(results, 'event_replay_dry_run', 'Dry run', async () => {
+      const run = await finish({ jobId: replayedJob.jobId, dryRun: true });
+      const normalized = run.jobs[0]?.stages?.normalized;
+      if (JSON.stringify(normalized?.changes?.nodes) !== JSON.stringify(expectedNodeChanges) || normalized.storagePath) {
+        throw new Error(`Dry run reported ${JSON.stringify(normalized)}`);
+      }
+      const versions = await eventReplay.versions(replayedJob.jobId);
+      const page = await lakeQuery.page({ jobId: replayedJob.jobId }, 1000);
+      if (versions.length !== 1 || page.events.filter(event => event.step === 'replay').length !== 1) {
+        throw new Error(`Dry run left ${versions.length} versions and replay events behind`);
+      }
+      return 'Changes reported, nothing stored or logged';
+    });
+
+    await cacheManager.close();
+    return results;
+  }
+
+  cleanup() {
+    removeWorkDir(this.workDir);
+  }
+}
+
+/**
+ * Main validation function
+ */
+async function main() {
+  console.log('🚀 Ingest Service Validation');
+  console.log('============================');
+
+  const validator = new IngestServiceValidator();
+  const sections = [];
+  try {
+    sections.push(['viewerAnalytics', await validator.validateViewerAnalytics()]);
+    sections.push(['lakeQuery', await validator.validateLakeQuery()]);
+    sections.push(['storage', await validator.validateFilesystemStorage()]);
+    sections.push(['llmCache', await validator.validateLlmCache()]);
+    sections.push(['cacheFamilies', await validator.validateCacheFamilies()]);
+    sections.push(['eventReplay', await validator.validateEventReplay()]);
+  } finally {
+    validator.cleanup();
+  }
+
+  const results = Object.fromEntries(sections);
+  return printSummary('Ingest Criteria', sections, [
+    { name: 'Stored viewer batches aggregate per model and component', status: results.viewerAnalytics.failed === 0 },
+    { name: 'Lake events are filtered, paged and streamed', status: results.lakeQuery.failed === 0 },
+    { name: 'Filesystem storage behaves like S3Manager and signs its URLs', status: results.storage.failed === 0 },
+    { name: 'LLM metadata and research are stored once and released when unreferenced', status: results.llmCache.failed === 0 },
+    { name: 'Vehicle families are invalidated together and warmed from the lake', status: results.cacheFamilies.failed === 0 },
+    { name: 'Replays store versioned results with a diff against the original', status: results.eventReplay.failed === 0 }
+  ]);
+}
+
+// Run validation
+if (require.main === module) {
+  runMain(main);
+}
+
+module.exports = { IngestServiceValidator };
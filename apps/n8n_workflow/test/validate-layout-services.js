@@ -0,0 +1,420 @@
+/**
+ * Layout Service Validation Script
+ * Runs the layout service's routing and template code on its own and its server
+ * as started from services/layout. Needs the layout service's dependencies installed
+ * (npm install in services/layout); run it with npm run test:layout.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  requireService,
+  startService,
+  runTest,
+  printSummary,
+  runMain
+} = require('./service-test-harness');
+
+// Load test vectors
+const testVectors = JSON.parse(fs.readFileSync(path.join(__dirname, 'layout-services-test-vectors.json'), 'utf8'));
+
+/**
+ * Layout Service Validator
+ */
+class LayoutServiceValidator {
+
+  /**
+   * Validate the obstacle-aware router
+   */
+  async validateRouting() {
+    console.log('\n🧭 Testing Obstacle-Aware Routing');
+    console.log('================================');
+
+    const results = { passed: 0, failed: 0, details: [] };
+    const vectors = testVectors.routing;
+    const ObstacleMap = requireService('layout', 'obstacle-map');
+
+    // Test 1: Obstacle numbers stay distinct from walls and from each other
+    console.log('\n1. Testing obstacle numbering past 16 bits...');
+    await runTest(results, 'routing_obstacle_numbering', 'Obstacle numbering', () => {
+      const { componentCount, resolution, boundingBox } = vectors.obstacleNumbering;
+      const map = new ObstacleMap({ boundingBox }, { resolution, clearance: 0 });
+      const cellSize = resolution * 0.2;
+
+      // One cell-sized component per cell, filling the grid in index order
+      const positions = [];
+      for (let index = 0; positions.length < componentCount && index < map.cells.length; index++) {
+        const position = map.cellToWorld(map.indexToCell(index));
+        positions.push(position);
+        map.addComponent({ id: `c${positions.length}`, position, bbox_m: [cellSize, cellSize, cellSize] });
+      }
+      if (positions.length < componentCount) {
+        throw new Error(`Grid holds only ${positions.length} components`);
+      }
+
+      [65534, 65535, 65536, componentCount - 1].forEach(index => {
+        const found = map.obstacleAt(positions[index]);
+        if (found !== `c${index + 1}`) {
+          throw new Error(`Obstacle ${index + 1} reads back as ${found}`);
+        }
+      });
+      return `${componentCount} obstacles keep their own IDs`;
+    });
+
+    // Test 2: End legs from exact positions to snapped cells are checked
+    console.log('\n2. Testing end legs off the search grid...');
+    await runTest(results, 'routing_end_legs', 'End leg', async () => {
+      const { nodes, coordinateSystem, wires } = vectors.endLegs;
+      const PathFinder = requireService('layout', 'path-finder');
+      const pathFinder = new PathFinder(ObstacleMap.fromLayout(nodes, coordinateSystem));
+      const position = id => nodes.find(node => node.id === id).position;
+
+      wires.forEach(wire => {
+        const result = pathFinder.findPath(position(wire.from), position(wire.to), [wire.from, wire.to]);
+        if (!result || result.collisionFree !== wire.collisionFree) {
+          throw new Error(`${wire.id} reported collisionFree ${result?.collisionFree}, expected ${wire.collisionFree}`);
+        }
+      });
+
+      const server = await startService('layout', testVectors.server.port);
+      try {
+        const response = await server.request('POST', '/routes', {
+          nodes,
+          edges: wires.map(({ id, from, to }) => ({ id, from, to, type: 'power' })),
+          coordinateSystem,
+          options: { bundling: false }
+        });
+        wires.forEach(wire => {
+          const route = response.body?.data?.find(candidate => candidate.edgeId === wire.id);
+          if (!route || route.collisionFree !== wire.collisionFree) {
+            throw new Error(`/routes reported ${wire.id} collisionFree ${route?.collisionFree} (${response.status})`);
+          }
+        });
+      } finally {
+        await server.stop();
+      }
+
+      return 'Wires leaving through another component are not collision-free';
+    });
+
+    return results;
+  }
+
+  /**
+   * Validate wire bundling into shared harness trunks
+   */
+  async validateBundling() {
+    console.log('\n🧵 Testing Harness Bundling');
+    console.log('==========================');
+
+    const results = { passed: 0, failed: 0, details: [] };
+    const vectors = testVectors.bundling;
+    const HarnessBundler = requireService('layout', 'harness-bundler');
+    const nodeLookup = Object.fromEntries(vectors.nodes.map(node => [node.id, node]));
+
+    // Test 1: Wires are grouped by zone pair or explicit harness
+    console.log('\n1. Testing wire clustering...');
+    await runTest(results, 'bundling_clusters', 'Clustering', () => {
+      const { clusters, unbundled } = new HarnessBundler(null).clusterEdges(vectors.edges, nodeLookup);
+      const actual = Object.fromEntries(clusters.map(cluster => [cluster.id, cluster.edges.map(edge => edge.id)]));
+      if (JSON.stringify(actual) !== JSON.stringify(vectors.expected.clusters)) {
+        throw new Error(`Clusters ${JSON.stringify(actual)}`);
+      }
+      const single = unbundled.map(edge => edge.id).sort();
+      if (JSON.stringify(single) !== JSON.stringify([...vectors.expected.unbundled].sort())) {
+        throw new Error(`Unbundled ${JSON.stringify(single)}`);
+      }
+      return `${clusters.length} harnesses, ${unbundled.length} wires routed on their own`;
+    });
+
+    // Test 2: Bundled wires run the whole trunk between their breakouts
+    console.log('\n2. Testing trunk routes from /routes...');
+    await runTest(results, 'bundling_routes', 'Trunk routes', async () => {
+      const server = await startService('layout', testVectors.server.port);
+      let response;
+      try {
+        response = await server.request('POST', '/routes', {
+          nodes: vectors.nodes,
+          edges: vectors.edges,
+          coordinateSystem: vectors.coordinateSystem
+        });
+      } finally {
+        await server.stop();
+      }
+      if (response.status !== 200) {
+        throw new Error(`/routes answered ${response.status}: ${response.text}`);
+      }
+
+      const { data: routes, trunks } = response.body;
+      const trunkIds = trunks.map(trunk => trunk.id).sort();
+      if (JSON.stringify(trunkIds) !== JSON.stringify(Object.keys(vectors.expected.clusters).sort())) {
+        throw new Error(`Trunks ${JSON.stringify(trunkIds)}`);
+      }
+
+      const samePoint = (a, b) => a.every((value, axis) => Math.abs(value - b[axis]) < 1e-9);
+      const contains = (path, piece) => path.some((_, start) =>
+        piece.every((point, offset) => path[start + offset] && samePoint(path[start + offset], point)));
+
+      routes.forEach(route => {
+        const edge = vectors.edges.find(candidate => candidate.id === route.edgeId);
+        const trunk = trunks.find(candidate => candidate.edgeIds.includes(route.edgeId));
+        if (!trunk) {
+          if (route.trunkId) {
+            throw new Error(`${route.edgeId} names trunk ${route.trunkId} but no trunk carries it`);
+          }
+          return;
+        }
+        if (route.trunkId !== trunk.id || !route.collisionFree) {
+          throw new Error(`${route.edgeId} has trunkId ${route.trunkId}, collisionFree ${route.collisionFree}`);
+        }
+        if (!contains(route.path, trunk.path) && !contains(route.path, [...trunk.path].reverse())) {
+          throw new Error(`${route.edgeId} does not follow trunk ${trunk.id}`);
+        }
+        if (!samePoint(route.path[0], nodeLookup[edge.from].position) ||
+            !samePoint(route.path[route.path.length - 1], nodeLookup[edge.to].position)) {
+          throw new Error(`${route.edgeId} does not run from ${edge.from} to ${edge.to}`);
+        }
+      });
+
+      const bundled = routes.filter(route => route.trunkId).length;
+      return `${bundled} wires follow ${trunks.length} trunks from their own component to the other`;
+    });
+
+    return results;
+  }
+
+  /**
+   * Validate size-aware force-directed placement
+   */
+  async validatePlacement() {
+    console.log('\n📦 Testing Force-Directed Placement');
+    console.log('==================================');
+
+    const results = { passed: 0, failed: 0, details: [] };
+    const vectors = testVectors.placement;
+    const ForceDirectedPlacer = requireService('layout', 'force-directed-placer');
+    const ObstacleMap = requireService('layout', 'obstacle-map');
+    const { zones } = vectors.coordinateSystem;
+
+    // Test 1: Real bounding boxes end up apart and inside their zone
+    console.log('\n1. Testing a crowded zone...');
+    await runTest(results, 'placement_no_overlaps', 'Crowded zone', () => {
+      const placement = new ForceDirectedPlacer().place(vectors.nodes, zones, vectors.edges);
+      if (placement.overlaps.length > 0) {
+        throw new Error(`${placement.overlaps.length} overlaps left, first ${placement.overlaps[0].nodes.join(' / ')}`);
+      }
+      placement.nodes.forEach(node => {
+        const { center, size } = zones[node.zone];
+        const box = ObstacleMap.getComponentSize(node);
+        [0, 1, 2].forEach(axis => {
+          if (Math.abs(node.position[axis] - center[axis]) + box[axis] / 2 > size[axis] / 2 + 1e-9) {
+            throw new Error(`${node.id} sticks out of zone ${node.zone} on axis ${axis}`);
+          }
+        });
+      });
+      return `${placement.nodes.length} components placed without overlaps in ${placement.iterations} iterations`;
+    });
+
+    // Test 2: Connected components are pulled together
+    console.log('\n2. Testing attraction between connected components...');
+    await runTest(results, 'placement_attraction', 'Attraction', () => {
+      const placer = new ForceDirectedPlacer();
+      const connected = placer.place(vectors.nodes, zones, vectors.edges).nodes;
+      const unconnected = placer.place(vectors.nodes, zones, []).nodes;
+      const distance = (placed, edge) => {
+        const [a, b] = [edge.from, edge.to].map(id => placed.find(node => node.id === id).position);
+        return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+      };
+
+      vectors.edges.forEach(edge => {
+        if (distance(connected, edge) >= distance(unconnected, edge)) {
+          throw new Error(`${edge.from} and ${edge.to} are no closer when connected`);
+        }
+      });
+      return `${vectors.edges.length} connected pairs sit closer than without their wires`;
+    });
+
+    // Test 3: POST /positions exposes the strategy and reports residual overlaps
+    console.log('\n3. Testing the placement strategy on /positions...');
+    await runTest(results, 'placement_positions_route', 'Placement strategy', async () => {
+      const server = await startService('layout', testVectors.server.port);
+      const responses = {};
+      try {
+        for (const strategy of ['grid', 'force']) {
+          responses[strategy] = await server.request('POST', '/positions', {
+            nodes: vectors.nodes,
+            edges: vectors.edges,
+            coordinateSystem: vectors.coordinateSystem,
+            vehicleSignature: 'test:vehicle:2000',
+            options: { strategy }
+          });
+        }
+      } finally {
+        await server.stop();
+      }
+
+      Object.entries(responses).forEach(([strategy, response]) => {
+        if (response.status !== 200 || response.body.metadata.strategy !== strategy) {
+          throw new Error(`${strategy} answered ${response.status}: ${response.text}`);
+        }
+        const overlaps = ForceDirectedPlacer.findOverlaps(response.body.data).length;
+        if (response.body.overlaps.length !== overlaps || response.body.metadata.overlapCount !== overlaps) {
+          throw new Error(`${strategy} reported ${response.body.metadata.overlapCount} overlaps, found ${overlaps}`);
+        }
+      });
+      if (responses.force.body.metadata.overlapCount !== 0) {
+        throw new Error(`force left ${responses.force.body.metadata.overlapCount} overlaps`);
+      }
+      return `grid leaves ${responses.grid.body.metadata.overlapCount} overlap(s), force none, both reported`;
+    });
+
+    return results;
+  }
+
+  /**
+   * Validate vehicle templates and the server that serves them
+   */
+  async validateVehicleTemplates() {
+    console.log('\n🚗 Testing Vehicle Templates');
+    console.log('===========================');
+
+    const results = { passed: 0, failed: 0, details: [] };
+    const vectors = testVectors.vehicleTemplates;
+    const VehicleTemplates = requireService('layout', 'vehicle-templates');
+
+    // Test 1: Signature parsing
+    console.log('\n1. Testing vehicle signature parsing...');
+    await runTest(results, 'template_signatures', 'Signature parsing', () => {
+      vectors.signatures.forEach(({ signature, expected }) => {
+        const parsed = VehicleTemplates.parseSignature(signature);
+        if (JSON.stringify(parsed) !== JSON.stringify(expected)) {
+          throw new Error(`${JSON.stringify(signature)} parsed as ${JSON.stringify(parsed)}`);
+        }
+      });
+      return `${vectors.signatures.length} signatures parsed in both separator forms`;
+    });
+
+    // Test 2: Body type, drive side and dimensions
+    console.log('\n2. Testing template resolution...');
+    await runTest(results, 'template_resolution', 'Template resolution', () => {
+      vectors.resolutions.forEach(({ signature, overrides, expected }) => {
+        const vehicle = VehicleTemplates.resolve(signature, overrides);
+        Object.entries(expected).forEach(([field, value]) => {
+          const actual = field in vehicle ? vehicle[field] : vehicle.dimensions[field];
+          const matches = typeof value === 'number' ? Math.abs(actual - value) < 1e-6 : actual === value;
+          if (!matches) {
+            throw new Error(`${signature}: expected ${field} ${value}, got ${actual}`);
+          }
+        });
+      });
+      return `${vectors.resolutions.length} vehicles resolved to the expected template`;
+    });
+
+    // Test 3: Zones fit inside the bounding box
+    console.log('\n3. Testing derived zones...');
+    await runTest(results, 'template_zones', 'Zone derivation', () => {
+      VehicleTemplates.BODY_TYPES.forEach(bodyType => {
+        const { zones, boundingBox } = VehicleTemplates.buildCoordinateSystem('test:vehicle:2000', { bodyType });
+        Object.entries(zones).forEach(([zone, { center, size }]) => {
+          [0, 1, 2].forEach(axis => {
+            const low = center[axis] - size[axis] / 2;
+            const high = center[axis] + size[axis] / 2;
+            if (low < boundingBox.min[axis] - 1e-9 || high > boundingBox.max[axis] + 1e-9) {
+              throw new Error(`${bodyType} zone ${zone} leaves the bounding box on axis ${axis}`);
+            }
+          });
+        });
+      });
+      return `Zones of all ${VehicleTemplates.BODY_TYPES.length} body templates lie inside the bounding box`;
+    });
+
+    // Test 4: The server starts from its own directory and serves the templates
+    console.log('\n4. Testing layout server startup...');
+    await runTest(results, 'layout_server_boot', 'Layout server startup', async () => {
+      const server = await startService('layout', testVectors.server.port);
+      try {
+        const templates = await server.request('GET', '/templates');
+        if (templates.status !== 200 || templates.body.data.length !== VehicleTemplates.BODY_TYPES.length) {
+          throw new Error(`/templates answered ${templates.status}`);
+        }
+
+        const { vehicleSignature, expected } = vectors.coordinateSystemRequest;
+        const response = await server.request('POST', '/coordinate-system', { vehicleSignature });
+        const vehicle = response.body?.data?.vehicle;
+        if (response.status !== 200 || vehicle.bodyType !== expected.bodyType || vehicle.driveSide !== expected.driveSide) {
+          throw new Error(`/coordinate-system answered ${response.status}: ${response.text}`);
+        }
+      } finally {
+        await server.stop();
+      }
+      return 'Layout server starts and serves /templates and /coordinate-system';
+    });
+
+    return results;
+  }
+
+  /**
+   * Validate the request checks on the voltage-drop route, which routes wires itself
+   */
+  async validateVoltageDropRequests() {
+    console.log('\n📉 Testing Voltage-Drop Requests');
+    console.log('===============================');
+
+    const results = { passed: 0, failed: 0, details: [] };
+    const vectors = testVectors.voltageDropRequests;
+    const server = await startService('layout', testVectors.server.port);
+
+    try {
+      for (const [index, testCase] of vectors.cases.entries()) {
+        console.log(`\n${index + 1}. Testing ${testCase.description.toLowerCase()}...`);
+        await runTest(results, testCase.id, `Voltage-drop request ${testCase.id}`, async () => {
+          const response = await server.request('POST', '/analysis/voltage-drop', {
+            nodes: vectors.nodes,
+            edges: vectors.edges,
+            coordinateSystem: testCase.coordinateSystem
+          });
+          if (response.status !== testCase.expectedStatus) {
+            throw new Error(`Expected ${testCase.expectedStatus}, got ${response.status}: ${response.text}`);
+          }
+          return `${testCase.expectedStatus} ${response.body.error || 'OK'}`;
+        });
+      }
+    } finally {
+      await server.stop();
+    }
+
+    return results;
+  }
+}
+
+/**
+ * Main validation function
+ */
+async function main() {
+  console.log('🚀 Layout Service Validation');
+  console.log('============================');
+
+  const validator = new LayoutServiceValidator();
+  const sections = [];
+  sections.push(['routing', await validator.validateRouting()]);
+  sections.push(['bundling', await validator.validateBundling()]);
+  sections.push(['placement', await validator.validatePlacement()]);
+  sections.push(['templates', await validator.validateVehicleTemplates()]);
+  sections.push(['voltageDrop', await validator.validateVoltageDropRequests()]);
+
+  const results = Object.fromEntries(sections);
+  return printSummary('Layout Criteria', sections, [
+    { name: 'Routing grid keeps obstacles apart', status: results.routing.failed === 0 },
+    { name: 'Wires between the same zones share a harness trunk', status: results.bundling.failed === 0 },
+    { name: 'Force-directed placement separates real bounding boxes and reports overlaps', status: results.placement.failed === 0 },
+    { name: 'Vehicle templates resolve and the layout server starts', status: results.templates.failed === 0 },
+    { name: 'Voltage-drop requests are checked like /routes and oversized grids get 400', status: results.voltageDrop.failed === 0 }
+  ]);
+}
+
+// Run validation
+if (require.main === module) {
+  runMain(main);
+}
+
+module.exports = { LayoutServiceValidator };
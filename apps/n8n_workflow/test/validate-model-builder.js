@@ -0,0 +1,659 @@
+/**
+ * Model Builder Validation Script
+ * Runs the model-builder build queue and GLB builder against local storage, and
+ * its server as started from services/model-builder.
+ * Needs the model-builder service's dependencies installed (npm install in
+ * services/model-builder); run it with npm run test:model-builder.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  requireService,
+  createWorkDir,
+  removeWorkDir,
+  startService,
+  quietly,
+  runTest,
+  printSummary,
+  runMain
+} = require('./service-test-harness');
+
+// Load test vectors
+const testVectors = JSON.parse(fs.readFileSync(path.join(__dirname, 'model-builder-test-vectors.json'), 'utf8'));
+const modelVectors = JSON.parse(fs.readFileSync(path.join(__dirname, 'model-generation-test-vectors.json'), 'utf8'));
+
+/**
+ * Model Builder Validator
+ */
+class ModelBuilderValidator {
+
+  constructor() {
+    this.workDir = createWorkDir('model-builder');
+  }
+
+  /**
+   * Validate cancelling a rebuild of an existing model
+   */
+  async validateRebuildCancellation() {
+    console.log('\n🛑 Testing Rebuild Cancellation');
+    console.log('==============================');
+
+    const results = { passed: 0, failed: 0, details: [] };
+    const vectors = testVectors.rebuildCancellation;
+    const graph3d = this.getGraph(vectors.graphFrom);
+    const { buildQueue, outputStorage } = this.createModelBuilder();
+
+    // Test 1: Cancelled rebuild keeps the previous model
+    console.log('\n1. Testing cancel during a rebuild...');
+    await runTest(results, 'rebuild_cancellation', 'Rebuild cancellation', async () => {
+      const { jobId } = vectors;
+      const first = await quietly(() => this.build(buildQueue, { graph3d, jobId, options: {} }));
+      if (first.status !== 'done') {
+        throw new Error(`First build ended ${first.status}: ${first.error}`);
+      }
+
+      const keys = [`${jobId}.glb`, `${jobId}_manifest.json`];
+      const before = await Promise.all(keys.map(key => outputStorage.get(key)));
+
+      const rebuild = await quietly(() => this.build(buildQueue, { graph3d, jobId, options: {} }, update => {
+        if (update.status === vectors.cancelAtStage && !update.cancelRequested) {
+          buildQueue.cancel(jobId);
+        }
+      }));
+      if (rebuild.status !== 'cancelled') {
+        throw new Error(`Rebuild ended ${rebuild.status}, expected cancelled`);
+      }
+
+      const after = await Promise.all(keys.map(key => outputStorage.get(key)));
+      keys.forEach((key, index) => {
+        if (!after[index] || !after[index].body.equals(before[index].body)) {
+          throw new Error(`${key} changed after the cancelled rebuild`);
+        }
+      });
+
+      const leftovers = (await outputStorage.list(jobId)).objects.filter(object => object.Key.includes('.tmp'));
+      if (leftovers.length > 0) {
+        throw new Error(`Temporary files left behind: ${leftovers.map(object => object.Key).join(', ')}`);
+      }
+
+      return 'Previous model and manifest are untouched and no temporary files remain';
+    });
+
+    return results;
+  }
+
+  /**
+   * Validate the job IDs the model-builder server accepts on its build and model routes
+   */
+  async validateJobIds() {
+    console.log('\n🆔 Testing Job IDs');
+    console.log('=================');
+
+    const results = { passed: 0, failed: 0, details: [] };
+    const vectors = testVectors.jobIds;
+    const { FilesystemStorage } = require('../utils/filesystem-storage');
+    const outputDir = path.join(this.workDir, 'server-models');
+
+    // A model stored under a signature-based ID before the workflows generated UUIDs
+    const storage = new FilesystemStorage({ rootDir: outputDir });
+    await storage.put(`${vectors.storedModel}.glb`, Buffer.from('glTF'));
+    await storage.put(`${vectors.storedModel}_manifest.json`, Buffer.from(JSON.stringify({ jobId: vectors.storedModel })));
+
+    const server = await startService('model-builder', testVectors.server.port, { OUTPUT_DIR: outputDir });
+    try {
+      // Test 1: Stored models stay reachable
+      console.log('\n1. Testing a model stored under a signature-based ID...');
+      await runTest(results, 'job_id_stored_model', 'Stored model', async () => {
+        const response = await server.request('GET', `/models/${encodeURIComponent(vectors.storedModel)}`);
+        if (response.status !== 200 || response.body.manifest.jobId !== vectors.storedModel) {
+          throw new Error(`/models answered ${response.status}: ${response.text}`);
+        }
+        return `${vectors.storedModel} is served`;
+      });
+
+      // Test 2: UUIDs and other safe IDs pass validation
+      console.log('\n2. Testing accepted job IDs...');
+      await runTest(results, 'job_id_accepted', 'Accepted job ID', async () => {
+        for (const jobId of vectors.accepted) {
+          const response = await server.request('GET', `/models/${jobId}`);
+          if (response.status !== 404) {
+            throw new Error(`/models/${jobId} answered ${response.status}, expected 404`);
+          }
+        }
+        return `${vectors.accepted.length} unknown IDs answer 404, not 400`;
+      });
+
+      // Test 3: Anything that could leave the storage directory is rejected
+      console.log('\n3. Testing rejected job IDs...');
+      await runTest(results, 'job_id_rejected', 'Rejected job ID', async () => {
+        for (const jobId of vectors.rejected) {
+          const response = await server.request('GET', `/models/${jobId}`);
+          if (response.status !== 400) {
+            throw new Error(`/models/${jobId} answered ${response.status}, expected 400`);
+          }
+        }
+        for (const jobId of vectors.rejectedBuildIds) {
+          const response = await server.request('POST', '/build', { graph3d: { nodes: [] }, jobId });
+          if (response.status !== 400) {
+            throw new Error(`POST /build with jobId ${JSON.stringify(jobId)} answered ${response.status}, expected 400`);
+          }
+        }
+        return `${vectors.rejected.length + vectors.rejectedBuildIds.length} IDs rejected with 400`;
+      });
+    } finally {
+      await server.stop();
+    }
+
+    return results;
+  }
+
+  /**
+   * Validate the MSFT_lod levels in the GLB and their description in the manifest
+   */
+  async validateLevelsOfDetail() {
+    console.log('\n📉 Testing Levels of Detail');
+    console.log('==========================');
+
+    const results = { passed: 0, failed: 0, details: [] };
+    const vectors = testVectors.levelsOfDetail;
+    const graph3d = this.getGraph(vectors.graphFrom);
+    const { glbBuilder, outputStorage } = this.createModelBuilder();
+    const levels = vectors.levels;
+
+    const withLod = await this.buildModel(glbBuilder, outputStorage, graph3d, vectors.jobId, { lod: { levels } });
+    const { gltf } = withLod;
+    const lodNodes = gltf.nodes.filter(node => node.extensions?.MSFT_lod);
+    const vertexCount = node => gltf.accessors[gltf.meshes[node.mesh].primitives[0].attributes.POSITION].count;
+
+    // Test 1: Lower levels are listed with MSFT_lod and taken out of the hierarchy
+    console.log('\n1. Testing the MSFT_lod nodes...');
+    await runTest(results, 'lod_extension', 'MSFT_lod nodes', async () => {
+      if (!gltf.extensionsUsed.includes('MSFT_lod') || lodNodes.length === 0) {
+        throw new Error(`No MSFT_lod nodes, extensions used: ${gltf.extensionsUsed.join(', ')}`);
+      }
+      const children = new Set(gltf.nodes.flatMap(node => node.children || []));
+
+      lodNodes.forEach(node => {
+        const { ids } = node.extensions.MSFT_lod;
+        const names = ids.map(id => gltf.nodes[id].name);
+        const expectedNames = levels.map((level, index) => `${node.name}_LOD${index + 1}`);
+        if (JSON.stringify(names) !== JSON.stringify(expectedNames)) {
+          throw new Error(`${node.name} lists ${JSON.stringify(names)}`);
+        }
+        if (ids.some(id => children.has(id))) {
+          throw new Error(`A lower level of ${node.name} is still a child node`);
+        }
+
+        const coverage = node.extras.MSFT_screencoverage;
+        if (coverage.length !== levels.length + 1 || coverage[coverage.length - 1] !== 0 ||
+            coverage.some((value, index) => index > 0 && value > coverage[index - 1])) {
+          throw new Error(`${node.name} has screen coverage ${JSON.stringify(coverage)}`);
+        }
+      });
+      return `${lodNodes.length} nodes carry ${levels.length} lower levels each`;
+    });
+
+    // Test 2: Wire tubes and detailed components lose vertices at every level
+    console.log('\n2. Testing reduced geometry...');
+    await runTest(results, 'lod_reduced_geometry', 'Reduced geometry', async () => {
+      const reduced = lodNodes.filter(node => vectors.reducedPrefixes.some(prefix => node.name.startsWith(prefix)));
+      if (reduced.length === 0) {
+        throw new Error(`No nodes named ${vectors.reducedPrefixes.join(' or ')}`);
+      }
+
+      reduced.forEach(node => {
+        const counts = [vertexCount(node), ...node.extensions.MSFT_lod.ids.map(id => vertexCount(gltf.nodes[id]))];
+        if (counts.some((count, index) => index > 0 && count >= counts[index - 1])) {
+          throw new Error(`${node.name} has vertex counts ${JSON.stringify(counts)} by level`);
+        }
+      });
+      lodNodes.forEach(node => {
+        const counts = [vertexCount(node), ...node.extensions.MSFT_lod.ids.map(id => vertexCount(gltf.nodes[id]))];
+        if (counts.some((count, index) => index > 0 && count > counts[index - 1])) {
+          throw new Error(`${node.name} gains vertices at a lower level: ${JSON.stringify(counts)}`);
+        }
+      });
+      return `${reduced.length} wire and component meshes get lighter at every level`;
+    });
+
+    // Test 3: The manifest describes the levels in the GLB
+    console.log('\n3. Testing the manifest...');
+    await runTest(results, 'lod_manifest', 'Manifest', async () => {
+      const { performance } = withLod.manifest;
+      const info = performance.level_of_detail;
+      const distances = info?.levels.map(level => level.distance);
+      if (!performance.optimization.level_of_detail || info.extension !== 'MSFT_lod' || info.objects !== lodNodes.length) {
+        throw new Error(`Manifest reports ${JSON.stringify(info && { extension: info.extension, objects: info.objects })} for ${lodNodes.length} nodes`);
+      }
+      if (JSON.stringify(distances) !== JSON.stringify([0, ...levels.map(level => level.distance)])) {
+        throw new Error(`Manifest lists distances ${JSON.stringify(distances)}`);
+      }
+      if (info.levels.some((level, index) => index > 0 && level.total_vertices >= info.levels[index - 1].total_vertices)) {
+        throw new Error(`Vertex totals ${JSON.stringify(info.levels.map(level => level.total_vertices))} do not fall by level`);
+      }
+      return `Levels at ${distances.join(', ')}m with ${info.levels.map(level => level.total_vertices).join(' > ')} vertices`;
+    });
+
+    // Test 4: lod: false exports the full-detail model alone
+    console.log('\n4. Testing LOD disabled...');
+    await runTest(results, 'lod_disabled', 'LOD disabled', async () => {
+      const withoutLod = await this.buildModel(glbBuilder, outputStorage, graph3d, vectors.jobId, { lod: false });
+      const lodNames = withoutLod.gltf.nodes.filter(node => /_LOD\d+$/.test(node.name || ''));
+      if ((withoutLod.gltf.extensionsUsed || []).includes('MSFT_lod') || lodNames.length > 0 ||
+          withoutLod.manifest.performance.level_of_detail !== null) {
+        throw new Error(`${lodNames.length} LOD nodes exported with lod disabled`);
+      }
+      if (withoutLod.size >= withLod.size) {
+        throw new Error(`Model without LOD is ${withoutLod.size} bytes, with LOD ${withLod.size}`);
+      }
+      return `Full-detail model alone, ${withLod.size - withoutLod.size} bytes smaller`;
+    });
+
+    // Test 5: The server refuses levels outside the documented ranges
+    console.log('\n5. Testing invalid levels on POST /build...');
+    await runTest(results, 'lod_invalid_levels', 'Invalid levels', async () => {
+      const server = await startService('model-builder', testVectors.server.port, { OUTPUT_DIR: path.join(this.workDir, 'server-models') });
+      try {
+        for (const invalid of vectors.invalidLevels) {
+          const response = await server.request('POST', '/build', { graph3d, jobId: vectors.jobId, options: { lod: { levels: invalid } } });
+          if (response.status !== 400) {
+            throw new Error(`Levels ${JSON.stringify(invalid)} answered ${response.status}, expected 400`);
+          }
+        }
+      } finally {
+        await server.stop();
+      }
+      return `${vectors.invalidLevels.length} invalid level lists rejected with 400`;
+    });
+
+    return results;
+  }
+
+  /**
+   * Validate that identical components are exported as EXT_mesh_gpu_instancing
+   * instances that keep their positions and metadata
+   */
+  async validateInstancing() {
+    console.log('\n🧩 Testing Mesh Instancing');
+    console.log('=========================');
+
+    const results = { passed: 0, failed: 0, details: [] };
+    const vectors = testVectors.instancing;
+    const { graph3d, expected } = vectors;
+    const { glbBuilder, outputStorage } = this.createModelBuilder();
+    const positions = new Map(graph3d.nodes.map(node => [node.id, node.position]));
+
+    const instanced = await this.buildModel(glbBuilder, outputStorage, graph3d, vectors.jobId, { lod: false });
+    const { gltf } = instanced;
+    const instancedNodes = gltf.nodes.filter(node => node.extensions?.EXT_mesh_gpu_instancing);
+    const componentNodes = exported => exported.nodes.filter(node => node.extras?.nodeId).map(node => node.extras.nodeId).sort();
+
+    // Test 1: Identical components become one instanced node at their own positions
+    console.log('\n1. Testing instanced nodes...');
+    await runTest(results, 'instancing_nodes', 'Instanced nodes', async () => {
+      if (!gltf.extensionsUsed.includes('EXT_mesh_gpu_instancing') || instancedNodes.length !== 1) {
+        throw new Error(`Expected one instanced node, got ${instancedNodes.length}`);
+      }
+
+      const [node] = instancedNodes;
+      const nodeIds = node.extras.instances.map(instance => instance.nodeId);
+      if (JSON.stringify(nodeIds) !== JSON.stringify(expected.instancedNodeIds)) {
+        throw new Error(`Instances are ${JSON.stringify(nodeIds)}`);
+      }
+      const translations = this.readGlbAccessor(instanced.glb, gltf, node.extensions.EXT_mesh_gpu_instancing.attributes.TRANSLATION);
+      translations.forEach((translation, index) => {
+        const position = positions.get(nodeIds[index]);
+        if (translation.some((value, axis) => Math.abs(value - position[axis]) > 1e-5)) {
+          throw new Error(`${nodeIds[index]} is drawn at ${JSON.stringify(translation)}, not ${JSON.stringify(position)}`);
+        }
+      });
+      if (JSON.stringify(componentNodes(gltf)) !== JSON.stringify(expected.plainNodeIds)) {
+        throw new Error(`Plain component nodes are ${JSON.stringify(componentNodes(gltf))}`);
+      }
+      return `${nodeIds.length} ${node.extras.nodeType} instances at their positions, ${expected.plainNodeIds.join(' and ')} kept as nodes`;
+    });
+
+    // Test 2: Each instance keeps its metadata, with every circuit it belongs to
+    console.log('\n2. Testing per-instance metadata...');
+    await runTest(results, 'instancing_metadata', 'Instance metadata', async () => {
+      const instances = new Map(instancedNodes[0].extras.instances.map(instance => [instance.nodeId, instance]));
+      graph3d.nodes.filter(node => instances.has(node.id)).forEach(node => {
+        const instance = instances.get(node.id);
+        if (instance.label !== node.label || JSON.stringify(instance.circuits) !== JSON.stringify(node.circuits) || !instance.tooltip) {
+          throw new Error(`${node.id} lost its metadata: ${JSON.stringify(instance)}`);
+        }
+      });
+      const parentCircuits = Object.fromEntries([...instances].map(([nodeId, instance]) => [nodeId, instance.parentCircuits]));
+      if (JSON.stringify(parentCircuits) !== JSON.stringify(expected.parentCircuits)) {
+        throw new Error(`Parent circuits are ${JSON.stringify(parentCircuits)}`);
+      }
+      return 'Labels, circuits and tooltips kept in extras.instances';
+    });
+
+    // Test 3: The manifest maps instance indices back to node IDs
+    console.log('\n3. Testing the manifest...');
+    await runTest(results, 'instancing_manifest', 'Manifest', async () => {
+      const { performance } = instanced.manifest;
+      const info = performance.instancing;
+      const meshes = info?.meshes.map(mesh => ({ component_type: mesh.component_type, instances: mesh.instances, node_ids: mesh.node_ids }));
+      if (!performance.optimization.gpu_instancing || info.replaced_nodes !== expected.replacedNodes) {
+        throw new Error(`Manifest reports ${JSON.stringify(info)}`);
+      }
+      if (JSON.stringify(meshes) !== JSON.stringify(expected.manifestMeshes)) {
+        throw new Error(`Manifest lists ${JSON.stringify(meshes)}`);
+      }
+      return `${info.replaced_nodes} component nodes replaced by ${meshes.length} instanced mesh`;
+    });
+
+    // Test 4: Disabled, or with fewer copies than minInstances, every component stays a node
+    console.log('\n4. Testing instancing disabled...');
+    await runTest(results, 'instancing_disabled', 'Instancing disabled', async () => {
+      const allNodeIds = graph3d.nodes.map(node => node.id).sort();
+      for (const instancing of [false, { minInstances: expected.instancedNodeIds.length + 1 }]) {
+        const plain = await this.buildModel(glbBuilder, outputStorage, graph3d, vectors.jobId, { lod: false, instancing });
+        const hasInstances = plain.gltf.nodes.some(node => node.extensions?.EXT_mesh_gpu_instancing);
+        if (hasInstances || plain.manifest.performance.optimization.gpu_instancing) {
+          throw new Error(`Instancing ${JSON.stringify(instancing)} still exported instances`);
+        }
+        // Components in two circuits appear once per circuit group
+        if (JSON.stringify([...new Set(componentNodes(plain.gltf))]) !== JSON.stringify(allNodeIds)) {
+          throw new Error(`Instancing ${JSON.stringify(instancing)} exported ${JSON.stringify(componentNodes(plain.gltf))}`);
+        }
+      }
+      return 'Every component exported as its own node';
+    });
+
+    return results;
+  }
+
+  /**
+   * Validate compressed GLB output, its uncompressed variant and the sizes reported for both
+   */
+  async validateCompression() {
+    console.log('\n🗜️  Testing GLB Compression');
+    console.log('==========================');
+
+    const results = { passed: 0, failed: 0, details: [] };
+    const vectors = testVectors.compression;
+    const graph3d = this.getGraph(vectors.graphFrom);
+    const GlbCompressor = requireService('model-builder', 'glb-compressor');
+    const io = await new GlbCompressor().getIO();
+    const { glbBuilder, outputStorage } = this.createModelBuilder();
+
+    // Triangles per named node as a viewer decodes them; Draco may reorder vertices but keeps
+    // triangles. Quantization moves the mesh of a node with children into an unnamed child node.
+    const decodedTriangles = async glb => {
+      const document = await io.readBinary(new Uint8Array(glb));
+      const triangles = {};
+      document.getRoot().listNodes().filter(node => node.getMesh()).forEach(node => {
+        let named = node;
+        while (!named.getName() && named.getParentNode()) {
+          named = named.getParentNode();
+        }
+        triangles[named.getName()] = (triangles[named.getName()] || 0) + node.getMesh().listPrimitives().reduce((sum, primitive) =>
+          sum + (primitive.getIndices() || primitive.getAttribute('POSITION')).getCount() / 3, 0);
+      });
+      return triangles;
+    };
+
+    // Test 1: Each mode writes its extension, keeps LOD and instancing, and decodes to the same triangles
+    for (const [index, mode] of vectors.modes.entries()) {
+      console.log(`\n${index + 1}. Testing ${mode.mode} compression...`);
+      await runTest(results, `compression_${mode.mode}`, `${mode.mode} compression`, async () => {
+        const jobId = `${vectors.jobId}_${mode.mode}`;
+        const built = await this.buildModel(glbBuilder, outputStorage, graph3d, jobId, { compression: mode.mode });
+        const uncompressed = (await outputStorage.get(`${jobId}_uncompressed.glb`))?.body;
+        if (!uncompressed || !built.result.uncompressedGlbUrl) {
+          throw new Error('No uncompressed variant was stored');
+        }
+
+        const original = this.readGlbJson(uncompressed);
+        const missing = [mode.extension, ...vectors.keptExtensions].filter(name => !built.gltf.extensionsUsed.includes(name));
+        if (missing.length > 0 || !built.gltf.extensionsRequired?.includes(mode.extension)) {
+          throw new Error(`Compressed GLB lacks ${missing.join(', ') || `${mode.extension} as required`}`);
+        }
+        const lodNodes = gltf => gltf.nodes.filter(node => node.extensions?.MSFT_lod).length;
+        if (lodNodes(built.gltf) !== lodNodes(original)) {
+          throw new Error(`${lodNodes(original)} MSFT_lod nodes became ${lodNodes(built.gltf)}`);
+        }
+
+        const before = await decodedTriangles(uncompressed);
+        const after = await decodedTriangles(built.glb);
+        const changed = Object.keys(before).filter(name => before[name] !== after[name]);
+        if (changed.length > 0) {
+          throw new Error(`Decoded triangles differ for ${changed.slice(0, 3).join(', ')}`);
+        }
+
+        const ratio = built.size / uncompressed.byteLength;
+        if (ratio > mode.maxRatio) {
+          throw new Error(`Compressed to ${(ratio * 100).toFixed(1)}% of ${uncompressed.byteLength} bytes, expected at most ${mode.maxRatio * 100}%`);
+        }
+        return `${uncompressed.byteLength} → ${built.size} bytes, meshes of ${Object.keys(before).length} nodes decode unchanged`;
+      });
+    }
+
+    // Test 2: Build response, manifest and server report the sizes before and after
+    console.log(`\n${vectors.modes.length + 1}. Testing reported sizes...`);
+    await runTest(results, 'compression_reported_sizes', 'Reported sizes', async () => {
+      const jobId = `${vectors.jobId}_${vectors.modes[0].mode}`;
+      const glbSize = (await outputStorage.head(`${jobId}.glb`)).size;
+      const uncompressedSize = (await outputStorage.head(`${jobId}_uncompressed.glb`)).size;
+      const manifest = JSON.parse((await outputStorage.get(`${jobId}_manifest.json`)).body);
+      const { compression, file_size: fileSize, optimization } = manifest.performance;
+
+      if (compression?.original_size !== uncompressedSize || compression.compressed_size !== glbSize ||
+          fileSize.uncompressed_glb_size !== uncompressedSize || fileSize.glb_size !== glbSize || !optimization.geometry_compressed) {
+        throw new Error(`Manifest reports ${JSON.stringify({ compression, fileSize })} for ${glbSize}/${uncompressedSize} bytes`);
+      }
+
+      const server = await startService('model-builder', testVectors.server.port, { OUTPUT_DIR: path.join(this.workDir, 'models') });
+      try {
+        const info = await server.request('GET', `/models/${jobId}`);
+        if (info.status !== 200 || info.body.fileSize !== glbSize || info.body.uncompressedFileSize !== uncompressedSize) {
+          throw new Error(`/models answered ${info.status}: ${info.text.slice(0, 200)}`);
+        }
+        const invalid = await server.request('POST', '/build', { graph3d, jobId, options: { compression: vectors.invalidMode } });
+        if (invalid.status !== 400) {
+          throw new Error(`compression ${vectors.invalidMode} answered ${invalid.status}, expected 400`);
+        }
+      } finally {
+        await server.stop();
+      }
+      return `${glbSize} of ${uncompressedSize} bytes reported by manifest and server`;
+    });
+
+    // Test 3: An uncompressed rebuild drops the stale variant
+    console.log(`\n${vectors.modes.length + 2}. Testing an uncompressed rebuild...`);
+    await runTest(results, 'compression_rebuild_uncompressed', 'Uncompressed rebuild', async () => {
+      const jobId = `${vectors.jobId}_${vectors.modes[0].mode}`;
+      const rebuilt = await this.buildModel(glbBuilder, outputStorage, graph3d, jobId, { compression: 'none' });
+      if (await outputStorage.head(`${jobId}_uncompressed.glb`) || rebuilt.result.uncompressedGlbUrl) {
+        throw new Error('The previous build\'s uncompressed variant was left in place');
+      }
+      if (rebuilt.manifest.performance.compression !== null || rebuilt.gltf.extensionsUsed.includes(vectors.modes[0].extension)) {
+        throw new Error('Uncompressed rebuild still reports compression');
+      }
+      return 'Only the uncompressed model remains';
+    });
+
+    return results;
+  }
+
+  /**
+   * Validate connector cavity grids against the test vectors
+   */
+  async validateConnectorLayouts() {
+    console.log('\n🔌 Testing Connector Cavity Layout');
+    console.log('=================================');
+
+    const results = { passed: 0, failed: 0, details: [] };
+    const ConnectorGeometryGenerator = requireService('model-builder', 'connector-geometry-generator');
+    const generator = new ConnectorGeometryGenerator();
+    const dimensions = { width: 0.02, depth: 0.01, height: 0.015 };
+
+    for (const [index, testCase] of testVectors.connectorLayouts.entries()) {
+      console.log(`\n${index + 1}. Testing ${testCase.description.toLowerCase()}...`);
+      await runTest(results, testCase.id, `Connector layout ${testCase.id}`, () => {
+        const warnings = [];
+        const warn = console.warn;
+        console.warn = message => warnings.push(message);
+        let layout;
+        try {
+          layout = generator.resolveLayout(testCase.node, testCase.pins, dimensions);
+        } finally {
+          console.warn = warn;
+        }
+
+        const { expected } = testCase;
+        const actual = { rows: layout.rows, columns: layout.columns, cavities: layout.cavities.length, warnings: warnings.length };
+        Object.entries(actual).forEach(([field, value]) => {
+          if (value !== expected[field]) {
+            throw new Error(`Expected ${field} ${expected[field]}, got ${value}`);
+          }
+        });
+
+        const positions = new Set(layout.cavities.map(cavity => `${cavity.x.toFixed(6)},${cavity.z.toFixed(6)}`));
+        if (positions.size !== layout.cavities.length) {
+          throw new Error('Cavities overlap');
+        }
+
+        Object.entries(expected.pinCavity).forEach(([pinId, { row, column }]) => {
+          const cavity = layout.cavities.find(candidate => candidate.pin?.id === pinId);
+          if (!cavity || cavity.row !== row || cavity.column !== column) {
+            throw new Error(`Pin ${pinId} is at ${cavity ? `row ${cavity.row}, column ${cavity.column}` : 'no cavity'}`);
+          }
+        });
+
+        return `${layout.rows}x${layout.columns} grid with ${layout.cavities.length} distinct cavities`;
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Graph from a model-generation test case, referenced as file#caseId
+   */
+  getGraph(reference) {
+    const [, caseId] = reference.split('#');
+    return modelVectors.testCases.find(testCase => testCase.id === caseId).input.graph3d;
+  }
+
+  /**
+   * Enqueue a build and resolve with its final update
+   */
+  build(buildQueue, job, onUpdate = () => {}) {
+    const finished = new Promise(resolve => {
+      const listener = update => {
+        if (update.jobId !== job.jobId) return;
+        onUpdate(update);
+        if (buildQueue.isFinished(update)) {
+          buildQueue.off('update', listener);
+          resolve(update);
+        }
+      };
+      buildQueue.on('update', listener);
+    });
+    buildQueue.enqueue(job);
+    return finished;
+  }
+
+  /**
+   * Build a model directly and read back its GLB JSON chunk and manifest
+   */
+  async buildModel(glbBuilder, outputStorage, graph3d, jobId, options) {
+    const result = await quietly(() => glbBuilder.build({ graph3d, jobId, options }));
+    const glb = (await outputStorage.get(`${jobId}.glb`)).body;
+    const manifest = JSON.parse((await outputStorage.get(`${jobId}_manifest.json`)).body);
+    return { result, glb, gltf: this.readGlbJson(glb), manifest, size: glb.byteLength };
+  }
+
+  /**
+   * The JSON chunk of a binary glTF, which follows the 12-byte header and its own chunk header
+   */
+  readGlbJson(glb) {
+    const length = glb.readUInt32LE(12);
+    return JSON.parse(glb.subarray(20, 20 + length).toString('utf8'));
+  }
+
+  /**
+   * A tightly packed float VEC3 accessor from the binary chunk, which follows the JSON chunk
+   */
+  readGlbAccessor(glb, gltf, index) {
+    const accessor = gltf.accessors[index];
+    const bufferView = gltf.bufferViews[accessor.bufferView];
+    const binStart = 20 + glb.readUInt32LE(12) + 8;
+    const start = binStart + (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+    return Array.from({ length: accessor.count }, (_, item) =>
+      [0, 1, 2].map(axis => glb.readFloatLE(start + (item * 3 + axis) * 4)));
+  }
+
+  /**
+   * Build queue wired as in the model-builder server
+   */
+  createModelBuilder() {
+    const modelBuilder = name => requireService('model-builder', name);
+    const { FilesystemStorage } = require('../utils/filesystem-storage');
+    const WireMeshGenerator = modelBuilder('wire-mesh-generator');
+    const GlbBuilder = modelBuilder('glb-builder');
+    const BuildQueue = modelBuilder('build-queue');
+
+    const outputStorage = new FilesystemStorage({ rootDir: path.join(this.workDir, 'models') });
+    const wireMeshGenerator = new WireMeshGenerator();
+    const glbBuilder = new GlbBuilder({
+      componentMeshGenerator: new (modelBuilder('component-mesh-generator'))(),
+      wireMeshGenerator,
+      circuitGroupManager: new (modelBuilder('circuit-group-manager'))(),
+      meshInstancer: new (modelBuilder('mesh-instancer'))(),
+      lodGenerator: new (modelBuilder('lod-generator'))(wireMeshGenerator),
+      glbCompressor: new (modelBuilder('glb-compressor'))(),
+      manifestGenerator: new (modelBuilder('manifest-generator'))(),
+      outputStorage
+    });
+
+    return { buildQueue: new BuildQueue(glbBuilder), glbBuilder, outputStorage };
+  }
+
+  cleanup() {
+    removeWorkDir(this.workDir);
+  }
+}
+
+/**
+ * Main validation function
+ */
+async function main() {
+  console.log('🚀 Model Builder Validation');
+  console.log('===========================');
+
+  const validator = new ModelBuilderValidator();
+  const sections = [];
+  try {
+    sections.push(['rebuild', await validator.validateRebuildCancellation()]);
+    sections.push(['jobIds', await validator.validateJobIds()]);
+    sections.push(['connectors', await validator.validateConnectorLayouts()]);
+    sections.push(['lod', await validator.validateLevelsOfDetail()]);
+    sections.push(['instancing', await validator.validateInstancing()]);
+    sections.push(['compression', await validator.validateCompression()]);
+  } finally {
+    validator.cleanup();
+  }
+
+  const results = Object.fromEntries(sections);
+  return printSummary('Model Builder Criteria', sections, [
+    { name: 'Cancelled rebuilds keep the previous model', status: results.rebuild.failed === 0 },
+    { name: 'Job IDs name stored models and never leave the storage directory', status: results.jobIds.failed === 0 },
+    { name: 'Cavities beyond the declared grid get their own positions', status: results.connectors.failed === 0 },
+    { name: 'Lower levels of detail are exported with MSFT_lod and described in the manifest', status: results.lod.failed === 0 },
+    { name: 'Identical components are exported as GPU instances with their metadata', status: results.instancing.failed === 0 },
+    { name: 'Compressed models decode unchanged and keep an uncompressed variant', status: results.compression.failed === 0 }
+  ]);
+}
+
+// Run validation
+if (require.main === module) {
+  runMain(main);
+}
+
+module.exports = { ModelBuilderValidator };
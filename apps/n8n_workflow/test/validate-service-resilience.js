@@ -0,0 +1,299 @@
+/**
+ * Service Resilience Validation Script
+ * Runs the ingest cache, deduplication and dead-letter code against local storage
+ * with Redis unreachable.
+ * Needs the ingest service's dependencies installed (npm install in services/ingest);
+ * run it with npm run test:resilience.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  requireService,
+  createWorkDir,
+  removeWorkDir,
+  createIngest,
+  createEvent,
+  quietly,
+  runTest,
+  printSummary,
+  runMain
+} = require('./service-test-harness');
+
+// Load test vectors
+const testVectors = JSON.parse(fs.readFileSync(path.join(__dirname, 'service-resilience-test-vectors.json'), 'utf8'));
+
+/**
+ * Service Resilience Validator
+ */
+class ServiceResilienceValidator {
+
+  constructor() {
+    // Storage and dead letters go under one scratch directory
+    this.workDir = createWorkDir('service-resilience');
+  }
+
+  /**
+   * Validate the tiered cache while Redis is unreachable
+   */
+  async validateTieredCache() {
+    console.log('\n🗄️  Testing Tiered Cache With Redis Down');
+    console.log('=======================================');
+
+    const results = { passed: 0, failed: 0, details: [] };
+    const vectors = testVectors.tieredCache;
+    const CacheManager = requireService('ingest', 'cache-manager');
+
+    process.env.CACHE_MODE = 'tiered';
+    process.env.REDIS_URL = vectors.redisUrl;
+    process.env.CACHE_CONNECT_TIMEOUT_MS = String(vectors.connectTimeoutMs);
+
+    const errors = [];
+    const cacheManager = await quietly(async () => {
+      const manager = new CacheManager();
+      await manager.initialize();
+      return manager;
+    }, errors);
+
+    const timed = async (label, call) => {
+      const started = Date.now();
+      const result = await quietly(call, errors);
+      const elapsed = Date.now() - started;
+      if (elapsed > vectors.maxCallMs) {
+        throw new Error(`${label} took ${elapsed}ms, more than ${vectors.maxCallMs}ms`);
+      }
+      return result;
+    };
+
+    // Test 1: Cache reads and writes
+    console.log('\n1. Testing get/set and mget/mset from the local tier...');
+    await runTest(results, 'tiered_cache_get_set', 'Cache read/write', async () => {
+      const [first, second] = vectors.entries;
+      await timed('set', () => cacheManager.set(first.key, first.value, null, first.type));
+      const cached = await timed('get', () => cacheManager.get(first.key));
+      if (JSON.stringify(cached?.data) !== JSON.stringify(first.value)) {
+        throw new Error(`get returned ${JSON.stringify(cached)}`);
+      }
+
+      await timed('mset', () => cacheManager.mset([second]));
+      const values = await timed('mget', () => cacheManager.mget(vectors.entries.map(entry => entry.key)));
+      if (values.some(value => value === null || value === undefined)) {
+        throw new Error(`mget missed entries: ${JSON.stringify(values)}`);
+      }
+
+      return 'Cache reads and writes answer from the local tier';
+    });
+
+    // Test 2: Locks
+    console.log('\n2. Testing locks...');
+    await runTest(results, 'tiered_cache_locks', 'Lock', async () => {
+      const { name, ttl } = vectors.lock;
+      const acquired = await timed('acquireLock', () => cacheManager.acquireLock(name, 'instance-a', ttl));
+      const contended = await timed('acquireLock', () => cacheManager.acquireLock(name, 'instance-b', ttl));
+      const released = await timed('releaseLock', () => cacheManager.releaseLock(name, 'instance-a'));
+      const reacquired = await timed('acquireLock', () => cacheManager.acquireLock(name, 'instance-b', ttl));
+
+      if (!acquired || contended || !released || !reacquired) {
+        throw new Error(`Unexpected lock results: ${JSON.stringify({ acquired, contended, released, reacquired })}`);
+      }
+
+      return 'Locks are held and released locally';
+    });
+
+    // Test 3: Patterns, stats and cleanup
+    console.log('\n3. Testing patterns, stats and cleanup...');
+    await runTest(results, 'tiered_cache_patterns', 'Pattern/stats', async () => {
+      const pattern = await timed('getPattern', () => cacheManager.getPattern('cache:*'));
+      const stats = await timed('getStats', () => cacheManager.getStats());
+      await timed('cleanup', () => cacheManager.cleanup());
+      const deleted = await timed('deletePattern', () => cacheManager.deletePattern('cache:vehicle_sig:*'));
+
+      if (Object.keys(pattern).length < vectors.entries.length) {
+        throw new Error(`getPattern found ${Object.keys(pattern).length} keys`);
+      }
+      if (stats.connected !== false || !stats.local) {
+        throw new Error(`getStats reported ${JSON.stringify({ connected: stats.connected, local: stats.local })}`);
+      }
+      if (deleted !== 1) {
+        throw new Error(`deletePattern removed ${deleted} keys, expected 1`);
+      }
+
+      return 'Patterns, stats and cleanup work without Redis';
+    });
+
+    // Test 4: Reconnect errors are rate limited
+    console.log('\n4. Testing client error logging...');
+    await runTest(results, 'tiered_cache_error_logging', 'Error logging', async () => {
+      // Reconnect attempts keep failing in the background meanwhile
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      const clientErrors = errors.filter(line => line.startsWith('Redis client error'));
+      if (clientErrors.length > 1) {
+        throw new Error(`${clientErrors.length} client errors logged within the log interval`);
+      }
+
+      return `Client errors logged once (${cacheManager.suppressedErrors} suppressed)`;
+    });
+
+    // The client never connected, so there is nothing to quit
+    await cacheManager.client.disconnect().catch(() => {});
+    return results;
+  }
+
+  /**
+   * Validate duplicate event detection and its hit counters
+   */
+  async validateDeduplication() {
+    console.log('\n🔁 Testing Event Deduplication');
+    console.log('=============================');
+
+    const results = { passed: 0, failed: 0, details: [] };
+    const vectors = testVectors.deduplication;
+    const { storageManager, cacheManager, eventProcessor } = await createIngest();
+
+    // Test 1: Hit counters
+    console.log('\n1. Testing deduplication hit counters...');
+    await runTest(results, 'deduplication_hits', 'Deduplication', async () => {
+      let stored = 0;
+      for (const event of vectors.events) {
+        for (let send = 0; send < event.sends; send++) {
+          const eventEnvelope = createEvent(vectors.jobId, event);
+          const storagePath = storageManager.generatePath('event', eventEnvelope.eventId);
+          const result = await eventProcessor.storeEvent(eventEnvelope, storagePath, JSON.stringify(eventEnvelope), event.idempotencyKey || null);
+          if (!result.duplicate) stored++;
+        }
+      }
+
+      const counters = eventProcessor.metrics.deduplication;
+      const actual = { stored, hits: counters.hits, byIdempotencyKey: counters.byIdempotencyKey, byPayloadHash: counters.byPayloadHash };
+      if (JSON.stringify(actual) !== JSON.stringify(vectors.expected)) {
+        throw new Error(`Expected ${JSON.stringify(vectors.expected)}, got ${JSON.stringify(actual)}`);
+      }
+
+      return `${counters.hits} duplicate(s) counted, ${stored} event(s) stored`;
+    });
+
+    // Test 2: A failed write releases its claim
+    console.log('\n2. Testing retry after a failed write...');
+    await runTest(results, 'deduplication_failed_write', 'Failed write retry', async () => {
+      const event = vectors.events[0];
+      const eventEnvelope = createEvent(vectors.jobId, { ...event, idempotencyKey: null, payload: { retry: true } });
+      const storagePath = storageManager.generatePath('event', eventEnvelope.eventId);
+      const storeEvent = storageManager.storeEvent;
+      storageManager.storeEvent = async () => {
+        throw new Error('Simulated storage outage');
+      };
+
+      await eventProcessor.storeEvent(eventEnvelope, storagePath, JSON.stringify(eventEnvelope)).catch(() => null);
+      storageManager.storeEvent = storeEvent;
+      const retried = await eventProcessor.storeEvent(eventEnvelope, storagePath, JSON.stringify(eventEnvelope));
+
+      if (retried.duplicate) {
+        throw new Error('Retry after a failed write was treated as a duplicate');
+      }
+
+      return 'Retry after a failed write is stored';
+    });
+
+    await cacheManager.close();
+    return results;
+  }
+
+  /**
+   * Validate replaying a dead-lettered manual review
+   */
+  async validateManualReviewReplay() {
+    console.log('\n📮 Testing Dead-Letter Replay of Manual Reviews');
+    console.log('==============================================');
+
+    const results = { passed: 0, failed: 0, details: [] };
+    const vectors = testVectors.manualReviewReplay;
+    const DeadLetterQueue = requireService('ingest', 'dead-letter-queue');
+    const { storageManager, cacheManager, eventProcessor } = await createIngest();
+
+    const deadLetters = new DeadLetterQueue();
+    await deadLetters.initialize();
+    // Registered as in the ingest server
+    deadLetters.register('manual-review', ({ reviewPayload, priority, category, reviewId }) =>
+      eventProcessor.queueManualReview(reviewPayload, priority, category, reviewId));
+
+    // Test 1: Replay writes the same review
+    console.log('\n1. Testing replay after a write that landed but reported failure...');
+    await runTest(results, 'manual_review_replay', 'Manual review replay', async () => {
+      const storeJSON = storageManager.storeJSON.bind(storageManager);
+      let writes = 0;
+      storageManager.storeJSON = async (...args) => {
+        await storeJSON(...args);
+        if (++writes === 1) {
+          throw new Error('Simulated timeout after write');
+        }
+      };
+
+      const reviewId = crypto.randomUUID();
+      const deadLetterId = await deadLetters.run('manual-review', {
+        reviewPayload: vectors.reviewPayload,
+        priority: vectors.priority,
+        category: vectors.category,
+        reviewId
+      }).then(() => null, error => error.deadLetterId);
+      if (!deadLetterId) {
+        throw new Error('Failed write was not dead-lettered');
+      }
+
+      const replay = await deadLetters.retry(deadLetterId);
+      const listing = await storageManager.list('manual_review/');
+      const storedReviews = listing.objects.length;
+
+      if (replay.status !== vectors.expected.letterStatus) {
+        throw new Error(`Replay ended ${replay.status}: ${replay.lastError}`);
+      }
+      if (replay.result.reviewId !== reviewId) {
+        throw new Error(`Replay wrote review ${replay.result.reviewId}, expected ${reviewId}`);
+      }
+      if (storedReviews !== vectors.expected.storedReviews) {
+        throw new Error(`${storedReviews} reviews stored, expected ${vectors.expected.storedReviews}`);
+      }
+
+      return 'Replay reuses the review ID and stores one review';
+    });
+
+    await cacheManager.close();
+    return results;
+  }
+
+  cleanup() {
+    removeWorkDir(this.workDir);
+  }
+}
+
+/**
+ * Main validation function
+ */
+async function main() {
+  console.log('🚀 Service Resilience Validation');
+  console.log('================================');
+
+  const validator = new ServiceResilienceValidator();
+  const sections = [];
+  try {
+    sections.push(['cache', await validator.validateTieredCache()]);
+    sections.push(['deduplication', await validator.validateDeduplication()]);
+    sections.push(['replay', await validator.validateManualReviewReplay()]);
+  } finally {
+    validator.cleanup();
+  }
+
+  const results = Object.fromEntries(sections);
+  return printSummary('Resilience Criteria', sections, [
+    { name: 'Tiered cache serves from the local tier with Redis down', status: results.cache.failed === 0 },
+    { name: 'Duplicate events are counted and not stored twice', status: results.deduplication.failed === 0 },
+    { name: 'Dead-lettered manual reviews replay idempotently', status: results.replay.failed === 0 }
+  ]);
+}
+
+// Run validation
+if (require.main === module) {
+  runMain(main);
+}
+
+module.exports = { ServiceResilienceValidator };
@@ -0,0 +1,535 @@
+/**
+ * DC Circuit Solver
+ * Steady-state nodal analysis of the electrical graph: node voltages,
+ * branch currents and load power from wire gauges, lengths and load ratings
+ */
+
+const { ElectricalSystemHeuristics } = require('./electrical-heuristics');
+const { VoltageDropAnalyzer } = require('./voltage-drop-analysis');
+const { FaultTracer } = require('./fault-tracer');
+const { SwitchStateModel } = require('./switch-state-model');
+
+const PASS_THROUGH_TYPES = ['fuse', 'relay', 'connector', 'splice', 'terminal'];
+const GROUND_PASS_THROUGH = ['connector', 'splice', 'terminal'];
+const CHASSIS = 'chassis';
+const OPEN_STATES = ['open', 'off', 'blown'];
+// Resistance used to tie nets that the graph does not wire explicitly, and of closed switch contacts
+const TIE_RESISTANCE = 1e-4;
+// The solve runs on the request thread up to MAX_RELAY_ITERATIONS + 1 times, so both the
+// net count and the elimination work (multiply-adds including fill-in) of one solve are capped
+const MAX_NETS = 2000;
+const MAX_ELIMINATION_WORK = 500000;
+const MAX_RELAY_ITERATIONS = 10;
+
+/**
+ * Builds a resistive network and solves it with nodal analysis.
+ * Fuses, connectors, splices, terminals and closed relay contacts are ideal junctions,
+ * closed switches join their wires through a near-zero contact resistance,
+ * all ground points share the chassis and loads are two-terminal resistors.
+ */
+class DcCircuitSolver {
+
+  /**
+   * Solve the graph. routes are layout routes used for wire lengths,
+   * options.states maps fuse/relay/connector/switch IDs to 'open' or 'closed',
+   * options.openEdges lists wires that do not conduct, such as ignition outputs off in the current key position.
+   */
+  static solve(graph, routes = [], options = {}) {
+    const settings = {
+      systemVoltage: options.systemVoltage || VoltageDropAnalyzer.detectSystemVoltage(graph),
+      temperature: options.temperature !== undefined ? options.temperature : 20,
+      defaultLength: options.defaultLength || 1.0,
+      routingFactor: options.routingFactor || 1.3,
+      defaultWireArea: options.defaultWireArea || 0.5,
+      internalResistance: options.internalResistance || 0.01,
+      coilResistance: options.coilResistance || 80,
+      pullInRatio: options.pullInRatio || 0.6,
+      states: options.states || {},
+      openEdges: new Set(options.openEdges || [])
+    };
+
+    const nodeLookup = new Map(graph.nodes.map(node => [node.id, node]));
+    const routeLookup = new Map(routes.map(route => [route.edgeId, route]));
+    const adjacency = FaultTracer.buildAdjacency(graph, nodeLookup);
+    const warnings = [];
+
+    const returnSide = new Set(graph.nodes
+      .filter(node => node.type === 'ground' || (GROUND_PASS_THROUGH.includes(node.type) &&
+        FaultTracer.findPath(node.id, candidate => candidate.type === 'ground', GROUND_PASS_THROUGH, adjacency, nodeLookup)))
+      .map(node => node.id));
+
+    const wires = new Map(graph.edges
+      .filter(edge => nodeLookup.has(edge.from) && nodeLookup.has(edge.to))
+      .map(edge => [edge.id, this.describeWire(edge, nodeLookup, routeLookup, settings)]));
+
+    const loads = graph.nodes
+      .filter(node => !PASS_THROUGH_TYPES.includes(node.type) && !['battery', 'ground'].includes(node.type) && !this.isSwitch(node))
+      .map(node => this.describeLoad(node, settings))
+      .filter(load => load.resistance !== null);
+
+    // Relay contacts follow their explicit state, otherwise their coil; start with all closed
+    const relays = graph.nodes.filter(node => node.type === 'relay');
+    const relayClosed = new Map(relays.map(relay => [relay.id, !this.isOpen(relay.id, settings)]));
+
+    let network;
+    let solution;
+    let iterations = 0;
+    let settled = false;
+    let solvedStates = relayClosed;
+    while (!settled && iterations <= Math.min(relays.length, MAX_RELAY_ITERATIONS)) {
+      network = this.buildNetwork(graph, { nodeLookup, returnSide, wires, loads, relayClosed, settings });
+      solution = this.solveNetwork(network);
+      solvedStates = new Map(relayClosed);
+      iterations++;
+      settled = true;
+
+      relays.forEach(relay => {
+        if (settings.states[relay.id] !== undefined || !network.coils.has(relay.id)) return;
+        const coilVoltage = this.across(solution, `${relay.id}:coil`, `${relay.id}:coil_return`);
+        const closed = coilVoltage !== null && coilVoltage >= settings.systemVoltage * settings.pullInRatio;
+        if (closed !== relayClosed.get(relay.id)) {
+          relayClosed.set(relay.id, closed);
+          settled = false;
+        }
+      });
+    }
+
+    if (!settled) {
+      // Report the last solved state rather than the unsolved next one
+      solvedStates.forEach((closed, relayId) => relayClosed.set(relayId, closed));
+      warnings.push('Relay states did not settle, check for relays that switch their own coil supply');
+    }
+
+    warnings.push(...network.warnings);
+    if (solution.singular) {
+      warnings.push('Network matrix is singular, check for loops of ideal junctions without resistance');
+    }
+
+    return this.report(graph, { solution, network, wires, loads, relayClosed, settings, warnings, iterations });
+  }
+
+  /**
+   * Copy the graph with an `electrical` block on every solved node and edge
+   */
+  static attach(graph, result) {
+    const nodeResults = new Map(result.nodes.map(entry => [entry.nodeId, entry]));
+    const edgeResults = new Map(result.edges.map(entry => [entry.edgeId, entry]));
+
+    return {
+      ...graph,
+      nodes: graph.nodes.map(node => {
+        const entry = nodeResults.get(node.id);
+        if (!entry) return node;
+        const { nodeId, type, ...electrical } = entry;
+        return { ...node, electrical };
+      }),
+      edges: graph.edges.map(edge => {
+        const entry = edgeResults.get(edge.id);
+        if (!entry) return edge;
+        const { edgeId, from, to, ...electrical } = entry;
+        return { ...edge, electrical };
+      })
+    };
+  }
+
+  /**
+   * Translate graph nodes and edges into conductances between electrical nets
+   */
+  static buildNetwork(graph, context) {
+    const { nodeLookup, returnSide, wires, loads, relayClosed, settings } = context;
+    const conductances = [];
+    const injections = new Map();
+    const coils = new Set();
+    const warnings = [];
+    const edgeBranches = new Map();
+    const switchContacts = new Map();
+
+    const batteries = graph.nodes.filter(node => node.type === 'battery');
+    if (batteries.length === 0) {
+      warnings.push('No battery in graph, nothing is powered');
+    }
+
+    const terminalFor = (node, edge, other) => {
+      const returning = edge.type === 'ground' || returnSide.has(other.id);
+
+      if (node.type === 'ground') return CHASSIS;
+      if (this.isSwitch(node)) {
+        return this.isOpen(node.id, settings) ? null : `${node.id}:${edge.id}`;
+      }
+      if (node.type === 'battery') return `${node.id}:${returning ? '-' : '+'}`;
+      if (node.type === 'relay') {
+        if (edge.type === 'signal') return `${node.id}:coil`;
+        if (returning) return `${node.id}:coil_return`;
+        return relayClosed.get(node.id) ? node.id : null;
+      }
+      if (PASS_THROUGH_TYPES.includes(node.type)) {
+        return this.isOpen(node.id, settings) ? null : node.id;
+      }
+      return `${node.id}:${returning ? 'return' : 'supply'}`;
+    };
+
+    graph.edges.forEach(edge => {
+      const wire = wires.get(edge.id);
+      if (!wire || settings.openEdges.has(edge.id)) return;
+
+      const fromNode = nodeLookup.get(edge.from);
+      const toNode = nodeLookup.get(edge.to);
+
+      // Bus and sensor signal lines carry no load current, except relay coil feeds
+      const isCoilFeed = edge.type === 'signal' && (fromNode.type === 'relay' || toNode.type === 'relay');
+      if (edge.type === 'data' || (edge.type === 'signal' && !isCoilFeed)) return;
+
+      const a = terminalFor(fromNode, edge, toNode);
+      const b = terminalFor(toNode, edge, fromNode);
+      if (!a || !b || a === b) return;
+
+      conductances.push({ a, b, g: 1 / wire.resistance });
+      edgeBranches.set(edge.id, { a, b, resistance: wire.resistance });
+
+      // Each wire on a closed switch reaches its common contact through the contact resistance
+      [[fromNode, a], [toNode, b]].forEach(([node, terminal]) => {
+        if (!this.isSwitch(node)) return;
+        conductances.push({ a: terminal, b: node.id, g: 1 / TIE_RESISTANCE });
+        if (!switchContacts.has(node.id)) switchContacts.set(node.id, []);
+        switchContacts.get(node.id).push(terminal);
+      });
+    });
+
+    loads.forEach(load => {
+      conductances.push({ a: `${load.nodeId}:supply`, b: `${load.nodeId}:return`, g: 1 / load.resistance });
+    });
+
+    // A relay with a signal edge has a coil; without a coil ground edge it is assumed case-grounded
+    graph.nodes.filter(node => node.type === 'relay').forEach(relay => {
+      const hasCoilFeed = graph.edges.some(edge => edge.type === 'signal' && (edge.from === relay.id || edge.to === relay.id));
+      if (!hasCoilFeed) return;
+      coils.add(relay.id);
+
+      const coilReturn = `${relay.id}:coil_return`;
+      if (!conductances.some(branch => branch.a === coilReturn || branch.b === coilReturn)) {
+        conductances.push({ a: coilReturn, b: CHASSIS, g: 1 / TIE_RESISTANCE });
+      }
+
+      const resistance = parseFloat(relay.properties?.coilResistance) || settings.coilResistance;
+      conductances.push({ a: `${relay.id}:coil`, b: coilReturn, g: 1 / resistance });
+    });
+
+    // Batteries become Norton sources: EMF over internal resistance in parallel with it
+    batteries.forEach(battery => {
+      const voltage = parseFloat(battery.properties?.voltage || battery.voltage) || settings.systemVoltage;
+      const internal = parseFloat(battery.properties?.internalResistance) || settings.internalResistance;
+      const positive = `${battery.id}:+`;
+      const negative = `${battery.id}:-`;
+
+      if (!conductances.some(branch => branch.a === negative || branch.b === negative)) {
+        warnings.push(`Battery ${battery.id} has no ground connection, assuming its negative is on the chassis`);
+        conductances.push({ a: negative, b: CHASSIS, g: 1 / TIE_RESISTANCE });
+      }
+
+      conductances.push({ a: positive, b: negative, g: 1 / internal });
+      injections.set(positive, (injections.get(positive) || 0) + voltage / internal);
+      injections.set(negative, (injections.get(negative) || 0) - voltage / internal);
+    });
+
+    const reference = batteries.length > 0 ? `${batteries[0].id}:-` : CHASSIS;
+    return { conductances, injections, reference, coils, edgeBranches, switchContacts, warnings };
+  }
+
+  /**
+   * Nodal analysis on the nets connected to the reference; floating nets get no voltage
+   */
+  static solveNetwork(network) {
+    const { conductances, injections, reference } = network;
+    const neighbors = new Map();
+    conductances.forEach(({ a, b }) => {
+      if (!neighbors.has(a)) neighbors.set(a, []);
+      if (!neighbors.has(b)) neighbors.set(b, []);
+      neighbors.get(a).push(b);
+      neighbors.get(b).push(a);
+    });
+
+    const connected = new Set([reference]);
+    const queue = [reference];
+    while (queue.length > 0) {
+      (neighbors.get(queue.shift()) || []).forEach(net => {
+        if (connected.has(net)) return;
+        connected.add(net);
+        queue.push(net);
+      });
+    }
+
+    const unknowns = [...connected].filter(net => net !== reference);
+    if (unknowns.length > MAX_NETS) {
+      const error = new Error(`Network has ${unknowns.length} connected nets, the solver handles at most ${MAX_NETS}`);
+      error.status = 400;
+      throw error;
+    }
+    const index = new Map(unknowns.map((net, i) => [net, i]));
+    const rows = unknowns.map(() => new Map());
+    const rhs = new Array(unknowns.length).fill(0);
+    const add = (i, j, value) => rows[i].set(j, (rows[i].get(j) || 0) + value);
+
+    conductances.forEach(({ a, b, g }) => {
+      if (!connected.has(a)) return;
+      const i = index.get(a);
+      const j = index.get(b);
+      if (i !== undefined) add(i, i, g);
+      if (j !== undefined) add(j, j, g);
+      if (i !== undefined && j !== undefined) {
+        add(i, j, -g);
+        add(j, i, -g);
+      }
+    });
+
+    injections.forEach((current, net) => {
+      const i = index.get(net);
+      if (i !== undefined) rhs[i] += current;
+    });
+
+    const { values, singular } = this.sparseElimination(rows, rhs);
+    const voltages = new Map([[reference, 0]]);
+    unknowns.forEach((net, i) => voltages.set(net, values[i]));
+
+    return { voltages, singular };
+  }
+
+  /**
+   * Solve a symmetric conductance matrix stored as one Map per row.
+   * Eliminates the net with the fewest neighbours first, so harness trees and
+   * star-shaped grounds produce almost no fill-in. Conductance matrices are
+   * diagonally dominant, so no pivoting is needed; a vanishing pivot marks the
+   * matrix singular and leaves that net at 0 V.
+   */
+  static sparseElimination(rows, rhs) {
+    const size = rows.length;
+    const eliminated = new Array(size).fill(false);
+    const order = [];
+    const pivots = new Array(size).fill(0);
+    const factors = new Array(size);
+    let singular = false;
+    let work = 0;
+
+    for (let step = 0; step < size; step++) {
+      let next = -1;
+      for (let i = 0; i < size; i++) {
+        if (!eliminated[i] && (next < 0 || rows[i].size < rows[next].size)) next = i;
+      }
+      eliminated[next] = true;
+      order.push(next);
+
+      const row = rows[next];
+      const pivot = row.get(next) || 0;
+      row.delete(next);
+      const neighbors = [...row.entries()];
+      factors[next] = neighbors;
+
+      work += neighbors.length * neighbors.length;
+      if (work > MAX_ELIMINATION_WORK) {
+        const error = new Error(`Network needs more than ${MAX_ELIMINATION_WORK} elimination operations; it is too densely meshed to solve on request`);
+        error.status = 400;
+        throw error;
+      }
+
+      if (Math.abs(pivot) < 1e-12) {
+        singular = true;
+        neighbors.forEach(([k]) => rows[k].delete(next));
+        factors[next] = [];
+        continue;
+      }
+      pivots[next] = pivot;
+
+      neighbors.forEach(([k, valueKi]) => {
+        const factor = valueKi / pivot;
+        const target = rows[k];
+        target.delete(next);
+        neighbors.forEach(([j, valueIj]) => {
+          target.set(j, (target.get(j) || 0) - factor * valueIj);
+        });
+        rhs[k] -= factor * rhs[next];
+      });
+    }
+
+    const values = new Array(size).fill(0);
+    for (let step = size - 1; step >= 0; step--) {
+      const i = order[step];
+      if (pivots[i] === 0) continue;
+      let sum = rhs[i];
+      factors[i].forEach(([j, value]) => {
+        sum -= value * values[j];
+      });
+      values[i] = sum / pivots[i];
+    }
+
+    return { values, singular };
+  }
+
+  static report(graph, context) {
+    const { solution, network, wires, loads, relayClosed, settings, warnings, iterations } = context;
+    const { voltages } = solution;
+    const round = VoltageDropAnalyzer.round;
+    const loadLookup = new Map(loads.map(load => [load.nodeId, load]));
+    const voltageOf = net => (voltages.has(net) ? round(voltages.get(net), 4) : null);
+
+    const nodes = graph.nodes.map(node => {
+      const entry = { nodeId: node.id, type: node.type };
+
+      if (node.type === 'battery') {
+        const terminal = this.across(solution, `${node.id}:+`, `${node.id}:-`);
+        const voltage = parseFloat(node.properties?.voltage || node.voltage) || settings.systemVoltage;
+        const internal = parseFloat(node.properties?.internalResistance) || settings.internalResistance;
+        entry.voltage = voltageOf(`${node.id}:+`);
+        entry.terminalVoltage = terminal === null ? null : round(terminal, 4);
+        entry.current = terminal === null ? 0 : round((voltage - terminal) / internal, 4);
+      } else if (node.type === 'ground') {
+        entry.voltage = voltageOf(CHASSIS);
+      } else if (this.isSwitch(node)) {
+        // Current in equals current out, so half the summed contact currents flows through
+        const through = (network.switchContacts.get(node.id) || [])
+          .reduce((sum, terminal) => sum + Math.abs(this.across(solution, terminal, node.id) || 0) / TIE_RESISTANCE, 0) / 2;
+        entry.voltage = voltageOf(node.id);
+        entry.closed = !this.isOpen(node.id, settings);
+        entry.current = round(through, 4);
+      } else if (loadLookup.has(node.id)) {
+        const load = loadLookup.get(node.id);
+        const across = this.across(solution, `${node.id}:supply`, `${node.id}:return`);
+        entry.voltage = voltageOf(`${node.id}:supply`);
+        entry.returnVoltage = voltageOf(`${node.id}:return`);
+        entry.voltageAcross = across === null ? null : round(across, 4);
+        entry.resistance = round(load.resistance, 4);
+        entry.current = across === null ? 0 : round(across / load.resistance, 4);
+        entry.power = across === null ? 0 : round(across * across / load.resistance, 3);
+        entry.powered = across !== null && across >= settings.systemVoltage * 0.5;
+      } else {
+        entry.voltage = voltageOf(node.id);
+        if (node.type === 'relay') {
+          entry.closed = relayClosed.get(node.id);
+          if (network.coils.has(node.id)) {
+            const coil = this.across(solution, `${node.id}:coil`, `${node.id}:coil_return`);
+            entry.coilVoltage = coil === null ? null : round(coil, 4);
+          }
+        }
+        if (PASS_THROUGH_TYPES.includes(node.type) && node.type !== 'relay' && this.isOpen(node.id, settings)) {
+          entry.open = true;
+        }
+      }
+
+      return entry;
+    });
+
+    const edges = graph.edges
+      .filter(edge => wires.has(edge.id))
+      .map(edge => {
+        const wire = wires.get(edge.id);
+        const branch = network.edgeBranches.get(edge.id);
+        const drop = branch ? this.across(solution, branch.a, branch.b) : null;
+        const current = drop === null ? 0 : drop / branch.resistance;
+
+        return {
+          edgeId: edge.id,
+          from: edge.from,
+          to: edge.to,
+          current: round(current, 4),
+          voltageDrop: drop === null ? 0 : round(Math.abs(drop), 4),
+          resistance: round(wire.resistance, 5),
+          power: round(current * current * wire.resistance, 4),
+          gauge: wire.gauge,
+          length: round(wire.length, 3),
+          assumedGauge: wire.assumedGauge
+        };
+      });
+
+    const loadEntries = nodes.filter(entry => loadLookup.has(entry.nodeId));
+    const batteryEntries = nodes.filter(entry => entry.type === 'battery');
+
+    return {
+      systemVoltage: settings.systemVoltage,
+      iterations,
+      nodes,
+      edges,
+      relayStates: Object.fromEntries(relayClosed),
+      warnings,
+      summary: {
+        totalCurrent: round(batteryEntries.reduce((sum, entry) => sum + entry.current, 0), 3),
+        totalLoadPower: round(loadEntries.reduce((sum, entry) => sum + entry.power, 0), 2),
+        wireLoss: round(edges.reduce((sum, entry) => sum + entry.power, 0), 3),
+        loadCount: loadEntries.length,
+        poweredLoads: loadEntries.filter(entry => entry.powered).length,
+        floatingNodes: nodes.filter(entry => entry.voltage === null).map(entry => entry.nodeId),
+        singular: solution.singular
+      }
+    };
+  }
+
+  /**
+   * Wire resistance from gauge and routed length, assuming a thin wire when the gauge is unknown
+   */
+  static describeWire(edge, nodeLookup, routeLookup, settings) {
+    const wire = VoltageDropAnalyzer.describeWire(edge, nodeLookup, routeLookup, settings);
+    const assumedGauge = wire.resistance === null;
+    const resistance = assumedGauge
+      ? VoltageDropAnalyzer.wireResistance(settings.defaultWireArea, wire.length, settings.temperature)
+      : wire.resistance;
+
+    return {
+      gauge: wire.gauge,
+      length: wire.length,
+      assumedGauge,
+      // Zero-length wires would short two nets together, keep a contact resistance
+      resistance: Math.max(resistance, TIE_RESISTANCE)
+    };
+  }
+
+  /**
+   * Load resistance at nominal voltage from rated power, or the heuristic current estimate
+   */
+  static describeLoad(node, settings) {
+    const voltage = settings.systemVoltage;
+    const power = this.parsePower(node);
+    if (power) {
+      return { nodeId: node.id, resistance: voltage * voltage / power, source: 'rated_power' };
+    }
+
+    const current = ElectricalSystemHeuristics.estimateComponentCurrent(node).typical;
+    return {
+      nodeId: node.id,
+      resistance: current > 0 ? voltage / current : null,
+      source: 'estimated_current'
+    };
+  }
+
+  /**
+   * Rated power in watts from properties or a label such as "Headlamp 55W"
+   */
+  static parsePower(node) {
+    const candidates = [node.properties?.power, node.properties?.ratedPower, node.properties?.wattage, node.power];
+    for (const candidate of candidates) {
+      const value = parseFloat(candidate);
+      if (value > 0) return value;
+    }
+
+    const match = (node.label || '').match(/(\d+(?:\.\d+)?)\s*w(?:att)?s?\b/i);
+    return match ? parseFloat(match[1]) : null;
+  }
+
+  /**
+   * Switches by type, role or label, including ignition switches whose outputs arrive as openEdges
+   */
+  static isSwitch(node) {
+    return node.type === 'switch' || SwitchStateModel.isSwitch(node) || SwitchStateModel.isIgnitionSwitch(node);
+  }
+
+  static isOpen(nodeId, settings) {
+    const state = settings.states[nodeId];
+    return state === false || OPEN_STATES.includes(state);
+  }
+
+  static across(solution, a, b) {
+    const { voltages } = solution;
+    if (!voltages.has(a) || !voltages.has(b)) return null;
+    return voltages.get(a) - voltages.get(b);
+  }
+}
+
+module.exports = {
+  DcCircuitSolver
+};
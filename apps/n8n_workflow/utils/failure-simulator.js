@@ -0,0 +1,219 @@
+/**
+ * Failure Simulator
+ * Opens fuses, relays, connectors, splices or ground points and reports
+ * which components lose power, ground or data connectivity
+ */
+
+const { RelationshipMapper } = require('./relationship-mapper');
+const { FaultTracer } = require('./fault-tracer');
+
+const FAILABLE_TYPES = ['fuse', 'relay', 'connector', 'splice', 'ground', 'terminal'];
+const SUPPLY_PASS_THROUGH = ['fuse', 'relay', 'connector', 'splice', 'terminal'];
+const GROUND_PASS_THROUGH = ['connector', 'splice', 'terminal'];
+const BUS_PASS_THROUGH = ['connector', 'splice', 'terminal'];
+const COMMUNICATION_EDGE_TYPES = ['data', 'signal'];
+
+/**
+ * Compares connectivity of the intact graph against the graph with components opened.
+ * Edge types follow the ElectroGraph schema: untyped edges count as power and ground wiring,
+ * signal edges into a relay are treated as its coil control.
+ */
+class FailureSimulator {
+
+  /**
+   * Simulate opening one or more components at once
+   */
+  static simulate(graph, failedIds, options = {}) {
+    const context = options.context || this.buildContext(graph);
+    const failed = new Set(failedIds);
+
+    failedIds.forEach(nodeId => {
+      if (!context.nodeLookup.has(nodeId)) {
+        throw new Error(`Component not found: ${nodeId}`);
+      }
+    });
+
+    const after = this.evaluate(context, failed);
+    const { baseline, nodeLookup, dependencies } = context;
+
+    const lostPower = [...baseline.powered].filter(nodeId => !failed.has(nodeId) && !after.powered.has(nodeId));
+    const lostGround = [...baseline.grounded].filter(nodeId => !failed.has(nodeId) && !after.grounded.has(nodeId));
+    const deenergizedRelays = [...baseline.energized].filter(nodeId => !failed.has(nodeId) && !after.energized.has(nodeId));
+
+    const lostData = [];
+    baseline.peers.forEach((peers, nodeId) => {
+      // Components that went dead are already reported as losing power or ground
+      const remaining = after.peers.get(nodeId);
+      if (!remaining) return;
+      const lostPeers = [...peers].filter(peerId => !remaining.has(peerId));
+      if (lostPeers.length > 0) {
+        lostData.push({ nodeId, lostPeers });
+      }
+    });
+
+    const affected = new Set([...lostPower, ...lostGround, ...lostData.map(entry => entry.nodeId)]);
+    const affectedNodeIds = graph.nodes.map(node => node.id).filter(nodeId => affected.has(nodeId));
+
+    return {
+      failed: failedIds.map(nodeId => FaultTracer.describeNode(nodeLookup.get(nodeId), {
+        criticalPath: dependencies[nodeId]?.criticalPath || false,
+        supports: dependencies[nodeId]?.supports.length || 0
+      })),
+      affectedNodeIds,
+      lostPower,
+      lostGround,
+      lostData,
+      deenergizedRelays,
+      affectedLoads: affectedNodeIds
+        .map(nodeId => nodeLookup.get(nodeId))
+        .filter(node => !SUPPLY_PASS_THROUGH.includes(node.type) && node.type !== 'ground')
+        .map(node => FaultTracer.describeNode(node)),
+      summary: {
+        lostPowerCount: lostPower.length,
+        lostGroundCount: lostGround.length,
+        lostDataCount: lostData.length,
+        affectedCount: affectedNodeIds.length
+      }
+    };
+  }
+
+  /**
+   * Simulate every failable component on its own, most disruptive first.
+   * Components flagged by RelationshipMapper.identifyCriticalComponents win ties.
+   */
+  static rankFailures(graph, options = {}) {
+    const context = this.buildContext(graph);
+    const types = options.types || FAILABLE_TYPES;
+
+    return graph.nodes
+      .filter(node => types.includes(node.type))
+      .map(node => this.simulate(graph, [node.id], { context }))
+      .filter(result => result.affectedNodeIds.length > 0)
+      .sort((a, b) =>
+        b.affectedNodeIds.length - a.affectedNodeIds.length ||
+        Number(b.failed[0].criticalPath) - Number(a.failed[0].criticalPath)
+      );
+  }
+
+  /**
+   * Rank single failures that explain a set of dead components,
+   * preferring the ones that explain all symptoms with the fewest side effects
+   */
+  static explainSymptoms(graph, symptomIds, options = {}) {
+    const limit = options.limit || 5;
+    const symptoms = new Set(symptomIds);
+
+    return this.rankFailures(graph, options)
+      .map(result => {
+        const explained = result.affectedNodeIds.filter(nodeId => symptoms.has(nodeId));
+        return {
+          ...result,
+          explained,
+          unexplained: symptomIds.filter(nodeId => !explained.includes(nodeId)),
+          // Affected components the user did not report, worth checking to confirm the candidate
+          additional: result.affectedLoads.map(load => load.nodeId).filter(nodeId => !symptoms.has(nodeId)),
+          coverage: Math.round(explained.length / symptomIds.length * 100) / 100
+        };
+      })
+      .filter(candidate => candidate.explained.length > 0)
+      .sort((a, b) => b.coverage - a.coverage || a.additional.length - b.additional.length)
+      .slice(0, limit);
+  }
+
+  static buildContext(graph) {
+    const nodeLookup = new Map(graph.nodes.map(node => [node.id, node]));
+    const context = {
+      nodeLookup,
+      adjacency: FaultTracer.buildAdjacency(graph, nodeLookup),
+      dependencies: new RelationshipMapper().mapDependencies(graph)
+    };
+    context.baseline = this.evaluate(context, new Set());
+    return context;
+  }
+
+  /**
+   * Power, ground and bus connectivity with the failed nodes removed
+   */
+  static evaluate(context, failed) {
+    const { nodeLookup, adjacency } = context;
+    const nodesOfType = type => [...nodeLookup.values()].filter(node => node.type === type && !failed.has(node.id));
+
+    const batteries = nodesOfType('battery').map(node => node.id);
+    const grounds = nodesOfType('ground').map(node => node.id);
+
+    const isPowerEdge = edge => !['ground', ...COMMUNICATION_EDGE_TYPES].includes(edge.type);
+    const isGroundEdge = edge => !['power', ...COMMUNICATION_EDGE_TYPES].includes(edge.type);
+
+    // Relays with coil control only conduct while a control source is powered.
+    // De-energizing one can cut power to other coils, so repeat until nothing changes.
+    const controlled = nodesOfType('relay').filter(relay =>
+      adjacency.get(relay.id).some(({ edge }) => edge.type === 'signal')
+    );
+    let energized = new Set(controlled.map(relay => relay.id));
+    let powered;
+
+    for (let pass = 0; pass <= controlled.length; pass++) {
+      const blocked = new Set(controlled.filter(relay => !energized.has(relay.id)).map(relay => relay.id));
+      powered = this.reach(batteries, adjacency, nodeLookup, failed, isPowerEdge,
+        node => SUPPLY_PASS_THROUGH.includes(node.type) && !blocked.has(node.id));
+
+      const next = new Set(controlled
+        .filter(relay => adjacency.get(relay.id).some(({ edge, neighbor }) => edge.type === 'signal' && powered.has(neighbor)))
+        .map(relay => relay.id));
+
+      if (next.size === energized.size) break;
+      energized = next;
+    }
+
+    const grounded = this.reach(grounds, adjacency, nodeLookup, failed, isGroundEdge,
+      node => GROUND_PASS_THROUGH.includes(node.type));
+
+    // A bus drops every component that failed or went dead
+    const baseline = context.baseline;
+    const working = nodeId => !failed.has(nodeId) &&
+      (!baseline || ((powered.has(nodeId) || !baseline.powered.has(nodeId)) && (grounded.has(nodeId) || !baseline.grounded.has(nodeId))));
+    const isBusEdge = edge => COMMUNICATION_EDGE_TYPES.includes(edge.type);
+    const peers = new Map();
+
+    nodeLookup.forEach(node => {
+      if (BUS_PASS_THROUGH.includes(node.type) || !working(node.id)) return;
+      if (!adjacency.get(node.id).some(({ edge }) => isBusEdge(edge))) return;
+
+      const reached = this.reach([node.id], adjacency, nodeLookup, failed, isBusEdge,
+        candidate => working(candidate.id));
+      peers.set(node.id, new Set([...reached].filter(nodeId =>
+        nodeId !== node.id && working(nodeId) && !BUS_PASS_THROUGH.includes(nodeLookup.get(nodeId).type)
+      )));
+    });
+
+    return { powered, grounded, energized, peers };
+  }
+
+  /**
+   * Nodes reachable from the sources, expanding only through nodes that pass the test
+   */
+  static reach(sourceIds, adjacency, nodeLookup, failed, isEdgeAllowed, passesThrough) {
+    const reached = new Set(sourceIds);
+    const queue = [...sourceIds];
+
+    while (queue.length > 0) {
+      const nodeId = queue.shift();
+      const node = nodeLookup.get(nodeId);
+      if (!sourceIds.includes(nodeId) && !passesThrough(node)) continue;
+
+      adjacency.get(nodeId).forEach(({ edge, neighbor }) => {
+        if (reached.has(neighbor) || failed.has(neighbor) || !isEdgeAllowed(edge)) return;
+        reached.add(neighbor);
+        queue.push(neighbor);
+      });
+    }
+
+    return reached;
+  }
+}
+
+FailureSimulator.FAILABLE_TYPES = FAILABLE_TYPES;
+
+module.exports = {
+  FailureSimulator
+};
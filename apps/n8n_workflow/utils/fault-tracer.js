@@ -0,0 +1,341 @@
+/**
+ * Fault Tracer
+ * Builds an ordered diagnostic test plan for a component that does not work
+ */
+
+const { RelationshipMapper } = require('./relationship-mapper');
+const { ElectricalSystemHeuristics } = require('./electrical-heuristics');
+const { VoltageDropAnalyzer } = require('./voltage-drop-analysis');
+
+const SUPPLY_PASS_THROUGH = ['fuse', 'relay', 'connector', 'splice', 'terminal'];
+const GROUND_PASS_THROUGH = ['connector', 'splice', 'terminal'];
+const CONTROL_TYPES = ['ecu', 'connector', 'fuse', 'sensor', 'terminal', 'splice'];
+
+/**
+ * Walks back from a target component to its power source and ground,
+ * producing probe points, expected voltages and single points of failure
+ */
+class FaultTracer {
+
+  /**
+   * Trace why a target component might not work.
+   * routes are optional layout routes used for realistic voltage drops.
+   */
+  static trace(graph, targetId, routes = [], options = {}) {
+    const nodeLookup = new Map(graph.nodes.map(node => [node.id, node]));
+    const target = nodeLookup.get(targetId);
+    if (!target) {
+      throw new Error(`Target component not found: ${targetId}`);
+    }
+
+    const adjacency = this.buildAdjacency(graph, nodeLookup);
+    const dependencies = new RelationshipMapper().mapDependencies(graph);
+    const dropReport = VoltageDropAnalyzer.analyze(graph, routes, options);
+    const systemVoltage = dropReport.systemVoltage;
+    const wireDrops = new Map(dropReport.wires.map(wire => [wire.edgeId, wire.voltageDrop || 0]));
+
+    // Distribution nodes the batteries actually reach, used to spot gaps in the extracted graph
+    const distribution = new Set();
+    graph.nodes.filter(node => node.type === 'battery').forEach(battery => {
+      ElectricalSystemHeuristics.tracePowerPath(graph, battery.id, options.maxDepth || 10)
+        .forEach(nodeId => distribution.add(nodeId));
+    });
+
+    const isBattery = node => node.type === 'battery';
+    const isGround = node => node.type === 'ground';
+
+    const supply = this.findPath(targetId, isBattery, SUPPLY_PASS_THROUGH, adjacency, nodeLookup);
+    const ground = this.findPath(targetId, isGround, GROUND_PASS_THROUGH, adjacency, nodeLookup);
+
+    // Supply path is reported from the battery towards the target
+    const supplyPath = supply ? [...supply.nodes].reverse() : [];
+    const supplyEdges = supply ? [...supply.edges].reverse() : [];
+    const groundPath = ground ? ground.nodes : [];
+    const groundEdges = ground ? ground.edges : [];
+
+    const warnings = [];
+    if (!supply) warnings.push(`No power path from a battery to ${targetId} through fuses, relays, connectors or splices`);
+    if (!ground) warnings.push(`No ground path from ${targetId} through connectors or splices`);
+    supplyPath
+      .filter(nodeId => !distribution.has(nodeId) && nodeLookup.get(nodeId).type !== 'splice' && nodeId !== targetId)
+      .forEach(nodeId => warnings.push(`${nodeId} is on the supply path but not on a traced battery distribution path`));
+
+    // Expected voltage at each supply node is the nominal voltage minus the drop of the wires before it
+    const supplyVoltages = new Map();
+    let cumulativeDrop = 0;
+    supplyPath.forEach((nodeId, index) => {
+      if (index > 0) cumulativeDrop += wireDrops.get(supplyEdges[index - 1]) || 0;
+      supplyVoltages.set(nodeId, systemVoltage - cumulativeDrop);
+    });
+
+    // Ground-side nodes sit above battery negative by the drop of the wires between them and ground
+    const groundVoltages = new Map();
+    groundPath.forEach((nodeId, index) => {
+      const rise = groundEdges.slice(index).reduce((sum, edgeId) => sum + (wireDrops.get(edgeId) || 0), 0);
+      groundVoltages.set(nodeId, rise);
+    });
+
+    const controlPaths = supplyPath
+      .filter(nodeId => nodeLookup.get(nodeId).type === 'relay')
+      .map(relayId => this.traceRelayControl(relayId, supplyPath, adjacency, nodeLookup));
+
+    const singlePointsOfFailure = [
+      ...this.findSinglePoints(targetId, supplyPath, isBattery, SUPPLY_PASS_THROUGH, adjacency, nodeLookup, 'supply'),
+      ...this.findSinglePoints(targetId, groundPath, isGround, GROUND_PASS_THROUGH, adjacency, nodeLookup, 'ground'),
+      ...controlPaths
+        .filter(control => control.sources.length === 1)
+        .map(control => this.describeNode(nodeLookup.get(control.sources[0]), { side: 'control', relayId: control.relayId }))
+    ];
+
+    const steps = this.buildSteps({
+      target,
+      supplyPath,
+      groundPath,
+      controlPaths,
+      supplyVoltages,
+      groundVoltages,
+      systemVoltage,
+      dependencies,
+      nodeLookup
+    });
+
+    return {
+      target: this.describeNode(target),
+      systemVoltage,
+      supplyPath,
+      groundPath,
+      controlPaths,
+      dependsOn: dependencies[targetId]?.dependsOn || [],
+      steps,
+      singlePointsOfFailure,
+      warnings
+    };
+  }
+
+  /**
+   * Order probe points: the target itself first, then back along the supply path
+   * towards the battery, then along the ground path
+   */
+  static buildSteps(context) {
+    const { target, supplyPath, groundPath, controlPaths, supplyVoltages, groundVoltages, systemVoltage, dependencies, nodeLookup } = context;
+    const steps = [];
+    const round = value => Math.round(value * 100) / 100;
+    const tolerance = round(systemVoltage * 0.05);
+
+    const add = step => steps.push({ step: steps.length + 1, ...step });
+
+    add({
+      branch: 'supply',
+      nodeId: target.id,
+      action: `Measure supply voltage at the power input of ${this.name(target)} with the circuit switched on`,
+      probe: { nodeId: target.id, terminal: 'power_input', reference: 'battery_negative' },
+      expectedVoltage: round(supplyVoltages.get(target.id) ?? systemVoltage),
+      tolerance,
+      ifPasses: 'Supply is present, continue with the ground check',
+      ifFails: 'Supply is missing or low, work back along the supply path'
+    });
+
+    add({
+      branch: 'ground',
+      nodeId: target.id,
+      action: `Measure voltage between the ground terminal of ${this.name(target)} and battery negative with the circuit switched on`,
+      probe: { nodeId: target.id, terminal: 'ground', reference: 'battery_negative' },
+      expectedVoltage: round(groundVoltages.get(target.id) || 0),
+      tolerance: 0.1,
+      ifPasses: 'Supply and ground are good, the component itself is the likely fault',
+      ifFails: 'High ground-side voltage means a poor ground, inspect the ground path'
+    });
+
+    // Walk from the node feeding the target back to the battery
+    const upstream = supplyPath.slice(0, -1).reverse();
+    upstream.forEach(nodeId => {
+      const node = nodeLookup.get(nodeId);
+      const expectedVoltage = round(supplyVoltages.get(nodeId));
+      const supports = dependencies[nodeId]?.supports.length || 0;
+      const sharedHint = supports > 1
+        ? ` ${this.name(node)} also feeds ${supports - 1} other component(s); if they are dead too, suspect it first.`
+        : '';
+
+      add({
+        branch: 'supply',
+        nodeId,
+        ...this.describeSupplyProbe(node),
+        expectedVoltage,
+        tolerance,
+        ifFails: this.supplyFailureHint(node) + sharedHint
+      });
+
+      if (node.type === 'relay') {
+        const control = controlPaths.find(path => path.relayId === nodeId);
+        add({
+          branch: 'control',
+          nodeId,
+          action: `Command ${this.name(node)} on and measure voltage across its coil`,
+          probe: { nodeId, terminal: 'coil', reference: 'coil_ground' },
+          expectedVoltage: round(systemVoltage),
+          tolerance,
+          ifFails: control.sources.length > 0
+            ? `No coil voltage, check the control source(s) ${control.sources.join(', ')} and coil ground ${control.grounds.join(', ') || '(not in graph)'}`
+            : 'No coil control source found in the graph, check the wiring diagram'
+        });
+      }
+    });
+
+    groundPath.slice(1).forEach((nodeId, index) => {
+      const node = nodeLookup.get(nodeId);
+      const previous = nodeLookup.get(groundPath[index]);
+      add({
+        branch: 'ground',
+        nodeId,
+        action: node.type === 'ground'
+          ? `Check ${this.name(node)} is clean and tight, then measure voltage from it to battery negative`
+          : `Back-probe ${this.name(node)} on the ground side and measure voltage to battery negative`,
+        probe: { nodeId, terminal: 'ground', reference: 'battery_negative' },
+        expectedVoltage: round(groundVoltages.get(nodeId)),
+        tolerance: 0.1,
+        ifFails: `Resistance between ${this.name(previous)} and ${this.name(node)}, check for corrosion or a loose terminal`
+      });
+    });
+
+    return steps;
+  }
+
+  static describeSupplyProbe(node) {
+    switch (node.type) {
+      case 'battery':
+        return {
+          action: `Measure ${this.name(node)} voltage across its terminals, engine off`,
+          probe: { nodeId: node.id, terminal: 'positive', reference: 'battery_negative' }
+        };
+      case 'fuse':
+        return {
+          action: `Measure voltage on both sides of ${this.name(node)} with the circuit switched on`,
+          probe: { nodeId: node.id, terminal: 'both_sides', reference: 'battery_negative' }
+        };
+      case 'relay':
+        return {
+          action: `Measure voltage at the switched output of ${this.name(node)} with the relay commanded on`,
+          probe: { nodeId: node.id, terminal: 'contact_output', reference: 'battery_negative' }
+        };
+      case 'connector':
+      case 'terminal':
+        return {
+          action: `Back-probe ${this.name(node)} on the load side`,
+          probe: { nodeId: node.id, terminal: 'load_side', reference: 'battery_negative' }
+        };
+      default:
+        return {
+          action: `Measure voltage downstream of ${this.name(node)}`,
+          probe: { nodeId: node.id, terminal: 'downstream', reference: 'battery_negative' }
+        };
+    }
+  }
+
+  static supplyFailureHint(node) {
+    const hints = {
+      battery: 'Battery is discharged or its terminals are loose.',
+      fuse: 'Voltage on the input only means the fuse is blown, look for a short downstream before replacing it. No voltage on either side means the feed to the fuse is open.',
+      relay: 'Relay contacts are open or burnt, or the coil is not energized (see the coil check).',
+      connector: 'Open or high resistance across the connector, check pin fit and corrosion.',
+      terminal: 'Open or high resistance at the terminal, check crimp and fit.',
+      splice: 'Open splice, inspect the harness around it.'
+    };
+    return hints[node.type] || `Open circuit at ${node.id}.`;
+  }
+
+  /**
+   * Coil feed and coil ground for a relay: its neighbours that are not on the switched path
+   */
+  static traceRelayControl(relayId, supplyPath, adjacency, nodeLookup) {
+    const onPath = new Set(supplyPath);
+    const sources = [];
+    const grounds = [];
+
+    adjacency.get(relayId).forEach(({ neighbor }) => {
+      if (onPath.has(neighbor)) return;
+      const type = nodeLookup.get(neighbor).type;
+      if (type === 'ground') grounds.push(neighbor);
+      else if (CONTROL_TYPES.includes(type)) sources.push(neighbor);
+    });
+
+    return { relayId, sources, grounds };
+  }
+
+  /**
+   * Nodes on a path whose removal disconnects the target from every goal node
+   */
+  static findSinglePoints(targetId, path, isGoal, passThroughTypes, adjacency, nodeLookup, side) {
+    return path
+      .filter(nodeId => nodeId !== targetId)
+      .filter(nodeId => {
+        const node = nodeLookup.get(nodeId);
+        const excluded = new Set([nodeId]);
+        // The goal node itself fails alone only if no other goal is reachable
+        return !this.findPath(targetId, candidate => isGoal(candidate) && candidate !== node, passThroughTypes, adjacency, nodeLookup, excluded);
+      })
+      .map(nodeId => this.describeNode(nodeLookup.get(nodeId), { side }));
+  }
+
+  /**
+   * Breadth-first search from a node through pass-through types until a goal node is reached
+   */
+  static findPath(startId, isGoal, passThroughTypes, adjacency, nodeLookup, excluded = new Set()) {
+    const previous = new Map([[startId, null]]);
+    const queue = [startId];
+
+    while (queue.length > 0) {
+      const nodeId = queue.shift();
+      const node = nodeLookup.get(nodeId);
+
+      if (nodeId !== startId && isGoal(node)) {
+        const nodes = [];
+        const edges = [];
+        let current = nodeId;
+        while (current !== null) {
+          nodes.unshift(current);
+          const step = previous.get(current);
+          if (step) edges.unshift(step.edgeId);
+          current = step ? step.from : null;
+        }
+        return { nodes, edges };
+      }
+
+      if (nodeId !== startId && !passThroughTypes.includes(node.type)) continue;
+
+      adjacency.get(nodeId).forEach(({ edge, neighbor }) => {
+        if (previous.has(neighbor) || excluded.has(neighbor)) return;
+        previous.set(neighbor, { from: nodeId, edgeId: edge.id });
+        queue.push(neighbor);
+      });
+    }
+
+    return null;
+  }
+
+  static buildAdjacency(graph, nodeLookup) {
+    const adjacency = new Map(graph.nodes.map(node => [node.id, []]));
+    graph.edges.forEach(edge => {
+      if (!nodeLookup.has(edge.from) || !nodeLookup.has(edge.to)) return;
+      adjacency.get(edge.from).push({ edge, neighbor: edge.to });
+      adjacency.get(edge.to).push({ edge, neighbor: edge.from });
+    });
+    return adjacency;
+  }
+
+  static describeNode(node, extra = {}) {
+    return {
+      nodeId: node.id,
+      type: node.type,
+      label: node.label || node.id,
+      ...extra
+    };
+  }
+
+  static name(node) {
+    return node.label ? `${node.label} (${node.id})` : `${node.type} ${node.id}`;
+  }
+}
+
+module.exports = {
+  FaultTracer
+};
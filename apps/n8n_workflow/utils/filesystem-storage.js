@@ -0,0 +1,246 @@
+/**
+ * Filesystem Storage
+ * Object storage on the local filesystem with S3-like keys, per-object metadata,
+ * paginated listing and HMAC-signed URLs, for running services without a bucket
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Per-object metadata lives in a parallel tree so listings only see stored objects
+const METADATA_DIR = '.metadata';
+
+class FilesystemStorage {
+  constructor(options = {}) {
+    this.rootDir = path.resolve(options.rootDir || './storage');
+    this.baseUrl = (options.baseUrl || '').replace(/\/$/, '');
+    this.routePrefix = options.routePrefix || '/storage';
+    // Without a configured secret signed URLs only stay valid for this process
+    this.signingSecret = options.signingSecret || crypto.randomBytes(32).toString('hex');
+  }
+
+  async initialize() {
+    await fs.promises.mkdir(path.join(this.rootDir, METADATA_DIR), { recursive: true });
+  }
+
+  async healthCheck() {
+    try {
+      await fs.promises.access(this.rootDir, fs.constants.R_OK | fs.constants.W_OK);
+      return {
+        status: 'healthy',
+        rootDir: this.rootDir
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        error: error.message,
+        rootDir: this.rootDir
+      };
+    }
+  }
+
+  /**
+   * Write an object and its metadata
+   */
+  async put(key, body, { contentType = 'application/octet-stream', metadata = {} } = {}) {
+    const filePath = this.resolve(key);
+    const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    // Write then rename so readers never see a partial object
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.promises.writeFile(tempPath, buffer);
+    await fs.promises.rename(tempPath, filePath);
+
+    const metadataPath = this.metadataPath(key);
+    await fs.promises.mkdir(path.dirname(metadataPath), { recursive: true });
+    await fs.promises.writeFile(metadataPath, JSON.stringify({ contentType, metadata }));
+
+    return {
+      key,
+      size: buffer.length,
+      etag: crypto.createHash('md5').update(buffer).digest('hex')
+    };
+  }
+
+  /**
+   * Read an object, or null when it does not exist
+   */
+  async get(key) {
+    const head = await this.head(key);
+    if (!head) {
+      return null;
+    }
+
+    return {
+      ...head,
+      body: await fs.promises.readFile(this.resolve(key))
+    };
+  }
+
+  /**
+   * Object size, modification time and metadata without reading the body
+   */
+  async head(key) {
+    let stats;
+    try {
+      stats = await fs.promises.stat(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    if (!stats.isFile()) return null;
+
+    const stored = await this.readMetadata(key);
+    return {
+      key,
+      size: stats.size,
+      lastModified: stats.mtime,
+      contentType: stored.contentType || 'application/octet-stream',
+      metadata: stored.metadata || {}
+    };
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+    await fs.promises.rm(this.metadataPath(key), { force: true });
+    return true;
+  }
+
+  /**
+   * Move an object and its metadata to another key, replacing what is there.
+   * Readers see either the old or the new object, never a partial one.
+   */
+  async move(sourceKey, destinationKey) {
+    const destinationPath = this.resolve(destinationKey);
+    await fs.promises.mkdir(path.dirname(destinationPath), { recursive: true });
+    await fs.promises.rename(this.resolve(sourceKey), destinationPath);
+
+    const metadataPath = this.metadataPath(destinationKey);
+    await fs.promises.mkdir(path.dirname(metadataPath), { recursive: true });
+    try {
+      await fs.promises.rename(this.metadataPath(sourceKey), metadataPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      await fs.promises.rm(metadataPath, { force: true });
+    }
+    return { key: destinationKey };
+  }
+
+  /**
+   * List keys starting with a prefix in key order. Like S3, the prefix need not end
+   * at a directory boundary; pages continue from nextToken or start after a key.
+   */
+  async list(prefix = '', { maxKeys = 1000, continuationToken = null, startAfter = null } = {}) {
+    const directory = prefix.endsWith('/') ? prefix.slice(0, -1) : path.posix.dirname(prefix);
+    const keys = (await this.walk(directory === '.' ? '' : directory))
+      .filter(entry => entry.key.startsWith(prefix))
+      .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+
+    const after = continuationToken ? Buffer.from(continuationToken, 'base64url').toString('utf8') : startAfter;
+    const remaining = after ? keys.filter(entry => entry.key > after) : keys;
+    const page = remaining.slice(0, maxKeys);
+    const truncated = remaining.length > page.length;
+
+    return {
+      objects: page.map(entry => ({
+        Key: entry.key,
+        Size: entry.size,
+        LastModified: entry.lastModified
+      })),
+      truncated,
+      count: page.length,
+      nextToken: truncated ? Buffer.from(page[page.length - 1].key).toString('base64url') : null
+    };
+  }
+
+  /**
+   * URL for the local signed route, valid for expiresIn seconds
+   */
+  signUrl(key, expiresIn = 3600) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const signature = this.sign(key, expires);
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    return `${this.baseUrl}${this.routePrefix}/${encodedKey}?expires=${expires}&signature=${signature}`;
+  }
+
+  /**
+   * Check a signed URL's expiry and signature in constant time
+   */
+  verifySignature(key, expires, signature) {
+    const expiresAt = parseInt(expires);
+    if (!expiresAt || expiresAt < Math.floor(Date.now() / 1000) || typeof signature !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(key, expiresAt));
+    const provided = Buffer.from(signature);
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  }
+
+  sign(key, expires) {
+    return crypto.createHmac('sha256', this.signingSecret).update(`${key}\n${expires}`).digest('hex');
+  }
+
+  /**
+   * Absolute path for a key, refusing keys that escape the storage root
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep) || key.split('/')[0] === METADATA_DIR) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  metadataPath(key) {
+    return path.join(this.rootDir, METADATA_DIR, `${key}.json`);
+  }
+
+  async readMetadata(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.metadataPath(key), 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  async walk(directory) {
+    const entries = [];
+    let dirents;
+    try {
+      dirents = await fs.promises.readdir(path.join(this.rootDir, directory), { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return entries;
+      throw error;
+    }
+
+    for (const dirent of dirents) {
+      const key = directory ? `${directory}/${dirent.name}` : dirent.name;
+      if (key === METADATA_DIR || dirent.name.endsWith('.tmp')) continue;
+
+      if (dirent.isDirectory()) {
+        entries.push(...await this.walk(key));
+      } else if (dirent.isFile()) {
+        const stats = await fs.promises.stat(path.join(this.rootDir, key));
+        entries.push({ key, size: stats.size, lastModified: stats.mtime });
+      }
+    }
+
+    return entries;
+  }
+}
+
+module.exports = {
+  FilesystemStorage
+};
@@ -0,0 +1,243 @@
+/**
+ * Fuse Coordination Rules
+ * Overcurrent protection checks: fuse rating against downstream load,
+ * protected wire ampacity and upstream/downstream selectivity
+ */
+
+const { RelationshipMapper } = require('./relationship-mapper');
+const { ElectricalSystemHeuristics } = require('./electrical-heuristics');
+const { VoltageDropAnalyzer } = require('./voltage-drop-analysis');
+
+const LOAD_TYPES = ['lamp', 'motor', 'ecu', 'sensor', 'actuator'];
+
+/**
+ * Fuse coordination validation rules
+ * Each rule returns { passed, message, severity, rule, violations } where every
+ * violation carries the offending path of node IDs starting at the fuse.
+ * Pass options.analysis from analyze() to share one dependency walk across the rules.
+ */
+class FuseCoordinationRules {
+
+  /**
+   * R012: Fuse rating must carry the total downstream load with headroom
+   */
+  static fuseRatingCoversLoad(graph, options = {}) {
+    const headroom = options.headroom || 1.25;
+    const analysis = options.analysis || FuseCoordinationRules.analyze(graph);
+    const violations = [];
+
+    analysis.fuses.forEach(fuse => {
+      if (fuse.rating === null || fuse.totalLoad === 0) return;
+
+      const required = fuse.totalLoad * headroom;
+      if (fuse.rating < required) {
+        violations.push({
+          fuseId: fuse.fuseId,
+          severity: fuse.rating < fuse.totalLoad ? 'error' : 'warning',
+          message: `Fuse ${fuse.fuseId} (${fuse.rating}A) is below ${Math.round(required * 10) / 10}A needed for ${fuse.totalLoad}A of downstream load`,
+          rating: fuse.rating,
+          totalLoad: fuse.totalLoad,
+          path: fuse.loadPaths.reduce((longest, path) => path.length > longest.length ? path : longest, [fuse.fuseId])
+        });
+      }
+    });
+
+    return FuseCoordinationRules.toResult('R012', violations,
+      `Fuse ratings cover downstream loads (${analysis.fuses.length} fuse(s), ${analysis.unrated.length} unrated)`);
+  }
+
+  /**
+   * R013: Fuse rating must not exceed the ampacity of any wire it protects
+   */
+  static fuseProtectsWiring(graph, options = {}) {
+    const analysis = options.analysis || FuseCoordinationRules.analyze(graph);
+    const violations = [];
+
+    analysis.fuses.forEach(fuse => {
+      if (fuse.rating === null || !fuse.weakestWire) return;
+
+      const wire = fuse.weakestWire;
+      if (fuse.rating > wire.ampacity) {
+        violations.push({
+          fuseId: fuse.fuseId,
+          severity: 'error',
+          message: `Fuse ${fuse.fuseId} (${fuse.rating}A) does not protect wire ${wire.edgeId} (${wire.gauge}, rated ${wire.ampacity}A)`,
+          rating: fuse.rating,
+          edgeId: wire.edgeId,
+          ampacity: wire.ampacity,
+          path: wire.path
+        });
+      }
+    });
+
+    return FuseCoordinationRules.toResult('R013', violations, 'Fuse ratings are within the ampacity of protected wiring');
+  }
+
+  /**
+   * R014: Downstream fuses must blow before the fuse feeding them
+   */
+  static fuseSelectivity(graph, options = {}) {
+    const selectivityRatio = options.selectivityRatio || 1.5;
+    const analysis = options.analysis || FuseCoordinationRules.analyze(graph);
+    const ratings = new Map(analysis.fuses.map(fuse => [fuse.fuseId, fuse.rating]));
+    const violations = [];
+
+    analysis.fuses.forEach(fuse => {
+      if (fuse.rating === null) return;
+
+      fuse.downstreamFuses.forEach(({ fuseId, path }) => {
+        const downstreamRating = ratings.get(fuseId);
+        if (downstreamRating === null || downstreamRating === undefined) return;
+
+        if (downstreamRating >= fuse.rating) {
+          violations.push({
+            fuseId,
+            upstreamFuseId: fuse.fuseId,
+            severity: 'error',
+            message: `Fuse ${fuseId} (${downstreamRating}A) is not smaller than upstream fuse ${fuse.fuseId} (${fuse.rating}A)`,
+            path
+          });
+        } else if (fuse.rating / downstreamRating < selectivityRatio) {
+          violations.push({
+            fuseId,
+            upstreamFuseId: fuse.fuseId,
+            severity: 'warning',
+            message: `Fuse ${fuseId} (${downstreamRating}A) and upstream fuse ${fuse.fuseId} (${fuse.rating}A) are closer than ${selectivityRatio}:1 and may both blow`,
+            path
+          });
+        }
+      });
+    });
+
+    return FuseCoordinationRules.toResult('R014', violations, 'Fuses are selectively coordinated');
+  }
+
+  /**
+   * Walk the power dependency tree below every fuse
+   */
+  static analyze(graph) {
+    const mapper = new RelationshipMapper();
+    const dependencies = mapper.mapDependencies(graph);
+
+    // Fuses not reachable from a battery still get their own subtree traced
+    graph.nodes
+      .filter(node => node.type === 'fuse' && dependencies[node.id]?.dependsOn.length === 0)
+      .forEach(fuse => mapper.tracePowerDependencies(graph, fuse.id, dependencies, new Set()));
+
+    const nodeLookup = new Map(graph.nodes.map(node => [node.id, node]));
+    const edgeLookup = new Map();
+    graph.edges.forEach(edge => {
+      edgeLookup.set(`${edge.from}->${edge.to}`, edge);
+    });
+
+    const fuses = graph.nodes
+      .filter(node => node.type === 'fuse')
+      .map(fuse => FuseCoordinationRules.analyzeFuse(fuse, dependencies, nodeLookup, edgeLookup));
+
+    return {
+      fuses,
+      unrated: fuses.filter(fuse => fuse.rating === null).map(fuse => fuse.fuseId)
+    };
+  }
+
+  static analyzeFuse(fuse, dependencies, nodeLookup, edgeLookup) {
+    const loadPaths = [];
+    const downstreamFuses = [];
+    let weakestWire = null;
+    let totalLoad = 0;
+
+    // Depth-first over the supports tree, remembering the path from the fuse
+    const stack = [{ nodeId: fuse.id, path: [fuse.id], protectedHere: true }];
+    const visited = new Set([fuse.id]);
+
+    while (stack.length > 0) {
+      const { nodeId, path, protectedHere } = stack.pop();
+
+      (dependencies[nodeId]?.supports || []).forEach(childId => {
+        if (visited.has(childId)) return;
+        visited.add(childId);
+
+        const child = nodeLookup.get(childId);
+        const childPath = [...path, childId];
+        const isFuse = child?.type === 'fuse';
+
+        // Wires up to the next fuse are protected by this one
+        if (protectedHere) {
+          const edge = edgeLookup.get(`${nodeId}->${childId}`);
+          const gauge = VoltageDropAnalyzer.parseGauge(edge?.wire?.gauge || edge?.properties?.wireGauge);
+          if (gauge) {
+            const ampacity = Math.round(VoltageDropAnalyzer.wireAmpacity(gauge.area) * 10) / 10;
+            if (!weakestWire || ampacity < weakestWire.ampacity) {
+              weakestWire = { edgeId: edge.id, gauge: gauge.label, ampacity, path: childPath };
+            }
+          }
+        }
+
+        if (isFuse && protectedHere) {
+          downstreamFuses.push({ fuseId: childId, path: childPath });
+        }
+
+        if (child && LOAD_TYPES.includes(child.type)) {
+          totalLoad += ElectricalSystemHeuristics.estimateComponentCurrent(child).typical;
+          loadPaths.push(childPath);
+        }
+
+        stack.push({ nodeId: childId, path: childPath, protectedHere: protectedHere && !isFuse });
+      });
+    }
+
+    return {
+      fuseId: fuse.id,
+      rating: FuseCoordinationRules.parseRating(fuse),
+      totalLoad: Math.round(totalLoad * 100) / 100,
+      loadPaths,
+      downstreamFuses,
+      weakestWire
+    };
+  }
+
+  /**
+   * Fuse rating in amperes from properties or a label such as "F12 15A"
+   */
+  static parseRating(fuse) {
+    const candidates = [
+      fuse.properties?.rating,
+      fuse.properties?.amperage,
+      fuse.properties?.current,
+      fuse.rating,
+      fuse.amperage
+    ];
+
+    for (const candidate of candidates) {
+      const value = parseFloat(candidate);
+      if (value > 0) return value;
+    }
+
+    const match = (fuse.label || '').match(/(\d+(?:\.\d+)?)\s*a(?:mp)?s?\b/i);
+    return match ? parseFloat(match[1]) : null;
+  }
+
+  static toResult(rule, violations, passMessage) {
+    if (violations.length === 0) {
+      return {
+        passed: true,
+        message: passMessage,
+        severity: 'info',
+        rule,
+        violations
+      };
+    }
+
+    return {
+      passed: false,
+      message: violations.map(violation => `${violation.message} [${violation.path.join(' -> ')}]`).join('; '),
+      severity: violations.some(violation => violation.severity === 'error') ? 'error' : 'warning',
+      rule,
+      violations
+    };
+  }
+}
+
+module.exports = {
+  FuseCoordinationRules
+};
@@ -0,0 +1,263 @@
+/**
+ * Switch State Model
+ * Ignition position, switch and relay contact states, and scenario evaluation
+ * of which components and circuits are live
+ */
+
+const { FaultTracer } = require('./fault-tracer');
+const { FailureSimulator } = require('./failure-simulator');
+
+const IGNITION_POSITIONS = ['OFF', 'ACC', 'ON', 'START'];
+
+// Positions in which each ignition switch output is live. ACC and IG2 drop out while cranking.
+const IGNITION_TERMINALS = {
+  B: ['OFF', 'ACC', 'ON', 'START'],
+  ACC: ['ACC', 'ON'],
+  IG1: ['ON', 'START'],
+  IG2: ['ON'],
+  ST: ['START']
+};
+
+// DIN 72552 numbers and common wiring diagram labels, checked in order
+const TERMINAL_ALIASES = [
+  { terminal: 'ST', pattern: /\b(st|sta|start|starter|50)\b/ },
+  { terminal: 'ACC', pattern: /\b(acc|accessory|75)\b/ },
+  { terminal: 'IG2', pattern: /\b(ig2|ign2|15a)\b/ },
+  { terminal: 'IG1', pattern: /\b(ig|ig1|ign|ign1|ignition|15)\b/ },
+  { terminal: 'B', pattern: /\b(bat|batt|battery|30|am)\b|\bb\+/ }
+];
+
+const SUPPLY_PASS_THROUGH = ['fuse', 'relay', 'connector', 'splice', 'terminal'];
+const GROUND_PASS_THROUGH = ['connector', 'splice', 'terminal'];
+const SWITCH_TYPES = ['connector', 'terminal'];
+const ON_STATES = ['on', 'closed', true];
+
+/**
+ * Ignition switches gate their outputs per terminal, other switches open or close as a whole
+ * and relays with a signal edge close while their coil feed is live
+ */
+class SwitchStateModel {
+
+  /**
+   * Evaluate a scenario such as { ignition: 'ACC', switches: { sw_headlamp: 'on' } }
+   */
+  static evaluate(graph, scenario = {}) {
+    const settings = this.normalizeScenario(scenario);
+    const nodeLookup = new Map(graph.nodes.map(node => [node.id, node]));
+    const adjacency = FaultTracer.buildAdjacency(graph, nodeLookup);
+
+    const ignitionSwitches = graph.nodes.filter(node => this.isIgnitionSwitch(node));
+    const ignitionIds = new Set(ignitionSwitches.map(node => node.id));
+    const batteries = graph.nodes.filter(node => node.type === 'battery').map(node => node.id);
+
+    // Neighbours fed without passing through an ignition switch are its battery input
+    const upstream = FailureSimulator.reach(batteries, adjacency, nodeLookup, ignitionIds,
+      edge => !['ground', 'data', 'signal'].includes(edge.type), node => SUPPLY_PASS_THROUGH.includes(node.type));
+    const ignitionOutputs = ignitionSwitches.map(node =>
+      this.describeIgnitionSwitch(node, adjacency, nodeLookup, upstream, settings.ignition));
+    const blockedEdges = new Set(ignitionOutputs.flatMap(ignition =>
+      ignition.outputs.filter(output => !output.live).map(output => output.edgeId)
+    ));
+
+    const switchStates = {};
+    graph.nodes
+      .filter(node => !ignitionIds.has(node.id) && this.isSwitch(node))
+      .forEach(node => {
+        switchStates[node.id] = this.switchState(node, settings.switches[node.id]);
+      });
+
+    const isPowerEdge = edge => !['ground', 'data', 'signal'].includes(edge.type) && !blockedEdges.has(edge.id);
+    const coilFeeds = relay => adjacency.get(relay.id).filter(({ edge }) => edge.type === 'signal');
+
+    // Relays start closed and drop out until their coils and the power they switch agree
+    const relays = graph.nodes.filter(node => node.type === 'relay');
+    const relayStates = {};
+    relays.forEach(relay => {
+      relayStates[relay.id] = settings.relays[relay.id] !== undefined
+        ? this.switchState(relay, settings.relays[relay.id])
+        : 'closed';
+    });
+
+    // Switches and relays conduct by their state whatever their node type, as in DcCircuitSolver.
+    // Ignition switches always pass power; their dead outputs are already blocked edges.
+    const passesPower = node => {
+      if (ignitionIds.has(node.id)) return true;
+      if (switchStates[node.id] !== undefined || relayStates[node.id] !== undefined) {
+        return this.conducts(node, switchStates, relayStates);
+      }
+      return SUPPLY_PASS_THROUGH.includes(node.type);
+    };
+
+    let powered;
+    for (let pass = 0; pass <= relays.length; pass++) {
+      powered = FailureSimulator.reach(batteries, adjacency, nodeLookup, new Set(), isPowerEdge, passesPower);
+
+      let changed = false;
+      relays.forEach(relay => {
+        if (settings.relays[relay.id] !== undefined || coilFeeds(relay).length === 0) return;
+        const energized = coilFeeds(relay).some(({ edge, neighbor }) =>
+          powered.has(neighbor) && this.conducts(nodeLookup.get(neighbor), switchStates, relayStates) && !blockedEdges.has(edge.id));
+        const state = energized ? 'closed' : 'open';
+        if (state !== relayStates[relay.id]) {
+          relayStates[relay.id] = state;
+          changed = true;
+        }
+      });
+
+      if (!changed) break;
+    }
+
+    const grounds = graph.nodes.filter(node => node.type === 'ground').map(node => node.id);
+    const grounded = FailureSimulator.reach(grounds, adjacency, nodeLookup, new Set(),
+      edge => !['power', 'data', 'signal'].includes(edge.type), node => GROUND_PASS_THROUGH.includes(node.type));
+
+    // A node is only live past an open switch or relay if something else feeds it
+    const isLiveNode = nodeId => powered.has(nodeId);
+    const liveEdges = graph.edges.filter(edge => {
+      if (!nodeLookup.has(edge.from) || !nodeLookup.has(edge.to) || edge.type === 'data') return false;
+      if (blockedEdges.has(edge.id)) return false;
+      if (edge.type === 'signal') return isLiveNode(edge.from) && isLiveNode(edge.to);
+      const feeds = [edge.from, edge.to].some(nodeId => this.conducts(nodeLookup.get(nodeId), switchStates, relayStates) && isLiveNode(nodeId));
+      return feeds && [edge.from, edge.to].every(nodeId => isLiveNode(nodeId) || grounded.has(nodeId));
+    });
+
+    const loads = graph.nodes.filter(node => !SUPPLY_PASS_THROUGH.includes(node.type) && !['battery', 'ground'].includes(node.type) &&
+      !ignitionIds.has(node.id) && switchStates[node.id] === undefined);
+    const liveLoads = loads.filter(node => isLiveNode(node.id));
+    const liveCircuits = new Set();
+    liveLoads.forEach(node => (node.circuits || []).forEach(circuit => liveCircuits.add(circuit)));
+    liveEdges.forEach(edge => edge.circuit && liveCircuits.add(edge.circuit));
+
+    return {
+      scenario: settings,
+      ignitionSwitches: ignitionOutputs,
+      switchStates,
+      relayStates,
+      liveNodeIds: graph.nodes.map(node => node.id).filter(isLiveNode),
+      liveEdgeIds: liveEdges.map(edge => edge.id),
+      liveLoads: liveLoads.map(node => FaultTracer.describeNode(node)),
+      deadLoads: loads.filter(node => !isLiveNode(node.id)).map(node => FaultTracer.describeNode(node)),
+      liveCircuits: [...liveCircuits],
+      summary: {
+        ignition: settings.ignition,
+        liveLoadCount: liveLoads.length,
+        deadLoadCount: loads.length - liveLoads.length,
+        closedRelays: Object.values(relayStates).filter(state => state === 'closed').length,
+        ignitionSwitchCount: ignitionSwitches.length
+      }
+    };
+  }
+
+  /**
+   * Compare every ignition position, keeping switch and relay overrides
+   */
+  static compareIgnitionPositions(graph, scenario = {}) {
+    return IGNITION_POSITIONS.map(ignition => {
+      const result = this.evaluate(graph, { ...scenario, ignition });
+      return {
+        ignition,
+        liveLoads: result.liveLoads.map(load => load.nodeId),
+        liveCircuits: result.liveCircuits,
+        relayStates: result.relayStates
+      };
+    });
+  }
+
+  /**
+   * Component states and blocked edges for DcCircuitSolver options
+   */
+  static toSolverOptions(graph, scenario = {}) {
+    const result = this.evaluate(graph, scenario);
+    const states = { ...result.switchStates };
+    Object.entries(scenario.relays || {}).forEach(([relayId, state]) => {
+      states[relayId] = this.switchState(null, state);
+    });
+
+    return {
+      states,
+      openEdges: result.ignitionSwitches.flatMap(ignition =>
+        ignition.outputs.filter(output => !output.live).map(output => output.edgeId)
+      )
+    };
+  }
+
+  static normalizeScenario(scenario) {
+    const ignition = (scenario.ignition || 'OFF').toString().toUpperCase();
+    if (!IGNITION_POSITIONS.includes(ignition)) {
+      throw new Error(`Unknown ignition position: ${scenario.ignition}`);
+    }
+
+    return {
+      ignition,
+      switches: scenario.switches || {},
+      relays: scenario.relays || {}
+    };
+  }
+
+  /**
+   * Terminal and liveness of every edge leaving an ignition switch
+   */
+  static describeIgnitionSwitch(node, adjacency, nodeLookup, upstream, ignition) {
+    const outputs = adjacency.get(node.id)
+      .filter(({ edge }) => edge.type !== 'ground' && edge.type !== 'data')
+      .map(({ edge, neighbor }) => {
+        const annotated = this.resolveTerminal(edge);
+        const isInput = !annotated && edge.type !== 'signal' && upstream.has(neighbor);
+        const terminal = annotated || (isInput ? 'B' : this.resolveTerminal(edge, nodeLookup.get(neighbor)));
+        return {
+          edgeId: edge.id,
+          nodeId: neighbor,
+          terminal,
+          // Outputs without a recognizable terminal are treated as the battery feed
+          live: IGNITION_TERMINALS[terminal || 'B'].includes(ignition)
+        };
+      });
+
+    return { nodeId: node.id, position: ignition, outputs };
+  }
+
+  /**
+   * Terminal from the edge annotation, falling back to the label of the component it feeds
+   */
+  static resolveTerminal(edge, neighbor = null) {
+    const candidates = [edge.properties?.terminal, edge.terminal, edge.label, edge.circuit, neighbor?.label, neighbor?.id];
+    for (const candidate of candidates) {
+      if (!candidate) continue;
+      const text = candidate.toString().toLowerCase().replace(/[_-]+/g, ' ');
+      const alias = TERMINAL_ALIASES.find(entry => entry.pattern.test(text));
+      if (alias) return alias.terminal;
+    }
+    return null;
+  }
+
+  static isIgnitionSwitch(node) {
+    if (node.properties?.role) return node.properties.role === 'ignition_switch';
+    const label = (node.label || '').toLowerCase();
+    return /ignition\s*(switch|sw\b)|key\s*switch|ignition\s*key|starter\s*switch/.test(label);
+  }
+
+  static isSwitch(node) {
+    if (node.properties?.role) return node.properties.role === 'switch';
+    if (node.type === 'switch') return true;
+    return SWITCH_TYPES.includes(node.type) && /\bswitch\b|\bsw\b/.test((node.label || '').toLowerCase());
+  }
+
+  /**
+   * Requested state, then the component's default, then open
+   */
+  static switchState(node, requested) {
+    const state = requested !== undefined ? requested : node?.properties?.defaultState;
+    if (state === undefined || state === null) return 'open';
+    return ON_STATES.includes(typeof state === 'string' ? state.toLowerCase() : state) ? 'closed' : 'open';
+  }
+
+  static conducts(node, switchStates, relayStates) {
+    return switchStates[node.id] !== 'open' && relayStates[node.id] !== 'open';
+  }
+}
+
+SwitchStateModel.IGNITION_POSITIONS = IGNITION_POSITIONS;
+
+module.exports = {
+  SwitchStateModel
+};
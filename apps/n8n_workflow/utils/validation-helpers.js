@@ -173,11 +173,20 @@ function formatValidationResult(result) {
 }
 
 /**
- * Generate payload hash for deduplication
+ * Generate payload hash for deduplication. Keys are sorted at every depth; a
+ * top-level key list as the JSON.stringify replacer would drop nested keys.
  */
 function generatePayloadHash(payload) {
-  const sortedPayload = JSON.stringify(payload, Object.keys(payload).sort());
-  return crypto.createHash('sha256').update(sortedPayload).digest('hex');
+  const stable = value => {
+    if (Array.isArray(value)) return `[${value.map(stable).join(',')}]`;
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${stable(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  };
+  return crypto.createHash('sha256').update(stable(payload)).digest('hex');
 }
 
 /**
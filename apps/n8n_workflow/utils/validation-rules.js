@@ -3,6 +3,8 @@
  * Electrical system validation rules and heuristics
  */
 
+const { FuseCoordinationRules } = require('./fuse-coordination');
+
 /**
  * Electrical system validation rules
  * Each rule returns { passed: boolean, message: string, severity: 'error'|'warning'|'info' }
@@ -482,8 +484,18 @@ class ValidationRules {
       this.circuitCompleteness,
       this.relayConfiguration
     ];
+    const fuseRules = [
+      FuseCoordinationRules.fuseRatingCoversLoad,
+      FuseCoordinationRules.fuseProtectsWiring,
+      FuseCoordinationRules.fuseSelectivity
+    ];
     
-    const results = rules.map(rule => rule(graph));
+    // The fuse rules share one walk of the power dependency tree
+    const fuseOptions = { analysis: FuseCoordinationRules.analyze(graph) };
+    const results = [
+      ...rules.map(rule => rule(graph)),
+      ...fuseRules.map(rule => rule(graph, fuseOptions))
+    ];
     
     const errors = results.filter(r => r.severity === 'error');
     const warnings = results.filter(r => r.severity === 'warning');
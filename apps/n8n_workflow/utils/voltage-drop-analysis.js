@@ -0,0 +1,414 @@
+/**
+ * Voltage Drop Analysis
+ * Per-wire voltage drop and gauge compliance from routed wire lengths
+ */
+
+const { ElectricalSystemHeuristics } = require('./electrical-heuristics');
+
+// Annealed copper at 20°C in ohm·mm²/m, and its temperature coefficient per °C
+const COPPER_RESISTIVITY = 0.0172;
+const COPPER_TEMP_COEFFICIENT = 0.00393;
+
+// AWG sizes as conductor cross-section in mm²
+const AWG_AREAS = {
+  '22': 0.326, '20': 0.518, '18': 0.823, '16': 1.31, '14': 2.08, '12': 3.31,
+  '10': 5.26, '8': 8.37, '6': 13.3, '4': 21.2, '2': 33.6, '1': 42.4,
+  '0': 53.5, '1/0': 53.5, '2/0': 67.4, '3/0': 85.0, '4/0': 107.0
+};
+
+// Standard metric automotive cable sizes with continuous current ratings (A)
+// for single PVC-insulated conductors at 20°C ambient
+const METRIC_GAUGES = [
+  { area: 0.35, ampacity: 5 },
+  { area: 0.5, ampacity: 8 },
+  { area: 0.75, ampacity: 10 },
+  { area: 1, ampacity: 13 },
+  { area: 1.5, ampacity: 17 },
+  { area: 2.5, ampacity: 24 },
+  { area: 4, ampacity: 32 },
+  { area: 6, ampacity: 42 },
+  { area: 10, ampacity: 60 },
+  { area: 16, ampacity: 80 },
+  { area: 25, ampacity: 110 },
+  { area: 35, ampacity: 135 },
+  { area: 50, ampacity: 170 }
+];
+
+const LOAD_TYPES = ['lamp', 'motor', 'ecu', 'sensor', 'actuator'];
+const PASS_THROUGH_TYPES = ['fuse', 'relay', 'connector', 'splice', 'terminal'];
+
+/**
+ * Voltage drop and wire gauge compliance analysis
+ */
+class VoltageDropAnalyzer {
+
+  /**
+   * Parse a wire gauge such as "2.5mm²", "2.5 mm2", "18AWG" or "18 ga" into a cross-section
+   */
+  static parseGauge(gauge) {
+    if (gauge === undefined || gauge === null || gauge === '') return null;
+
+    if (typeof gauge === 'number') {
+      return gauge > 0 ? { area: gauge, label: `${gauge}mm²`, system: 'metric' } : null;
+    }
+
+    const text = gauge.toString().trim().toLowerCase();
+
+    const awg = text.match(/^(\d+\/0|\d+)\s*(awg|ga|gauge)$/);
+    if (awg) {
+      const area = AWG_AREAS[awg[1]];
+      return area ? { area, label: `${awg[1]}AWG`, system: 'awg' } : null;
+    }
+
+    const metric = text.match(/^(\d+(?:[.,]\d+)?)\s*(mm²|mm2|mm\^2|sqmm)?$/);
+    if (metric) {
+      const area = parseFloat(metric[1].replace(',', '.'));
+      return area > 0 ? { area, label: `${area}mm²`, system: 'metric' } : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Continuous current rating for a conductor cross-section, interpolated between standard sizes
+   */
+  static wireAmpacity(area) {
+    const sizes = METRIC_GAUGES;
+    if (area <= sizes[0].area) {
+      return sizes[0].ampacity * area / sizes[0].area;
+    }
+
+    for (let i = 1; i < sizes.length; i++) {
+      if (area <= sizes[i].area) {
+        const lower = sizes[i - 1];
+        const upper = sizes[i];
+        const t = (area - lower.area) / (upper.area - lower.area);
+        return lower.ampacity + t * (upper.ampacity - lower.ampacity);
+      }
+    }
+
+    const largest = sizes[sizes.length - 1];
+    return largest.ampacity * Math.sqrt(area / largest.area);
+  }
+
+  /**
+   * Conductor resistance in ohms for a length in meters
+   */
+  static wireResistance(area, length, temperature = 20) {
+    const resistivity = COPPER_RESISTIVITY * (1 + COPPER_TEMP_COEFFICIENT * (temperature - 20));
+    return resistivity * length / area;
+  }
+
+  /**
+   * Smallest standard metric size that carries the current within a voltage drop budget
+   */
+  static recommendGauge(current, length, maxDropVolts, temperature = 20) {
+    const gauge = METRIC_GAUGES.find(size =>
+      size.ampacity >= current &&
+      current * this.wireResistance(size.area, length, temperature) <= maxDropVolts
+    );
+    return gauge ? `${gauge.area}mm²` : null;
+  }
+
+  /**
+   * Analyze voltage drop for every wire and every load circuit in a graph.
+   * routes are the layout service routes ({ edgeId, path, length }), used for real wire lengths.
+   */
+  static analyze(graph, routes = [], options = {}) {
+    const settings = {
+      maxDropPercent: options.maxDropPercent !== undefined ? options.maxDropPercent : 3,
+      temperature: options.temperature !== undefined ? options.temperature : 20,
+      defaultLength: options.defaultLength || 1.0,
+      routingFactor: options.routingFactor || 1.3,
+      systemVoltage: options.systemVoltage || this.detectSystemVoltage(graph)
+    };
+
+    const nodeLookup = new Map(graph.nodes.map(node => [node.id, node]));
+    const routeLookup = new Map(routes.map(route => [route.edgeId, route]));
+    const adjacency = this.buildAdjacency(graph);
+
+    // Per-wire electrical properties, currents are filled in while tracing circuits
+    const wires = new Map(graph.edges.map(edge => [edge.id, this.describeWire(edge, nodeLookup, routeLookup, settings)]));
+
+    const circuits = this.traceCircuits(graph, nodeLookup, adjacency).map(circuit => {
+      [...circuit.supplyPath, ...circuit.returnPath].forEach(edgeId => {
+        wires.get(edgeId).current += circuit.current;
+      });
+      return circuit;
+    });
+
+    wires.forEach(wire => this.evaluateWire(wire, settings));
+
+    const circuitReports = circuits.map(circuit => this.evaluateCircuit(circuit, wires, settings));
+    const wireReports = [...wires.values()];
+
+    const overLimit = circuitReports.filter(circuit => !circuit.passed);
+    const worst = circuitReports.reduce((max, circuit) =>
+      (!max || circuit.dropPercent > max.dropPercent ? circuit : max), null);
+
+    return {
+      systemVoltage: settings.systemVoltage,
+      maxDropPercent: settings.maxDropPercent,
+      temperature: settings.temperature,
+      wires: wireReports,
+      circuits: circuitReports,
+      summary: {
+        wireCount: wireReports.length,
+        analyzedWires: wireReports.filter(wire => wire.resistance !== null).length,
+        undersizedWires: wireReports.filter(wire => wire.status === 'undersized').length,
+        unknownGauge: wireReports.filter(wire => wire.status === 'unknown_gauge').length,
+        circuitCount: circuitReports.length,
+        circuitsOverLimit: overLimit.length,
+        worstCircuit: worst ? { loadId: worst.loadId, dropPercent: worst.dropPercent } : null,
+        passed: overLimit.length === 0 && wireReports.every(wire => wire.status !== 'undersized')
+      }
+    };
+  }
+
+  /**
+   * Nominal system voltage from the battery or wire annotations, defaulting to 12V
+   */
+  static detectSystemVoltage(graph) {
+    const battery = graph.nodes.find(node => node.type === 'battery');
+    const voltage = battery?.properties?.voltage || battery?.voltage ||
+      graph.edges.find(edge => edge.wire?.voltage)?.wire.voltage;
+
+    const parsed = parseFloat(voltage);
+    return parsed > 0 ? parsed : 12;
+  }
+
+  static buildAdjacency(graph) {
+    const adjacency = new Map(graph.nodes.map(node => [node.id, []]));
+    graph.edges.forEach(edge => {
+      if (!adjacency.has(edge.from) || !adjacency.has(edge.to)) return;
+      adjacency.get(edge.from).push({ edge, neighbor: edge.to });
+      adjacency.get(edge.to).push({ edge, neighbor: edge.from });
+    });
+    return adjacency;
+  }
+
+  /**
+   * Resolve gauge and length for a wire, preferring the routed path length
+   */
+  static describeWire(edge, nodeLookup, routeLookup, settings) {
+    const gauge = this.parseGauge(edge.wire?.gauge || edge.properties?.wireGauge || edge.gauge);
+    const route = routeLookup.get(edge.id);
+
+    let length;
+    let lengthSource;
+    if (route) {
+      length = route.length || this.pathLength(route.path || []);
+      lengthSource = 'route';
+    } else {
+      const from = nodeLookup.get(edge.from)?.position;
+      const to = nodeLookup.get(edge.to)?.position;
+      if (from && to) {
+        // Straight-line distance underestimates a real harness run
+        length = this.pathLength([from, to]) * settings.routingFactor;
+        lengthSource = 'estimated';
+      }
+    }
+
+    if (!length) {
+      length = settings.defaultLength;
+      lengthSource = 'default';
+    }
+
+    return {
+      edgeId: edge.id,
+      from: edge.from,
+      to: edge.to,
+      gauge: gauge ? gauge.label : null,
+      areaMm2: gauge ? gauge.area : null,
+      length: this.round(length, 3),
+      lengthSource,
+      current: 0,
+      resistance: gauge ? this.wireResistance(gauge.area, length, settings.temperature) : null,
+      ampacity: gauge ? this.round(this.wireAmpacity(gauge.area), 1) : null
+    };
+  }
+
+  /**
+   * Trace the supply path from a battery to every load and the return path from the load to ground.
+   * Loads take the first path found, so parallel feeds are treated as a single feed.
+   */
+  static traceCircuits(graph, nodeLookup, adjacency) {
+    const parentEdge = new Map();
+    const queue = [];
+
+    graph.nodes.filter(node => node.type === 'battery').forEach(battery => {
+      parentEdge.set(battery.id, null);
+      queue.push(battery.id);
+    });
+
+    while (queue.length > 0) {
+      const nodeId = queue.shift();
+      const node = nodeLookup.get(nodeId);
+
+      // Power flows through protection and distribution, loads and grounds terminate it
+      if (node.type !== 'battery' && !PASS_THROUGH_TYPES.includes(node.type)) continue;
+
+      adjacency.get(nodeId).forEach(({ edge, neighbor }) => {
+        if (parentEdge.has(neighbor)) return;
+        parentEdge.set(neighbor, edge);
+        queue.push(neighbor);
+      });
+    }
+
+    return graph.nodes
+      .filter(node => LOAD_TYPES.includes(node.type) && parentEdge.has(node.id))
+      .map(load => {
+        const supplyPath = [];
+        let edge = parentEdge.get(load.id);
+        let current = load.id;
+        while (edge) {
+          supplyPath.unshift(edge.id);
+          current = edge.from === current ? edge.to : edge.from;
+          edge = parentEdge.get(current);
+        }
+
+        return {
+          loadId: load.id,
+          label: load.label,
+          current: ElectricalSystemHeuristics.estimateComponentCurrent(load).typical,
+          supplyPath,
+          returnPath: this.traceReturnPath(load, nodeLookup, adjacency)
+        };
+      });
+  }
+
+  /**
+   * Shortest path from a load to a ground point through connectors and splices
+   */
+  static traceReturnPath(load, nodeLookup, adjacency) {
+    const parentEdge = new Map([[load.id, null]]);
+    const queue = [load.id];
+
+    while (queue.length > 0) {
+      const nodeId = queue.shift();
+      const node = nodeLookup.get(nodeId);
+
+      if (node.type === 'ground') {
+        const path = [];
+        let current = nodeId;
+        let edge = parentEdge.get(current);
+        while (edge) {
+          path.unshift(edge.id);
+          current = edge.from === current ? edge.to : edge.from;
+          edge = parentEdge.get(current);
+        }
+        return path;
+      }
+
+      if (nodeId !== load.id && !['connector', 'splice', 'terminal'].includes(node.type)) continue;
+
+      adjacency.get(nodeId).forEach(({ edge, neighbor }) => {
+        if (parentEdge.has(neighbor)) return;
+        parentEdge.set(neighbor, edge);
+        queue.push(neighbor);
+      });
+    }
+
+    return [];
+  }
+
+  /**
+   * Compute drop and compliance for a single wire carrying its accumulated load current
+   */
+  static evaluateWire(wire, settings) {
+    wire.current = this.round(wire.current, 3);
+    wire.issues = [];
+
+    if (wire.resistance === null) {
+      wire.voltageDrop = null;
+      wire.dropPercent = null;
+      wire.utilization = null;
+      wire.status = 'unknown_gauge';
+      wire.recommendedGauge = wire.current > 0
+        ? this.recommendGauge(wire.current, wire.length, settings.systemVoltage * settings.maxDropPercent / 100, settings.temperature)
+        : null;
+      return;
+    }
+
+    const voltageDrop = wire.current * wire.resistance;
+    wire.voltageDrop = this.round(voltageDrop, 4);
+    wire.dropPercent = this.round(voltageDrop / settings.systemVoltage * 100, 3);
+    wire.utilization = this.round(wire.current / wire.ampacity, 3);
+    wire.resistance = this.round(wire.resistance, 6);
+
+    if (wire.current > wire.ampacity) {
+      wire.issues.push(`carries ${wire.current}A, above the ${wire.ampacity}A rating of ${wire.gauge}`);
+    }
+    if (wire.dropPercent > settings.maxDropPercent) {
+      wire.issues.push(`drops ${wire.voltageDrop}V (${wire.dropPercent}%) over ${wire.length}m, limit is ${settings.maxDropPercent}%`);
+    }
+
+    wire.status = wire.current === 0 ? 'no_load' : (wire.issues.length > 0 ? 'undersized' : 'ok');
+    wire.recommendedGauge = wire.status === 'undersized'
+      ? this.recommendGauge(wire.current, wire.length, settings.systemVoltage * settings.maxDropPercent / 100, settings.temperature)
+      : null;
+  }
+
+  /**
+   * Total supply and return drop seen by a load
+   */
+  static evaluateCircuit(circuit, wires, settings) {
+    const pathWires = [...circuit.supplyPath, ...circuit.returnPath].map(edgeId => wires.get(edgeId));
+    const voltageDrop = pathWires.reduce((sum, wire) => sum + (wire.voltageDrop || 0), 0);
+    const dropPercent = voltageDrop / settings.systemVoltage * 100;
+    const totalLength = pathWires.reduce((sum, wire) => sum + wire.length, 0);
+
+    // Wires on an over-limit circuit get a drop budget proportional to their share of its length
+    const passed = dropPercent <= settings.maxDropPercent;
+    if (!passed) {
+      pathWires.forEach(wire => {
+        if (wire.resistance === null || wire.current === 0) return;
+
+        const budget = settings.systemVoltage * settings.maxDropPercent / 100 * wire.length / totalLength;
+        if (wire.voltageDrop > budget) {
+          wire.issues.push(`contributes ${wire.voltageDrop}V to circuit ${circuit.loadId}, budget is ${this.round(budget, 4)}V`);
+          wire.status = 'undersized';
+          const recommended = this.recommendGauge(wire.current, wire.length, budget, settings.temperature);
+          if (recommended && (!wire.recommendedGauge || parseFloat(recommended) > parseFloat(wire.recommendedGauge))) {
+            wire.recommendedGauge = recommended;
+          }
+        }
+      });
+    }
+
+    return {
+      loadId: circuit.loadId,
+      label: circuit.label,
+      current: circuit.current,
+      supplyPath: circuit.supplyPath,
+      returnPath: circuit.returnPath,
+      length: this.round(totalLength, 3),
+      voltageDrop: this.round(voltageDrop, 4),
+      dropPercent: this.round(dropPercent, 3),
+      voltageAtLoad: this.round(settings.systemVoltage - voltageDrop, 3),
+      grounded: circuit.returnPath.length > 0,
+      unknownGauges: pathWires.filter(wire => wire.resistance === null).map(wire => wire.edgeId),
+      passed
+    };
+  }
+
+  static pathLength(path) {
+    let total = 0;
+    for (let i = 1; i < path.length; i++) {
+      const dx = path[i][0] - path[i - 1][0];
+      const dy = path[i][1] - path[i - 1][1];
+      const dz = path[i][2] - path[i - 1][2];
+      total += Math.sqrt(dx * dx + dy * dy + dz * dz);
+    }
+    return total;
+  }
+
+  static round(value, digits) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+  }
+}
+
+module.exports = {
+  VoltageDropAnalyzer
+};